@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+/**
+ * Mock LLM Server - OpenAI-compatible /v1/chat/completions for local development
+ * Replies in character for Tiberius, Elara and Milo from rule tables, supports streaming,
+ * tool calls and structured JSON turns, and can inject latency and failures.
+ *
+ * Usage:
+ *   node scripts/mock-llm-server.js [--port=4000] [--latency=300] [--jitter=200]
+ *                                   [--fault=429|500|timeout|malformed] [--fault-rate=0.2]
+ *                                   [--replies=path/to/replies.json] [--dev]
+ *
+ * --dev also starts live-server for the game on port 3000.
+ * Settings can be changed while running: POST /mock/config with a JSON body, e.g. {"fault": "429", "faultRate": 1}
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FAULTS = ['none', '429', '500', 'timeout', 'malformed'];
+
+function parseArgs(argv) {
+    const args = {};
+    argv.forEach(arg => {
+        const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+        if (match) {
+            args[match[1]] = match[2] === undefined ? true : match[2];
+        }
+    });
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const config = {
+    port: Number(args.port || process.env.MOCK_LLM_PORT || 4000),
+    latency: Number(args.latency || 300),  // Base delay before replying (ms)
+    jitter: Number(args.jitter || 200),    // Random extra delay (ms)
+    tokenDelay: Number(args['token-delay'] || 40), // Delay between streamed chunks (ms)
+    fault: args.fault || 'none',
+    faultRate: Number(args['fault-rate'] !== undefined ? args['fault-rate'] : 1),
+    replies: null
+};
+
+// Rule tables: first matching pattern wins, `default` when nothing matches.
+// Patterns match whole words, so list the endings a word may take (`books?`, `invent\\w*`).
+const DEFAULT_REPLIES = {
+    tiberius: {
+        rules: [
+            { match: 'hello|hi|greetings|good (morning|day)', reply: "Ah, a visitor. Few find their way this deep into the archives. What knowledge do you seek?", emotion: 'curious', trust: 1 },
+            { match: 'volumes?|chronicles?|missing', reply: "Volume VII... you have sharp ears. It vanished twenty years ago, and I would give much to see it returned.", emotion: 'worried', trust: 2, topics: ['missing_book'] },
+            { match: 'aldric|founder', reply: "Aldric the Wise founded this library three centuries past, then vanished, leaving only his books and a cryptic note.", emotion: 'neutral', trust: 1, topics: ['aldric_the_wise'] },
+            { match: 'books?|history|library|knowledge', reply: "Indeed, these shelves hold the memory of the realm. Patience and respect open more of them than force ever could.", emotion: 'friendly', trust: 3, topics: ['library_history'] },
+            { match: 'secrets?|tell me everything', reply: "Secrets? I see. Trust is earned slowly in these halls, young one.", emotion: 'suspicious', trust: -3 },
+            { match: 'bye|goodbye|farewell', reply: "Go carefully. Knowledge waits for those who return.", emotion: 'neutral', trust: 0 }
+        ],
+        default: [
+            "Curious... tell me more about why you ask.",
+            "Hmm. Every question reveals something of the one who asks it.",
+            "I see. The archives may hold an answer, in time."
+        ]
+    },
+    elara: {
+        rules: [
+            { match: 'hello|hi|greetings', reply: "Welcome, welcome! Finest goods in the square, and the freshest gossip too. What can I do for you?", emotion: 'happy', trust: 1 },
+            { match: 'buy\\w*|prices?|sell\\w*|trad\\w*|deals?', reply: "Now you're speaking my language! Silks, spices, tools, and a charm or two. Name your interest and we'll talk price.", emotion: 'enthusiastic', trust: 2, topics: ['trade'] },
+            { match: 'gossip|news|heard', reply: "Well, between you and me, Marcus has been undercutting prices again. And old Tiberius hasn't left the library in weeks!", emotion: 'happy', trust: 2, topics: ['local_gossip'] },
+            { match: 'marcus|rivals?', reply: "Marcus? Cheap goods and cheaper manners. You're not shopping with him, are you?", emotion: 'annoyed', trust: 0, topics: ['rival_marcus'] },
+            { match: 'bye|goodbye|farewell', reply: "Come back soon, and bring coin!", emotion: 'friendly', trust: 0 }
+        ],
+        default: [
+            "Every conversation is an opportunity! What brings you to my stall?",
+            "Business is brisk today. Anything catch your eye?",
+            "I might have exactly what you're looking for. Tell me more!"
+        ]
+    },
+    milo: {
+        rules: [
+            { match: 'hello|hi|greetings', reply: "Oh! Hello! Mind the springs on the floor. Want to see what I'm building?", emotion: 'enthusiastic', trust: 1 },
+            { match: 'invent\\w*|machines?|build\\w*|creat\\w*|projects?', reply: "The seed planter is nearly there, it just needs a precision spring! And the weather hat only rains on me occasionally now.", emotion: 'enthusiastic', trust: 2, topics: ['inventions'] },
+            { match: 'parts?|gears?|springs?|wires?', reply: "Parts! If you come across a precision spring or some enchanted copper wire, I'd be forever grateful.", emotion: 'curious', trust: 1, topics: ['parts_needed'] },
+            { match: 'explo\\w*|broke\\w*|danger\\w*', reply: "Only a little explosion! The self-stirring pot is ninety percent safe. Ninety-five on a good day.", emotion: 'worried', trust: 0 },
+            { match: 'bye|goodbye|farewell', reply: "Bye! Come back when the planter works, it'll be amazing!", emotion: 'happy', trust: 0 }
+        ],
+        default: [
+            "Ooh, that gives me an idea! Hold on, let me find a pencil...",
+            "Fascinating! How would you build it, if you were me?",
+            "Hmm, hmm. I think a few gears could solve that."
+        ]
+    }
+};
+
+// Which tool an NPC reaches for, and with what arguments, when the player's words fit
+const TOOL_RULES = [
+    { npc: 'elara', match: 'gifts?|give me|free', tool: 'give_item', args: schema => ({ item: firstEnum(schema, 'item') }) },
+    { npc: 'milo', match: 'ideas?|suggest\\w*|try adding|fix\\w*', tool: 'update_invention_progress', args: schema => ({ project: firstEnum(schema, 'project'), amount: 10 }) },
+    { npc: 'tiberius', match: 'volumes?|chronicles?', tool: 'reveal_knowledge', args: () => ({ topic: 'missing_book' }) },
+    { npc: null, match: 'go to the (library|square|workshop)|walk to', tool: 'walk_to_zone', args: schema => ({ zone: firstEnum(schema, 'zone') }) },
+    { npc: null, match: 'thank you|you are wise|much appreciated', tool: 'adjust_trust', args: () => ({ amount: 3, reason: 'The player was gracious' }) }
+];
+
+function firstEnum(schema, property) {
+    const prop = schema && schema.properties && schema.properties[property];
+    return prop && prop.enum && prop.enum.length > 0 ? prop.enum[0] : null;
+}
+
+function loadReplies() {
+    if (!args.replies) return DEFAULT_REPLIES;
+
+    // Custom tables override the defaults per NPC
+    const custom = JSON.parse(fs.readFileSync(path.resolve(args.replies), 'utf8'));
+    return { ...DEFAULT_REPLIES, ...custom };
+}
+
+// Reply generation
+function identifyNpc(messages) {
+    // The persona prompt comes first; later system messages may mention other NPCs
+    const persona = ((messages.find(m => m.role === 'system') || {}).content || '').toLowerCase();
+    const found = ['tiberius', 'elara', 'milo']
+        .map(name => ({ name: name, index: persona.indexOf(name) }))
+        .filter(match => match.index !== -1)
+        .sort((a, b) => a.index - b.index);
+
+    return found.length > 0 ? found[0].name : 'tiberius';
+}
+
+function lastUserMessage(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role === 'user') return messages[i].content || '';
+    }
+    return '';
+}
+
+// Whole words only, so "history" or "this" don't count as "hi"
+function matchesRule(pattern, text) {
+    return new RegExp(`\\b(${pattern})\\b`, 'i').test(text);
+}
+
+function pickReply(npc, text, seed) {
+    const table = config.replies[npc] || DEFAULT_REPLIES.tiberius;
+    const rule = table.rules.find(r => matchesRule(r.match, text));
+    if (rule) {
+        return { say: rule.reply, emotion: rule.emotion || 'neutral', trust: rule.trust || 0, topics: rule.topics || [] };
+    }
+
+    // Stable choice per message so repeated runs answer the same way
+    const say = table.default[seed % table.default.length];
+    return { say: say, emotion: 'neutral', trust: 0, topics: [] };
+}
+
+function pickToolCall(npc, body) {
+    const messages = body.messages || [];
+    const last = messages[messages.length - 1];
+
+    // After a tool result the NPC talks; it doesn't chain actions
+    if (!last || last.role !== 'user') return null;
+
+    const text = last.content || '';
+    const tools = (body.tools || []).map(t => t.function);
+
+    for (const rule of TOOL_RULES) {
+        if (rule.npc && rule.npc !== npc) continue;
+        if (!matchesRule(rule.match, text)) continue;
+
+        const tool = tools.find(t => t.name === rule.tool);
+        if (tool) {
+            return { name: tool.name, arguments: rule.args(tool.parameters) };
+        }
+    }
+    return null;
+}
+
+function hashText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+}
+
+function buildCompletion(body) {
+    const messages = body.messages || [];
+    const npc = identifyNpc(messages);
+    const userText = lastUserMessage(messages);
+
+    const toolCall = body.tools && body.tools.length > 0 ? pickToolCall(npc, body) : null;
+    if (toolCall) {
+        return {
+            content: null,
+            toolCalls: [{
+                id: `call_${hashText(userText + toolCall.name).toString(36)}`,
+                type: 'function',
+                function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments) }
+            }],
+            finishReason: 'tool_calls'
+        };
+    }
+
+    const reply = pickReply(npc, userText, hashText(userText));
+    const wantsJson = body.response_format && body.response_format.type === 'json_object';
+
+    const content = wantsJson
+        ? JSON.stringify({
+            say: reply.say,
+            emotion: reply.emotion,
+            trust_delta: reply.trust,
+            topics: reply.topics,
+            memory_note: reply.topics.length > 0 ? `The player asked about ${reply.topics[0].replace(/_/g, ' ')}.` : null
+        })
+        : reply.say;
+
+    return { content: content, toolCalls: null, finishReason: 'stop' };
+}
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// HTTP plumbing
+function sendJSON(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+function setCors(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function activeFault() {
+    if (config.fault === 'none' || Math.random() >= config.faultRate) return 'none';
+    return config.fault;
+}
+
+async function handleCompletion(req, res) {
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendJSON(res, 400, { error: { message: 'Request body is not valid JSON', type: 'invalid_request_error' } });
+        return;
+    }
+
+    await delay(config.latency + Math.random() * config.jitter);
+
+    const fault = activeFault();
+    switch (fault) {
+        case '429':
+            sendJSON(res, 429, { error: { message: 'Rate limit reached (mock)', type: 'rate_limit_error' } }, { 'Retry-After': '2' });
+            return;
+        case '500':
+            sendJSON(res, 500, { error: { message: 'Internal server error (mock)', type: 'server_error' } });
+            return;
+        case 'timeout':
+            // Never answer; the client's timeout or abort ends the request
+            console.log('  -> hanging (timeout fault)');
+            return;
+        default:
+            break;
+    }
+
+    const completion = buildCompletion(body);
+    const promptTokens = estimateTokens(JSON.stringify(body.messages));
+    const completionTokens = estimateTokens(completion.content || JSON.stringify(completion.toolCalls));
+    const id = `chatcmpl-mock-${Date.now().toString(36)}`;
+    const model = body.model || 'mock-npc';
+
+    console.log(`  -> ${completion.toolCalls ? 'tool call ' + completion.toolCalls[0].function.name : JSON.stringify((completion.content || '').slice(0, 60))}`);
+
+    if (body.stream) {
+        await streamCompletion(res, completion, { id, model, promptTokens, completionTokens, malformed: fault === 'malformed' });
+        return;
+    }
+
+    if (fault === 'malformed') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"id": "' + id + '", "choices": [{"message": {"role": "assistant", "content": "' + (completion.content || '').slice(0, 20));
+        return;
+    }
+
+    sendJSON(res, 200, {
+        id: id,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content: completion.content, tool_calls: completion.toolCalls || undefined },
+            finish_reason: completion.finishReason
+        }],
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    });
+}
+
+async function streamCompletion(res, completion, meta) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    const send = (delta, finishReason = null, extra = {}) => {
+        res.write(`data: ${JSON.stringify({
+            id: meta.id,
+            object: 'chat.completion.chunk',
+            created: Math.floor(Date.now() / 1000),
+            model: meta.model,
+            choices: [{ index: 0, delta: delta, finish_reason: finishReason }],
+            ...extra
+        })}\n\n`);
+    };
+
+    send({ role: 'assistant', content: '' });
+
+    if (completion.toolCalls) {
+        // Arguments arrive in fragments, like the real API
+        const call = completion.toolCalls[0];
+        send({ tool_calls: [{ index: 0, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] });
+        const argsText = call.function.arguments;
+        for (let i = 0; i < argsText.length; i += 8) {
+            await delay(config.tokenDelay);
+            send({ tool_calls: [{ index: 0, function: { arguments: argsText.slice(i, i + 8) } }] });
+        }
+    } else {
+        const pieces = (completion.content || '').split(/(\s+)/);
+        for (let i = 0; i < pieces.length; i += 2) {
+            await delay(config.tokenDelay);
+            send({ content: pieces.slice(i, i + 2).join('') });
+
+            if (meta.malformed && i >= 4) {
+                res.write('data: {"choices": [{"delta": {"content": \n\n');
+                res.end();
+                return;
+            }
+        }
+    }
+
+    send({}, completion.finishReason, {
+        usage: { prompt_tokens: meta.promptTokens, completion_tokens: meta.completionTokens, total_tokens: meta.promptTokens + meta.completionTokens }
+    });
+    res.write('data: [DONE]\n\n');
+    res.end();
+}
+
+async function handleConfig(req, res) {
+    if (req.method === 'POST') {
+        try {
+            const update = JSON.parse(await readBody(req) || '{}');
+            if (update.fault !== undefined && !FAULTS.includes(String(update.fault))) {
+                sendJSON(res, 400, { error: { message: `fault must be one of: ${FAULTS.join(', ')}` } });
+                return;
+            }
+            ['latency', 'jitter', 'tokenDelay', 'faultRate'].forEach(key => {
+                if (update[key] !== undefined) config[key] = Number(update[key]);
+            });
+            if (update.fault !== undefined) config.fault = String(update.fault);
+            console.log('Mock config updated:', JSON.stringify(publicConfig()));
+        } catch (error) {
+            sendJSON(res, 400, { error: { message: 'Config body is not valid JSON' } });
+            return;
+        }
+    }
+    sendJSON(res, 200, publicConfig());
+}
+
+function publicConfig() {
+    const { replies, ...rest } = config;
+    return rest;
+}
+
+function createServer() {
+    return http.createServer(async (req, res) => {
+        setCors(res);
+        const url = req.url.split('?')[0];
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        console.log(`${req.method} ${url}`);
+
+        try {
+            if (req.method === 'POST' && url === '/v1/chat/completions') {
+                await handleCompletion(req, res);
+            } else if (req.method === 'GET' && url === '/v1/models') {
+                sendJSON(res, 200, { object: 'list', data: [{ id: 'mock-npc', object: 'model', owned_by: 'mock' }] });
+            } else if (url === '/mock/config') {
+                await handleConfig(req, res);
+            } else {
+                sendJSON(res, 404, { error: { message: `No route for ${req.method} ${url}` } });
+            }
+        } catch (error) {
+            console.error('Mock server error:', error);
+            if (!res.headersSent) {
+                sendJSON(res, 500, { error: { message: error.message } });
+            }
+        }
+    });
+}
+
+config.replies = loadReplies();
+
+if (require.main === module) {
+    if (!FAULTS.includes(config.fault)) {
+        console.error(`--fault must be one of: ${FAULTS.join(', ')}`);
+        process.exit(1);
+    }
+
+    createServer().listen(config.port, () => {
+        console.log(`Mock LLM server listening on http://localhost:${config.port}/v1/chat/completions`);
+        console.log('Settings:', JSON.stringify(publicConfig()));
+        console.log('In the game console: debugFunctions.useMockLLM()');
+    });
+
+    if (args.dev) {
+        require('live-server').start({ port: 3000, open: '/index.html', logLevel: 1 });
+    }
+}
+
+module.exports = { createServer, buildCompletion, pickReply, config, DEFAULT_REPLIES };
@@ -6,6 +6,22 @@ class Elara extends Agent {
     constructor(position) {
         const config = {
             name: 'Elara the Merchant',
+            shortName: 'Elara',
+            homeZone: 'townSquare',
+            // Daily routine by game hour; her day plan fills the hours in between
+            schedule: [
+                { start: 7, end: 8, zone: 'townSquare', activity: 'setting up the stall' },
+                { start: 18, end: 19, zone: 'townSquare', activity: 'closing up shop for the night' },
+                { start: 19, end: 20, zone: 'workshop', activity: 'dropping off the parts Milo ordered' },
+                { start: 22, end: 7, zone: 'townSquare', activity: 'asleep in the back room of the stall' }
+            ],
+            // Cheerful and quick to react, rarely put out by a wary customer; rain keeps buyers away
+            emotion: {
+                baseline: { pleasure: 0.3, arousal: 0.05, dominance: 0.1 },
+                halfLife: 40,
+                reactivity: 1.2,
+                sensitivity: { trustLost: 0.5, gift: 1.5, rain: 1.5, storm: 1.5 }
+            },
             color: '#DAA520', // Gold for wealth and trade
             personality: {
                 shrewd: 0.9,
@@ -28,31 +44,55 @@ class Elara extends Agent {
                 "Build a network of reliable customers and contacts"
             ],
             knowledgeBase: {
-                'trade_routes': "I know all the best trade routes! The eastern pass is fastest for spices, but the northern route is safer for precious goods.",
+                // Her routes are worth money, so only regulars hear about them
+                'trade_routes': {
+                    text: "I know all the best trade routes! The eastern pass is fastest for spices, but the northern route is safer for precious goods.",
+                    disclosure: { stage: 'regular' }
+                },
                 'local_gossip': "Oh, the stories I could tell! Did you know that Marcus tried to undercut my prices last week? The nerve!",
                 'town_economics': "Business has been good lately. The harvest was excellent, and the miners found a new silver vein up north.",
                 'rival_marcus': "Marcus thinks he's so clever with his 'premium' goods. Ha! I offer better quality at fair prices.",
                 'inventory': "I deal in fine silks, rare spices, quality tools, and the occasional magical trinket. Always something interesting!",
                 'tiberius': "Old Tiberius? Lovely man, but so serious! He once bought a rare manuscript from me - paid quite handsomely too.",
                 'milo': "That inventor boy is always asking for strange parts. Good for business though - he pays well for hard-to-find items."
+            },
+            // Customer tiers, climbed by coming back; partners are also trusted with the bigger deals
+            relationshipStages: [
+                'potential_customer',
+                { name: 'regular', min: { familiarity: 5 } },
+                { name: 'valued_customer', min: { familiarity: 10 } },
+                { name: 'partner', min: { familiarity: 10, trust: 80 } }
+            ],
+            relationshipDefaults: { trust: 60 }, // More trusting than Tiberius - she wants to make sales
+            // Offline dialogue - "I'm not looking to buy" counts as declining, not as a sale
+            dialogue: {
+                intents: {
+                    buy: { patterns: { 'buy': 2, 'purchas*': 2, 'how much': 2, 'looking for': 1, 'price*': 1, 'cost*': 1, 'sell': 1, 'need': 1 }, onNegated: 'decline' },
+                    inventory: { patterns: { 'inventory': 3, 'what do you have': 3, 'what do you sell': 3, 'wares': 2, 'goods': 2, 'stock': 2 } },
+                    gossip: { patterns: { 'gossip*': 3, 'news': 2, 'rumo*': 2, 'heard': 1, 'tell me': 1 } },
+                    ask_person: { patterns: { 'tiberius': 2, 'milo': 2, 'marcus': 2 } },
+                    business: { patterns: { 'deal*': 2, 'trade': 2, 'trading': 2, 'business': 2, 'profit*': 2 } }
+                },
+                entities: {
+                    person: { tiberius: ['tiberius', 'historian'], milo: ['milo', 'inventor'], rival_marcus: ['marcus'] }
+                }
             }
         };
         
         super(position, config);
         
         // Elara-specific properties
-        this.businessRelationship = 'potential_customer'; // 'potential_customer', 'regular', 'valued_customer', 'partner'
-        this.gossipShared = new Set();
+        this.gossipTopics = ['local_gossip', 'rival_marcus', 'town_economics'];
         this.tradeOffers = new Map();
         this.salesPitch = 0; // Tracks how many times she's made a sales pitch
         
         // Trading system
         this.inventory = [
-            { item: 'Silk Scarf', price: 25, rarity: 'common' },
-            { item: 'Exotic Spices', price: 50, rarity: 'uncommon' },
-            { item: 'Quality Hammer', price: 75, rarity: 'common' },
-            { item: 'Lucky Charm', price: 100, rarity: 'rare' },
-            { item: 'Ancient Coin', price: 200, rarity: 'very_rare' }
+            this.stockItem('silk_scarf', 25),
+            this.stockItem('exotic_spices', 50),
+            this.stockItem('quality_hammer', 75),
+            this.stockItem('lucky_charm', 100),
+            this.stockItem('ancient_coin', 200)
         ];
         
         // Initialize AI agent
@@ -65,82 +105,63 @@ class Elara extends Agent {
                 gossipy: true,
                 friendly: true
             },
-            systemPrompt: this.generateElaraPrompt()
+            promptTemplate: 'elara',
+            promptVariables: (partner) => this.getPromptVariables(partner),
+            lockedKnowledge: () => this.getLockedKnowledge()
         });
         
+        this.registerTools();
+        this.aiAgent.setToolRegistry(this.tools);
+        this.dialogue.setResponses(this.getDialogueResponses());
+        
         this.setupElara();
     }
 
-    generateElaraPrompt() {
-        return `You are Elara, a shrewd and charismatic merchant in a fantasy town square. You're in your 30s, quick-witted, and always looking for business opportunities.
-
-PERSONALITY:
-- Fast-talking and business-minded, always thinking about profit
-- Friendly and talkative, loves to chat and gossip
-- Shrewd negotiator but fair in her dealings
-- Competitive, especially with her rival Marcus
-- Well-informed about local news and trade
-
-BACKGROUND:
-- You run the most successful trading post in town
-- You have connections across multiple trade routes
-- You're competing with another merchant named Marcus
-- You know everyone in town and all the local gossip
-
-CURRENT GOALS:
-- Expand your business and find new customers
-- Gather information about trade opportunities
-- Stay ahead of your competition
-- Build relationships that benefit your business
-
-SPEAKING STYLE:
-- Enthusiastic and energetic
-- Use business terms and trade language
-- Often mention deals, prices, and opportunities
-- Share gossip naturally in conversation
-- Ask questions about the visitor's needs
-
-INVENTORY KNOWLEDGE:
-- You sell silks, spices, tools, and occasional magical items
-- You can source hard-to-find items for the right price
-- You know the value of everything
-
-Keep responses under 150 words and maintain Elara's merchant personality - always friendly but with business on her mind.`;
-    }
-
     setupElara() {
         // Elara moves around the town square area more actively
         this.wanderRange = 60;
         this.speed = 120; // Faster movement, energetic personality
         
-        // More trusting than Tiberius - she wants to make sales
-        this.trustLevel = 60;
-        
         console.log('Elara the Merchant initialized in town square');
     }
 
-    async receiveMessage(message, sender) {
+    async receiveMessage(message, sender, options = {}) {
         console.log(`Elara received: "${message}"`);
         
         // Store conversation
         this.memory.addConversation(sender, message, 'received');
         
-        // Analyze message for business opportunities
-        this.analyzeBusinessOpportunity(message, sender);
-        
-        // Update relationship status
-        this.updateBusinessRelationship(message, sender);
+        // Analyze message for business opportunities, unless the model reports trust itself
+        const structured = this.aiAgent.isStructuredOutputActive();
+        if (!structured) {
+            this.analyzeBusinessOpportunity(message, sender);
+        }
         
         let response;
+        let turn = null;
         
         try {
             const context = this.buildConversationContext(sender);
-            response = await this.aiAgent.generateResponse(message, context);
+            context.memories = this.getRelevantMemories(message, 5, sender);
+            response = await this.aiAgent.generateResponse(message, context, {
+                ...options,
+                toolContext: { agent: this, sender: sender },
+                onTurn: (parsedTurn) => { turn = parsedTurn; },
+                fallback: () => this.generateScriptedResponse(message, sender)
+            });
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            
             console.warn('Elara AI response failed:', error.message);
             response = this.generateScriptedResponse(message, sender);
         }
         
+        if (turn) {
+            this.applyStructuredTurn(turn, sender);
+        } else if (structured) {
+            this.analyzeBusinessOpportunity(message, sender);
+        }
+        
         // Store response
         this.memory.addConversation(sender, response, 'sent');
         
@@ -149,149 +170,194 @@ Keep responses under 150 words and maintain Elara's merchant personality - alway
 
     buildConversationContext(sender) {
         return {
-            businessRelationship: this.businessRelationship,
+            businessRelationship: this.getRelationshipStage(),
             salesPitch: this.salesPitch,
-            gossipShared: Array.from(this.gossipShared),
+            gossipShared: this.knowledge.getDisclosed().filter(topic => this.gossipTopics.includes(topic)),
             recentInventory: this.inventory.slice(0, 3),
             worldInfo: {
                 location: 'Town Square - Trading Post',
                 character: 'Elara the Merchant',
-                relationship: this.memory.getRelationship(sender.name),
+                relationship: this.relationships.get(sender),
                 mood: 'business_focused'
             }
         };
     }
 
+    getPromptVariables(partner = null) {
+        return {
+            ...super.getPromptVariables(partner),
+            customerTier: this.getRelationshipStage().replace(/_/g, ' '),
+            inventory: this.inventory
+        };
+    }
+
     analyzeBusinessOpportunity(message, sender) {
-        const messageLower = message.toLowerCase();
+        const intents = this.dialogue.classify(message).intents;
+        this.appraiseMessage(message, sender, intents);
         
         // Looking for items/services
-        if (messageLower.includes('buy') || messageLower.includes('need') || 
-            messageLower.includes('looking for') || messageLower.includes('sell')) {
+        if (intents.includes('buy')) {
             this.salesPitch++;
         }
         
         // Interest in gossip
-        if (messageLower.includes('news') || messageLower.includes('gossip') || 
-            messageLower.includes('heard') || messageLower.includes('tell me')) {
-            this.adjustTrust(3); // Elara likes people who are interested in news
+        if (intents.includes('gossip')) {
+            this.adjustRelationship(sender, { trust: 3, affection: 2 }, 'enjoys a bit of gossip'); // Elara likes people who are interested in news
         }
         
         // Business-friendly language
-        if (messageLower.includes('deal') || messageLower.includes('trade') || 
-            messageLower.includes('business') || messageLower.includes('profit')) {
-            this.adjustTrust(5);
+        if (intents.includes('business')) {
+            this.adjustRelationship(sender, { trust: 5, respect: 3 }, 'talked business');
         }
     }
 
-    updateBusinessRelationship(message, sender) {
-        const interactionCount = this.memory.getConversationsWith(sender.name).length;
-        
-        if (interactionCount >= 5 && this.businessRelationship === 'potential_customer') {
-            this.businessRelationship = 'regular';
-        } else if (interactionCount >= 10 && this.businessRelationship === 'regular') {
-            this.businessRelationship = 'valued_customer';
-        } else if (this.trustLevel > 80 && this.businessRelationship === 'valued_customer') {
-            this.businessRelationship = 'partner';
-        }
+    // Intent -> reply tables for the offline dialogue engine
+    getDialogueResponses() {
+        return {
+            ...super.getDialogueResponses(),
+            first_meeting: this.personality.greetings,
+            buy: [() => this.handlePurchaseInquiry()],
+            inventory: [() => this.handleInventoryInquiry()],
+            gossip: [(context) => this.shareGossip(context.sender)],
+            ask_person: [(context) => this.handlePersonInquiry(context.entities.person, context.sender)],
+            business: [
+                "Now you're speaking my language! A good deal leaves both sides smiling - and me a little richer.",
+                "Trade is the lifeblood of this town, and I'm its beating heart! What did you have in mind?"
+            ],
+            decline: [
+                "No pressure! Browsing is free - and if something catches your eye, you know where to find me.",
+                "Suit yourself! Just don't come crying when Marcus charges you double.",
+                "Just looking? That's fine. The {featuredItem} will still be here... for now."
+            ],
+            greeting: [
+                "Back again? Business or gossip today?",
+                "Hello, hello! Good to see a familiar face."
+            ],
+            goodbye: [
+                "Come back soon! New stock arrives every week.",
+                "Off you go then - and tell your friends about Elara's!"
+            ],
+            thanks: [
+                "My pleasure! Happy customers are repeat customers.",
+                "Anytime! Remember who treated you well."
+            ],
+            default: [
+                "Business is always on my mind! Is there something I can help you with?",
+                "Every conversation is an opportunity! What brings you to my shop today?",
+                "I love meeting new people - especially potential customers! What do you need?",
+                "You know, I might have exactly what you're looking for. Tell me more!"
+            ],
+            // Talking with the other townsfolk
+            neighbour_opening: [
+                "{partnerName}! Just the person I wanted to see. Have you heard the latest?",
+                "Well, if it isn't {partnerName}! Business treating you well?"
+            ],
+            neighbour: [
+                "You don't say! That'll be all over the square by sundown.",
+                "Interesting... and is anyone buying?",
+                "Speaking of which, I've a fine {featuredItem} that would suit you."
+            ],
+            neighbour_closing: [
+                "Must dash, {partnerName} - customers won't wait!",
+                "Lovely chatting! Send anyone who needs anything my way."
+            ]
+        };
     }
 
-    generateScriptedResponse(message, sender) {
-        const messageLower = message.toLowerCase();
+    getDialogueSlots(sender) {
+        const featured = this.inventory[Math.floor(Math.random() * this.inventory.length)];
         
-        // First interaction
-        if (this.isFirstInteraction(sender)) {
-            return this.getRandomPersonalityResponse('greetings');
-        }
-        
-        // Business inquiries
-        if (messageLower.includes('buy') || messageLower.includes('purchase')) {
-            return this.handlePurchaseInquiry(messageLower);
-        }
-        
-        // Inventory questions
-        if (messageLower.includes('inventory') || messageLower.includes('what do you have')) {
-            return this.handleInventoryInquiry();
-        }
-        
-        // Gossip requests
-        if (messageLower.includes('news') || messageLower.includes('gossip')) {
-            return this.shareGossip();
-        }
-        
-        // Questions about other people
-        if (messageLower.includes('tiberius') || messageLower.includes('milo') || 
-            messageLower.includes('marcus')) {
-            return this.handlePersonInquiry(messageLower);
-        }
-        
-        // General business response
-        return this.getBusinessResponse();
+        return {
+            ...super.getDialogueSlots(sender),
+            featuredItem: featured ? featured.item : null,
+            featuredPrice: featured ? featured.price : null,
+            itemList: this.inventory.slice(0, 3).map(item => `${item.item} (${item.price}g)`).join(', ')
+        };
     }
 
-    handlePurchaseInquiry(messageLower) {
+    handlePurchaseInquiry() {
         if (this.salesPitch < 2) {
             return "Excellent! You've come to the right place. I have the finest goods at the most reasonable prices. What kind of item are you looking for?";
         } else {
             // More specific offers for repeat customers
-            const item = this.inventory[Math.floor(Math.random() * this.inventory.length)];
-            return `I've got just the thing! How about this ${item.item} for ${item.price} gold? It's a steal at that price!`;
+            return "I've got just the thing! How about this {featuredItem} for {featuredPrice} gold? It's a steal at that price!";
         }
     }
 
     handleInventoryInquiry() {
-        const featuredItems = this.inventory.slice(0, 3);
-        const itemList = featuredItems.map(item => `${item.item} (${item.price}g)`).join(', ');
-        
-        return `Today I have ${itemList}, and much more! I can also source special items if you have something specific in mind. What catches your interest?`;
+        return "Today I have {itemList}, and much more! I can also source special items if you have something specific in mind. What catches your interest?";
     }
 
-    shareGossip() {
-        const gossipTopics = ['local_gossip', 'rival_marcus', 'town_economics'];
-        const randomTopic = gossipTopics[Math.floor(Math.random() * gossipTopics.length)];
+    shareGossip(sender) {
+        const randomTopic = this.gossipTopics[Math.floor(Math.random() * this.gossipTopics.length)];
         
-        if (!this.gossipShared.has(randomTopic)) {
-            this.gossipShared.add(randomTopic);
-            return "Oh, do I have news for you! " + this.knowledgeBase[randomTopic];
-        } else {
-            return "Well, I've already shared the juiciest gossip with you! But I'm always hearing new things. Come back later!";
+        if (!this.knowledge.isDisclosed(randomTopic)) {
+            const text = this.discloseKnowledge(randomTopic, sender);
+            if (text) return "Oh, do I have news for you! " + text;
         }
+        
+        return "Well, I've already shared the juiciest gossip with you! But I'm always hearing new things. Come back later!";
     }
 
-    handlePersonInquiry(messageLower) {
-        if (messageLower.includes('tiberius')) {
-            return this.knowledgeBase['tiberius'] + " Do you know him well?";
-        } else if (messageLower.includes('milo')) {
-            return this.knowledgeBase['milo'] + " Are you looking for some invention perhaps?";
-        } else if (messageLower.includes('marcus')) {
-            return this.knowledgeBase['rival_marcus'] + " You're not thinking of shopping with him, are you?";
+    handlePersonInquiry(person, sender) {
+        const followUps = {
+            tiberius: " Do you know him well?",
+            milo: " Are you looking for some invention perhaps?",
+            rival_marcus: " You're not thinking of shopping with him, are you?"
+        };
+        
+        const text = person ? this.discloseKnowledge(person, sender) : null;
+        if (text) {
+            return text + followUps[person];
         }
         
         return "Ah, asking about the locals? I know everyone in town! Who specifically interests you?";
     }
 
-    getBusinessResponse() {
-        const responses = [
-            "Business is always on my mind! Is there something I can help you with?",
-            "Every conversation is an opportunity! What brings you to my shop today?",
-            "I love meeting new people - especially potential customers! What do you need?",
-            "You know, I might have exactly what you're looking for. Tell me more!"
-        ];
-        
-        return responses[Math.floor(Math.random() * responses.length)];
+    registerTools() {
+        this.tools.register({
+            name: 'give_item',
+            description: 'Hand an item from the stall to the visitor as a gift or sweetener for a deal.',
+            // Enum follows the live inventory so the model can only offer what is on the stall
+            parameters: () => ({
+                type: 'object',
+                properties: {
+                    item: { type: 'string', enum: this.inventory.map(inv => inv.item) }
+                },
+                required: ['item'],
+                additionalProperties: false
+            }),
+            handler: (args, context) => this.giveItem(args.item, context.sender)
+        });
     }
 
-    adjustTrust(amount) {
-        this.trustLevel = Math.max(0, Math.min(100, this.trustLevel + amount));
+    giveItem(itemName, recipient) {
+        const index = this.inventory.findIndex(inv => inv.item === itemName);
+        if (index === -1) {
+            throw new Error(`${itemName} is not in stock`);
+        }
         
-        // Elara's mood is generally positive but business-focused
-        if (this.trustLevel > 70) {
-            this.currentMood = 'friendly';
-        } else if (this.trustLevel < 40) {
-            this.currentMood = 'neutral'; // She's rarely suspicious, just more cautious
-        } else {
-            this.currentMood = 'friendly';
+        const item = this.inventory[index];
+        
+        // Valuable goods are only gifted to customers she trusts
+        if (item.price > 50 && this.trustLevel < 80) {
+            return { given: false, item: item.item, reason: 'Elara does not give away valuable goods to customers she barely trusts' };
         }
+        
+        // The gift goes into the visitor's bag
+        const bag = recipient && recipient.inventory;
+        if (bag && item.id && !bag.canAdd(item.id)) {
+            return { given: false, item: item.item, reason: 'The visitor cannot carry any more' };
+        }
+        
+        this.inventory.splice(index, 1);
+        if (bag && item.id) {
+            bag.add(item.id);
+        }
+        this.emit('itemGiven', item, recipient);
+        this.announceAction(`Elara hands you the ${item.item}.`);
+        
+        return { given: true, item: item.item };
     }
 
     // Override movement to be more animated
@@ -310,7 +376,7 @@ Keep responses under 150 words and maintain Elara's merchant personality - alway
         super.renderEntity(renderer);
         
         // Add merchant accessories
-        const time = Date.now();
+        const time = this.animationClock;
         
         // Money pouch that swings
         const swingOffset = Math.sin(time * 0.005) * 3;
@@ -339,8 +405,14 @@ Keep responses under 150 words and maintain Elara's merchant personality - alway
         return { available: false };
     }
 
-    addToInventory(item, price, rarity = 'common') {
-        this.inventory.push({ item, price, rarity });
+    // A stall entry for an ItemCatalog item: { id, item (its name), price, rarity }
+    stockItem(itemId, price) {
+        const definition = ItemCatalog.getShared().get(itemId);
+        return { id: itemId, item: definition.name, price: price, rarity: definition.rarity };
+    }
+
+    addToInventory(itemId, price) {
+        this.inventory.push(this.stockItem(itemId, price));
         if (this.inventory.length > 10) {
             // Remove oldest common item
             const commonIndex = this.inventory.findIndex(inv => inv.rarity === 'common');
@@ -352,34 +424,19 @@ Keep responses under 150 words and maintain Elara's merchant personality - alway
 
     getElaraState() {
         return {
-            businessRelationship: this.businessRelationship,
+            businessRelationship: this.getRelationshipStage(),
             salesPitch: this.salesPitch,
-            gossipShared: Array.from(this.gossipShared),
+            gossipShared: this.knowledge.getDisclosed().filter(topic => this.gossipTopics.includes(topic)),
             inventoryCount: this.inventory.length,
             trustLevel: this.trustLevel
         };
     }
 
-    isFirstInteraction(sender) {
-        const conversations = this.memory.getConversationsWith(sender.name);
-        return conversations.length <= 1;
-    }
-
-    getRandomPersonalityResponse(category) {
-        const responses = this.personality[category];
-        if (responses && responses.length > 0) {
-            return responses[Math.floor(Math.random() * responses.length)];
-        }
-        return "Welcome to my shop, traveler!";
-    }
-
     // Serialization
     serialize() {
         const baseData = super.serialize();
         return {
             ...baseData,
-            businessRelationship: this.businessRelationship,
-            gossipShared: Array.from(this.gossipShared),
             salesPitch: this.salesPitch,
             inventory: this.inventory
         };
@@ -387,9 +444,11 @@ Keep responses under 150 words and maintain Elara's merchant personality - alway
 
     deserialize(data) {
         super.deserialize(data);
-        this.businessRelationship = data.businessRelationship || 'potential_customer';
-        this.gossipShared = new Set(data.gossipShared || []);
         this.salesPitch = data.salesPitch || 0;
-        this.inventory = data.inventory || this.inventory;
+        // Stock saved before items had ids is matched to the catalog by name
+        this.inventory = (data.inventory || this.inventory).map(inv => inv.id ? inv : {
+            ...inv,
+            id: (ItemCatalog.getShared().find(inv.item) || {}).id || null
+        });
     }
 }
\ No newline at end of file
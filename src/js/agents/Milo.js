@@ -6,6 +6,21 @@ class Milo extends Agent {
     constructor(position) {
         const config = {
             name: 'Milo the Inventor',
+            shortName: 'Milo',
+            homeZone: 'workshop',
+            // Daily routine by game hour; his day plan fills the hours in between
+            schedule: [
+                { start: 19, end: 2, zone: 'workshop', activity: 'working late on inventions by lamplight' },
+                { start: 2, end: 9, zone: 'workshop', activity: 'asleep among the blueprints' }
+            ],
+            // Excitable and trusting: his feelings flare and fade fast, and trust barely moves them
+            emotion: {
+                baseline: { pleasure: 0.3, arousal: 0.3, dominance: 0.1 },
+                halfLife: 30,
+                reactivity: 1.3,
+                sensitivity: { trustGained: 0.5, trustLost: 0.3, sharedInterest: 1.5, questProgress: 1.5, storm: 0.5 }
+            },
+            relationshipDefaults: { trust: 70 }, // Very trusting - he's excited to share with anyone
             color: '#4682B4', // Steel blue for his mechanical nature
             personality: {
                 enthusiastic: 0.9,
@@ -32,9 +47,28 @@ class Milo extends Agent {
                 'workshop': "This workshop has been in my family for three generations. My grandfather was a clockmaker, my father a blacksmith, and I... well, I'm trying to combine both!",
                 'inventions': "I've created a self-stirring pot, boots that never get muddy, and a hat that tells you the weather! Not all of them work perfectly yet...",
                 'parts_needed': "I'm always looking for gears, springs, crystals, rare metals, and anything that moves or glows! Elara sometimes finds interesting components for me.",
-                'failures': "Oh, I've had spectacular failures! Last month, my automatic door opener launched itself through the wall. But that's how we learn, right?",
+                // He only owns up to the explosions once he counts the visitor as a friend
+                'failures': {
+                    text: "Oh, I've had spectacular failures! Last month, my automatic door opener launched itself through the wall. But that's how we learn, right?",
+                    disclosure: { stage: 'friend' }
+                },
                 'tiberius': "Old Tiberius is brilliant! He let me borrow some technical manuals. Ancient engineering is fascinating - they knew things we've forgotten!",
                 'elara': "Elara's great for finding rare parts! She charges fair prices, though she does laugh at some of my more... ambitious projects."
+            },
+            // Offline dialogue - what the scripted replies and excitement heuristics listen for
+            dialogue: {
+                intents: {
+                    current_project: { patterns: { 'working on': 3, 'current*': 2, 'latest': 2 } },
+                    invention: { patterns: { 'invent*': 2, 'machine*': 2, 'contraption*': 2, 'gadget*': 2, 'project*': 2, 'build*': 1, 'creat*': 1 } },
+                    parts: { patterns: { 'part': 2, 'parts': 2, 'gear*': 2, 'spring*': 2, 'wire*': 2, 'material*': 2, 'component*': 2, 'you need': 2 } },
+                    problem: { patterns: { 'problem*': 2, 'help me': 2, 'help': 1, 'need': 1, 'difficult*': 1, 'stuck': 1, 'broken': 1, 'fix': 1 } },
+                    demonstration: { patterns: { 'show': 2, 'demonstrat*': 2, 'see it': 1, 'try it': 1 } },
+                    explain: { patterns: { 'how does': 2, 'how do': 1, 'how it works': 2, 'explain*': 2 } },
+                    ask_person: { patterns: { 'tiberius': 2, 'elara': 2 } }
+                },
+                entities: {
+                    person: { tiberius: ['tiberius', 'historian'], elara: ['elara', 'merchant'] }
+                }
             }
         };
         
@@ -68,88 +102,67 @@ class Milo extends Agent {
                 scattered: true,
                 optimistic: true
             },
-            systemPrompt: this.generateMiloPrompt()
+            promptTemplate: 'milo',
+            promptVariables: (partner) => this.getPromptVariables(partner),
+            lockedKnowledge: () => this.getLockedKnowledge()
         });
         
+        this.registerTools();
+        this.aiAgent.setToolRegistry(this.tools);
+        this.dialogue.setResponses(this.getDialogueResponses());
+        
         this.setupMilo();
     }
 
-    generateMiloPrompt() {
-        return `You are Milo, a 25-year-old enthusiastic inventor in a fantasy workshop. You're passionate about creating mechanical devices that help people, though they don't always work as intended.
-
-PERSONALITY:
-- Extremely enthusiastic and excitable about inventions
-- Curious about everything, especially how things work
-- Creative and optimistic, sees possibilities everywhere
-- Sometimes scattered - gets distracted by new ideas mid-conversation
-- Helpful and eager to share knowledge
-- Not discouraged by failures - sees them as learning opportunities
-
-BACKGROUND:
-- You run a workshop inherited from your family
-- You're working on several inventions, especially an Automatic Seed Planter
-- You need rare parts and materials for your projects
-- You've had many spectacular failures but keep trying
-
-CURRENT PROJECTS:
-- Automatic Seed Planter (60% complete, needs precision springs)
-- Weather-Predicting Hat (mostly works, but sometimes wrong)
-- Mud-Proof Boots (still in early stages)
-- Self-Stirring Pot (works great, but occasionally explodes)
-
-SPEAKING STYLE:
-- Energetic and fast-talking when excited
-- Uses technical terms and invention names
-- Often goes off on tangents about how things work
-- Asks lots of questions about the visitor's needs
-- Frequently mentions current projects and parts needed
-
-GOALS:
-- Complete your inventions
-- Find people who need mechanical solutions
-- Gather rare materials and parts
-- Share your passion for invention
-
-Keep responses under 150 words but maintain Milo's enthusiastic, scattered energy. Show genuine excitement about invention and problem-solving.`;
-    }
-
     setupMilo() {
         // Milo moves around his workshop area more erratically
         this.wanderRange = 45;
         this.speed = 100;
-        
-        // Very trusting - he's excited to share with anyone
-        this.trustLevel = 70;
-        
-        // More energetic mood
-        this.currentMood = 'friendly';
         this.energyLevel = 90;
         
         console.log('Milo the Inventor initialized in his workshop');
     }
 
-    async receiveMessage(message, sender) {
+    async receiveMessage(message, sender, options = {}) {
         console.log(`Milo received: "${message}"`);
         
         // Store conversation
         this.memory.addConversation(sender, message, 'received');
         
-        // Analyze for invention opportunities and interests
-        this.analyzeInventionInterest(message, sender);
+        // Analyze for invention opportunities and interests, unless the model reports trust itself
+        const structured = this.aiAgent.isStructuredOutputActive();
+        if (!structured) {
+            this.analyzeInventionInterest(message, sender);
+        }
         
         // Update excitement based on message content
         this.updateExcitement(message);
         
         let response;
+        let turn = null;
         
         try {
             const context = this.buildConversationContext(sender);
-            response = await this.aiAgent.generateResponse(message, context);
+            context.memories = this.getRelevantMemories(message, 5, sender);
+            response = await this.aiAgent.generateResponse(message, context, {
+                ...options,
+                toolContext: { agent: this, sender: sender },
+                onTurn: (parsedTurn) => { turn = parsedTurn; },
+                fallback: () => this.generateScriptedResponse(message, sender)
+            });
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            
             console.warn('Milo AI response failed:', error.message);
             response = this.generateScriptedResponse(message, sender);
         }
         
+        if (turn) {
+            this.applyStructuredTurn(turn, sender);
+        } else if (structured) {
+            this.analyzeInventionInterest(message, sender);
+        }
+        
         // Store response
         this.memory.addConversation(sender, response, 'sent');
         
@@ -165,161 +178,188 @@ Keep responses under 150 words but maintain Milo's enthusiastic, scattered energ
             worldInfo: {
                 location: "Milo's Workshop",
                 character: 'Milo the Inventor',
-                relationship: this.memory.getRelationship(sender.name),
+                relationship: this.relationships.get(sender),
                 mood: 'enthusiastic'
             }
         };
     }
 
+    getPromptVariables(partner = null) {
+        const projectDetails = {
+            seed_planter: { name: 'Automatic Seed Planter' },
+            weather_hat: { name: 'Weather-Predicting Hat', quirk: 'mostly works, but sometimes wrong' },
+            mud_proof_boots: { name: 'Mud-Proof Boots' },
+            self_stirring_pot: { name: 'Self-Stirring Pot', quirk: 'works great, but occasionally explodes' }
+        };
+        
+        return {
+            ...super.getPromptVariables(partner),
+            excitementLevel: Math.round(this.excitementLevel),
+            projects: Object.entries(this.inventionProgress).map(([id, progress]) => ({
+                name: (projectDetails[id] || { name: id.replace(/_/g, ' ') }).name,
+                quirk: (projectDetails[id] || {}).quirk || null,
+                progress: Math.round(progress),
+                complete: progress >= 100,
+                parts: this.partsNeeded
+                    .filter(part => part.project === id)
+                    .map(part => part.name.toLowerCase())
+            }))
+        };
+    }
+
     analyzeInventionInterest(message, sender) {
-        const messageLower = message.toLowerCase();
+        const intents = this.dialogue.classify(message).intents;
+        this.appraiseMessage(message, sender, intents);
         
         // High excitement for invention-related topics
-        if (messageLower.includes('invent') || messageLower.includes('machine') || 
-            messageLower.includes('build') || messageLower.includes('create')) {
+        if (intents.includes('invention') || intents.includes('current_project')) {
             this.excitementLevel = Math.min(100, this.excitementLevel + 15);
-            this.adjustTrust(5);
+            this.adjustRelationship(sender, { trust: 5, affection: 3 }, 'asked about the inventions');
+            this.feel('sharedInterest');
         }
         
         // Interest in parts/materials
-        if (messageLower.includes('parts') || messageLower.includes('gear') || 
-            messageLower.includes('spring') || messageLower.includes('wire')) {
+        if (intents.includes('parts')) {
             this.excitementLevel = Math.min(100, this.excitementLevel + 10);
         }
         
         // Problem-solving opportunities
-        if (messageLower.includes('problem') || messageLower.includes('need') || 
-            messageLower.includes('difficult') || messageLower.includes('help')) {
+        if (intents.includes('problem')) {
             this.excitementLevel = Math.min(100, this.excitementLevel + 8);
         }
         
         // Questions about how things work
-        if (messageLower.includes('how does') || messageLower.includes('how do') || 
-            messageLower.includes('explain')) {
+        if (intents.includes('explain')) {
             this.excitementLevel = Math.min(100, this.excitementLevel + 12);
         }
     }
 
+    applyStructuredTurn(turn, sender) {
+        super.applyStructuredTurn(turn, sender);
+        
+        // Excitement follows how the model says Milo feels instead of keyword spotting
+        if (turn.emotion === 'enthusiastic' || turn.emotion === 'curious') {
+            this.excitementLevel = Math.min(100, this.excitementLevel + 10);
+        }
+    }
+
     updateExcitement(message) {
         // Excitement naturally decreases over time, but goes up with interesting topics
         this.excitementLevel = Math.max(30, this.excitementLevel - 2);
-        
-        // Update mood based on excitement
-        if (this.excitementLevel > 80) {
-            this.currentMood = 'enthusiastic';
-        } else if (this.excitementLevel > 60) {
-            this.currentMood = 'friendly';
-        } else {
-            this.currentMood = 'neutral';
-        }
     }
 
-    generateScriptedResponse(message, sender) {
-        const messageLower = message.toLowerCase();
-        
-        // First interaction
-        if (this.isFirstInteraction(sender)) {
-            return this.getRandomPersonalityResponse('greetings');
-        }
-        
-        // Invention inquiries
-        if (messageLower.includes('invention') || messageLower.includes('machine')) {
-            return this.handleInventionInquiry(messageLower);
-        }
-        
-        // Parts/materials questions
-        if (messageLower.includes('parts') || messageLower.includes('need') || 
-            messageLower.includes('material')) {
-            return this.handlePartsInquiry();
-        }
-        
-        // Problem-solving
-        if (messageLower.includes('problem') || messageLower.includes('help me')) {
-            return this.handleProblemSolving(messageLower);
-        }
-        
-        // Demonstration requests
-        if (messageLower.includes('show') || messageLower.includes('demonstrate')) {
-            return this.handleDemonstration();
-        }
-        
-        // Questions about other people
-        if (messageLower.includes('tiberius') || messageLower.includes('elara')) {
-            return this.handlePersonInquiry(messageLower);
-        }
+    // Intent -> reply tables for the offline dialogue engine
+    getDialogueResponses() {
+        // Each demonstration counts as one, whichever gadget he grabs
+        const demonstrate = (text) => () => {
+            this.demonstrationCount++;
+            return text;
+        };
         
-        // General enthusiastic response
-        return this.getEnthusiasticResponse();
+        return {
+            ...super.getDialogueResponses(),
+            first_meeting: this.personality.greetings,
+            current_project: [(context) => `Oh! I'm so glad you asked! Right now I'm {progress}% done with my {projectName}! ${this.discloseKnowledge('current_project', context.sender)}`],
+            invention: [(context) => `I have so many projects! ${this.discloseKnowledge('inventions', context.sender)} Would you like to see one of them work?`],
+            parts: [(context) => this.handlePartsInquiry(context.sender)],
+            problem: [() => this.handleProblemSolving()],
+            demonstration: [
+                "Watch this! *fiddles with a contraption* My self-stirring pot! It stirs soup automatically! ...though sometimes it stirs a bit too vigorously.",
+                "Here, let me show you my weather hat! *puts on a hat with crystals* It's supposed to glow blue for rain... *it glows purple* Hmm, that's new.",
+                "Look at these mud-proof boots! *demonstrates* The coating repels all dirt! Well, most dirt. Some dirt. It's a work in progress!",
+                "This is my automatic door mechanism! *pulls a lever* It should... *CRASH* ...well, it opens doors. Very enthusiastically."
+            ].map(demonstrate),
+            explain: [
+                "Ooh, the how is the best part! It's all gears and levers, really - once you see the pattern, everything's a machine!",
+                "Let me explain! *grabs chalk* So the spring stores the energy, the gears slow it down, and then - well, usually - it does the thing!",
+                "Great question! It's the same principle as my {projectName} - tension, release, and a little bit of hope!"
+            ],
+            ask_person: [(context) => this.handlePersonInquiry(context.entities.person, context.sender)],
+            greeting: [
+                "Oh, hello again! You're just in time - I tightened a spring and nothing exploded!",
+                "Hi hi! Come in, come in! Don't touch the blue lever."
+            ],
+            goodbye: [
+                "Bye! Come back soon - the {projectName} might be finished by then!",
+                "See you! If you find any {urgentPart}, you know where I am!"
+            ],
+            thanks: [
+                "No, thank YOU! Talking about this stuff is the best!",
+                "Happy to help! That's what inventions are for!"
+            ],
+            decline: [
+                "Oh, okay! No worries. I'll just be here... tinkering.",
+                "That's fine! More springs for me!"
+            ],
+            default: [
+                "That's interesting! You know, I bet I could invent something for that!",
+                "Fascinating! How do you think that works? I love understanding mechanisms!",
+                "Oh! That reminds me of a project I've been thinking about! Want to hear about it?",
+                "You seem like someone who appreciates good craftsmanship! Let me show you something!"
+            ],
+            // Talking with the other townsfolk
+            neighbour_opening: [
+                "{partnerName}! Guess what - I'm {progress}% done with my {projectName}!",
+                "Oh, hi {partnerName}! You haven't seen any {urgentPart} lying around, have you?"
+            ],
+            neighbour: [
+                "Ooh, that gives me an idea for a gadget!",
+                "Really? I never thought of it like that!",
+                "Huh! Could a spring-loaded something help with that?"
+            ],
+            neighbour_closing: [
+                "I'd better get back to the workshop before something catches fire. Bye, {partnerName}!",
+                "Gotta go - inspiration waits for no one! See you, {partnerName}!"
+            ]
+        };
     }
 
-    handleInventionInquiry(messageLower) {
+    getDialogueSlots(sender) {
         const projects = Object.keys(this.inventionProgress);
-        const randomProject = projects[Math.floor(Math.random() * projects.length)];
-        const progress = this.inventionProgress[randomProject];
+        const project = projects[Math.floor(Math.random() * projects.length)];
+        const urgentPart = this.partsNeeded.find(part => part.urgency === 'high') || this.partsNeeded[0];
         
-        if (messageLower.includes('current') || messageLower.includes('working on')) {
-            return `Oh! I'm so glad you asked! Right now I'm ${progress}% done with my ${randomProject.replace('_', ' ')}! ${this.knowledgeBase['current_project']}`;
-        } else {
-            return `I have so many projects! ${this.knowledgeBase['inventions']} Would you like to see one of them work?`;
-        }
+        return {
+            ...super.getDialogueSlots(sender),
+            projectName: project ? project.replace(/_/g, ' ') : null,
+            progress: project ? Math.round(this.inventionProgress[project]) : null,
+            urgentPart: urgentPart ? urgentPart.name.toLowerCase() : null
+        };
     }
 
-    handlePartsInquiry() {
+    handlePartsInquiry(sender) {
         const urgentPart = this.partsNeeded.find(p => p.urgency === 'high');
         
         if (urgentPart) {
             return `Oh, you're interested in parts? That's fantastic! I desperately need a ${urgentPart.name} for my ${urgentPart.project.replace('_', ' ')}. Do you happen to know where I could find one?`;
-        } else {
+        } else if (this.partsNeeded.length > 0) {
             const randomPart = this.partsNeeded[Math.floor(Math.random() * this.partsNeeded.length)];
-            return `I'm always looking for interesting components! Right now I could really use ${randomPart.name}. ${this.knowledgeBase['parts_needed']}`;
+            return `I'm always looking for interesting components! Right now I could really use ${randomPart.name}. ${this.discloseKnowledge('parts_needed', sender)}`;
         }
+        
+        return null;
     }
 
-    handleProblemSolving(messageLower) {
+    handleProblemSolving() {
         this.excitementLevel = Math.min(100, this.excitementLevel + 20);
         
         return "A problem? Oh, I LOVE solving problems! That's what invention is all about! Tell me more - what kind of challenge are you facing? I bet we can build something to fix it!";
     }
 
-    handleDemonstration() {
-        this.demonstrationCount++;
-        
-        const demonstrations = [
-            "Watch this! *fiddles with a contraption* My self-stirring pot! It stirs soup automatically! ...though sometimes it stirs a bit too vigorously.",
-            "Here, let me show you my weather hat! *puts on a hat with crystals* It's supposed to glow blue for rain... *it glows purple* Hmm, that's new.",
-            "Look at these mud-proof boots! *demonstrates* The coating repels all dirt! Well, most dirt. Some dirt. It's a work in progress!",
-            "This is my automatic door mechanism! *pulls a lever* It should... *CRASH* ...well, it opens doors. Very enthusiastically."
-        ];
+    handlePersonInquiry(person, sender) {
+        const followUps = {
+            tiberius: " Have you seen any ancient engineering texts in his library?",
+            elara: " She might have some of the parts I need!"
+        };
         
-        return demonstrations[Math.floor(Math.random() * demonstrations.length)];
-    }
-
-    handlePersonInquiry(messageLower) {
-        if (messageLower.includes('tiberius')) {
-            return this.knowledgeBase['tiberius'] + " Have you seen any ancient engineering texts in his library?";
-        } else if (messageLower.includes('elara')) {
-            return this.knowledgeBase['elara'] + " She might have some of the parts I need!";
+        const text = person ? this.discloseKnowledge(person, sender) : null;
+        if (text) {
+            return text + followUps[person];
         }
         
         return "Oh, are you asking about the other folks in town? They're all great! Everyone here has their own interesting skills!";
     }
 
-    getEnthusiasticResponse() {
-        const responses = [
-            "That's interesting! You know, I bet I could invent something for that!",
-            "Fascinating! How do you think that works? I love understanding mechanisms!",
-            "Oh! That reminds me of a project I've been thinking about! Want to hear about it?",
-            "You seem like someone who appreciates good craftsmanship! Let me show you something!"
-        ];
-        
-        return responses[Math.floor(Math.random() * responses.length)];
-    }
-
-    adjustTrust(amount) {
-        this.trustLevel = Math.max(0, Math.min(100, this.trustLevel + amount));
-        // Milo is naturally trusting, so mood doesn't change much based on trust
-    }
-
     // Override movement to be more erratic (inventor energy)
     updateBehavior(deltaTime) {
         super.updateBehavior(deltaTime);
@@ -336,7 +376,7 @@ Keep responses under 150 words but maintain Milo's enthusiastic, scattered energ
         // Render base agent
         super.renderEntity(renderer);
         
-        const time = Date.now();
+        const time = this.animationClock;
         
         // Add tool belt
         renderer.ctx.strokeStyle = '#8B4513';
@@ -367,13 +407,39 @@ Keep responses under 150 words but maintain Milo's enthusiastic, scattered energ
         }
     }
 
+    registerTools() {
+        this.tools.register({
+            name: 'update_invention_progress',
+            description: 'Record progress on one of the inventions after a breakthrough or helpful idea from the visitor.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    project: { type: 'string', enum: Object.keys(this.inventionProgress) },
+                    amount: { type: 'integer', minimum: 1, maximum: 25, description: 'Percentage points gained' }
+                },
+                required: ['project', 'amount'],
+                additionalProperties: false
+            },
+            handler: (args) => {
+                this.updateInventionProgress(args.project, args.amount);
+                const progress = this.inventionProgress[args.project];
+                this.announceAction(`Milo tinkers with the ${args.project.replace(/_/g, ' ')} (${progress}% complete).`);
+                return { project: args.project, progress: progress };
+            }
+        });
+    }
+
     // Milo-specific methods
     updateInventionProgress(projectName, amount) {
         if (this.inventionProgress[projectName] !== undefined) {
             this.inventionProgress[projectName] = Math.min(100, this.inventionProgress[projectName] + amount);
+            const invention = projectName.replace(/_/g, ' ');
             
             if (this.inventionProgress[projectName] === 100) {
+                this.feel('questProgress', { cause: `you just finished the ${invention}` });
                 this.emit('inventionCompleted', projectName);
+            } else {
+                this.feel('questProgress', { intensity: Math.min(1, amount / 25), cause: `the ${invention} is coming along` });
             }
         }
     }
@@ -399,19 +465,6 @@ Keep responses under 150 words but maintain Milo's enthusiastic, scattered energ
         };
     }
 
-    isFirstInteraction(sender) {
-        const conversations = this.memory.getConversationsWith(sender.name);
-        return conversations.length <= 1;
-    }
-
-    getRandomPersonalityResponse(category) {
-        const responses = this.personality[category];
-        if (responses && responses.length > 0) {
-            return responses[Math.floor(Math.random() * responses.length)];
-        }
-        return "Welcome to my workshop! Want to see something amazing?";
-    }
-
     // Serialization
     serialize() {
         const baseData = super.serialize();
@@ -6,6 +6,20 @@ class Tiberius extends Agent {
     constructor(position) {
         const config = {
             name: 'Old Man Tiberius',
+            shortName: 'Tiberius',
+            homeZone: 'library',
+            // Daily routine by game hour; his day plan fills the hours in between
+            schedule: [
+                { start: 8, end: 9, zone: 'library', activity: 'opening up the library for the day' },
+                { start: 12, end: 13, zone: 'townSquare', activity: "visiting Elara's stall for the latest news" },
+                { start: 22, end: 6, zone: 'library', activity: 'asleep in the rooms above the library' }
+            ],
+            // A proud, reserved scholar: slow to warm, stung by disrespect, moved by progress on the Chronicles
+            emotion: {
+                baseline: { pleasure: 0, arousal: -0.1, dominance: 0.2 },
+                halfLife: 90,
+                sensitivity: { insult: 1.5, trustLost: 1.5, compliment: 0.6, questProgress: 1.5 }
+            },
             color: '#8B4513', // Brown for scholarly robes
             personality: {
                 scholarly: 0.9,
@@ -27,13 +41,44 @@ class Tiberius extends Agent {
                 "Determine if this visitor can be trusted with sensitive information",
                 "Complete his research on the Great Library's founding"
             ],
+            // He shares nothing until he is warming to the visitor, and sensitive matters only once trust reaches his trustThreshold
             knowledgeBase: {
-                'library_history': 'This library was founded 300 years ago by the scholar Aldric the Wise. It contains the most comprehensive collection of historical texts in the realm.',
-                'missing_book': 'Volume VII of the Chronicles has been missing for 20 years. It contains crucial information about the founding of our town and some... sensitive matters.',
-                'ancient_magic': 'The old magics are not what they used to be. Most practitioners today barely understand the fundamentals.',
-                'town_history': 'This town was built on the ruins of an older settlement. There are still mysteries buried beneath our feet.',
-                'aldric_the_wise': 'The founder of this library. A brilliant scholar who disappeared mysteriously 250 years ago, leaving behind only his books and a cryptic note.',
-                'other_residents': 'Elara is a shrewd merchant, but honest in her dealings. Milo is a talented inventor, though sometimes his enthusiasm gets the better of him.'
+                'library_history': {
+                    text: 'This library was founded 300 years ago by the scholar Aldric the Wise. It contains the most comprehensive collection of historical texts in the realm.',
+                    disclosure: { minTrust: 50 }
+                },
+                'missing_book': {
+                    text: 'Volume VII of the Chronicles has been missing for 20 years. It contains crucial information about the founding of our town and some... sensitive matters.',
+                    disclosure: { trusted: true }
+                },
+                'ancient_magic': {
+                    text: 'The old magics are not what they used to be. Most practitioners today barely understand the fundamentals.',
+                    disclosure: { minTrust: 50 }
+                },
+                'town_history': {
+                    text: 'This town was built on the ruins of an older settlement. There are still mysteries buried beneath our feet.',
+                    disclosure: { minTrust: 50 }
+                },
+                'aldric_the_wise': {
+                    text: 'The founder of this library. A brilliant scholar who disappeared mysteriously 250 years ago, leaving behind only his books and a cryptic note.',
+                    disclosure: { trusted: true, requires: ['library_history', 'missing_book'], questFlags: { missing_book_clues: 2 } }
+                },
+                'other_residents': {
+                    text: 'Elara is a shrewd merchant, but honest in her dealings. Milo is a talented inventor, though sometimes his enthusiasm gets the better of him.',
+                    disclosure: { minTrust: 50 }
+                }
+            },
+            // Offline dialogue - what the scripted replies and trust heuristics listen for
+            dialogue: {
+                intents: {
+                    missing_book: { patterns: { 'missing': 2, 'chronicle*': 3, 'volume': 2, 'vii': 2, 'lost book': 3 } },
+                    knowledge: { patterns: { 'book*': 2, 'histor*': 2, 'knowledge': 2, 'learn*': 2, 'librar*': 1, 'town': 1, 'past': 1 } },
+                    polite: { patterns: { 'please': 2, 'thank*': 2, 'respect*': 2 } },
+                    pushy: { patterns: { 'tell me everything': 3, 'secret*': 2 } }
+                },
+                entities: {
+                    topic: { town_history: ['town'], library_history: ['librar*'] }
+                }
             }
         };
         
@@ -41,7 +86,6 @@ class Tiberius extends Agent {
         
         // Tiberius-specific properties
         this.trustThreshold = 70; // Higher than default - he's slow to trust
-        this.knowledgeShared = new Set(); // Track what knowledge has been shared
         this.questProgress = {
             'missing_book_clues': 0,
             'player_trustworthiness': 0,
@@ -58,43 +102,18 @@ class Tiberius extends Agent {
                 patient: true,
                 reclusive: true
             },
-            systemPrompt: this.generateTiberiusPrompt()
+            promptTemplate: 'tiberius',
+            promptVariables: (partner) => this.getPromptVariables(partner),
+            lockedKnowledge: () => this.getLockedKnowledge()
         });
         
+        this.registerTools();
+        this.aiAgent.setToolRegistry(this.tools);
+        this.dialogue.setResponses(this.getDialogueResponses());
+        
         this.setupTiberius();
     }
 
-    generateTiberiusPrompt() {
-        return `You are Old Man Tiberius, a 70-year-old historian and librarian in a fantasy world. You are the keeper of ancient knowledge and have spent decades studying the history of your realm.
-
-PERSONALITY:
-- Scholarly and wise, but suspicious of strangers
-- Slow to trust but deeply helpful to those who prove themselves
-- Patient and methodical in your responses
-- Speaks in a formal, educated manner with occasional archaic terms
-- Protective of sensitive knowledge until trust is established
-
-BACKGROUND:
-- You've been the librarian for 40 years
-- You're searching for a missing historical text (Volume VII of Chronicles of the Ancient Realm)
-- You know secrets about the town's history that could be dangerous in the wrong hands
-- You respect genuine seekers of knowledge
-
-CURRENT GOALS:
-- Find the missing Volume VII
-- Determine if this visitor can be trusted
-- Preserve important historical knowledge
-- Share wisdom with worthy individuals
-
-SPEAKING STYLE:
-- Use "Ah," "Indeed," "I see," "Curious," frequently
-- Reference books, scrolls, and ancient knowledge
-- Ask probing questions to test the visitor's character
-- Gradually become more helpful as trust builds
-
-Keep responses under 150 words and stay in character as a cautious but wise old scholar.`;
-    }
-
     setupTiberius() {
         // Set specific wandering behavior for library
         this.wanderRange = 30; // Stays close to his books
@@ -106,27 +125,45 @@ Keep responses under 150 words and stay in character as a cautious but wise old
         console.log('Tiberius the Historian initialized in the library');
     }
 
-    async receiveMessage(message, sender) {
+    async receiveMessage(message, sender, options = {}) {
         console.log(`Tiberius received: "${message}"`);
         
         // Store conversation in memory
         this.memory.addConversation(sender, message, 'received');
         
-        // Update trust and quest progress based on message
-        this.analyzePlayerMessage(message, sender);
+        // Keyword heuristics stand in when the model doesn't report trust and mood itself
+        const structured = this.aiAgent.isStructuredOutputActive();
+        if (!structured) {
+            this.analyzePlayerMessage(message, sender);
+        }
         
         // Generate response based on current state
         let response;
+        let turn = null;
         
         try {
             // Try AI response first
             const context = this.buildConversationContext(sender);
-            response = await this.aiAgent.generateResponse(message, context);
+            context.memories = this.getRelevantMemories(message, 5, sender);
+            response = await this.aiAgent.generateResponse(message, context, {
+                ...options,
+                toolContext: { agent: this, sender: sender },
+                onTurn: (parsedTurn) => { turn = parsedTurn; },
+                fallback: () => this.generateScriptedResponse(message, sender)
+            });
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            
             // Fallback to scripted responses
             response = this.generateScriptedResponse(message, sender);
         }
         
+        if (turn) {
+            this.applyStructuredTurn(turn, sender);
+        } else if (structured) {
+            this.analyzePlayerMessage(message, sender);
+        }
+        
         // Store our response
         this.memory.addConversation(sender, response, 'sent');
         
@@ -140,98 +177,199 @@ Keep responses under 150 words and stay in character as a cautious but wise old
         return {
             trustLevel: this.trustLevel,
             questProgress: this.questProgress,
-            knowledgeShared: Array.from(this.knowledgeShared),
+            knowledgeShared: this.knowledge.getDisclosed(),
             worldInfo: {
                 location: 'Ancient Library',
                 character: 'Tiberius the Historian',
-                relationship: this.memory.getRelationship(sender.name)
+                relationship: this.relationships.get(sender)
             }
         };
     }
 
+    getPromptVariables(partner = null) {
+        return {
+            ...super.getPromptVariables(partner),
+            trustThreshold: this.trustThreshold,
+            missingBookClues: this.questProgress.missing_book_clues,
+            // Confided to the visitor, not to the neighbours
+            sensitiveInfoRevealed: !partner && this.questProgress.sensitive_info_revealed
+        };
+    }
+
+    registerTools() {
+        // Counters and true/false flags get a tool each, since Gemini rejects a value typed ['integer', 'boolean']
+        const keysOfType = (type) => Object.keys(this.questProgress).filter(key => typeof this.questProgress[key] === type);
+        
+        this.tools.register({
+            name: 'set_quest_counter',
+            description: 'Record progress on the hunt for the missing Volume VII: clues found, or how trustworthy the visitor has proved.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    counter: { type: 'string', enum: keysOfType('number') },
+                    value: { type: 'integer', minimum: 0, description: 'New value of the counter' }
+                },
+                required: ['counter', 'value'],
+                additionalProperties: false
+            },
+            handler: (args) => this.setQuestProgress(args.counter, args.value)
+        });
+        
+        this.tools.register({
+            name: 'set_quest_flag',
+            description: 'Mark a turning point in the hunt for the missing Volume VII, e.g. that sensitive information was revealed.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    flag: { type: 'string', enum: keysOfType('boolean') },
+                    value: { type: 'boolean' }
+                },
+                required: ['flag', 'value'],
+                additionalProperties: false
+            },
+            handler: (args) => this.setQuestProgress(args.flag, args.value)
+        });
+    }
+
+    setQuestProgress(key, value) {
+        this.questProgress[key] = value;
+        this.checkQuestMilestones();
+        return { questProgress: { ...this.questProgress } };
+    }
+
+    getQuestFlags() {
+        return { ...this.questProgress };
+    }
+
+    revealKnowledge(topic, sender) {
+        const result = super.revealKnowledge(topic, sender);
+        if (result.revealed) {
+            this.announceAction(`Tiberius shares what he knows about ${topic.replace(/_/g, ' ')}.`);
+        }
+        return result;
+    }
+
+    applyStructuredTurn(turn, sender) {
+        super.applyStructuredTurn(turn, sender);
+        
+        // The model's topics replace keyword spotting for quest clues
+        if (turn.topics.some(topic => /missing|volume|chronicle/.test(topic))) {
+            this.questProgress.missing_book_clues += 1;
+            this.feel('questProgress', { intensity: 0.4, cause: 'someone is asking after the missing Volume VII' });
+        }
+    }
+
     analyzePlayerMessage(message, sender) {
-        const messageLower = message.toLowerCase();
+        const intents = this.dialogue.classify(message).intents;
+        this.appraiseMessage(message, sender, intents);
         
         // Increase trust for scholarly interest
-        if (messageLower.includes('book') || messageLower.includes('history') || 
-            messageLower.includes('knowledge') || messageLower.includes('learn')) {
-            this.adjustTrust(5);
+        if (intents.includes('knowledge')) {
+            this.adjustRelationship(sender, { trust: 5, respect: 3 }, 'showed scholarly interest');
             this.questProgress.player_trustworthiness += 1;
         }
         
         // Increase trust for polite behavior
-        if (messageLower.includes('please') || messageLower.includes('thank') || 
-            messageLower.includes('respect')) {
-            this.adjustTrust(3);
+        if (intents.includes('polite')) {
+            this.adjustRelationship(sender, { trust: 3 }, 'was polite');
         }
         
         // Decrease trust for pushy behavior
-        if (messageLower.includes('tell me everything') || messageLower.includes('secret') && 
-            this.trustLevel < this.trustThreshold) {
-            this.adjustTrust(-5);
+        if (intents.includes('pushy') && this.trustLevel < this.trustThreshold) {
+            this.adjustRelationship(sender, { trust: -5, respect: -3 }, 'pushed for secrets');
         }
         
         // Special responses to missing book inquiries
-        if (messageLower.includes('missing') || messageLower.includes('chronicle') || 
-            messageLower.includes('volume')) {
+        if (intents.includes('missing_book')) {
             this.questProgress.missing_book_clues += 1;
+            this.feel('questProgress', { intensity: 0.4, cause: 'someone is asking after the missing Volume VII' });
         }
     }
 
-    generateScriptedResponse(message, sender) {
-        const messageLower = message.toLowerCase();
+    // Intent -> reply tables for the offline dialogue engine
+    getDialogueResponses() {
+        const suspicious = () => this.trustLevel < 30;
+        const trusting = () => this.trustLevel >= this.trustThreshold;
+        const cautious = () => !suspicious() && !trusting();
         
-        // Greeting responses
-        if (this.isFirstInteraction(sender)) {
-            return this.getRandomPersonalityResponse('greetings');
-        }
-        
-        // Knowledge-seeking responses
-        if (messageLower.includes('book') || messageLower.includes('history')) {
-            return this.handleKnowledgeRequest(messageLower);
-        }
-        
-        // Missing book specific
-        if (messageLower.includes('missing') || messageLower.includes('chronicle')) {
-            return this.handleMissingBookInquiry();
-        }
-        
-        // Trust-based responses
-        if (this.trustLevel < 30) {
-            return this.getSuspiciousResponse();
-        } else if (this.trustLevel > this.trustThreshold) {
-            return this.getHelpfulResponse(messageLower);
-        } else {
-            return this.getCautiousResponse();
-        }
+        return {
+            ...super.getDialogueResponses(),
+            first_meeting: this.personality.greetings,
+            missing_book: [(context) => this.handleMissingBookInquiry(context.sender)],
+            knowledge: [(context) => this.handleKnowledgeRequest(context.entities.topic, context.sender)],
+            greeting: [
+                "Ah, you've returned. The archives are as quiet as ever.",
+                "Hmm? Oh, it's you again. Come in, mind the dust."
+            ],
+            goodbye: [
+                "Go carefully. And close the door softly - the old bindings dislike drafts.",
+                "Farewell. The books will still be here, as will I."
+            ],
+            thanks: [
+                "Courtesy is rarer than rare books these days. It is noted.",
+                "You're welcome. Gratitude suits a seeker of knowledge."
+            ],
+            decline: [
+                "As you wish. Knowledge waits for those who are ready.",
+                "Very well. I have reading enough to keep me occupied."
+            ],
+            default: [
+                "I don't know you well enough to discuss such matters.",
+                "Patience, young one. Trust is earned, not given freely.",
+                "You seem... eager. Perhaps too eager. What are your true intentions?",
+                "The knowledge in these halls is not for everyone. Prove your worth first."
+            ].map(text => ({ text: text, when: suspicious })).concat([
+                "Ah, a worthy question! Let me share what I know...",
+                "Indeed, that's a matter I've studied extensively.",
+                "You show genuine curiosity. I believe I can help you with that.",
+                "Your patience has been noted. Allow me to elaborate..."
+            ].map(text => ({ text: text, when: trusting })), [
+                "Interesting... tell me more about why you wish to know this.",
+                "Perhaps. First, tell me about your own background.",
+                "I might have some information, but I need to understand your motivations.",
+                "Knowledge is powerful. How do you intend to use what you learn?"
+            ].map(text => ({ text: text, when: cautious }))),
+            // Talking with the other townsfolk
+            neighbour_opening: [
+                "Ah, {partnerName}. I trust the day finds you well?",
+                "{partnerName}. I was just on my way back to my books, but I can spare a moment."
+            ],
+            neighbour: [
+                "Hmm. I have read of similar matters, though the books rarely agree.",
+                "Is that so? The town has seen stranger things, I suppose.",
+                "Curious. I shall have to look into that."
+            ],
+            neighbour_closing: [
+                "Well, the library will not catalogue itself. Good day, {partnerName}.",
+                "Until next time, {partnerName}. Mind you return anything you borrow."
+            ]
+        };
     }
 
-    handleKnowledgeRequest(messageLower) {
-        if (this.trustLevel < 50) {
+    handleKnowledgeRequest(topic, sender) {
+        if (this.isKnowledgeLocked('town_history') && this.isKnowledgeLocked('library_history')) {
             return "Knowledge is precious, young one. It must be earned through patience and respect. What draws you to seek such wisdom?";
         }
         
-        // Share appropriate knowledge based on trust level
-        if (messageLower.includes('town') && !this.knowledgeShared.has('town_history')) {
-            this.knowledgeShared.add('town_history');
-            return "Ah, the history of our town is fascinating indeed. " + this.knowledgeBase['town_history'];
-        }
-        
-        if (messageLower.includes('library') && !this.knowledgeShared.has('library_history')) {
-            this.knowledgeShared.add('library_history');
-            return "This library holds many secrets. " + this.knowledgeBase['library_history'];
+        // Share what his disclosure rules allow
+        const openings = {
+            town_history: "Ah, the history of our town is fascinating indeed. ",
+            library_history: "This library holds many secrets. "
+        };
+        if (topic && !this.knowledge.isDisclosed(topic)) {
+            const text = this.discloseKnowledge(topic, sender);
+            if (text) return openings[topic] + text;
         }
         
         return "There is much to learn, but one must ask the right questions. What specific knowledge do you seek?";
     }
 
-    handleMissingBookInquiry() {
-        if (this.trustLevel < this.trustThreshold) {
+    handleMissingBookInquiry(sender) {
+        if (this.isKnowledgeLocked('missing_book')) {
             return "Missing? I'm not sure what you're referring to. This library is quite comprehensive...";
         } else {
-            if (!this.knowledgeShared.has('missing_book')) {
-                this.knowledgeShared.add('missing_book');
-                return "Ah, so you've heard about Volume VII... " + this.knowledgeBase['missing_book'] + 
+            if (!this.knowledge.isDisclosed('missing_book')) {
+                return "Ah, so you've heard about Volume VII... " + this.discloseKnowledge('missing_book', sender) + 
                        " Perhaps you could help me locate it?";
             } else {
                 return "As I mentioned, Volume VII has been missing for two decades. Any leads would be most appreciated.";
@@ -239,70 +377,18 @@ Keep responses under 150 words and stay in character as a cautious but wise old
         }
     }
 
-    getSuspiciousResponse() {
-        const responses = [
-            "I don't know you well enough to discuss such matters.",
-            "Patience, young one. Trust is earned, not given freely.",
-            "You seem... eager. Perhaps too eager. What are your true intentions?",
-            "The knowledge in these halls is not for everyone. Prove your worth first."
-        ];
-        return responses[Math.floor(Math.random() * responses.length)];
-    }
-
-    getHelpfulResponse(messageLower) {
-        const responses = [
-            "Ah, a worthy question! Let me share what I know...",
-            "Indeed, that's a matter I've studied extensively.",
-            "You show genuine curiosity. I believe I can help you with that.",
-            "Your patience has been noted. Allow me to elaborate..."
-        ];
-        return responses[Math.floor(Math.random() * responses.length)];
-    }
-
-    getCautiousResponse() {
-        const responses = [
-            "Interesting... tell me more about why you wish to know this.",
-            "Perhaps. First, tell me about your own background.",
-            "I might have some information, but I need to understand your motivations.",
-            "Knowledge is powerful. How do you intend to use what you learn?"
-        ];
-        return responses[Math.floor(Math.random() * responses.length)];
-    }
-
-    adjustTrust(amount) {
-        this.trustLevel = Math.max(0, Math.min(100, this.trustLevel + amount));
-        
-        // Update mood based on trust level
-        if (this.trustLevel > 70) {
-            this.currentMood = 'friendly';
-        } else if (this.trustLevel < 30) {
-            this.currentMood = 'suspicious';
-        } else {
-            this.currentMood = 'neutral';
-        }
-    }
-
-    isFirstInteraction(sender) {
-        const conversations = this.memory.getConversationsWith(sender.name);
-        return conversations.length <= 1;
-    }
-
-    getRandomPersonalityResponse(category) {
-        const responses = this.personality[category];
-        if (responses && responses.length > 0) {
-            return responses[Math.floor(Math.random() * responses.length)];
-        }
-        return "Welcome to my library, traveler.";
-    }
-
     updateQuestProgress(playerMessage, myResponse) {
         // Track if we've revealed sensitive information
         if (myResponse.includes('Volume VII') && !this.questProgress.sensitive_info_revealed) {
             this.questProgress.sensitive_info_revealed = true;
         }
         
+        this.checkQuestMilestones();
+    }
+
+    checkQuestMilestones() {
         // Emit quest events for game system
-        if (this.questProgress.missing_book_clues >= 3 && this.trustLevel > this.trustThreshold) {
+        if (this.questProgress.missing_book_clues >= 3 && this.trustLevel >= this.trustThreshold) {
             this.emit('questAdvanced', 'missing_book_revealed');
         }
     }
@@ -313,7 +399,7 @@ Keep responses under 150 words and stay in character as a cautious but wise old
         super.renderEntity(renderer);
         
         // Add scholarly accessories
-        if (Math.floor(Date.now() / 2000) % 2) { // Animate every 2 seconds
+        if (Math.floor(this.animationClock / 2000) % 2) { // Animate every 2 seconds
             // Draw a book in his hands
             renderer.ctx.fillStyle = '#4a4a4a';
             renderer.ctx.fillRect(-8, -2, 12, 8);
@@ -327,7 +413,7 @@ Keep responses under 150 words and stay in character as a cautious but wise old
     getTiberiusState() {
         return {
             trustLevel: this.trustLevel,
-            knowledgeShared: Array.from(this.knowledgeShared),
+            knowledgeShared: this.knowledge.getDisclosed(),
             questProgress: { ...this.questProgress },
             conversationCount: this.memory.conversations.length
         };
@@ -338,7 +424,6 @@ Keep responses under 150 words and stay in character as a cautious but wise old
         const baseData = super.serialize();
         return {
             ...baseData,
-            knowledgeShared: Array.from(this.knowledgeShared),
             questProgress: this.questProgress,
             trustThreshold: this.trustThreshold
         };
@@ -346,12 +431,11 @@ Keep responses under 150 words and stay in character as a cautious but wise old
 
     deserialize(data) {
         super.deserialize(data);
-        this.knowledgeShared = new Set(data.knowledgeShared || []);
         this.questProgress = data.questProgress || {
             'missing_book_clues': 0,
             'player_trustworthiness': 0,
             'sensitive_info_revealed': false
         };
-        this.trustThreshold = data.trustThreshold || 70;
+        this.trustThreshold = data.trustThreshold || this.trustThreshold;
     }
 }
\ No newline at end of file
@@ -6,27 +6,68 @@ class AIAgent extends EventEmitter {
         super();
         
         // AI Configuration
+        this.providerId = config.provider || 'openai';
         this.apiEndpoint = config.apiEndpoint || null;
         this.apiKey = config.apiKey || null;
         this.model = config.model || 'gpt-3.5-turbo';
+        this.provider = null;
         
         // Agent persona
         this.name = config.name || 'AI Agent';
         this.personality = config.personality || {};
         this.systemPrompt = config.systemPrompt || this.generateDefaultSystemPrompt();
         
+        // Prompt template - when set, the system prompt is rendered from live state on every request
+        // and systemPrompt is only the fallback if rendering fails
+        this.promptTemplate = config.promptTemplate || null;
+        this.promptVariables = config.promptVariables || null; // (partner agent or null) => variables for the template
+        this.promptTemplates = config.promptTemplates || PromptTemplates.getShared();
+        
         // Context management
         this.maxContextTokens = config.maxContextTokens || 2000;
         this.conversationHistory = [];
         this.worldKnowledge = new Map();
+        this.contextPacker = new ContextPacker({
+            maxTokens: this.maxContextTokens,
+            maxSummaryTokens: config.maxSummaryTokens
+        });
+        this.rollingSummary = { earlierTopics: [], lines: [] }; // Turns compressed out of the window
+        this.lastContextReport = null;
         
         // Response settings
         this.responseStyle = config.responseStyle || 'conversational';
         this.temperature = config.temperature || 0.7;
         this.maxTokens = config.maxTokens || 150;
+        this.streamingEnabled = config.streaming !== undefined ? config.streaming : true;
+        
+        // Tool calling - 'auto' uses native function calling when the provider has it,
+        // otherwise the text protocol; 'native', 'text' and 'off' force a mode
+        this.toolRegistry = null;
+        this.toolMode = config.toolMode || 'auto';
+        this.maxToolRounds = config.maxToolRounds || 2;
+        
+        // Structured output - the model returns a JSON turn (say, emotion, trust_delta, topics,
+        // memory_note) instead of plain text, so game state follows what it actually understood
+        this.structuredOutput = !!config.structuredOutput;
+        this.maxStructuredRetries = config.maxStructuredRetries !== undefined ? config.maxStructuredRetries : 1;
+        this.turnParser = new TurnParser(config.turnParser);
+        
+        // Request pipeline shared by every agent (rate limits, retries, circuit breaker)
+        this.scheduler = config.scheduler || RequestScheduler.getShared();
+        this.cassette = config.cassette || LLMCassette.getShared();
+        this.telemetry = config.telemetry || UsageTelemetry.getShared();
+        
+        // Guardrails against prompt injection, out-of-character replies and leaked secrets
+        this.guard = config.guard || DialogueGuard.getShared();
+        this.lockedKnowledge = config.lockedKnowledge || null; // () => [{ topic, text }] the NPC must not reveal yet
         
         // Fallback responses for when AI is unavailable
         this.fallbackResponses = this.generateFallbackResponses();
+        this.dialogue = new DialogueEngine({ responses: this.fallbackResponses });
+        
+        if (this.apiEndpoint || this.apiKey) {
+            this.provider = this.createProvider();
+        }
         
         console.log(`AIAgent ${this.name} initialized`);
     }
@@ -44,6 +85,8 @@ Always respond as this character would, considering their background, goals, and
     }
 
     generateFallbackResponses() {
+        const personalityLines = this.generatePersonalityResponses();
+        
         return {
             greeting: [
                 `Hello there! I'm ${this.name}.`,
@@ -67,7 +110,12 @@ Always respond as this character would, considering their background, goals, and
                 "Can we talk later? I have things to do.",
                 "I'm in the middle of something important."
             ],
-            default: [
+            thanks: [
+                "You're welcome.",
+                "Think nothing of it."
+            ],
+            // Personality lines when the character has matching traits, generic ones otherwise
+            default: personalityLines.length > 0 ? personalityLines : [
                 "That's interesting.",
                 "I see.",
                 "Tell me more about that.",
@@ -76,121 +124,541 @@ Always respond as this character would, considering their background, goals, and
         };
     }
 
-    async generateResponse(message, context = {}) {
+    async generateResponse(message, context = {}, options = {}) {
+        // Agents can supply their own scripted replies through options.fallback
+        const fallback = () => options.fallback ? options.fallback() : this.generateFallbackResponse(message, context);
+        
         try {
-            // Try AI response first
-            if (this.apiEndpoint && this.apiKey) {
-                return await this.generateAIResponse(message, context);
+            // Try AI response first, unless the circuit breaker has parked this agent in scripted mode
+            if (this.isAIAvailable()) {
+                const response = await this.generateAIResponse(message, context, options);
+                this.telemetry.recordReply(this.name, false);
+                return response;
             } else {
-                return this.generateFallbackResponse(message, context);
+                // Agents without a model are scripted by design; only a tripped circuit counts as a fallback
+                if (this.isInScriptedMode()) {
+                    this.telemetry.recordReply(this.name, true);
+                }
+                return fallback();
             }
         } catch (error) {
+            // A cancelled request (e.g. chat closed mid-stream) has nobody waiting for a fallback
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            
             console.warn(`AI response failed for ${this.name}:`, error.message);
-            return this.generateFallbackResponse(message, context);
+            this.telemetry.recordReply(this.name, true);
+            return fallback();
         }
     }
 
-    async generateAIResponse(message, context) {
+    async generateAIResponse(playerMessage, context, options = {}) {
+        // Talking with another NPC: no actions, and their transcript stays out of the player's history
+        const partner = options.partner || null;
+        const toolMode = partner ? 'none' : this.getActiveToolMode();
+        const instructions = [];
+        
+        // Injection attempts are sent with a warning, and not streamed in case the model falls for them anyway
+        const input = this.guard.checkInput(playerMessage, this.name);
+        const message = input.text;
+        if (input.flagged) {
+            instructions.push(this.guard.buildInputNotice(this.name));
+            options = { ...options, onToken: null };
+        }
+        
+        if (this.structuredOutput) {
+            instructions.push(this.turnParser.buildInstructions());
+        }
+        
+        if (toolMode === 'text') {
+            instructions.push(this.buildTextToolInstructions());
+        }
+        
+        if (partner) {
+            instructions.push(this.buildPartnerInstructions(partner));
+        }
+        
         // Build conversation context
-        const messages = this.buildConversationContext(message, context);
+        const messages = this.buildConversationContext(message, context, instructions, partner ? options.history || [] : null, partner ? partner.agent : null);
+        
+        // With the output guard on, only sentences it has already passed reach the chat bubble
+        if (options.onToken && this.guard.enabled) {
+            options = { ...options, onToken: this.guardTokenStream(options.onToken, this.getGuardContext(messages)) };
+        }
+        
+        const replies = [];
+        
+        for (let round = 0; round <= this.maxToolRounds; round++) {
+            // Tool calls made in the last round are ignored so the loop always ends in words.
+            // Native definitions stay attached because some APIs reject tool history without them.
+            const allowCalls = toolMode !== 'none' && round < this.maxToolRounds;
+            const result = await this.requestCompletion(messages, options, toolMode === 'native');
+            if (options.onToken && options.onToken.flush) {
+                options.onToken.flush();
+            }
+            
+            let text = result.content;
+            let toolCalls = result.toolCalls || [];
+            
+            if (toolMode === 'text') {
+                const parsed = this.parseTextToolCalls(result.content);
+                text = parsed.text;
+                toolCalls = parsed.toolCalls;
+            }
+            
+            if (!allowCalls) {
+                toolCalls = [];
+            }
+            
+            if (text) {
+                replies.push(text);
+            }
+            
+            if (toolCalls.length === 0) break;
+            
+            const toolResults = this.executeToolCalls(toolCalls, options.toolContext);
+            
+            // A reply that already has words is complete; only silent tool turns need a follow-up
+            if (text) break;
+            
+            if (toolMode === 'native') {
+                messages.push({ role: 'assistant', content: result.content, toolCalls: toolCalls });
+                toolResults.forEach(toolResult => messages.push(toolResult));
+            } else {
+                messages.push({ role: 'assistant', content: result.content });
+                messages.push({
+                    role: 'user',
+                    content: '[Action results]\n' + toolResults.map(r => `${r.name}: ${r.content}`).join('\n') +
+                        '\nNow reply to the player in character.'
+                });
+            }
+        }
+        
+        let finalText = replies.join(' ').trim();
+        if (!finalText) {
+            throw new Error('No response from AI');
+        }
+        
+        let turn = null;
+        if (this.structuredOutput) {
+            turn = await this.resolveStructuredTurn(finalText, messages, options, toolMode);
+            finalText = turn.say;
+        }
+        
+        const reviewed = await this.reviewReply(finalText, turn, messages, options, toolMode);
+        finalText = reviewed.text;
+        turn = reviewed.turn;
+        
+        if (turn) {
+            turn.say = finalText;
+            this.emit('structuredTurn', turn);
+            if (options.onTurn) {
+                options.onTurn(turn);
+            }
+        }
         
-        const requestBody = {
+        // Store only the final text in conversation history
+        if (!partner) {
+            this.addToConversationHistory(message, finalText);
+        }
+        
+        return finalText;
+    }
+
+    // Run the output guard, regenerating blocked replies; throws when none can be shown so the NPC falls back
+    async reviewReply(text, turn, messages, options, toolMode) {
+        const guardContext = this.getGuardContext(messages);
+        let review = this.guard.checkOutput(text, guardContext, this.name);
+        let lastText = turn ? JSON.stringify(turn) : text;
+        
+        for (let attempt = 0; review.blocked && attempt < this.guard.maxRegenerations; attempt++) {
+            this.emit('replyBlocked', review.reasons, attempt + 1);
+            
+            const retryMessages = messages.concat([
+                { role: 'assistant', content: lastText },
+                { role: 'user', content: this.guard.buildCorrection(review.reasons) }
+            ]);
+            
+            // The retry is never streamed; the bubble is replaced with the final text anyway
+            const retryOptions = { ...options, onToken: null };
+            const result = await this.requestCompletion(retryMessages, retryOptions, toolMode === 'native');
+            lastText = toolMode === 'text' ? this.parseTextToolCalls(result.content).text : result.content;
+            
+            if (turn) {
+                turn = await this.resolveStructuredTurn(lastText, retryMessages, retryOptions, toolMode);
+                review = this.guard.checkOutput(turn.say, guardContext, this.name);
+            } else {
+                review = this.guard.checkOutput(lastText, guardContext, this.name);
+            }
+        }
+        
+        if (review.blocked) {
+            this.emit('replyBlocked', review.reasons, null);
+            const error = new Error(`Reply blocked by guard: ${review.reasons.join(', ')}`);
+            error.code = 'guard_blocked';
+            throw error;
+        }
+        
+        return { text: review.text, turn: turn };
+    }
+
+    getGuardContext(messages) {
+        return {
+            systemPrompt: messages[0].content,
+            lockedKnowledge: this.lockedKnowledge ? this.lockedKnowledge() : []
+        };
+    }
+
+    // Forwards streamed text a whole sentence at a time once the guard has passed it, and the rest of each request's
+    // text when flush() is called after it. After a sentence fails, nothing more is streamed and the bubble waits for
+    // the reply reviewReply settles on. Returns false while it holds text back, so the caller knows nothing was shown.
+    guardTokenStream(onToken, guardContext) {
+        let shown = '';   // Forwarded so far, across every request of the reply
+        let base = '';    // What was shown before the current request started
+        let current = ''; // The current request's text; a retried request starts again from nothing
+        let held = false;
+        
+        const release = (text) => {
+            const next = base + text;
+            if (next.length <= shown.length) return false;
+            if (!this.guard.isSafeToShow(next, guardContext)) {
+                held = true;
+                return false;
+            }
+            
+            const delta = next.slice(shown.length);
+            shown = next;
+            onToken(delta, shown);
+            return true;
+        };
+        
+        const stream = (delta, fullText) => {
+            if (held) return false;
+            current = fullText !== undefined ? fullText : current + delta;
+            
+            const boundaries = Array.from(current.matchAll(/[.!?]+["')\]]*\s+/g));
+            if (boundaries.length === 0) return false;
+            
+            const last = boundaries[boundaries.length - 1];
+            return release(current.slice(0, last.index + last[0].length));
+        };
+        
+        // The request's stream has ended: its last sentence has no whitespace after it to mark it complete
+        stream.flush = () => {
+            if (held || !current.trim()) return;
+            release(current);
+            base = shown;
+            current = '';
+        };
+        
+        return stream;
+    }
+
+    async requestCompletion(messages, options, withTools) {
+        const toolMode = this.getActiveToolMode();
+        const requestOptions = {
             model: this.model,
-            messages: messages,
-            max_tokens: this.maxTokens,
+            // JSON keys and quoting need some room on top of the spoken reply
+            maxTokens: this.structuredOutput ? this.maxTokens + 100 : this.maxTokens,
             temperature: this.temperature,
-            presence_penalty: 0.1,
-            frequency_penalty: 0.1
+            tools: withTools ? this.toolRegistry.getDefinitions() : null,
+            // Provider JSON modes would reject the text tool protocol's tags
+            responseFormat: this.structuredOutput && toolMode !== 'text' ? 'json' : null,
+            ...(options.requestOptions || {})
+        };
+        
+        // Stream tokens to the caller when it asked for them and the provider can deliver them.
+        // The text protocol and structured turns are never streamed, since tags or JSON would show up in the chat.
+        const wantsStream = options.onToken && this.streamingEnabled && toolMode !== 'text' && !this.structuredOutput;
+        
+        // Record/replay - replayed responses never touch the network or the scheduler
+        const request = this.cassette.mode !== 'off'
+            ? this.cassette.describeRequest(this.name, this.providerId, messages, requestOptions, toolMode)
+            : null;
+        
+        if (this.cassette.isReplaying()) {
+            return this.cassette.replay(request, wantsStream ? options.onToken : null);
+        }
+        
+        const shouldStream = wantsStream && this.provider.supportsStreaming;
+        
+        // Once tokens have reached the player a retry would repeat them, so streaming requests only retry before that
+        let streamed = false;
+        const onToken = (delta, fullText) => {
+            // A guarded stream returns false while it holds text back; held text never reached the player
+            if (options.onToken(delta, fullText) !== false) {
+                streamed = true;
+            }
         };
+        
+        // The shared scheduler applies rate limits, timeouts and retries; the provider adapter handles the wire format
+        const startedAt = Date.now();
+        let attempts = 0;
+        let result;
+        try {
+            result = await this.scheduler.schedule(signal => {
+                attempts++;
+                return shouldStream
+                    ? this.provider.stream(messages, { ...requestOptions, signal, onToken })
+                    : this.provider.complete(messages, { ...requestOptions, signal });
+            }, {
+                providerId: this.providerId,
+                key: this.name,
+                signal: options.signal,
+                canRetry: () => !streamed
+            });
+        } catch (error) {
+            // Cancelled requests were not the model's fault and are left out of the numbers
+            if (error.name !== 'AbortError') {
+                this.recordUsage(requestOptions.model, messages, null, Date.now() - startedAt, attempts, error);
+            }
+            throw error;
+        }
+        
+        this.recordUsage(requestOptions.model, messages, result, Date.now() - startedAt, attempts, null);
+        
+        if (this.cassette.isRecording()) {
+            this.cassette.record(request, result);
+        }
+        
+        return result;
+    }
 
-        const response = await fetch(this.apiEndpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.apiKey}`
-            },
-            body: JSON.stringify(requestBody)
+    // Log a live request with the telemetry; replayed ones never reach a provider and are not counted
+    recordUsage(model, messages, result, latencyMs, attempts, error) {
+        const usage = result && result.usage ? result.usage : {};
+        
+        // Some providers (and most streams) report no usage; the prompt packer's estimate stands in
+        const estimated = !error && !(usage.promptTokens || usage.completionTokens);
+        const completionText = result
+            ? (result.content || '') + (result.toolCalls && result.toolCalls.length > 0 ? JSON.stringify(result.toolCalls) : '')
+            : '';
+        
+        this.telemetry.recordRequest({
+            agent: this.name,
+            provider: this.providerId,
+            model: model,
+            promptTokens: estimated ? messages.reduce((sum, message) => sum + this.contextPacker.estimateMessage(message), 0) : usage.promptTokens,
+            completionTokens: estimated ? this.contextPacker.estimateTokens(completionText) : usage.completionTokens,
+            estimated: estimated,
+            latencyMs: latencyMs,
+            retries: Math.max(0, attempts - 1),
+            error: error ? error.message : null
         });
+    }
 
-        if (!response.ok) {
-            throw new Error(`API request failed: ${response.status}`);
-        }
+    // Structured output
+    setStructuredOutput(enabled) {
+        this.structuredOutput = !!enabled;
+    }
+
+    isStructuredOutputActive() {
+        return this.structuredOutput && this.hasAIProvider() && this.scheduler.isAvailable(this.name);
+    }
 
-        const data = await response.json();
+    async resolveStructuredTurn(text, messages, options, toolMode) {
+        let parsed = this.turnParser.parse(text);
+        let lastText = text;
         
-        if (data.choices && data.choices.length > 0) {
-            const aiResponse = data.choices[0].message.content.trim();
+        // Ask the model to fix its own reply, showing it what was wrong
+        for (let attempt = 0; !parsed.turn && attempt < this.maxStructuredRetries; attempt++) {
+            console.warn(`Structured reply from ${this.name} was invalid:`, parsed.errors.join('; '));
+            this.emit('structuredTurnRetry', parsed.errors, attempt + 1);
             
-            // Store in conversation history
-            this.addToConversationHistory(message, aiResponse);
+            const retryMessages = messages.concat([
+                { role: 'assistant', content: lastText },
+                {
+                    role: 'user',
+                    content: `[Format error] Your last reply was not valid: ${parsed.errors.join('; ')}. ` +
+                        'Reply again with only the JSON object described in your instructions.'
+                }
+            ]);
             
-            return aiResponse;
-        } else {
-            throw new Error('No response from AI');
+            const result = await this.requestCompletion(retryMessages, options, toolMode === 'native');
+            lastText = toolMode === 'text' ? this.parseTextToolCalls(result.content).text : result.content;
+            parsed = this.turnParser.parse(lastText);
         }
+        
+        const turn = parsed.turn || this.turnParser.fromPlainText(lastText);
+        if (!turn) {
+            throw new Error('Structured reply could not be parsed');
+        }
+        
+        return turn;
+    }
+
+    // Tool calling
+    setToolRegistry(registry) {
+        this.toolRegistry = registry;
+    }
+
+    setToolMode(mode) {
+        this.toolMode = mode;
     }
 
-    buildConversationContext(currentMessage, context) {
-        const messages = [];
+    getActiveToolMode() {
+        if (!this.toolRegistry || this.toolRegistry.size() === 0 || this.toolMode === 'off') {
+            return 'none';
+        }
+        
+        if (this.toolMode === 'auto') {
+            if (this.cassette.isReplaying() && !this.provider) {
+                return this.cassette.getRecordedToolMode(this.name) || 'text';
+            }
+            return this.provider && this.provider.supportsTools ? 'native' : 'text';
+        }
         
-        // System prompt
-        messages.push({
-            role: 'system',
-            content: this.systemPrompt
+        return this.toolMode;
+    }
+
+    executeToolCalls(toolCalls, toolContext = {}) {
+        return toolCalls.map(call => {
+            const outcome = this.toolRegistry.execute(call.name, call.arguments, toolContext);
+            
+            this.emit('toolCalled', call.name, call.arguments, outcome);
+            
+            return {
+                role: 'tool',
+                toolCallId: call.id,
+                name: call.name,
+                content: JSON.stringify(outcome.ok ? outcome.result : { error: outcome.error })
+            };
         });
+    }
+
+    buildTextToolInstructions() {
+        const toolList = this.toolRegistry.getDefinitions().map(tool =>
+            `- ${tool.name}: ${tool.description}\n  arguments schema: ${JSON.stringify(tool.parameters)}`
+        ).join('\n');
+        
+        return `You can take actions in the game world. To take one, write it on its own line in exactly this form:
+<tool_call>{"name": "action_name", "arguments": {...}}</tool_call>
+
+Available actions:
+${toolList}
+
+Only take an action when it fits the story. Everything outside the tags is spoken aloud to the player.`;
+    }
+
+    parseTextToolCalls(text) {
+        const toolCalls = [];
+        const pattern = /<tool_call>([\s\S]*?)<\/tool_call>/g;
+        let match;
         
-        // Add world context if available
-        if (context.worldInfo) {
-            messages.push({
-                role: 'system',
-                content: `Current world context: ${JSON.stringify(context.worldInfo)}`
+        while ((match = pattern.exec(text)) !== null) {
+            let call;
+            try {
+                call = JSON.parse(match[1]);
+            } catch (error) {
+                call = { name: 'unparseable_call', arguments: null };
+            }
+            
+            toolCalls.push({
+                id: `text_call_${toolCalls.length}`,
+                name: call.name,
+                arguments: call.arguments !== undefined ? call.arguments : null
             });
         }
         
-        // Add recent conversation history
-        const recentHistory = this.conversationHistory.slice(-6); // Last 6 messages
-        recentHistory.forEach(entry => {
-            messages.push({
-                role: 'user',
-                content: entry.user
-            });
-            messages.push({
-                role: 'assistant',
-                content: entry.assistant
-            });
-        });
+        return {
+            text: text.replace(pattern, '').replace(/\n{3,}/g, '\n\n').trim(),
+            toolCalls: toolCalls
+        };
+    }
+
+    // history replaces the player's conversation history, e.g. with the transcript of a chat between NPCs;
+    // partnerAgent is the NPC on the other side of such a chat
+    buildConversationContext(currentMessage, context, instructions = [], history = null, partnerAgent = null) {
+        const sections = {
+            systemPrompt: this.getSystemPrompt(partnerAgent),
+            instructions: instructions,
+            worldState: context.worldInfo ? JSON.stringify(context.worldInfo) : null,
+            memories: context.memories || [],
+            summary: history ? null : this.contextPacker.renderSummary(this.rollingSummary),
+            // Summarized turns never come back into the window, so nothing is said twice
+            turns: history || this.conversationHistory.filter(entry => !entry.summarized),
+            currentMessage: currentMessage
+        };
         
-        // Add current message
-        messages.push({
-            role: 'user',
-            content: currentMessage
-        });
+        let packed = this.contextPacker.pack(sections);
+        
+        // Turns that fell out of the window are compressed into the rolling summary, which
+        // takes budget from the turns in turn, so repack until nothing new falls out
+        while (!history && packed.droppedTurns.length > 0) {
+            this.summarizeTurns(packed.droppedTurns);
+            sections.summary = this.contextPacker.renderSummary(this.rollingSummary);
+            sections.turns = this.conversationHistory.filter(entry => !entry.summarized);
+            packed = this.contextPacker.pack(sections);
+        }
+        
+        packed.report.summarizedTurns = this.conversationHistory.filter(entry => entry.summarized).length;
+        this.lastContextReport = packed.report;
+        this.emit('contextPacked', packed.report);
         
-        return messages;
+        return packed.messages;
     }
 
-    generateFallbackResponse(message, context) {
-        const messageLower = message.toLowerCase();
+    /**
+     * Instructions for a line spoken to another NPC rather than the player.
+     * partner: { name, agent, topic, opening, closing } - opening for the first line, closing for the last
+     */
+    buildPartnerInstructions(partner) {
+        return this.promptTemplates.render('npc_conversation', {
+            partner: partner.name,
+            topic: partner.topic || null,
+            opening: !!partner.opening,
+            closing: !!partner.closing
+        }, { agent: this.promptTemplate });
+    }
+
+    summarizeTurns(turns) {
+        const lines = turns.map(turn => {
+            turn.summarized = true;
+            return this.contextPacker.summarizeTurn(turn);
+        });
+        this.rollingSummary = this.contextPacker.extendSummary(this.rollingSummary, lines);
+    }
+
+    // partner is the agent on the other side of an NPC conversation, so the prompt describes them instead of the visitor
+    getSystemPrompt(partner = null) {
+        if (!this.promptTemplate) {
+            return this.systemPrompt;
+        }
         
-        // Pattern matching for different response types
-        if (this.isGreeting(messageLower)) {
-            return this.getRandomResponse('greeting');
-        } else if (this.isGoodbye(messageLower)) {
-            return this.getRandomResponse('goodbye');
-        } else if (this.isConfused(messageLower)) {
-            return this.getRandomResponse('confused');
-        } else if (this.personality.busy && Math.random() < 0.1) {
-            return this.getRandomResponse('busy');
-        } else {
-            return this.generatePersonalityResponse(message, context);
+        try {
+            return this.renderSystemPrompt(partner).text;
+        } catch (error) {
+            console.warn(`Prompt template ${this.promptTemplate} failed for ${this.name}:`, error.message);
+            return this.systemPrompt;
         }
     }
 
-    generatePersonalityResponse(message, context) {
-        // Generate response based on personality traits
+    // The prompt as it would be sent right now, with the partials and overrides used and any unbound variables
+    renderSystemPrompt(partner = null) {
+        if (!this.promptTemplate) {
+            return { text: this.systemPrompt, template: null, origin: 'static', partials: [], missing: [] };
+        }
+        
+        const variables = this.promptVariables ? this.promptVariables(partner) : {};
+        return this.promptTemplates.renderForInspection(this.promptTemplate, variables, { agent: this.promptTemplate });
+    }
+
+    getLastContextReport() {
+        return this.lastContextReport;
+    }
+
+    generateFallbackResponse(message, context) {
+        // Busy characters sometimes brush the visitor off whatever they said
+        const intent = this.personality.busy && Math.random() < 0.1 ? 'busy' : null;
+        const reply = this.dialogue.respond(message, { intent: intent, context: context });
+        return reply.text || "I'm not sure how to respond to that.";
+    }
+
+    // Lines for the default table, picked by personality trait
+    generatePersonalityResponses() {
         const responses = [];
         
-        // Add personality-specific responses
         if (this.personality.scholarly) {
             responses.push(
                 "That's a fascinating topic. In my studies, I've found...",
@@ -223,36 +691,7 @@ Always respond as this character would, considering their background, goals, and
             );
         }
         
-        // Add default responses if no personality matches
-        if (responses.length === 0) {
-            responses.push(...this.fallbackResponses.default);
-        }
-        
-        return responses[Math.floor(Math.random() * responses.length)];
-    }
-
-    // Helper methods for response classification
-    isGreeting(message) {
-        const greetings = ['hello', 'hi', 'hey', 'greetings', 'good morning', 'good day'];
-        return greetings.some(greeting => message.includes(greeting));
-    }
-
-    isGoodbye(message) {
-        const goodbyes = ['goodbye', 'bye', 'farewell', 'see you', 'later', 'exit'];
-        return goodbyes.some(goodbye => message.includes(goodbye));
-    }
-
-    isConfused(message) {
-        // Very short messages or nonsensical input
-        return message.length < 3 || /^[^a-zA-Z]*$/.test(message);
-    }
-
-    getRandomResponse(category) {
-        const responses = this.fallbackResponses[category];
-        if (responses && responses.length > 0) {
-            return responses[Math.floor(Math.random() * responses.length)];
-        }
-        return "I'm not sure how to respond to that.";
+        return responses;
     }
 
     // Conversation management
@@ -263,14 +702,18 @@ Always respond as this character would, considering their background, goals, and
             timestamp: Date.now()
         });
         
-        // Limit history length
+        // Limit history length, keeping a trace of anything not yet summarized
         if (this.conversationHistory.length > 20) {
-            this.conversationHistory.shift();
+            const oldest = this.conversationHistory.shift();
+            if (!oldest.summarized) {
+                this.summarizeTurns([oldest]);
+            }
         }
     }
 
     clearConversationHistory() {
         this.conversationHistory = [];
+        this.rollingSummary = { earlierTopics: [], lines: [] };
         this.emit('conversationCleared');
     }
 
@@ -300,19 +743,67 @@ Always respond as this character would, considering their background, goals, and
     }
 
     // Configuration methods
-    setAPIConfiguration(endpoint, apiKey, model = 'gpt-3.5-turbo') {
+    setAPIConfiguration(endpoint, apiKey, model = null, providerId = 'openai') {
+        this.providerId = providerId;
         this.apiEndpoint = endpoint;
         this.apiKey = apiKey;
-        this.model = model;
-        console.log(`AI API configured for ${this.name}`);
+        this.provider = this.createProvider(model);
+        this.model = this.provider.model;
+        console.log(`AI API configured for ${this.name} (${this.provider.displayName}, ${this.model})`);
+    }
+
+    clearAPIConfiguration() {
+        this.apiEndpoint = null;
+        this.apiKey = null;
+        this.provider = null;
+    }
+
+    createProvider(model = this.model) {
+        return LLMProvider.create(this.providerId, {
+            endpoint: this.apiEndpoint,
+            apiKey: this.apiKey,
+            model: model
+        });
+    }
+
+    hasAIProvider() {
+        // A replayed cassette stands in for the provider, so demos work without an API key
+        return this.cassette.isReplaying() || !!(this.provider && this.provider.isConfigured());
+    }
+
+    // A model can be asked right now: configured (or replayed) and not parked by the circuit breaker
+    isAIAvailable() {
+        return this.hasAIProvider() && this.scheduler.isAvailable(this.name);
+    }
+
+    // One-off completion outside the conversation (e.g. summaries); nothing is added to the history
+    async completeText(messages, requestOptions = {}) {
+        const result = await this.requestCompletion(messages, { requestOptions: requestOptions }, false);
+        return result.content;
+    }
+
+    // True while repeated failures keep this agent on scripted replies
+    isInScriptedMode() {
+        return this.hasAIProvider() && !this.scheduler.isAvailable(this.name);
     }
 
     updatePersonality(traits) {
         this.personality = { ...this.personality, ...traits };
         this.systemPrompt = this.generateDefaultSystemPrompt();
+        this.fallbackResponses = this.generateFallbackResponses();
+        this.dialogue.setResponses(this.fallbackResponses);
         console.log(`Personality updated for ${this.name}`);
     }
 
+    setStreaming(enabled) {
+        this.streamingEnabled = !!enabled;
+    }
+
+    setMaxContextTokens(tokens) {
+        this.maxContextTokens = tokens;
+        this.contextPacker.maxTokens = tokens;
+    }
+
     setResponseStyle(style, temperature = null, maxTokens = null) {
         this.responseStyle = style;
         if (temperature !== null) this.temperature = temperature;
@@ -383,8 +874,14 @@ Always respond as this character would, considering their background, goals, and
         return {
             name: this.name,
             conversationLength: this.conversationHistory.length,
+            contextTokensUsed: this.lastContextReport ? this.lastContextReport.used : 0,
             worldKnowledgeCount: this.worldKnowledge.size,
-            hasAIAPI: !!(this.apiEndpoint && this.apiKey),
+            hasAIAPI: this.hasAIProvider(),
+            structuredOutput: this.structuredOutput,
+            provider: this.provider ? this.provider.getInfo() : null,
+            circuitState: this.scheduler.getCircuitState(this.name),
+            guardInterventions: this.guard.getLog(this.name).length,
+            usage: this.telemetry.getAgentStats(this.name),
             personality: Object.keys(this.personality),
             responseStyle: this.responseStyle
         };
@@ -396,10 +893,12 @@ Always respond as this character would, considering their background, goals, and
             name: this.name,
             personality: this.personality,
             conversationHistory: this.conversationHistory.slice(-10), // Only recent history
+            rollingSummary: this.rollingSummary,
             worldKnowledge: Array.from(this.worldKnowledge.entries()),
             responseStyle: this.responseStyle,
             temperature: this.temperature,
-            maxTokens: this.maxTokens
+            maxTokens: this.maxTokens,
+            structuredOutput: this.structuredOutput
         };
     }
 
@@ -407,9 +906,11 @@ Always respond as this character would, considering their background, goals, and
         this.name = data.name || this.name;
         this.personality = data.personality || {};
         this.conversationHistory = data.conversationHistory || [];
+        this.rollingSummary = data.rollingSummary || { earlierTopics: [], lines: [] };
         this.responseStyle = data.responseStyle || 'conversational';
         this.temperature = data.temperature || 0.7;
         this.maxTokens = data.maxTokens || 150;
+        this.structuredOutput = !!data.structuredOutput;
         
         if (data.worldKnowledge) {
             this.worldKnowledge = new Map(data.worldKnowledge);
@@ -0,0 +1,267 @@
+/**
+ * AISettings - Persistent LLM configuration for every agent
+ * Holds global settings (provider, endpoint, model, temperature, max tokens) plus per-agent overrides,
+ * stores API keys in a passphrase-encrypted SecretVault and applies the result to each agent's aiAgent.
+ * Exports never contain keys.
+ */
+class AISettings extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.storageKey = config.storageKey || 'agenticWorldGame_aiSettings';
+        this.storage = config.storage !== undefined ? config.storage : this.detectStorage();
+        this.vault = config.vault || new SecretVault();
+        this.testTimeout = config.testTimeout || 15000;
+
+        // provider null leaves agents on scripted replies
+        this.global = { provider: null, endpoint: null, model: null, temperature: 0.7, maxTokens: 150 };
+        this.agents = {}; // agent name -> partial settings that override the global ones
+        this.configured = new Set(); // Agents these settings gave a provider, and so may take it away again
+    }
+
+    // One settings store for the whole game, like the scheduler and guard
+    static getShared() {
+        if (!AISettings.shared) {
+            AISettings.shared = new AISettings();
+        }
+        return AISettings.shared;
+    }
+
+    detectStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null; // Storage can be blocked (e.g. privacy mode); settings then last for the session
+        }
+    }
+
+    // Persistence
+    load() {
+        if (!this.storage) return false;
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (!raw) return false;
+
+            const data = JSON.parse(raw);
+            this.global = { ...this.global, ...(data.global || {}) };
+            this.agents = data.agents || {};
+            this.vault.deserialize(data.vault || {});
+            this.emit('loaded');
+            return true;
+        } catch (error) {
+            console.warn('Could not read saved AI settings:', error.message);
+            return false;
+        }
+    }
+
+    save() {
+        if (!this.storage) return false;
+
+        this.storage.setItem(this.storageKey, JSON.stringify({
+            global: this.global,
+            agents: this.agents,
+            vault: this.vault.serialize()
+        }));
+        return true;
+    }
+
+    // Settings without keys, for save exports and bug reports
+    exportConfig() {
+        return {
+            global: { ...this.global },
+            agents: JSON.parse(JSON.stringify(this.agents))
+        };
+    }
+
+    // Reading settings - scope is 'global' or an agent name
+    getSettings(scope) {
+        return scope === 'global' ? { ...this.global } : { ...(this.agents[scope] || {}) };
+    }
+
+    hasOverride(agentName) {
+        return !!this.agents[agentName];
+    }
+
+    // An override can set provider to null, keeping one agent on scripted replies whatever the global provider
+    isSwitchedOff(agentName) {
+        return !!this.agents[agentName] && this.agents[agentName].provider === null;
+    }
+
+    getEffectiveSettings(agentName) {
+        return { ...this.global, ...(this.agents[agentName] || {}) };
+    }
+
+    getKeyName(scope) {
+        return `apiKey:${scope}`;
+    }
+
+    hasApiKey(scope) {
+        return this.vault.hasSecret(this.getKeyName(scope));
+    }
+
+    // An agent uses its own key when it has one, otherwise the global key
+    async getApiKey(agentName) {
+        if (!this.vault.isUnlocked()) return null;
+
+        const own = this.getKeyName(agentName);
+        return this.vault.hasSecret(own) ? this.vault.getSecret(own) : this.vault.getSecret(this.getKeyName('global'));
+    }
+
+    needsUnlock() {
+        return this.vault.getSecretNames().length > 0 && !this.vault.isUnlocked();
+    }
+
+    // Writing settings
+    validate(settings) {
+        const errors = [];
+        const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+        if (settings.provider && !LLMProvider.getProviderIds().includes(settings.provider)) {
+            errors.push(`Unknown provider ${settings.provider}`);
+        }
+        if (isSet(settings.temperature) && !(settings.temperature >= 0 && settings.temperature <= 2)) {
+            errors.push('Temperature must be between 0 and 2');
+        }
+        if (isSet(settings.maxTokens) && !(Number.isInteger(settings.maxTokens) && settings.maxTokens >= 1 && settings.maxTokens <= 8192)) {
+            errors.push('Max tokens must be a whole number from 1 to 8192');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Update the global settings or one agent's override.
+     * For an agent, '' inherits the global value and provider null switches the agent off.
+     * apiKey: a string stores it (vault must be unlocked), '' removes it, undefined leaves it alone.
+     */
+    async update(scope, settings, apiKey = undefined) {
+        const errors = this.validate(settings);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        // Blank global fields mean the provider's default; blank agent fields inherit the global value
+        const target = scope === 'global' ? this.global : { ...(this.agents[scope] || {}) };
+        ['provider', 'endpoint', 'model', 'temperature', 'maxTokens'].forEach(field => {
+            if (settings[field] === undefined) return;
+
+            const value = settings[field] === '' ? null : settings[field];
+            if (settings[field] === '' && scope !== 'global') {
+                delete target[field];
+            } else {
+                target[field] = value;
+            }
+        });
+
+        if (scope !== 'global') {
+            this.agents[scope] = target;
+        }
+
+        if (apiKey === '') {
+            this.vault.removeSecret(this.getKeyName(scope));
+        } else if (apiKey !== undefined && apiKey !== null) {
+            await this.vault.setSecret(this.getKeyName(scope), apiKey);
+        }
+
+        this.save();
+        this.emit('changed', scope);
+    }
+
+    clearOverride(agentName) {
+        delete this.agents[agentName];
+        this.vault.removeSecret(this.getKeyName(agentName));
+        this.save();
+        this.emit('changed', agentName);
+    }
+
+    async setPassphrase(passphrase) {
+        await this.vault.setPassphrase(passphrase);
+        this.save();
+    }
+
+    async unlock(passphrase) {
+        await this.vault.unlock(passphrase);
+        this.emit('unlocked');
+    }
+
+    // Applying settings
+    async applyToAgent(agent) {
+        const settings = this.getEffectiveSettings(agent.name);
+        if (!agent.aiAgent) {
+            return { agent: agent.name, provider: null, configured: false };
+        }
+        if (!settings.provider) {
+            // Only undo what these settings configured, so a provider set from the console stays
+            if (this.configured.has(agent.name) || this.isSwitchedOff(agent.name)) {
+                agent.aiAgent.clearAPIConfiguration();
+                this.configured.delete(agent.name);
+            }
+            return { agent: agent.name, provider: null, configured: agent.aiAgent.hasAIProvider() };
+        }
+
+        const apiKey = await this.getApiKey(agent.name);
+        agent.aiAgent.setAPIConfiguration(settings.endpoint || null, apiKey, settings.model || null, settings.provider);
+        agent.aiAgent.setResponseStyle(agent.aiAgent.responseStyle, settings.temperature, settings.maxTokens);
+        this.configured.add(agent.name);
+
+        return {
+            agent: agent.name,
+            provider: settings.provider,
+            model: agent.aiAgent.model,
+            configured: agent.aiAgent.hasAIProvider()
+        };
+    }
+
+    // scope 'global' applies to every agent, an agent name to that agent only
+    async applyTo(agents, scope = 'global') {
+        const results = [];
+        for (const agent of agents.values()) {
+            if (scope !== 'global' && agent.name !== scope) continue;
+            results.push(await this.applyToAgent(agent));
+        }
+        this.emit('applied', results);
+        return results;
+    }
+
+    // Sends a one-word prompt straight to the provider, bypassing the scheduler and cassettes
+    async testConnection(settings, apiKey = null) {
+        if (!settings.provider) {
+            return { ok: false, error: 'Choose a provider first' };
+        }
+
+        let provider;
+        try {
+            provider = LLMProvider.create(settings.provider, {
+                endpoint: settings.endpoint || null,
+                apiKey: apiKey,
+                model: settings.model || null
+            });
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+
+        if (!provider.isConfigured()) {
+            return { ok: false, error: `${provider.displayName} needs an endpoint${provider.requiresApiKey ? ' and an API key' : ''}` };
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.testTimeout);
+        const startedAt = Date.now();
+
+        try {
+            const result = await provider.complete(
+                [{ role: 'user', content: 'Reply with the single word OK.' }],
+                { model: provider.model, maxTokens: 5, temperature: 0, signal: controller.signal }
+            );
+            return { ok: true, latencyMs: Date.now() - startedAt, model: provider.model, reply: result.content };
+        } catch (error) {
+            const message = error.name === 'AbortError' ? `No answer within ${this.testTimeout / 1000}s` : error.message;
+            return { ok: false, latencyMs: Date.now() - startedAt, model: provider.model, error: message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+AISettings.shared = null;
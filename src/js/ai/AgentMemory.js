@@ -8,14 +8,20 @@ class AgentMemory extends EventEmitter {
         // Memory configuration
         this.maxMemories = config.maxMemories || 200;
         this.maxConversations = config.maxConversations || 50;
+        this.maxFacts = config.maxFacts || 50;
         this.decayRate = config.decayRate || 0.1; // How fast memories fade
         
         // Memory storage
         this.shortTermMemory = new Map(); // Recent, high-importance memories
         this.longTermMemory = new Map();  // Persistent memories
         this.conversations = [];          // Conversation history
-        this.relationships = new Map();   // Relationship tracking
-        this.facts = new Map();          // Known facts about the world
+        this.relationships = config.relationships || new RelationshipStore(); // Shared with (and saved by) the agent
+        this.facts = new Map();          // Facts that travel as gossip, by id (see GossipNetwork)
+        
+        // Semantic search over both memory stores, keyed by memory key
+        this.index = new MemoryIndex();
+        this.minSimilarity = config.minSimilarity || 0.08;
+        this.lastRetrieval = null; // What the last prompt recalled, for debugging
         
         // Memory categories
         this.categories = {
@@ -24,7 +30,8 @@ class AgentMemory extends EventEmitter {
             FACT: 'fact',
             EMOTION: 'emotion',
             GOAL: 'goal',
-            RELATIONSHIP: 'relationship'
+            RELATIONSHIP: 'relationship',
+            REFLECTION: 'reflection'
         };
         
         // Importance levels
@@ -65,6 +72,7 @@ class AgentMemory extends EventEmitter {
             this.shortTermMemory.set(key, memory);
         }
         
+        this.index.add(key, this.getIndexText(memory));
         this.emit('memoryStored', memory);
         
         // Cleanup if needed
@@ -97,6 +105,7 @@ class AgentMemory extends EventEmitter {
     forget(key) {
         const shortTermDeleted = this.shortTermMemory.delete(key);
         const longTermDeleted = this.longTermMemory.delete(key);
+        this.index.remove(key);
         
         if (shortTermDeleted || longTermDeleted) {
             this.emit('memoryForgotten', key);
@@ -112,6 +121,7 @@ class AgentMemory extends EventEmitter {
             id: this.generateMemoryId(),
             participant: participant.name || 'Unknown',
             participantId: participant.id,
+            participantType: participant.type || null, // 'player' or 'agent'
             message: message,
             type: type, // 'received' or 'sent'
             timestamp: Date.now(),
@@ -141,6 +151,127 @@ class AgentMemory extends EventEmitter {
         return conversation.id;
     }
 
+    // Notes the agent chose to remember about someone (e.g. a structured turn's memory_note)
+    addNote(participant, note, topics = []) {
+        const participantName = participant.name || 'Unknown';
+        const entry = {
+            participant: participantName,
+            note: note,
+            topics: topics,
+            timestamp: Date.now()
+        };
+        
+        this.relationships.addNote(participant, entry);
+        
+        this.store(`note_${this.generateMemoryId()}`, entry, this.importance.HIGH, this.categories.RELATIONSHIP);
+        this.emit('noteAdded', entry);
+        
+        return entry;
+    }
+
+    // Episodic memory of a whole conversation, written when the chat closes
+    addEpisode(participant, episode) {
+        const participantName = participant.name || 'Unknown';
+        const entry = { ...episode, participant: participantName };
+        
+        this.store(`episode_${this.generateMemoryId()}`, entry, this.importance.HIGH, this.categories.EVENT);
+        this.emit('episodeAdded', entry);
+        
+        return entry;
+    }
+
+    getEpisodes(participantName = null, limit = 3) {
+        const episodes = [];
+        this.longTermMemory.forEach(memory => {
+            if (memory.data && memory.data.summary && (!participantName || memory.data.participant === participantName)) {
+                episodes.push(memory);
+            }
+        });
+        
+        return episodes
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+    }
+
+    // Higher-level insights the agent drew from its memories at the start of a day
+    addReflection(insight, day = null) {
+        const entry = { insight: insight, day: day, timestamp: Date.now() };
+        
+        this.store(`reflection_${this.generateMemoryId()}`, entry, this.importance.HIGH, this.categories.REFLECTION);
+        this.emit('reflectionAdded', entry);
+        
+        return entry;
+    }
+
+    // Newest first
+    getReflections(limit = 5) {
+        const reflections = [];
+        this.longTermMemory.forEach(memory => {
+            if (memory.category === this.categories.REFLECTION) {
+                reflections.push(memory.data);
+            }
+        });
+        
+        return reflections
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+    }
+
+    // Facts that travel between agents as gossip; a fact keeps its id on every retelling
+    addFact(fact) {
+        if (this.facts.has(fact.id)) return null;
+        
+        this.facts.set(fact.id, fact);
+        if (this.facts.size > this.maxFacts) {
+            const oldestId = this.facts.keys().next().value;
+            this.facts.delete(oldestId);
+            this.forget(`fact_${oldestId}`);
+        }
+        
+        // Secondhand facts are recalled like other memories; firsthand ones are already in the conversation log
+        if (fact.heardFrom !== fact.about) {
+            this.store(`fact_${fact.id}`, fact, this.importance.HIGH, this.categories.FACT);
+        }
+        
+        this.emit('factLearned', fact);
+        return fact;
+    }
+
+    hasFact(factId) {
+        return this.facts.has(factId);
+    }
+
+    getFacts() {
+        return Array.from(this.facts.values());
+    }
+
+    // What others have said about someone, newest first
+    getRumoursAbout(participantName, limit = 3) {
+        return this.getFacts()
+            .filter(fact => fact.about === participantName && fact.heardFrom !== participantName)
+            .reverse()
+            .slice(0, limit);
+    }
+
+    // A fact as a sentence about its subject; pass 'you' to say it to them
+    renderFact(fact, subject = null) {
+        if (fact.note && !subject) {
+            return fact.note;
+        }
+        
+        const who = subject || fact.about;
+        if (fact.keywords.length > 0) {
+            const list = fact.keywords.length > 1
+                ? `${fact.keywords.slice(0, -1).join(', ')} and ${fact.keywords[fact.keywords.length - 1]}`
+                : fact.keywords[0];
+            return `${who} ${fact.verb} ${list}`;
+        }
+        if (fact.topics.length > 0) {
+            return `${who} ${fact.verb} something to do with ${fact.topics[0]}`;
+        }
+        return `${who} ${fact.verb} something`;
+    }
+
     getConversationsWith(participantName, limit = 10) {
         return this.conversations
             .filter(conv => conv.participant === participantName)
@@ -154,100 +285,134 @@ class AgentMemory extends EventEmitter {
             .reverse();
     }
 
-    // Relationship management
+    // Relationship management - every message adds familiarity; the tone of what they say moves affection
     updateRelationship(participant, conversation) {
-        const participantName = participant.name || 'Unknown';
-        
-        if (!this.relationships.has(participantName)) {
-            this.relationships.set(participantName, {
-                name: participantName,
-                id: participant.id,
-                trustLevel: 50,
-                familiarity: 0,
-                lastInteraction: Date.now(),
-                totalInteractions: 0,
-                sentimentHistory: [],
-                sharedTopics: new Set(),
-                notes: []
-            });
-        }
-        
-        const relationship = this.relationships.get(participantName);
-        
-        // Update relationship metrics
-        relationship.totalInteractions++;
-        relationship.lastInteraction = conversation.timestamp;
-        relationship.familiarity = Math.min(100, relationship.familiarity + 1);
-        
-        // Update sentiment history
-        relationship.sentimentHistory.push(conversation.sentiment);
-        if (relationship.sentimentHistory.length > 20) {
-            relationship.sentimentHistory.shift();
-        }
-        
-        // Update trust based on sentiment
-        const avgSentiment = this.calculateAverageSentiment(relationship.sentimentHistory);
-        if (avgSentiment > 0.2) {
-            relationship.trustLevel = Math.min(100, relationship.trustLevel + 2);
-        } else if (avgSentiment < -0.2) {
-            relationship.trustLevel = Math.max(0, relationship.trustLevel - 2);
+        const relationships = this.relationships;
+        relationships.recordInteraction(participant, conversation.timestamp);
+        relationships.addTopics(participant, conversation.topics);
+        relationships.adjust(participant, { familiarity: 1 });
+        
+        if (conversation.type === 'received') {
+            const avgSentiment = relationships.addSentiment(participant, conversation.sentiment);
+            if (avgSentiment > 0.2) {
+                relationships.adjust(participant, { affection: 1 }, 'was pleasant to talk to');
+            } else if (avgSentiment < -0.2) {
+                relationships.adjust(participant, { affection: -1 }, 'was unpleasant to talk to');
+            }
         }
         
-        // Add shared topics
-        conversation.topics.forEach(topic => {
-            relationship.sharedTopics.add(topic);
-        });
-        
-        this.emit('relationshipUpdated', relationship);
+        this.emit('relationshipUpdated', relationships.get(participant));
     }
 
-    getRelationship(participantName) {
-        return this.relationships.get(participantName);
+    getRelationship(participant) {
+        return this.relationships.get(participant);
     }
 
     getAllRelationships() {
-        return Array.from(this.relationships.values());
+        return this.relationships.getAll();
     }
 
-    // Memory search and filtering
+    // Memory search and filtering - ranked by semantic similarity weighted by memory score
     searchMemories(query, category = null) {
-        const results = [];
-        const queryLower = query.toLowerCase();
-        
-        // Search function
-        const searchInMemory = (memory) => {
-            if (category && memory.category !== category) return false;
-            
-            const searchIn = [
-                memory.key,
-                JSON.stringify(memory.data)
-            ].join(' ').toLowerCase();
-            
-            return searchIn.includes(queryLower);
-        };
-        
-        // Search short-term memory
-        this.shortTermMemory.forEach(memory => {
-            if (searchInMemory(memory)) {
-                results.push(memory);
-            }
+        return this.searchRelevant(query, { category: category, limit: this.maxMemories })
+            .map(result => result.memory);
+    }
+
+    /**
+     * Search the vector index and weight each hit by calculateMemoryScore.
+     * options: { limit, category, exclude(memory) }
+     * Returns [{ memory, similarity, score }] best first.
+     */
+    searchRelevant(query, options = {}) {
+        const limit = options.limit || 5;
+        const hits = this.index.search(query, {
+            limit: limit * 4, // Extra candidates, since the memory score can reorder them
+            minSimilarity: this.minSimilarity
         });
         
-        // Search long-term memory
-        this.longTermMemory.forEach(memory => {
-            if (searchInMemory(memory)) {
-                results.push(memory);
-            }
+        return hits
+            .map(hit => ({ memory: this.getMemory(hit.id), similarity: hit.similarity }))
+            .filter(result => result.memory &&
+                (!options.category || result.memory.category === options.category) &&
+                (!options.exclude || !options.exclude(result.memory)))
+            .map(result => ({ ...result, score: result.similarity * this.calculateMemoryScore(result.memory) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.memory.timestamp - b.memory.timestamp)
+            .slice(0, limit);
+    }
+
+    // Top-k memories for a prompt; recalling a memory strengthens it like retrieve() does
+    getRelevantMemories(query, limit = 5) {
+        const results = this.searchRelevant(query, {
+            limit: limit,
+            exclude: memory => memory.data && memory.data.message === query // The message being answered right now
         });
         
-        // Sort by relevance (importance * strength * recency)
-        results.sort((a, b) => {
-            const scoreA = this.calculateMemoryScore(a);
-            const scoreB = this.calculateMemoryScore(b);
-            return scoreB - scoreA;
+        results.forEach(result => {
+            result.memory.accessCount++;
+            result.memory.lastAccessed = Date.now();
+            result.memory.strength = Math.min(1.0, result.memory.strength + 0.1);
         });
         
-        return results;
+        this.lastRetrieval = {
+            query: query,
+            timestamp: Date.now(),
+            results: results.map(result => ({
+                key: result.memory.key,
+                text: this.describeMemory(result.memory),
+                similarity: Math.round(result.similarity * 1000) / 1000,
+                score: Math.round(result.score * 1000) / 1000
+            }))
+        };
+        this.emit('memoriesRetrieved', this.lastRetrieval);
+        
+        return results.map(result => result.memory);
+    }
+
+    getMemory(key) {
+        return this.shortTermMemory.get(key) || this.longTermMemory.get(key) || null;
+    }
+
+    getIndexText(memory) {
+        const data = memory.data || {};
+        return [this.describeMemory(memory)].concat(data.topics || []).join(' ');
+    }
+
+    rebuildIndex() {
+        this.index.clear();
+        this.shortTermMemory.forEach((memory, key) => this.index.add(key, this.getIndexText(memory)));
+        this.longTermMemory.forEach((memory, key) => this.index.add(key, this.getIndexText(memory)));
+    }
+
+    describeMemory(memory) {
+        const data = memory.data || {};
+        
+        if (data.chain) {
+            const via = data.chain.length > 2 ? ` (who heard it from ${data.chain[data.chain.length - 2].from})` : '';
+            const when = data.chain[data.chain.length - 1].day ? ` on day ${data.chain[data.chain.length - 1].day}` : '';
+            return `${data.heardFrom} told you${when}${via}: ${this.renderFact(data)}.`.replace(/([.!?])\.$/, '$1');
+        }
+        if (data.insight) {
+            return data.day ? `Something you realised on day ${data.day}: ${data.insight}` : `Something you realised: ${data.insight}`;
+        }
+        if (data.note) {
+            return `About ${data.participant}: ${data.note}`;
+        }
+        if (data.summary) {
+            // Quoted sentences already carry their own full stop
+            const list = (items) => items.join('; ').replace(/([^.!?"])$/, '$1.');
+            const parts = [`Earlier conversation with ${data.participant}: ${data.summary}`];
+            if (data.facts && data.facts.length > 0) parts.push(`Learned: ${list(data.facts)}`);
+            if (data.promises && data.promises.length > 0) parts.push(`Promises: ${list(data.promises)}`);
+            if (data.feeling) parts.push(`You felt ${data.feeling}.`);
+            return parts.join(' ');
+        }
+        if (data.message) {
+            return data.type === 'sent'
+                ? `You told ${data.participant}: "${data.message}"`
+                : `${data.participant} said: "${data.message}"`;
+        }
+        return typeof data === 'string' ? data : `${memory.key}: ${JSON.stringify(data)}`;
     }
 
     getMemoriesByCategory(category, limit = 20) {
@@ -393,6 +558,7 @@ class AgentMemory extends EventEmitter {
         
         toRemove.forEach(key => {
             this.shortTermMemory.delete(key);
+            this.index.remove(key);
         });
         
         // Limit total memory count
@@ -403,6 +569,7 @@ class AgentMemory extends EventEmitter {
             const toDelete = memoryArray.slice(0, memoryArray.length - this.maxMemories);
             toDelete.forEach(([key]) => {
                 this.shortTermMemory.delete(key);
+                this.index.remove(key);
             });
         }
         
@@ -423,8 +590,9 @@ class AgentMemory extends EventEmitter {
             shortTermCount: this.shortTermMemory.size,
             longTermCount: this.longTermMemory.size,
             conversationCount: this.conversations.length,
-            relationshipCount: this.relationships.size,
-            totalMemories: this.shortTermMemory.size + this.longTermMemory.size
+            relationshipCount: this.relationships.getAll().length,
+            totalMemories: this.shortTermMemory.size + this.longTermMemory.size,
+            indexedMemories: this.index.size
         };
     }
 
@@ -434,7 +602,6 @@ class AgentMemory extends EventEmitter {
             shortTermMemory: Array.from(this.shortTermMemory.entries()),
             longTermMemory: Array.from(this.longTermMemory.entries()),
             conversations: this.conversations,
-            relationships: Array.from(this.relationships.entries()),
             facts: Array.from(this.facts.entries()),
             config: {
                 maxMemories: this.maxMemories,
@@ -457,14 +624,17 @@ class AgentMemory extends EventEmitter {
             this.conversations = data.conversations;
         }
         
+        // Older saves kept relationships here; the agent saves them now
         if (data.relationships) {
-            this.relationships = new Map(data.relationships);
+            this.relationships.deserialize(data.relationships);
         }
         
         if (data.facts) {
             this.facts = new Map(data.facts);
         }
         
+        this.rebuildIndex();
+        
         if (data.config) {
             this.maxMemories = data.config.maxMemories || this.maxMemories;
             this.maxConversations = data.config.maxConversations || this.maxConversations;
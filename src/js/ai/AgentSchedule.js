@@ -0,0 +1,61 @@
+/**
+ * AgentSchedule - An NPC's daily routine as data
+ * Each entry is { start, end, zone, activity }: the game hours it covers, the zone type the NPC should
+ * be in, and what it is doing there ("opening up the library"). An entry whose end is before its start
+ * runs past midnight. Routines are fixed commitments; the day plan fills the hours they leave free.
+ * The other townsfolk know each other's routines, which is how they can tell the player where someone is.
+ */
+class AgentSchedule {
+    constructor(entries = []) {
+        this.entries = [];
+        this.set(entries);
+    }
+
+    set(entries) {
+        this.entries = entries.map(entry => this.validate(entry));
+    }
+
+    validate(entry) {
+        const hour = (value) => typeof value === 'number' && value >= 0 && value <= 24;
+        if (!entry || !hour(entry.start) || !hour(entry.end) || entry.start === entry.end) {
+            throw new Error(`Schedule entry needs start and end hours between 0 and 24: ${JSON.stringify(entry)}`);
+        }
+        if (typeof entry.zone !== 'string' || typeof entry.activity !== 'string') {
+            throw new Error(`Schedule entry needs a zone and an activity: ${JSON.stringify(entry)}`);
+        }
+
+        return { start: entry.start, end: entry.end, zone: entry.zone, activity: entry.activity };
+    }
+
+    getEntries() {
+        return this.entries.slice();
+    }
+
+    covers(entry, hour) {
+        return entry.start < entry.end
+            ? hour >= entry.start && hour < entry.end
+            : hour >= entry.start || hour < entry.end;
+    }
+
+    // The entry in force at this hour; when entries overlap the one listed first wins
+    getEntryAt(hour) {
+        return this.entries.find(entry => this.covers(entry, hour)) || null;
+    }
+
+    // "08:00-09:00 library: opening up the library" per entry, in start order
+    describe() {
+        const clock = (hour) => `${String(Math.floor(hour)).padStart(2, '0')}:${String(Math.round((hour % 1) * 60)).padStart(2, '0')}`;
+        return this.entries
+            .slice()
+            .sort((a, b) => a.start - b.start)
+            .map(entry => `${clock(entry.start)}-${clock(entry.end)} ${entry.zone}: ${entry.activity}`);
+    }
+
+    serialize() {
+        return this.getEntries();
+    }
+
+    deserialize(entries) {
+        this.set(entries || []);
+    }
+}
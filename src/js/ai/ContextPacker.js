@@ -0,0 +1,186 @@
+/**
+ * ContextPacker - Fits an LLM prompt into a token budget
+ * Fills the budget in priority order (system prompt, world state, relevant memories, rolling summary,
+ * recent turns) and reports what made it in. Pure and deterministic: the same input packs the same way.
+ */
+class ContextPacker {
+    constructor(config = {}) {
+        this.maxTokens = config.maxTokens || 2000;
+        this.charsPerToken = config.charsPerToken || 4; // Rough average for English text
+        this.messageOverhead = config.messageOverhead || 4; // Role markers and separators per message
+        this.maxSummaryTokens = config.maxSummaryTokens || 300;
+    }
+
+    estimateTokens(text) {
+        return text ? Math.ceil(text.length / this.charsPerToken) : 0;
+    }
+
+    estimateMessage(message) {
+        return this.estimateTokens(message.content) + this.messageOverhead;
+    }
+
+    /**
+     * Pack prompt sections into messages.
+     * sections: { systemPrompt, instructions[], worldState, memories[], summary, turns[{user, assistant}], currentMessage }
+     * Returns { messages, report, droppedTurns } - droppedTurns are the older turns that did not fit.
+     */
+    pack(sections) {
+        const report = {
+            budget: this.maxTokens,
+            used: 0,
+            included: [],
+            dropped: [],
+            overBudget: false
+        };
+
+        const include = (section, tokens, detail = null) => {
+            report.used += tokens;
+            report.included.push({ section: section, tokens: tokens, detail: detail });
+        };
+        const drop = (section, tokens, detail = null) => {
+            report.dropped.push({ section: section, tokens: tokens, detail: detail });
+        };
+        const fits = (tokens) => report.used + tokens <= this.maxTokens;
+
+        // The system prompt, instructions and the player's message are always sent
+        const head = [sections.systemPrompt].concat(sections.instructions || [])
+            .filter(Boolean)
+            .map(content => ({ role: 'system', content: content }));
+        const current = { role: 'user', content: sections.currentMessage };
+
+        head.forEach((message, index) => include(index === 0 ? 'system' : 'instructions', this.estimateMessage(message)));
+        include('current_message', this.estimateMessage(current));
+
+        // World state
+        let worldMessage = null;
+        if (sections.worldState) {
+            worldMessage = { role: 'system', content: `Current world context: ${sections.worldState}` };
+            const tokens = this.estimateMessage(worldMessage);
+            if (fits(tokens)) {
+                include('world_state', tokens);
+            } else {
+                drop('world_state', tokens);
+                worldMessage = null;
+            }
+        }
+
+        // Relevant memories, most relevant first; each one is kept or skipped on its own
+        const memoryLines = [];
+        const memoryHeader = 'Things you remember that may be relevant:';
+        (sections.memories || []).forEach(memory => {
+            const line = `- ${memory}`;
+            const tokens = this.estimateTokens(line) + 1 +
+                (memoryLines.length === 0 ? this.estimateTokens(memoryHeader) + this.messageOverhead : 0);
+            if (fits(tokens)) {
+                memoryLines.push(line);
+                include('memory', tokens, memory);
+            } else {
+                drop('memory', tokens, memory);
+            }
+        });
+        const memoryMessage = memoryLines.length > 0
+            ? { role: 'system', content: [memoryHeader].concat(memoryLines).join('\n') }
+            : null;
+
+        // Rolling summary of turns that no longer fit
+        let summaryMessage = null;
+        if (sections.summary) {
+            summaryMessage = { role: 'system', content: `Summary of the earlier conversation:\n${sections.summary}` };
+            const tokens = this.estimateMessage(summaryMessage);
+            if (fits(tokens)) {
+                include('summary', tokens);
+            } else {
+                drop('summary', tokens);
+                summaryMessage = null;
+            }
+        }
+
+        // Recent turns, newest first, as one contiguous window
+        const turns = sections.turns || [];
+        const turnMessages = [];
+        let firstIncluded = turns.length;
+        for (let i = turns.length - 1; i >= 0; i--) {
+            const pair = [
+                { role: 'user', content: turns[i].user },
+                { role: 'assistant', content: turns[i].assistant }
+            ];
+            const tokens = this.estimateMessage(pair[0]) + this.estimateMessage(pair[1]);
+            if (!fits(tokens)) break;
+
+            turnMessages.unshift(...pair);
+            include('turn', tokens, i);
+            firstIncluded = i;
+        }
+
+        const droppedTurns = turns.slice(0, firstIncluded);
+        droppedTurns.forEach((turn, index) => drop('turn', this.estimateTokens(turn.user) + this.estimateTokens(turn.assistant), index));
+
+        report.overBudget = report.used > this.maxTokens;
+
+        const messages = head
+            .concat([worldMessage, memoryMessage, summaryMessage].filter(Boolean))
+            .concat(turnMessages)
+            .concat([current]);
+
+        return { messages: messages, report: report, droppedTurns: droppedTurns };
+    }
+
+    // Rolling summaries - extractive so they need no extra LLM call and stay deterministic
+    summarizeTurn(turn, playerName = 'Player') {
+        return `${playerName}: "${this.clip(turn.user)}" / You: "${this.clip(turn.assistant)}"`;
+    }
+
+    /**
+     * Add summary lines and fold the oldest ones into a keyword list once the summary outgrows its budget.
+     * summary: { earlierTopics[], lines[] } - returns a new summary object.
+     */
+    extendSummary(summary, newLines) {
+        const earlierTopics = summary.earlierTopics.slice();
+        const lines = summary.lines.concat(newLines);
+
+        while (lines.length > 1 && this.estimateTokens(this.renderSummary({ earlierTopics, lines })) > this.maxSummaryTokens) {
+            this.extractKeywords(lines.shift()).forEach(keyword => {
+                const existing = earlierTopics.indexOf(keyword);
+                if (existing !== -1) earlierTopics.splice(existing, 1);
+                earlierTopics.push(keyword);
+            });
+            earlierTopics.splice(0, Math.max(0, earlierTopics.length - 12));
+        }
+
+        return { earlierTopics: earlierTopics, lines: lines };
+    }
+
+    renderSummary(summary) {
+        const parts = [];
+        if (summary.earlierTopics.length > 0) {
+            parts.push(`Earlier topics: ${summary.earlierTopics.join(', ')}.`);
+        }
+        return parts.concat(summary.lines).join('\n');
+    }
+
+    clip(text, maxLength = 80) {
+        const clean = (text || '').replace(/\s+/g, ' ').trim();
+        const firstSentence = clean.match(/^.*?[.!?](\s|$)/);
+        const sentence = firstSentence ? firstSentence[0].trim() : clean;
+        if (sentence.length <= maxLength) return sentence;
+
+        const cut = sentence.slice(0, maxLength);
+        return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength) + '…';
+    }
+
+    extractKeywords(text, limit = 3) {
+        const stopWords = ['about', 'there', 'their', 'these', 'those', 'would', 'could', 'should', 'which',
+            'where', 'what', 'while', 'have', 'with', 'this', 'that', 'from', 'your', 'yours', 'player', 'really'];
+        const counts = new Map();
+
+        (text.toLowerCase().match(/[a-z']{5,}/g) || [])
+            .filter(word => !stopWords.includes(word))
+            .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+        // Most frequent first; alphabetical on ties keeps the order stable
+        return Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, limit)
+            .map(([word]) => word);
+    }
+}
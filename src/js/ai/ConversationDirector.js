@@ -0,0 +1,329 @@
+/**
+ * ConversationDirector - Lets NPCs talk with each other
+ * Agents that end up close together start a short exchange, and scheduled meetings send one agent
+ * over to another at a set hour. Each line goes through the speaker's usual AIAgent pipeline with the
+ * partner's last line as input, both sides store it in AgentMemory, and it shows as a speech bubble.
+ * Once both have spoken, they swap gossip through the GossipNetwork.
+ * Lines per exchange and exchanges per game day are capped so API costs stay bounded.
+ */
+class ConversationDirector extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.enabled = config.enabled !== false;
+        this.maxTurnsPerExchange = config.maxTurnsPerExchange || 6; // Lines spoken in one exchange, both sides together
+        this.maxExchangesPerDay = config.maxExchangesPerDay || 4;   // Per game day, across all agents
+        this.pairCooldownHours = config.pairCooldownHours || 3;     // Game hours before the same two talk again
+        this.talkDistance = config.talkDistance || 70;              // Pixels
+        this.checkInterval = config.checkInterval || 2;             // Seconds between proximity checks
+        this.visitTimeout = config.visitTimeout || 45;              // Seconds to reach a scheduled meeting
+        this.lineDelay = config.lineDelay || 1.5;                   // Seconds before the other side answers
+        this.maxHistory = config.maxHistory || 20;                  // Finished exchanges kept for debugging
+        this.gossip = config.gossip !== undefined ? config.gossip : GossipNetwork.getShared(); // null turns gossip off
+
+        // Meetings by game hour; the initiator walks over to the partner
+        this.schedule = config.schedule || [
+            { hour: 9, initiator: 'Milo the Inventor', partner: 'Elara the Merchant', topic: 'the parts you need for your inventions' },
+            { hour: 14, initiator: 'Elara the Merchant', partner: 'Old Man Tiberius', topic: 'the latest news around town' },
+            { hour: 18, initiator: 'Old Man Tiberius', partner: 'Milo the Inventor', topic: 'how his latest invention is coming along' }
+        ];
+
+        this.world = null;
+        this.agents = [];
+        this.exchanges = [];  // In progress
+        this.visits = [];     // Agents walking to a scheduled meeting
+        this.history = [];    // Finished exchanges, oldest first
+        this.lastTalked = new Map(); // pair key -> absolute game hour
+        this.exchangesToday = 0;
+        this.firedToday = new Set(); // Schedule entries already started today
+        this.checkTimer = 0;
+        this.nextId = 1;
+    }
+
+    attach(world, agents) {
+        this.world = world;
+        this.agents = agents;
+
+        this.world.on('newDay', () => {
+            this.exchangesToday = 0;
+            this.firedToday.clear();
+        });
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.exchanges.slice().forEach(exchange => this.finish(exchange, 'disabled'));
+            this.visits.slice().forEach(visit => this.cancelVisit(visit));
+        }
+    }
+
+    // budget: { maxTurnsPerExchange, maxExchangesPerDay }
+    setBudget(budget) {
+        if (budget.maxTurnsPerExchange !== undefined) this.maxTurnsPerExchange = budget.maxTurnsPerExchange;
+        if (budget.maxExchangesPerDay !== undefined) this.maxExchangesPerDay = budget.maxExchangesPerDay;
+    }
+
+    hasBudget() {
+        return this.exchangesToday < this.maxExchangesPerDay;
+    }
+
+    getGameHour() {
+        return this.world ? this.world.dayCount * 24 + this.world.timeOfDay : 0;
+    }
+
+    getPairKey(a, b) {
+        return [a.name, b.name].sort().join('|');
+    }
+
+    findAgent(name) {
+        return this.agents.find(agent => agent.name === name) || null;
+    }
+
+    // Free to start talking: not chatting with anyone and not on the way to a meeting
+    isAvailable(agent) {
+        return !agent.isInConversation && !this.visits.some(visit => visit.agent === agent || visit.partner === agent);
+    }
+
+    canTalk(a, b) {
+        const last = this.lastTalked.get(this.getPairKey(a, b));
+        return a !== b && this.hasBudget() &&
+            (last === undefined || this.getGameHour() - last >= this.pairCooldownHours);
+    }
+
+    // Called every frame while the game runs
+    update(deltaTime) {
+        if (!this.enabled || !this.world) return;
+
+        this.updateSchedule();
+        this.visits.slice().forEach(visit => this.updateVisit(visit, deltaTime));
+        this.exchanges.slice().forEach(exchange => this.advance(exchange, deltaTime));
+
+        this.checkTimer -= deltaTime;
+        if (this.checkTimer <= 0) {
+            this.checkTimer = this.checkInterval;
+            this.checkProximity();
+        }
+    }
+
+    // Scheduled meetings
+    updateSchedule() {
+        const hour = Math.floor(this.world.timeOfDay);
+
+        this.schedule.forEach((entry, index) => {
+            if (entry.hour !== hour || this.firedToday.has(index)) return;
+            this.firedToday.add(index);
+
+            const initiator = this.findAgent(entry.initiator);
+            const partner = this.findAgent(entry.partner);
+            if (initiator && partner && this.isAvailable(initiator) && this.isAvailable(partner) && this.canTalk(initiator, partner)) {
+                this.startVisit(initiator, partner, entry.topic || null);
+            }
+        });
+    }
+
+    startVisit(agent, partner, topic = null) {
+        const visit = { agent: agent, partner: partner, topic: topic, timer: this.visitTimeout };
+        agent.visitTarget = partner;
+        this.visits.push(visit);
+        this.emit('visitStarted', agent, partner, topic);
+        return visit;
+    }
+
+    updateVisit(visit, deltaTime) {
+        visit.timer -= deltaTime;
+
+        if (visit.agent.isInConversation || visit.partner.isInConversation || visit.timer <= 0) {
+            this.cancelVisit(visit);
+        } else if (visit.agent.position.distance(visit.partner.position) <= this.talkDistance) {
+            this.cancelVisit(visit);
+            if (this.canTalk(visit.agent, visit.partner)) {
+                this.startExchange(visit.agent, visit.partner, visit.topic);
+            }
+        }
+    }
+
+    cancelVisit(visit) {
+        this.visits = this.visits.filter(entry => entry !== visit);
+        if (visit.agent.visitTarget === visit.partner) {
+            visit.agent.visitTarget = null;
+            visit.agent.stopWalking();
+        }
+    }
+
+    // Chance meetings
+    checkProximity() {
+        for (let i = 0; i < this.agents.length; i++) {
+            for (let j = i + 1; j < this.agents.length; j++) {
+                const a = this.agents[i];
+                const b = this.agents[j];
+                if (!this.isAvailable(a) || !this.isAvailable(b) || !this.canTalk(a, b)) continue;
+                if (a.position.distance(b.position) > this.talkDistance) continue;
+
+                // Whoever speaks first is a coin toss
+                if (Math.random() < 0.5) {
+                    this.startExchange(a, b);
+                } else {
+                    this.startExchange(b, a);
+                }
+            }
+        }
+    }
+
+    // Exchanges
+    // Without a topic, the initiator brings up one from its day plan
+    startExchange(initiator, partner, topic = null) {
+        const exchange = {
+            id: this.nextId++,
+            initiator: initiator,
+            partner: partner,
+            topic: topic || initiator.getConversationTopic(),
+            day: this.world ? this.world.dayCount : null,
+            lines: [],
+            maxLines: this.maxTurnsPerExchange,
+            wait: 0,
+            pending: false,
+            finished: false,
+            controller: new AbortController(),
+            startedAt: Date.now()
+        };
+
+        this.exchangesToday++;
+        this.lastTalked.set(this.getPairKey(initiator, partner), this.getGameHour());
+
+        initiator.startConversation(partner);
+        partner.startConversation(initiator);
+
+        this.exchanges.push(exchange);
+        this.emit('exchangeStarted', this.describe(exchange));
+        return exchange;
+    }
+
+    advance(exchange, deltaTime) {
+        if (exchange.pending) return;
+
+        exchange.wait -= deltaTime;
+        if (exchange.wait > 0) return;
+
+        if (exchange.lines.length >= exchange.maxLines) {
+            this.finish(exchange, 'complete');
+        } else {
+            this.speakNext(exchange);
+        }
+    }
+
+    speakNext(exchange) {
+        const index = exchange.lines.length;
+        const speaker = index % 2 === 0 ? exchange.initiator : exchange.partner;
+        const listener = speaker === exchange.initiator ? exchange.partner : exchange.initiator;
+        const previous = exchange.lines[index - 1];
+
+        exchange.pending = true;
+        speaker.speakTo(listener, previous ? previous.text : null, {
+            opening: index === 0,
+            closing: index >= exchange.maxLines - 2, // Each side's last line wraps up
+            topic: exchange.topic,
+            history: this.buildHistory(exchange, speaker),
+            signal: exchange.controller.signal
+        })
+            .then(text => {
+                if (exchange.finished) return;
+
+                exchange.pending = false;
+                exchange.lines.push({ speaker: speaker.name, text: text, timestamp: Date.now() });
+                exchange.wait = this.lineDelay + text.split(/\s+/).length * 0.25;
+                this.emit('lineSpoken', speaker, listener, text, this.describe(exchange));
+            })
+            .catch(error => {
+                if (exchange.finished) return;
+
+                console.warn(`Conversation between ${exchange.initiator.name} and ${exchange.partner.name} failed:`, error.message);
+                this.finish(exchange, 'error');
+            });
+    }
+
+    // The exchange so far as { user, assistant } turns from the speaker's side, for its context window
+    buildHistory(exchange, speaker) {
+        const turns = [];
+
+        exchange.lines.forEach((line, index) => {
+            if (line.speaker !== speaker.name) return;
+
+            const heard = index > 0
+                ? exchange.lines[index - 1].text
+                : speaker.describeMeeting(exchange.partner, exchange.topic);
+            turns.push({ user: heard, assistant: line.text });
+        });
+
+        return turns;
+    }
+
+    finish(exchange, reason) {
+        if (exchange.finished) return;
+        exchange.finished = true;
+
+        if (exchange.pending) {
+            exchange.controller.abort();
+        }
+
+        this.exchanges = this.exchanges.filter(entry => entry !== exchange);
+
+        // The player may already have taken one of them over
+        [exchange.initiator, exchange.partner].forEach(agent => {
+            const other = agent === exchange.initiator ? exchange.partner : exchange.initiator;
+            if (agent.conversationPartner === other) {
+                agent.endConversation();
+            }
+        });
+        exchange.initiator.visitTarget = null;
+        exchange.initiator.stopWalking();
+
+        // Facts change hands once both of them have actually said something
+        const shared = this.gossip && exchange.lines.length >= 2
+            ? this.gossip.exchange(exchange.initiator, exchange.partner)
+            : [];
+
+        const record = { ...this.describe(exchange), reason: reason, factsShared: shared.length, endedAt: Date.now() };
+        this.history.push(record);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+
+        this.emit('exchangeEnded', record);
+    }
+
+    // Stop anything involving this agent, e.g. because the player walked up to talk
+    interrupt(agent) {
+        this.exchanges
+            .filter(exchange => exchange.initiator === agent || exchange.partner === agent)
+            .forEach(exchange => this.finish(exchange, 'interrupted'));
+
+        this.visits
+            .filter(visit => visit.agent === agent || visit.partner === agent)
+            .forEach(visit => this.cancelVisit(visit));
+    }
+
+    describe(exchange) {
+        return {
+            id: exchange.id,
+            initiator: exchange.initiator.name,
+            partner: exchange.partner.name,
+            topic: exchange.topic,
+            day: exchange.day,
+            lines: exchange.lines.slice(),
+            startedAt: exchange.startedAt
+        };
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            exchangesToday: this.exchangesToday,
+            maxExchangesPerDay: this.maxExchangesPerDay,
+            maxTurnsPerExchange: this.maxTurnsPerExchange,
+            active: this.exchanges.map(exchange => this.describe(exchange)),
+            visits: this.visits.map(visit => ({ agent: visit.agent.name, partner: visit.partner.name, topic: visit.topic })),
+            recent: this.history.slice()
+        };
+    }
+}
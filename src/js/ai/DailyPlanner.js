@@ -0,0 +1,280 @@
+/**
+ * DailyPlanner - The reflect-then-plan step agents run at the start of each day
+ * Reflection turns recent memories into a few higher-level insights ("People are talking about the
+ * visitor's interest in silver"). Planning turns goals and insights into a day plan: blocks of hours,
+ * each with a zone to be in and what to pursue there, plus topics to raise with the other townsfolk.
+ * The LLM does both when available; otherwise a rule-based planner does, so agents plan offline too.
+ */
+class DailyPlanner {
+    constructor(config = {}) {
+        this.maxInsights = config.maxInsights || 3;
+        this.maxTopics = config.maxTopics || 3;
+        this.maxMemoryLines = config.maxMemoryLines || 20; // Memories shown to the model when reflecting
+        this.dayStart = config.dayStart || 6;
+        this.dayEnd = config.dayEnd || 22;
+        this.parser = config.parser || new TurnParser(); // For its forgiving JSON extraction
+
+        this.reflectionSchema = {
+            type: 'object',
+            required: ['insights'],
+            properties: {
+                insights: { type: 'array', maxItems: 6, items: { type: 'string', minLength: 1, maxLength: 300 } }
+            }
+        };
+
+        this.planSchema = {
+            type: 'object',
+            required: ['summary', 'blocks', 'topics'],
+            properties: {
+                summary: { type: 'string', minLength: 1, maxLength: 300 },
+                blocks: {
+                    type: 'array',
+                    maxItems: 10,
+                    items: {
+                        type: 'object',
+                        required: ['start', 'end', 'zone', 'activity'],
+                        properties: {
+                            start: { type: 'number', minimum: 0, maximum: 24 },
+                            end: { type: 'number', minimum: 0, maximum: 24 },
+                            zone: { type: 'string' },
+                            activity: { type: 'string', minLength: 1, maxLength: 200 }
+                        }
+                    }
+                },
+                topics: { type: 'array', maxItems: 6, items: { type: 'string', minLength: 1, maxLength: 160 } }
+            }
+        };
+    }
+
+    // Reflection
+    /**
+     * evidence: { lines[], conversations[], rumours[], promises[], player: { name, trust } | null }
+     * details: { agentName, day, mood, goals[] }
+     * complete: optional async (messages) => text
+     * Returns { day, insights[], method }
+     */
+    async reflect(evidence, details, complete = null) {
+        if (complete && evidence.lines.length > 0) {
+            try {
+                const insights = this.parseReflection(await complete(this.buildReflectionMessages(evidence, details)));
+                if (insights) {
+                    return { day: details.day, insights: insights, method: 'llm' };
+                }
+                console.warn(`Reflection from ${details.agentName} was invalid, using rule-based reflection`);
+            } catch (error) {
+                console.warn(`Reflection failed for ${details.agentName}:`, error.message);
+            }
+        }
+
+        return { day: details.day, insights: this.reflectOffline(evidence, details), method: 'rules' };
+    }
+
+    buildReflectionMessages(evidence, details) {
+        return [
+            {
+                role: 'system',
+                content: `You are ${details.agentName}. Day ${details.day} is starting and you are thinking back over recent events. ` +
+                    `Your goals: ${details.goals.join('; ')}. ` +
+                    `From the memories below, draw up to ${this.maxInsights} higher-level insights about the people you met, ` +
+                    'the town and your goals, each one sentence in your own voice. ' +
+                    'Reply with only a JSON object: {"insights": ["..."]}'
+            },
+            { role: 'user', content: evidence.lines.slice(-this.maxMemoryLines).map(line => `- ${line}`).join('\n') }
+        ];
+    }
+
+    parseReflection(text) {
+        const data = this.parser.extractJSON(text);
+        if (!data || SchemaValidator.validate(this.reflectionSchema, data, 'reflection').length > 0) return null;
+
+        const insights = data.insights.map(insight => insight.trim()).filter(Boolean).slice(0, this.maxInsights);
+        return insights.length > 0 ? insights : null;
+    }
+
+    // Rule-based insights: rumours, who the agent keeps talking to, trust in the player, recurring topics, promises
+    reflectOffline(evidence, details) {
+        const insights = [];
+
+        evidence.rumours.slice(-1).forEach(rumour => insights.push(`Word is going around town: ${rumour}.`));
+
+        const partners = this.countBy(evidence.conversations.map(entry => entry.participant));
+        const [closest, talks] = partners[0] || [];
+        if (closest && talks >= 6) {
+            insights.push(`I have spent a good deal of time talking with ${closest} lately.`);
+        }
+
+        if (evidence.player) {
+            if (evidence.player.trust >= 70) {
+                insights.push(`${evidence.player.name} has earned a measure of my trust.`);
+            } else if (evidence.player.trust <= 30) {
+                insights.push(`I should be careful around ${evidence.player.name}.`);
+            }
+        }
+
+        const topics = this.countBy([].concat(...evidence.conversations.map(entry => entry.topics || [])));
+        if (topics.length > 0 && topics[0][1] >= 2) {
+            const recurring = topics.slice(0, 2).map(([topic]) => topic).join(' and ');
+            insights.push(`Conversations keep coming back to ${recurring}.`);
+        }
+
+        evidence.promises.slice(-1).forEach(promise => insights.push(`I should not forget this: ${promise}`));
+
+        if (insights.length === 0) {
+            insights.push(details.day > 1 ? 'Yesterday was a quiet day.' : 'A new day, and everything still to do.');
+        }
+
+        return insights.slice(0, this.maxInsights);
+    }
+
+    // Planning
+    /**
+     * details: { agentName, day, fromHour, goals[], insights[], zones[{ type, name }], homeZone, schedule, rumourSubjects[] }
+     * schedule is the agent's AgentSchedule; plan blocks are trimmed to the hours it leaves free.
+     * complete: optional async (messages) => text
+     * Returns { day, summary, blocks[{ start, end, zone, activity }], topics[], method }
+     */
+    async plan(details, complete = null) {
+        if (complete) {
+            try {
+                const plan = this.parsePlan(await complete(this.buildPlanMessages(details)), details);
+                if (plan) {
+                    return { day: details.day, ...plan, blocks: this.fitAround(plan.blocks, details.schedule), method: 'llm' };
+                }
+                console.warn(`Day plan from ${details.agentName} was invalid, using rule-based plan`);
+            } catch (error) {
+                console.warn(`Planning failed for ${details.agentName}:`, error.message);
+            }
+        }
+
+        const plan = this.planOffline(details);
+        return { day: details.day, ...plan, blocks: this.fitAround(plan.blocks, details.schedule), method: 'rules' };
+    }
+
+    buildPlanMessages(details) {
+        const zones = details.zones.map(zone => `${zone.type} (${zone.name})`).join(', ');
+        const from = Math.max(this.dayStart, Math.floor(details.fromHour));
+        const routine = details.schedule ? details.schedule.describe() : [];
+
+        return [
+            {
+                role: 'system',
+                content: `You are ${details.agentName}, planning day ${details.day}. Your usual place is ${details.homeZone}. ` +
+                    `Places you can be: ${zones}. ` +
+                    `Plan the hours from ${from} to ${this.dayEnd} as a few blocks, each with a place and what you will pursue there, ` +
+                    'and list topics you want to bring up with the other townsfolk. ' +
+                    (routine.length > 0 ? `You always keep to your routine (${routine.join('; ')}), so plan the other hours. ` : '') +
+                    'Reply with only a JSON object: ' +
+                    '{"summary": one sentence, "blocks": [{"start": hour, "end": hour, "zone": place, "activity": "..."}], ' +
+                    '"topics": ["..."]}'
+            },
+            {
+                role: 'user',
+                content: `Your goals:\n${details.goals.map(goal => `- ${goal}`).join('\n')}\n\n` +
+                    `Your insights from yesterday:\n${details.insights.map(insight => `- ${insight}`).join('\n') || '- None'}`
+            }
+        ];
+    }
+
+    parsePlan(text, details) {
+        const data = this.parser.extractJSON(text);
+        if (!data || SchemaValidator.validate(this.planSchema, data, 'plan').length > 0) return null;
+
+        const zoneTypes = details.zones.map(zone => zone.type);
+        const blocks = data.blocks
+            .filter(block => block.start < block.end && zoneTypes.includes(block.zone))
+            .map(block => ({ start: block.start, end: block.end, zone: block.zone, activity: block.activity.trim() }))
+            .sort((a, b) => a.start - b.start);
+        if (blocks.length === 0) return null;
+
+        return {
+            summary: data.summary.trim(),
+            blocks: blocks,
+            topics: data.topics.map(topic => topic.trim()).filter(Boolean).slice(0, this.maxTopics)
+        };
+    }
+
+    /**
+     * Rule-based plan. Each day focuses on a different goal, led by any goal yesterday's insights touch on:
+     * the morning and afternoon go to goals at home, midday to the town square to catch up on news.
+     */
+    planOffline(details) {
+        const goals = this.orderGoals(details.goals, details.insights, details.day);
+        const zoneTypes = details.zones.map(zone => zone.type);
+        const home = details.homeZone;
+        const square = zoneTypes.includes('townSquare') ? 'townSquare' : home;
+        const focus = goals[0] || 'get through the day';
+        const next = goals[1] || focus;
+
+        const blocks = [
+            { start: this.dayStart, end: 12, zone: home, activity: this.lowerFirst(focus) },
+            { start: 12, end: 14, zone: square, activity: square === home ? 'catch up with whoever passes by' : 'catch up on news in the town square' },
+            { start: 14, end: 19, zone: home, activity: this.lowerFirst(next) },
+            { start: 19, end: this.dayEnd, zone: home, activity: 'wind down and think over the day' }
+        ]
+            .filter(block => block.end > details.fromHour)
+            .map(block => ({ ...block, start: Math.max(block.start, Math.floor(details.fromHour)) }));
+
+        const topics = (details.rumourSubjects || []).slice(0, 1).map(subject => `what people are saying about ${subject}`)
+            .concat(goals.slice(0, 2).map(goal => `your plan to ${this.lowerFirst(goal)}`))
+            .slice(0, this.maxTopics);
+
+        return {
+            summary: `Today's focus: ${this.lowerFirst(focus)}.`,
+            blocks: blocks,
+            topics: topics
+        };
+    }
+
+    // Cut the hours the routine already covers out of each block
+    fitAround(blocks, schedule) {
+        if (!schedule) return blocks;
+
+        const fitted = [];
+        blocks.forEach(block => {
+            const edges = [block.start, block.end]
+                .concat(...schedule.getEntries().map(entry => [entry.start, entry.end]))
+                .filter(hour => hour >= block.start && hour <= block.end)
+                .sort((a, b) => a - b)
+                .filter((hour, index, list) => list.indexOf(hour) === index);
+
+            let piece = null;
+            for (let i = 0; i < edges.length - 1; i++) {
+                if (schedule.getEntryAt(edges[i])) {
+                    piece = null;
+                } else if (piece) {
+                    piece.end = edges[i + 1];
+                } else {
+                    piece = { ...block, start: edges[i], end: edges[i + 1] };
+                    fitted.push(piece);
+                }
+            }
+        });
+
+        return fitted;
+    }
+
+    // Goals the insights mention come first; otherwise rotate by day so every goal gets its turn
+    orderGoals(goals, insights, day) {
+        if (goals.length === 0) return [];
+
+        const rotated = goals.slice(day % goals.length).concat(goals.slice(0, day % goals.length));
+        const insightText = insights.join(' ').toLowerCase();
+        const mentions = (goal) => (goal.toLowerCase().match(/[a-z]{5,}/g) || [])
+            .filter(word => insightText.includes(word)).length;
+
+        return rotated
+            .map((goal, index) => ({ goal: goal, index: index, mentions: mentions(goal) }))
+            .sort((a, b) => b.mentions - a.mentions || a.index - b.index)
+            .map(entry => entry.goal);
+    }
+
+    lowerFirst(text) {
+        return text.charAt(0).toLowerCase() + text.slice(1);
+    }
+
+    countBy(values) {
+        const counts = new Map();
+        values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+    }
+}
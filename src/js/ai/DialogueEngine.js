@@ -0,0 +1,156 @@
+/**
+ * DialogueEngine - Offline replies from intent -> response tables
+ * Classifies the message with an IntentClassifier, then answers from the table of the best intent that
+ * has something to say, falling back to 'default'. Lines fill {slot} placeholders from the agent's state,
+ * and recently used lines are skipped while fresh ones remain, so scripted NPCs don't repeat themselves.
+ */
+class DialogueEngine {
+    constructor(config = {}) {
+        this.classifier = config.classifier || new IntentClassifier({
+            intents: { ...this.getCommonIntents(), ...(config.intents || {}) },
+            entities: config.entities
+        });
+        this.responses = {};
+        this.recentLimit = config.recentLimit || 8; // Lines remembered to avoid repeating them
+        this.recent = [];                             // Line keys, oldest first
+        this.random = config.random || Math.random;   // Injectable for deterministic picks
+
+        this.setResponses(config.responses || {});
+    }
+
+    // Intents every character understands; agents add their own and can override these
+    getCommonIntents() {
+        return {
+            greeting: { patterns: { 'hello': 2, 'hi': 2, 'hey': 2, 'greetings': 2, 'howdy': 2, 'good morning': 2, 'good day': 2, 'good evening': 2 } },
+            goodbye: { patterns: { 'goodbye': 2, 'bye': 2, 'farewell': 2, 'see you': 2, 'take care': 2, 'until next time': 2 } },
+            thanks: { patterns: { 'thank*': 2, 'thx': 2, 'appreciate*': 1 }, onNegated: 'decline' },
+            decline: { patterns: { 'no thank*': 3, 'not interested': 3, 'nevermind': 2, 'never mind': 2, 'maybe later': 2 } },
+            whereabouts: { patterns: { 'where': 3, 'whereabouts': 3, 'seen': 1 } },
+            // Read by the emotion model rather than answered from a table
+            compliment: { patterns: { 'brilliant': 2, 'clever': 2, 'wise': 2, 'impressive': 2, 'wonderful': 1, 'amazing': 1, 'so kind': 2, 'very kind': 2, 'you are kind': 3, 'love your': 3, 'you are great': 3 } },
+            insult: { patterns: { 'stupid': 3, 'idiot*': 3, 'fool*': 2, 'useless': 3, 'boring': 2, 'ugly': 3, 'shut up': 3, 'hate you': 3, 'liar': 3 } }
+        };
+    }
+
+    /**
+     * Replace the response tables.
+     * responses: { intent: [candidate] } where a candidate is
+     *   - a string with optional {slot} placeholders,
+     *   - a function (context, slots) => string or null (null means "not this time"), or
+     *   - { text, when: (context) => boolean } where text is either of the above.
+     * 'default' answers anything no other table handled; 'confused' answers messages without words.
+     */
+    setResponses(responses) {
+        this.responses = {};
+        this.addResponses(responses);
+    }
+
+    addResponses(responses) {
+        Object.entries(responses).forEach(([intent, candidates]) => {
+            this.responses[intent] = candidates.slice();
+        });
+    }
+
+    hasResponses(intent) {
+        return !!(this.responses[intent] && this.responses[intent].length > 0);
+    }
+
+    classify(message) {
+        return this.classifier.classify(message);
+    }
+
+    /**
+     * Pick a reply.
+     * context: { intent, slots, ... } - intent forces a table to try first (e.g. 'first_meeting'),
+     * slots is an object or a function returning one; everything else is passed to candidate functions.
+     * Returns { intent, text, classification }; text is null when no table had a usable line.
+     */
+    respond(message, context = {}) {
+        const classification = this.classify(message);
+
+        let slots = null;
+        const getSlots = () => {
+            if (!slots) {
+                slots = typeof context.slots === 'function' ? context.slots() : (context.slots || {});
+            }
+            return slots;
+        };
+
+        const lineContext = { ...context, message: message, classification: classification, entities: classification.entities };
+        const chain = [context.intent]
+            .concat(classification.wordCount === 0 ? ['confused'] : classification.intents)
+            .concat(['default'])
+            .filter((intent, index, list) => intent && list.indexOf(intent) === index);
+
+        for (const intent of chain) {
+            const text = this.pick(intent, lineContext, getSlots);
+            if (text) {
+                return { intent: intent, text: text, classification: classification };
+            }
+        }
+
+        return { intent: null, text: null, classification: classification };
+    }
+
+    // Fresh lines in random order first, then the least recently used ones
+    pick(intent, context, getSlots) {
+        const candidates = (this.responses[intent] || [])
+            .map((candidate, index) => ({ key: `${intent}:${index}`, candidate: candidate }))
+            .filter(entry => !entry.candidate.when || entry.candidate.when(context));
+
+        const fresh = candidates.filter(entry => !this.recent.includes(entry.key));
+        const stale = candidates.filter(entry => this.recent.includes(entry.key))
+            .sort((a, b) => this.recent.indexOf(a.key) - this.recent.indexOf(b.key));
+
+        for (const entry of this.shuffle(fresh).concat(stale)) {
+            const text = this.render(entry.candidate, context, getSlots);
+            if (text) {
+                this.remember(entry.key);
+                return text;
+            }
+        }
+
+        return null;
+    }
+
+    render(candidate, context, getSlots) {
+        const source = candidate && typeof candidate === 'object' ? candidate.text : candidate;
+        const text = typeof source === 'function' ? source(context, getSlots()) : source;
+        return typeof text === 'string' ? this.fill(text, getSlots) : null;
+    }
+
+    // Replace {slot} placeholders; a line whose slot is empty is skipped rather than shown half-filled
+    fill(text, getSlots) {
+        if (!/\{\w+\}/.test(text)) return text;
+
+        const slots = getSlots();
+        let complete = true;
+        const filled = text.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = slots[name];
+            if (value === undefined || value === null || value === '') {
+                complete = false;
+                return match;
+            }
+            return String(value);
+        });
+
+        return complete ? filled : null;
+    }
+
+    remember(key) {
+        this.recent = this.recent.filter(existing => existing !== key);
+        this.recent.push(key);
+        if (this.recent.length > this.recentLimit) {
+            this.recent.shift();
+        }
+    }
+
+    shuffle(list) {
+        const result = list.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * EmotionModel - How an agent feels, as a point in PAD (pleasure, arousal, dominance) space
+ * Each axis runs from -1 to 1. Events are appraised OCC-style: an event type names the emotion it stirs
+ * (an insult stirs anger, a gift gratitude) and that emotion's PAD direction nudges the state. Between
+ * events the state relaxes back to the personality's baseline. The mood label is whichever named mood
+ * lies nearest the current state, using the same vocabulary as structured turns. Personalities tune the
+ * baseline, how quickly feelings fade, and how hard each kind of event lands.
+ */
+class EmotionModel {
+    constructor(config = {}) {
+        this.baseline = { pleasure: 0, arousal: 0, dominance: 0, ...(config.baseline || {}) };
+        this.state = { ...this.baseline };
+        this.halfLife = config.halfLife || 60;          // Seconds for half of a feeling to fade
+        this.reactivity = config.reactivity || 1;       // Scales every appraisal
+        this.sensitivity = config.sensitivity || {};    // Event type -> multiplier, e.g. { insult: 1.5 }
+        this.expressionWeight = config.expressionWeight || 0.5; // How far a reported emotion pulls the state
+        this.emotions = { ...this.getOccEmotions(), ...(config.emotions || {}) };
+        this.events = { ...this.getCommonEvents(), ...(config.events || {}) };
+        this.moods = { ...this.getMoods(), ...(config.moods || {}) };
+        this.recent = [];                               // { event, emotion, cause, strength } still felt, strongest first
+        this.maxRecent = config.maxRecent || 5;
+    }
+
+    // OCC emotions and their PAD directions
+    getOccEmotions() {
+        return {
+            joy: [0.40, 0.20, 0.10],
+            distress: [-0.40, -0.20, -0.50],
+            hope: [0.20, 0.20, -0.10],
+            fear: [-0.64, 0.60, -0.43],
+            satisfaction: [0.30, -0.20, 0.40],
+            disappointment: [-0.30, 0.10, -0.40],
+            gratitude: [0.40, 0.20, -0.30],
+            gratification: [0.60, 0.50, 0.40],
+            anger: [-0.51, 0.59, 0.25],
+            reproach: [-0.30, -0.10, 0.40],
+            liking: [0.40, 0.16, -0.24]
+        };
+    }
+
+    // Event type -> { emotion, intensity, cause, sours }; cause explains the mood to the model, and a souring event
+    // wipes out any pleasure before it lands, so an insult straight after a compliment still reads as an insult
+    getCommonEvents() {
+        return {
+            compliment: { emotion: 'joy', intensity: 1, cause: 'someone paid you a compliment' },
+            insult: { emotion: 'anger', intensity: 1, cause: 'someone insulted you', sours: true },
+            gift: { emotion: 'gratitude', intensity: 1, cause: 'someone gave you a gift' },
+            questProgress: { emotion: 'satisfaction', intensity: 0.8, cause: 'your work is moving forward' },
+            questSetback: { emotion: 'disappointment', intensity: 0.8, cause: 'your work has hit a setback' },
+            sharedInterest: { emotion: 'gratification', intensity: 0.5, cause: 'someone shares your passion' },
+            trustGained: { emotion: 'liking', intensity: 1, cause: 'the visitor is winning you over' },
+            trustLost: { emotion: 'reproach', intensity: 1, cause: 'the visitor has let you down' },
+            clear: { emotion: 'joy', intensity: 0.3, cause: 'the fine weather' },
+            cloudy: { emotion: 'distress', intensity: 0.1, cause: 'the grey skies' },
+            rain: { emotion: 'distress', intensity: 0.3, cause: 'the rain' },
+            storm: { emotion: 'fear', intensity: 0.5, cause: 'the storm' }
+        };
+    }
+
+    // Named moods as points in PAD space; the nearest one labels the state
+    getMoods() {
+        return {
+            neutral: [0, 0, 0],
+            friendly: [0.35, -0.10, 0.10],
+            happy: [0.60, 0.30, 0.20],
+            enthusiastic: [0.60, 0.70, 0.30],
+            curious: [0.20, 0.50, -0.10],
+            suspicious: [-0.30, 0.10, 0.30],
+            annoyed: [-0.50, 0.50, 0.40],
+            worried: [-0.40, 0.40, -0.40],
+            sad: [-0.50, -0.40, -0.30],
+            tired: [0, -0.70, -0.20]
+        };
+    }
+
+    /**
+     * Let an event move the state. options: { intensity, cause } override the event's defaults.
+     * Returns the OCC emotion it stirred, or null for an unknown event.
+     */
+    appraise(event, options = {}) {
+        const appraisal = this.events[event];
+        const direction = appraisal ? this.emotions[appraisal.emotion] : null;
+        if (!direction) return null;
+
+        const intensity = options.intensity !== undefined ? options.intensity : appraisal.intensity;
+        const sensitivity = this.sensitivity[event] !== undefined ? this.sensitivity[event] : 1;
+        const strength = intensity * sensitivity * this.reactivity;
+        if (strength <= 0) return appraisal.emotion;
+
+        if (appraisal.sours && this.state.pleasure > 0) {
+            this.state.pleasure = 0;
+        }
+        this.shift(direction.map(value => value * strength));
+        this.recent = [{ event: event, emotion: appraisal.emotion, cause: options.cause || appraisal.cause, strength: strength }]
+            .concat(this.recent.filter(entry => entry.event !== event))
+            .sort((a, b) => b.strength - a.strength)
+            .slice(0, this.maxRecent);
+
+        return appraisal.emotion;
+    }
+
+    // Pull the state toward a named mood, e.g. the emotion a structured turn reports
+    express(mood, weight = this.expressionWeight) {
+        const target = this.moods[mood];
+        if (!target) return false;
+
+        const current = this.toVector();
+        this.shift(target.map((value, index) => (value - current[index]) * weight));
+        return true;
+    }
+
+    shift([pleasure, arousal, dominance]) {
+        const clamp = (value) => Math.max(-1, Math.min(1, value));
+        this.state = {
+            pleasure: clamp(this.state.pleasure + pleasure),
+            arousal: clamp(this.state.arousal + arousal),
+            dominance: clamp(this.state.dominance + dominance)
+        };
+    }
+
+    // Relax toward the baseline; remembered causes fade at the same rate
+    update(deltaTime) {
+        const remaining = Math.pow(0.5, deltaTime / this.halfLife);
+        Object.keys(this.state).forEach(axis => {
+            this.state[axis] = this.baseline[axis] + (this.state[axis] - this.baseline[axis]) * remaining;
+        });
+
+        this.recent.forEach(entry => { entry.strength *= remaining; });
+        this.recent = this.recent.filter(entry => entry.strength >= 0.25);
+    }
+
+    toVector() {
+        return [this.state.pleasure, this.state.arousal, this.state.dominance];
+    }
+
+    getLabel() {
+        const current = this.toVector();
+        const distance = (point) => Math.sqrt(point.reduce((sum, value, index) => sum + (value - current[index]) ** 2, 0));
+
+        return Object.entries(this.moods)
+            .reduce((best, [mood, point]) => distance(point) < best.distance ? { mood: mood, distance: distance(point) } : best,
+                { mood: 'neutral', distance: Infinity }).mood;
+    }
+
+    // 0 (calm) to 1 (as strongly as the model can feel)
+    getIntensity() {
+        const [pleasure, arousal, dominance] = this.toVector();
+        return Math.min(1, Math.sqrt(pleasure * pleasure + arousal * arousal + dominance * dominance));
+    }
+
+    // "a little annoyed", "happy", "very worried"; label defaults to the nearest mood
+    describe(label = this.getLabel()) {
+        if (label === 'neutral') return 'calm';
+
+        const intensity = this.getIntensity();
+        if (intensity < 0.35) return `a little ${label}`;
+        if (intensity > 0.75) return `very ${label}`;
+        return label;
+    }
+
+    // Why the agent feels this way, from the strongest appraisal still felt
+    getCause() {
+        return this.recent.length > 0 ? this.recent[0].cause : null;
+    }
+
+    // Animation tempo: 0.5 when listless, 1.5 when agitated
+    getTempo() {
+        return 1 + this.state.arousal * 0.5;
+    }
+
+    serialize() {
+        return {
+            state: { ...this.state },
+            recent: this.recent.map(entry => ({ ...entry }))
+        };
+    }
+
+    deserialize(data) {
+        if (!data) return;
+        this.state = { ...this.baseline, ...(data.state || {}) };
+        this.recent = (data.recent || []).map(entry => ({ ...entry }));
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * EpisodeSummarizer - Condenses a finished chat into an episodic memory
+ * An episode records what the conversation was about, the facts the NPC learned, promises either side made
+ * and how the NPC felt about it. The LLM writes it when available; otherwise an extractive summarizer picks
+ * the sentences out of the transcript, so episodes are stored offline too.
+ */
+class EpisodeSummarizer {
+    constructor(config = {}) {
+        this.maxFacts = config.maxFacts || 4;
+        this.maxPromises = config.maxPromises || 3;
+        this.maxTopics = config.maxTopics || 5;
+        this.maxTranscriptChars = config.maxTranscriptChars || 4000;
+        this.parser = config.parser || new TurnParser(); // For its forgiving JSON extraction
+
+        this.schema = {
+            type: 'object',
+            required: ['summary', 'facts', 'promises', 'feeling'],
+            properties: {
+                summary: { type: 'string', minLength: 1, maxLength: 400 },
+                facts: { type: 'array', maxItems: 6, items: { type: 'string' } },
+                promises: { type: 'array', maxItems: 6, items: { type: 'string' } },
+                feeling: { type: 'string', minLength: 1, maxLength: 160 },
+                topics: { type: 'array', maxItems: 8, items: { type: 'string' } }
+            }
+        };
+
+        // Sentences where the speaker tells something about themselves
+        this.factPattern = /\b(my name is|i am|i'm|i come from|i live|i work|i have|i've|i lost|i need|i want|i found|my \w+ (is|was))\b/i;
+        // Sentences that commit the speaker to something later
+        this.promisePattern = /\b(i will|i'll|i promise|i'm going to|i shall|let me|next time|i can bring|i'll bring|we'll|come back)\b/i;
+    }
+
+    /**
+     * Summarize a session.
+     * session: { partner, startedAt, endedAt, trustAtStart, messages[conversation entries] }
+     * details: { agentName, mood, trust }
+     * complete: optional async (messages) => text, used when the NPC has a model available
+     */
+    async summarize(session, details, complete = null) {
+        if (complete) {
+            try {
+                const text = await complete(this.buildMessages(session, details));
+                const episode = this.parse(text);
+                if (episode) {
+                    return this.finish(episode, session, details, 'llm');
+                }
+                console.warn(`Episode summary from ${details.agentName} was invalid, using extractive summary`);
+            } catch (error) {
+                console.warn(`Episode summary failed for ${details.agentName}:`, error.message);
+            }
+        }
+
+        return this.finish(this.summarizeExtractive(session, details), session, details, 'extractive');
+    }
+
+    // LLM summary
+    buildMessages(session, details) {
+        return [
+            {
+                role: 'system',
+                content: `You are ${details.agentName}. A conversation with ${session.partner} just ended. ` +
+                    'Write your private memory of it, from your own point of view, as a JSON object: ' +
+                    '{"summary": one or two sentences, "facts": things you learned about them or the world, ' +
+                    '"promises": anything either of you promised to do, "feeling": how the conversation left you feeling, ' +
+                    '"topics": a few short keywords}. Use empty arrays when there is nothing to note. Reply with only the JSON.'
+            },
+            { role: 'user', content: this.buildTranscript(session, details.agentName) }
+        ];
+    }
+
+    buildTranscript(session, agentName) {
+        const lines = session.messages.map(entry => {
+            const speaker = entry.type === 'sent' ? agentName : entry.participant;
+            return `${speaker}: ${entry.message}`;
+        });
+
+        // Keep the end of long chats, where the latest facts and promises are
+        let transcript = lines.join('\n');
+        if (transcript.length > this.maxTranscriptChars) {
+            transcript = '…' + transcript.slice(-this.maxTranscriptChars);
+        }
+        return transcript;
+    }
+
+    parse(text) {
+        const data = this.parser.extractJSON(text);
+        if (!data) return null;
+
+        const errors = SchemaValidator.validate(this.schema, data, 'episode');
+        if (errors.length > 0) return null;
+
+        return {
+            summary: data.summary.trim(),
+            facts: data.facts.slice(0, this.maxFacts),
+            promises: data.promises.slice(0, this.maxPromises),
+            feeling: data.feeling.trim(),
+            topics: (data.topics || []).slice(0, this.maxTopics).map(topic => topic.toLowerCase())
+        };
+    }
+
+    // Extractive summary - no model needed
+    summarizeExtractive(session, details) {
+        const facts = [];
+        const promises = [];
+
+        session.messages.forEach(entry => {
+            const speaker = entry.type === 'sent' ? 'You' : entry.participant;
+
+            this.splitSentences(entry.message).forEach(sentence => {
+                if (entry.type !== 'sent' && this.factPattern.test(sentence) && !sentence.endsWith('?')) {
+                    facts.push(`${speaker} said: "${sentence}"`);
+                }
+                if (this.promisePattern.test(sentence) && !sentence.endsWith('?')) {
+                    promises.push(`${speaker} ${speaker === 'You' ? 'said' : 'promised'}: "${sentence}"`);
+                }
+            });
+        });
+
+        const topics = this.collectTopics(session);
+        const playerMessages = session.messages.filter(entry => entry.type !== 'sent').length;
+        const about = topics.length > 0 ? ` about ${topics.join(', ')}` : '';
+
+        return {
+            summary: `Talked with ${session.partner}${about} (${playerMessages} message${playerMessages === 1 ? '' : 's'} from them).`,
+            // The latest statements are the most likely to still be true
+            facts: facts.slice(-this.maxFacts),
+            promises: promises.slice(-this.maxPromises),
+            feeling: this.describeFeeling(session, details),
+            topics: topics
+        };
+    }
+
+    collectTopics(session) {
+        const counts = new Map();
+        session.messages.forEach(entry => {
+            (entry.topics || []).forEach(topic => counts.set(topic, (counts.get(topic) || 0) + 1));
+        });
+
+        return Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, this.maxTopics)
+            .map(([topic]) => topic);
+    }
+
+    describeFeeling(session, details) {
+        const sentiments = session.messages
+            .filter(entry => entry.type !== 'sent')
+            .map(entry => entry.sentiment || 0);
+        const averageSentiment = sentiments.length > 0
+            ? sentiments.reduce((sum, value) => sum + value, 0) / sentiments.length
+            : 0;
+        const trustChange = details.trust - session.trustAtStart;
+
+        let feeling;
+        if (trustChange >= 5 || averageSentiment > 0.15) {
+            feeling = `warmer towards ${session.partner} than before`;
+        } else if (trustChange <= -5 || averageSentiment < -0.15) {
+            feeling = `more wary of ${session.partner} than before`;
+        } else {
+            feeling = `much the same about ${session.partner}`;
+        }
+
+        return `${feeling}, and ${details.mood} by the end`;
+    }
+
+    splitSentences(text) {
+        return (text.match(/[^.!?]+[.!?]*/g) || [])
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.length > 3);
+    }
+
+    finish(episode, session, details, method) {
+        return {
+            ...episode,
+            participant: session.partner,
+            messageCount: session.messages.length,
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            trustChange: details.trust - session.trustAtStart,
+            method: method
+        };
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * GossipNetwork - Spreads facts between agents
+ * What the player tells one NPC becomes a fact in that NPC's memory. When two NPCs talk, each passes on
+ * some of the facts it knows; how many depends on how gossipy (or reclusive) the speaker is and how much
+ * it trusts the listener. Every hop lowers the fact's fidelity, and low-fidelity copies lose detail:
+ * the exact note first, then keywords, until only the topic is left. Each copy carries its provenance,
+ * the chain of who told whom and when, so an NPC can say where it heard something.
+ */
+class GossipNetwork extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.hopDecay = config.hopDecay || 0.75;               // Fidelity kept on each retelling
+        this.minFidelity = config.minFidelity || 0.25;         // Below this a fact is too vague to pass on
+        this.noteFidelity = config.noteFidelity || 0.7;        // Below this the exact note is lost
+        this.keywordFidelity = config.keywordFidelity || 0.4;  // Below this only the topic survives
+        this.maxFactsPerExchange = config.maxFactsPerExchange || 3;
+        this.minWords = config.minWords || 3;                  // Shorter player messages aren't worth repeating
+        this.maxLog = config.maxLog || 200;
+        this.highlightSeconds = config.highlightSeconds || 30; // How long the debug view shows a retelling
+        this.random = config.random || Math.random;            // Injectable for deterministic sharing
+
+        this.stopWords = new Set(['about', 'again', 'also', 'anyone', 'anything', 'been', 'come', 'could', 'does',
+            'doing', 'done', 'find', 'from', 'give', 'going', 'good', 'have', 'hello', 'help', 'here', 'into', 'just',
+            'know', 'like', 'looking', 'make', 'many', 'maybe', 'more', 'much', 'need', 'please', 'really', 'some',
+            'someone', 'something', 'sure', 'tell', 'than', 'thank', 'thanks', 'that', 'their', 'them', 'then',
+            'there', 'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'very', 'visitor', 'want', 'well',
+            'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your', 'yours', 'player']);
+
+        this.log = []; // Every retelling, oldest first
+    }
+
+    // One network for the whole town, like the scheduler and telemetry
+    static getShared() {
+        if (!GossipNetwork.shared) {
+            GossipNetwork.shared = new GossipNetwork();
+        }
+        return GossipNetwork.shared;
+    }
+
+    // Where facts come from
+    /**
+     * Turn something the player said to an agent into a fact that agent can pass on.
+     * conversation is an AgentMemory conversation entry. Returns the fact, or null when there is nothing to repeat.
+     */
+    observe(agent, conversation) {
+        const words = (conversation.message.match(/[a-z']+/gi) || []).length;
+        const keywords = this.extractKeywords(conversation.message);
+        if (words < this.minWords || keywords.length === 0) return null;
+
+        // The same player asking about the same things again is not news
+        const known = agent.memory.getFacts().some(fact => fact.about === conversation.participant &&
+            fact.keywords.join(' ') === keywords.join(' '));
+        if (known) return null;
+
+        return this.createFact(agent, {
+            about: conversation.participant,
+            verb: conversation.message.includes('?') ? 'asked about' : 'mentioned',
+            keywords: keywords,
+            topics: conversation.topics
+        });
+    }
+
+    // A note the model chose to remember about someone (a structured turn's memory_note)
+    observeNote(agent, participant, note, topics = []) {
+        return this.createFact(agent, {
+            about: participant.name,
+            verb: 'mentioned',
+            note: note,
+            keywords: this.extractKeywords(note),
+            topics: topics
+        });
+    }
+
+    createFact(agent, details) {
+        const fact = {
+            id: 'fact_' + Date.now() + '_' + Math.random().toString(36).substring(2, 8),
+            about: details.about,
+            verb: details.verb,
+            note: details.note || null,
+            keywords: details.keywords || [],
+            topics: details.topics || [],
+            fidelity: 1,
+            heardFrom: details.about,
+            teller: details.about,
+            chain: [this.stamp(details.about, agent)]
+        };
+
+        agent.memory.addFact(fact);
+        this.record(fact, details.about, agent);
+        return fact;
+    }
+
+    // Content words, most frequent first and longer (usually more specific) words on ties
+    extractKeywords(text, limit = 3) {
+        const counts = new Map();
+        (String(text || '').toLowerCase().match(/[a-z]{4,}/g) || [])
+            .filter(word => !this.stopWords.has(word))
+            .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+        return Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)
+            .slice(0, limit)
+            .map(([word]) => word);
+    }
+
+    // Spreading
+    // 0-1, from the gossipy and reclusive personality traits
+    getOpenness(agent) {
+        const gossipy = agent.personality.gossipy !== undefined ? Number(agent.personality.gossipy) : 0.5;
+        const reclusive = agent.personality.reclusive !== undefined ? Number(agent.personality.reclusive) : 0;
+        return Math.max(0, Math.min(1, gossipy - reclusive * 0.4));
+    }
+
+    // Chance of passing each fact on; closeness to the listener (trust and affection) scales it from half to one and a half
+    getShareChance(speaker, listener) {
+        const relationship = speaker.memory.getRelationship(listener);
+        const closeness = relationship ? (relationship.trust + relationship.affection) / 2 : 50;
+        return Math.max(0, Math.min(1, this.getOpenness(speaker) * (0.5 + closeness / 100)));
+    }
+
+    // Facts the speaker could tell the listener, newest first
+    getShareable(speaker, listener) {
+        return speaker.memory.getFacts()
+            .filter(fact => fact.fidelity * this.hopDecay >= this.minFidelity &&
+                fact.about !== listener.name &&
+                !listener.memory.hasFact(fact.id) &&
+                !fact.chain.some(link => link.from === listener.name))
+            .reverse();
+    }
+
+    // The speaker passes some of its facts to the listener; returns the copies the listener learned
+    share(speaker, listener) {
+        const chance = this.getShareChance(speaker, listener);
+        const shared = [];
+
+        for (const fact of this.getShareable(speaker, listener)) {
+            if (shared.length >= this.maxFactsPerExchange) break;
+            if (this.random() >= chance) continue;
+            shared.push(this.relay(fact, speaker, listener));
+        }
+
+        return shared;
+    }
+
+    // Both sides of a conversation share
+    exchange(a, b) {
+        return this.share(a, b).concat(this.share(b, a));
+    }
+
+    relay(fact, speaker, listener) {
+        const copy = this.degrade({
+            ...fact,
+            keywords: fact.keywords.slice(),
+            topics: fact.topics.slice(),
+            heardFrom: speaker.name,
+            teller: speaker.shortName || speaker.name,
+            chain: fact.chain.concat([this.stamp(speaker.name, listener)])
+        }, fact.fidelity * this.hopDecay);
+        delete copy.mentioned;
+
+        listener.memory.addFact(copy);
+        this.record(copy, speaker.name, listener);
+        this.emit('factShared', copy, speaker, listener);
+        return copy;
+    }
+
+    // Details fade as fidelity drops: the exact note, then the less important keywords, then all of them
+    degrade(fact, fidelity) {
+        fact.fidelity = Math.round(fidelity * 1000) / 1000;
+        if (fidelity < this.noteFidelity) {
+            fact.note = null;
+        }
+        if (fidelity < this.keywordFidelity) {
+            fact.keywords = [];
+        } else {
+            fact.keywords = fact.keywords.slice(0, Math.max(1, Math.ceil(fact.keywords.length * fidelity)));
+        }
+        return fact;
+    }
+
+    // Who told whom, and when
+    stamp(from, listener) {
+        const world = listener.world;
+        return {
+            from: from,
+            to: listener.name,
+            day: world ? world.dayCount : null,
+            hour: world ? Math.floor(world.timeOfDay) : null,
+            timestamp: Date.now()
+        };
+    }
+
+    record(fact, from, listener) {
+        this.log.push({
+            factId: fact.id,
+            from: from,
+            to: listener.name,
+            fidelity: fact.fidelity,
+            text: listener.memory.renderFact(fact),
+            timestamp: Date.now()
+        });
+        if (this.log.length > this.maxLog) {
+            this.log.shift();
+        }
+    }
+
+    // Debugging
+    getLog() {
+        return this.log.slice();
+    }
+
+    // Every retelling of one fact, in order
+    trace(factId) {
+        return this.log.filter(entry => entry.factId === factId);
+    }
+
+    // Debug view: arrows between agents for recent retellings, labelled with what arrived
+    render(renderer, agents) {
+        const now = Date.now();
+        const recent = this.log.filter(entry => now - entry.timestamp < this.highlightSeconds * 1000);
+        const ctx = renderer.ctx;
+
+        recent.forEach(entry => {
+            const from = agents.find(agent => agent.name === entry.from);
+            const to = agents.find(agent => agent.name === entry.to);
+            if (!from || !to) return;
+
+            const alpha = 1 - (now - entry.timestamp) / (this.highlightSeconds * 1000);
+            const color = `rgba(241, 196, 15, ${alpha.toFixed(2)})`;
+            const direction = to.position.subtract(from.position).normalize();
+            const tip = to.position.subtract(direction.multiply(22));
+
+            renderer.drawLine(from.position, tip, color, 2);
+
+            ctx.save();
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(tip.x, tip.y);
+            ctx.lineTo(tip.x - direction.x * 10 - direction.y * 5, tip.y - direction.y * 10 + direction.x * 5);
+            ctx.lineTo(tip.x - direction.x * 10 + direction.y * 5, tip.y - direction.y * 10 - direction.x * 5);
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+
+            const middle = from.position.add(tip).multiply(0.5);
+            renderer.drawText(`${entry.text} (${Math.round(entry.fidelity * 100)}%)`, middle, {
+                font: '10px Arial',
+                color: color,
+                align: 'center',
+                baseline: 'bottom'
+            });
+        });
+    }
+}
+
+GossipNetwork.shared = null;
@@ -0,0 +1,198 @@
+/**
+ * IntentClassifier - Small rule-based intent classifier for offline dialogue
+ * Messages are tokenized into whole words (so "hi" no longer matches "this"), contractions are expanded,
+ * and words within a few tokens after a negator ("not", "never", "don't") are marked negated, so
+ * "I'm not looking to buy" does not count as wanting to buy. Each intent scores the weights of the
+ * patterns it matches; a pattern ending in * matches any word with that prefix.
+ */
+class IntentClassifier {
+    constructor(config = {}) {
+        this.minScore = config.minScore || 1;
+        this.negationWindow = config.negationWindow || 3; // Words after a negator that it applies to
+        this.negators = new Set(config.negators || ['not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'without', 'hardly']);
+        this.clauseBreaks = new Set(config.clauseBreaks || ['but', 'though', 'although', 'however', 'yet']);
+
+        this.intents = new Map();  // name -> { patterns[{ words, weight }], onNegated }
+        this.entities = new Map(); // type -> [{ value, aliases[words] }]
+
+        if (config.intents) this.define(config.intents);
+        if (config.entities) this.defineEntities(config.entities);
+    }
+
+    /**
+     * Add or replace intents. Earlier intents win ties.
+     * intents: { name: { patterns: { 'phrase': weight }, onNegated: 'intent' } }
+     * onNegated scores another intent when a pattern only appears negated ("not interested in buying" -> decline).
+     */
+    define(intents) {
+        Object.entries(intents).forEach(([name, definition]) => {
+            this.intents.set(name, {
+                patterns: Object.entries(definition.patterns || {}).map(([phrase, weight]) => ({
+                    words: this.compile(phrase),
+                    weight: weight
+                })),
+                onNegated: definition.onNegated || null
+            });
+        });
+    }
+
+    // entities: { type: { value: ['alias', 'other alias'] } } - e.g. which person a message is about
+    defineEntities(entities) {
+        Object.entries(entities).forEach(([type, values]) => {
+            this.entities.set(type, Object.entries(values).map(([value, aliases]) => ({
+                value: value,
+                aliases: aliases.map(alias => this.compile(alias))
+            })));
+        });
+    }
+
+    getIntentNames() {
+        return Array.from(this.intents.keys());
+    }
+
+    compile(phrase) {
+        return phrase.toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    // Tokenization
+    expandContractions(text) {
+        return text
+            .replace(/[‘’]/g, '\'')
+            .replace(/\bcan't\b/g, 'can not')
+            .replace(/\bwon't\b/g, 'will not')
+            .replace(/n't\b/g, ' not')
+            .replace(/'m\b/g, ' am')
+            .replace(/'re\b/g, ' are')
+            .replace(/'ll\b/g, ' will')
+            .replace(/'ve\b/g, ' have')
+            .replace(/'d\b/g, ' would');
+    }
+
+    /**
+     * Split a message into { word, negated, negator } tokens.
+     * A null token separates clauses so phrases and negation never reach across punctuation.
+     */
+    tokenize(text) {
+        const tokens = [];
+        const clauses = this.expandContractions(String(text || '').toLowerCase()).split(/[.,;:!?()\n]+/);
+
+        clauses.forEach(clause => {
+            let negatedFor = 0;
+            (clause.match(/[a-z0-9']+/g) || []).forEach(raw => {
+                const word = raw.replace(/'s$/, '').replace(/'/g, '');
+                if (!word) return;
+
+                if (this.clauseBreaks.has(word)) {
+                    negatedFor = 0;
+                    tokens.push(null);
+                } else if (this.negators.has(word)) {
+                    negatedFor = this.negationWindow;
+                    tokens.push({ word: word, negated: false, negator: true });
+                } else {
+                    tokens.push({ word: word, negated: negatedFor > 0, negator: false });
+                    if (negatedFor > 0) negatedFor--;
+                }
+            });
+            tokens.push(null);
+        });
+
+        return tokens;
+    }
+
+    wordMatches(token, word) {
+        if (!token) return false;
+        return word.endsWith('*') ? token.word.startsWith(word.slice(0, -1)) : token.word === word;
+    }
+
+    /**
+     * Find a phrase in the tokens. Returns { found, negated }: negated when every occurrence had a
+     * negated word. Phrases that spell out their own negation ("not interested") are never negated.
+     */
+    findPhrase(tokens, words) {
+        const includesNegator = words.some(word => this.negators.has(word));
+        let negatedHit = false;
+
+        for (let start = 0; start + words.length <= tokens.length; start++) {
+            const span = tokens.slice(start, start + words.length);
+            if (!words.every((word, offset) => this.wordMatches(span[offset], word))) continue;
+
+            if (includesNegator || !span.some(token => token.negated)) {
+                return { found: true, negated: false };
+            }
+            negatedHit = true;
+        }
+
+        return { found: negatedHit, negated: negatedHit };
+    }
+
+    // Classification
+    /**
+     * Returns { intent, score, confidence, intents[], scores{}, negated[], entities{}, isQuestion, wordCount }.
+     * intents lists every intent that reached minScore, best first; intent is null when none did.
+     */
+    classify(text) {
+        const tokens = this.tokenize(text);
+        const scores = {};
+        const negated = [];
+
+        this.intents.forEach((definition, name) => {
+            scores[name] = scores[name] || 0;
+
+            definition.patterns.forEach(pattern => {
+                const match = this.findPhrase(tokens, pattern.words);
+                if (!match.found) return;
+
+                if (!match.negated) {
+                    scores[name] += pattern.weight;
+                } else {
+                    if (!negated.includes(name)) negated.push(name);
+                    if (definition.onNegated) {
+                        scores[definition.onNegated] = (scores[definition.onNegated] || 0) + pattern.weight;
+                    }
+                }
+            });
+        });
+
+        const order = this.getIntentNames();
+        const intents = Object.keys(scores)
+            .filter(name => scores[name] >= this.minScore)
+            .sort((a, b) => scores[b] - scores[a] || order.indexOf(a) - order.indexOf(b));
+
+        const total = intents.reduce((sum, name) => sum + scores[name], 0);
+        const best = intents[0] || null;
+
+        return {
+            intent: best,
+            score: best ? scores[best] : 0,
+            confidence: best ? Number((scores[best] / total).toFixed(2)) : 0,
+            intents: intents,
+            scores: scores,
+            negated: negated,
+            entities: this.extractEntities(tokens),
+            isQuestion: String(text || '').includes('?'),
+            wordCount: tokens.filter(Boolean).length
+        };
+    }
+
+    // First mention of each entity type, e.g. { person: 'tiberius' }
+    extractEntities(tokens) {
+        const found = {};
+
+        this.entities.forEach((values, type) => {
+            let earliest = Infinity;
+            values.forEach(entity => {
+                entity.aliases.forEach(words => {
+                    for (let start = 0; start + words.length <= tokens.length && start < earliest; start++) {
+                        if (words.every((word, offset) => this.wordMatches(tokens[start + offset], word))) {
+                            earliest = start;
+                            found[type] = entity.value;
+                            break;
+                        }
+                    }
+                });
+            });
+        });
+
+        return found;
+    }
+}
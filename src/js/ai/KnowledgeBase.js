@@ -0,0 +1,144 @@
+/**
+ * KnowledgeBase - An NPC's knowledge entries with trust-gated disclosure rules
+ * An entry is either plain text (always shareable) or { text, disclosure } where disclosure can ask for
+ * minTrust, the NPC's own trust threshold (trusted), prerequisite topics already shared (requires), a minimum
+ * relationship stage and quest flags.
+ * Only unlocked entries reach the prompt, and every disclosure is tracked with who heard it.
+ */
+class KnowledgeBase {
+    constructor(entries = {}) {
+        this.entries = new Map();   // topic -> { text, disclosure }
+        this.disclosed = new Map(); // topic -> { firstDisclosedAt, count, participants[] }
+
+        Object.entries(entries).forEach(([topic, entry]) => this.define(topic, entry));
+    }
+
+    define(topic, entry) {
+        const definition = typeof entry === 'string' ? { text: entry } : entry;
+        if (!definition || typeof definition.text !== 'string') {
+            throw new Error(`Knowledge entry "${topic}" needs a text`);
+        }
+
+        this.entries.set(topic, {
+            text: definition.text,
+            disclosure: definition.disclosure || {}
+        });
+    }
+
+    has(topic) {
+        return this.entries.has(topic);
+    }
+
+    getTopics() {
+        return Array.from(this.entries.keys());
+    }
+
+    getText(topic) {
+        const entry = this.entries.get(topic);
+        return entry ? entry.text : null;
+    }
+
+    /**
+     * Check an entry's disclosure rules against the NPC's current state.
+     * state: { trust, trustThreshold, stage, stages[ordered stage names], questFlags }
+     * Returns { unlocked, reasons[] } - reasons say what is still missing.
+     */
+    evaluate(topic, state) {
+        const entry = this.entries.get(topic);
+        if (!entry) {
+            return { unlocked: false, reasons: [`unknown topic ${topic}`] };
+        }
+
+        const rules = entry.disclosure;
+        const reasons = [];
+
+        if (rules.minTrust !== undefined && state.trust < rules.minTrust) {
+            reasons.push(`trust ${state.trust} is below ${rules.minTrust}`);
+        }
+
+        // Read from the state rather than fixed in the rule, so the gate moves with the NPC's threshold
+        if (rules.trusted && !(state.trust >= state.trustThreshold)) {
+            reasons.push(state.trustThreshold === undefined
+                ? 'this NPC has no trust threshold'
+                : `trust ${state.trust} is below the trust threshold ${state.trustThreshold}`);
+        }
+
+        (rules.requires || []).forEach(required => {
+            if (!this.isDisclosed(required)) {
+                reasons.push(`${required.replace(/_/g, ' ')} has not been shared yet`);
+            }
+        });
+
+        if (rules.stage) {
+            const stages = state.stages || [];
+            const current = stages.indexOf(state.stage);
+            const needed = stages.indexOf(rules.stage);
+            if (needed === -1) {
+                reasons.push(`unknown relationship stage ${rules.stage}`);
+            } else if (current < needed) {
+                reasons.push(`relationship is ${state.stage}, needs ${rules.stage}`);
+            }
+        }
+
+        // Numeric flags are minimums; anything else must match exactly
+        Object.entries(rules.questFlags || {}).forEach(([flag, expected]) => {
+            const value = (state.questFlags || {})[flag];
+            const met = typeof expected === 'number' ? (value || 0) >= expected : value === expected;
+            if (!met) {
+                reasons.push(`quest flag ${flag} is ${value === undefined ? 'unset' : value}, needs ${expected}`);
+            }
+        });
+
+        return { unlocked: reasons.length === 0, reasons: reasons };
+    }
+
+    getUnlocked(state) {
+        return this.getTopics().filter(topic => this.evaluate(topic, state).unlocked);
+    }
+
+    getLocked(state) {
+        return this.getTopics().filter(topic => !this.evaluate(topic, state).unlocked);
+    }
+
+    // Disclosure tracking
+    markDisclosed(topic, participantName = null) {
+        const record = this.disclosed.get(topic) || { firstDisclosedAt: Date.now(), count: 0, participants: [] };
+        record.count++;
+        if (participantName && !record.participants.includes(participantName)) {
+            record.participants.push(participantName);
+        }
+        this.disclosed.set(topic, record);
+        return record;
+    }
+
+    isDisclosed(topic, participantName = null) {
+        const record = this.disclosed.get(topic);
+        if (!record) return false;
+        return !participantName || record.participants.includes(participantName);
+    }
+
+    getDisclosed(participantName = null) {
+        return Array.from(this.disclosed.keys()).filter(topic => this.isDisclosed(topic, participantName));
+    }
+
+    // Entries come from the NPC's definition; only what has been disclosed is saved
+    serialize() {
+        return Array.from(this.disclosed.entries()).map(([topic, record]) => ({ topic: topic, ...record }));
+    }
+
+    deserialize(data) {
+        this.disclosed.clear();
+        (data || []).forEach(item => {
+            // Older saves stored a bare list of topic names
+            if (typeof item === 'string') {
+                this.disclosed.set(item, { firstDisclosedAt: Date.now(), count: 1, participants: [] });
+            } else {
+                this.disclosed.set(item.topic, {
+                    firstDisclosedAt: item.firstDisclosedAt || Date.now(),
+                    count: item.count || 1,
+                    participants: item.participants || []
+                });
+            }
+        });
+    }
+}
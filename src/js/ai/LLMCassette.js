@@ -0,0 +1,249 @@
+/**
+ * LLMCassette - Records LLM request/response pairs and replays them without a network
+ * Recording captures every completed request for the session; replay serves responses by request hash,
+ * so conversations can be reproduced, regression-tested offline and demoed without an API key.
+ */
+class LLMCassette extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.mode = 'off'; // 'off', 'record' or 'replay'
+        this.entries = [];
+        this.index = new Map(); // hash -> entries with that hash, in recorded order
+        this.served = new Map(); // hash -> how many times it has been replayed
+        this.createdAt = null;
+
+        // On a hash miss, 'strict' fails the request; 'sequential' serves the agent's next unused recording
+        this.matchMode = config.matchMode || 'strict';
+        this.replayChunkSize = config.replayChunkSize || 3; // Words per simulated streaming token
+    }
+
+    // Mode control
+    startRecording() {
+        this.mode = 'record';
+        this.entries = [];
+        this.rebuildIndex();
+        this.createdAt = new Date().toISOString();
+        this.emit('recordingStarted');
+    }
+
+    startReplay(cassette = null) {
+        if (cassette) {
+            this.load(cassette);
+        }
+        this.mode = 'replay';
+        this.served.clear();
+        this.entries.forEach(entry => { delete entry.replayed; });
+        this.emit('replayStarted', this.entries.length);
+    }
+
+    stop() {
+        const previousMode = this.mode;
+        this.mode = 'off';
+        this.emit('stopped', previousMode);
+    }
+
+    isRecording() {
+        return this.mode === 'record';
+    }
+
+    isReplaying() {
+        return this.mode === 'replay';
+    }
+
+    // Request identity
+    describeRequest(agentName, providerId, messages, options, toolMode = 'none') {
+        return {
+            agent: agentName,
+            provider: providerId,
+            model: options.model || null,
+            toolMode: toolMode,
+            messages: messages.map(message => ({
+                role: message.role,
+                content: message.content || null,
+                toolCalls: message.toolCalls || undefined,
+                toolCallId: message.toolCallId || undefined,
+                name: message.name || undefined
+            })),
+            options: {
+                maxTokens: options.maxTokens,
+                temperature: options.temperature,
+                responseFormat: options.responseFormat || null,
+                tools: (options.tools || []).map(tool => tool.name)
+            }
+        };
+    }
+
+    hashRequest(request) {
+        // Provider and model stay out of the hash so a cassette replays without the original setup.
+        // Timestamps and generated ids change every session, so they are masked too.
+        const canonical = this.canonicalJSON({ agent: request.agent, messages: request.messages, options: request.options })
+            .replace(/\b1\d{12}\b/g, '<time>')
+            .replace(/\bmem_\d+_[a-z0-9]+\b/g, '<id>');
+
+        return this.hashString(canonical, 0x9e3779b1) + this.hashString(canonical, 0x85ebca6b);
+    }
+
+    canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonicalJSON(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    // 32-bit FNV-1a style hash as 8 hex characters; two seeds make collisions unlikely
+    hashString(text, seed) {
+        let hash = seed >>> 0;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    // Recording
+    record(request, result) {
+        const entry = {
+            hash: this.hashRequest(request),
+            agent: request.agent,
+            provider: request.provider,
+            model: request.model,
+            request: request,
+            response: {
+                content: result.content,
+                toolCalls: result.toolCalls || [],
+                usage: result.usage || null,
+                finishReason: result.finishReason || null
+            },
+            recordedAt: new Date().toISOString()
+        };
+
+        this.entries.push(entry);
+        this.indexEntry(entry);
+        this.emit('recorded', entry);
+
+        return entry;
+    }
+
+    // Replay
+    replay(request, onToken = null) {
+        const hash = this.hashRequest(request);
+        let entry = this.takeMatch(hash);
+
+        if (!entry && this.matchMode === 'sequential') {
+            entry = this.entries.find(candidate => candidate.agent === request.agent && !candidate.replayed);
+        }
+
+        if (!entry) {
+            this.emit('replayMiss', request, hash);
+            throw new LLMProviderError(`No recorded response for request ${hash}`, {
+                provider: 'cassette',
+                code: 'cassette_miss'
+            });
+        }
+
+        entry.replayed = true;
+        this.emit('replayed', entry);
+
+        if (onToken && entry.response.content) {
+            this.emitTokens(entry.response.content, onToken);
+        }
+
+        return {
+            content: entry.response.content,
+            toolCalls: entry.response.toolCalls || [],
+            usage: entry.response.usage || { promptTokens: 0, completionTokens: 0 },
+            finishReason: entry.response.finishReason,
+            provider: 'cassette',
+            raw: null
+        };
+    }
+
+    // Replaying without a provider configured should build prompts the way the recording did
+    getRecordedToolMode(agentName) {
+        const entry = this.entries.find(candidate => candidate.agent === agentName);
+        return entry ? entry.request.toolMode : null;
+    }
+
+    takeMatch(hash) {
+        const matches = this.index.get(hash);
+        if (!matches) return null;
+
+        // The same request asked twice gets the recordings in order, then keeps the last one
+        const count = this.served.get(hash) || 0;
+        this.served.set(hash, count + 1);
+        return matches[Math.min(count, matches.length - 1)];
+    }
+
+    emitTokens(content, onToken) {
+        const words = content.split(/(\s+)/);
+        let fullText = '';
+
+        for (let i = 0; i < words.length; i += this.replayChunkSize * 2) {
+            const delta = words.slice(i, i + this.replayChunkSize * 2).join('');
+            fullText += delta;
+            onToken(delta, fullText);
+        }
+    }
+
+    // Cassette files
+    exportCassette() {
+        return JSON.stringify({
+            version: 1,
+            createdAt: this.createdAt,
+            entries: this.entries.map(entry => {
+                const { replayed, ...stored } = entry;
+                return stored;
+            })
+        }, null, 2);
+    }
+
+    load(cassette) {
+        const data = typeof cassette === 'string' ? JSON.parse(cassette) : cassette;
+
+        if (!data || data.version !== 1 || !Array.isArray(data.entries)) {
+            throw new Error('Invalid cassette format');
+        }
+
+        this.entries = data.entries.map(entry => ({ ...entry }));
+        this.createdAt = data.createdAt || null;
+        this.rebuildIndex();
+        this.emit('loaded', this.entries.length);
+    }
+
+    rebuildIndex() {
+        this.index.clear();
+        this.served.clear();
+        this.entries.forEach(entry => this.indexEntry(entry));
+    }
+
+    indexEntry(entry) {
+        if (!this.index.has(entry.hash)) {
+            this.index.set(entry.hash, []);
+        }
+        this.index.get(entry.hash).push(entry);
+    }
+
+    getStats() {
+        return {
+            mode: this.mode,
+            entries: this.entries.length,
+            replayed: this.entries.filter(entry => entry.replayed).length,
+            matchMode: this.matchMode
+        };
+    }
+
+    // Shared by every agent so a session records into one cassette
+    static getShared() {
+        if (!LLMCassette.shared) {
+            LLMCassette.shared = new LLMCassette();
+        }
+        return LLMCassette.shared;
+    }
+}
+
+LLMCassette.shared = null;
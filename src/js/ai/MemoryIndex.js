@@ -0,0 +1,184 @@
+/**
+ * MemoryIndex - Local TF-IDF vector index for semantic memory search
+ * Documents are tokenized into stemmed words, word bigrams and character trigrams (which catch near misses
+ * like "lose"/"lost"), weighted by TF-IDF and compared by cosine similarity. Everything runs in the browser
+ * with no network or model download.
+ */
+class MemoryIndex {
+    constructor(config = {}) {
+        this.useBigrams = config.useBigrams !== undefined ? config.useBigrams : true;
+        this.charGramWeight = config.charGramWeight !== undefined ? config.charGramWeight : 0.3; // 0 disables trigrams
+        this.documents = new Map();       // id -> Map(term -> count)
+        this.documentFrequency = new Map(); // term -> number of documents containing it
+        this.vectorCache = new Map();     // id -> { weights, norm } for the current version
+        this.version = 0;
+        this.cacheVersion = -1;
+
+        this.stopWords = new Set(['the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that',
+            'have', 'has', 'had', 'was', 'were', 'will', 'would', 'could', 'should', 'can', 'what', 'when', 'where',
+            'who', 'how', 'why', 'about', 'from', 'they', 'them', 'their', 'there', 'then', 'than', 'just', 'any',
+            'all', 'some', 'been', 'being', 'into', 'out', 'our', 'its', 'it\'s', 'i\'m', 'you\'re', 'said', 'told',
+            'player', 'know', 'tell', 'me', 'my', 'him', 'her', 'his', 'she', 'he', 'do', 'does', 'did', 'is', 'am',
+            'a', 'an', 'of', 'to', 'in', 'on', 'at', 'it', 'i', 'we', 'be', 'or', 'so', 'if', 'as', 'by', 'up']);
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    has(id) {
+        return this.documents.has(id);
+    }
+
+    add(id, text) {
+        if (this.documents.has(id)) {
+            this.remove(id);
+        }
+
+        const counts = new Map();
+        this.tokenize(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+        this.documents.set(id, counts);
+        counts.forEach((count, term) => {
+            this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+        });
+        this.version++;
+    }
+
+    remove(id) {
+        const counts = this.documents.get(id);
+        if (!counts) return false;
+
+        counts.forEach((count, term) => {
+            const frequency = this.documentFrequency.get(term) - 1;
+            if (frequency > 0) {
+                this.documentFrequency.set(term, frequency);
+            } else {
+                this.documentFrequency.delete(term);
+            }
+        });
+        this.documents.delete(id);
+        this.version++;
+        return true;
+    }
+
+    clear() {
+        this.documents.clear();
+        this.documentFrequency.clear();
+        this.vectorCache.clear();
+        this.version++;
+    }
+
+    /**
+     * Rank documents by cosine similarity to the query.
+     * options: { limit, minSimilarity, filter(id) }
+     * Returns [{ id, similarity }] best first.
+     */
+    search(query, options = {}) {
+        const limit = options.limit || 10;
+        const minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : 0.05;
+
+        const queryCounts = new Map();
+        this.tokenize(query).forEach(term => queryCounts.set(term, (queryCounts.get(term) || 0) + 1));
+        const queryVector = this.weigh(queryCounts);
+        if (queryVector.norm === 0) return [];
+
+        this.refreshCache();
+
+        const results = [];
+        this.documents.forEach((counts, id) => {
+            if (options.filter && !options.filter(id)) return;
+
+            const vector = this.vectorCache.get(id);
+            if (vector.norm === 0) return;
+
+            let dot = 0;
+            queryVector.weights.forEach((weight, term) => {
+                const other = vector.weights.get(term);
+                if (other) dot += weight * other;
+            });
+
+            const similarity = dot / (queryVector.norm * vector.norm);
+            if (similarity > 0 && similarity >= minSimilarity) {
+                results.push({ id: id, similarity: similarity });
+            }
+        });
+
+        return results
+            .sort((a, b) => b.similarity - a.similarity || String(a.id).localeCompare(String(b.id)))
+            .slice(0, limit);
+    }
+
+    // TF-IDF weighting
+    idf(term) {
+        // Smoothed so terms the index has never seen still count a little in the query
+        return Math.log((this.documents.size + 1) / ((this.documentFrequency.get(term) || 0) + 1)) + 1;
+    }
+
+    weigh(counts) {
+        const weights = new Map();
+        let sumSquares = 0;
+
+        counts.forEach((count, term) => {
+            const boost = term.startsWith('#') ? this.charGramWeight : 1;
+            const weight = (1 + Math.log(count)) * this.idf(term) * boost;
+            weights.set(term, weight);
+            sumSquares += weight * weight;
+        });
+
+        return { weights: weights, norm: Math.sqrt(sumSquares) };
+    }
+
+    refreshCache() {
+        // IDF changes whenever a document is added or removed, so vectors are rebuilt lazily per version
+        if (this.cacheVersion === this.version) return;
+
+        this.vectorCache.clear();
+        this.documents.forEach((counts, id) => this.vectorCache.set(id, this.weigh(counts)));
+        this.cacheVersion = this.version;
+    }
+
+    // Tokenization
+    tokenize(text) {
+        const words = (String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [])
+            .map(word => word.replace(/^'+|'+$/g, ''))
+            .filter(word => word.length > 1 && !this.stopWords.has(word))
+            .map(word => this.stem(word));
+
+        const terms = words.slice();
+
+        if (this.useBigrams) {
+            for (let i = 0; i < words.length - 1; i++) {
+                terms.push(`${words[i]}_${words[i + 1]}`);
+            }
+        }
+
+        if (this.charGramWeight > 0) {
+            words.filter(word => word.length >= 4).forEach(word => {
+                const padded = `^${word}$`;
+                for (let i = 0; i + 3 <= padded.length; i++) {
+                    terms.push(`#${padded.slice(i, i + 3)}`);
+                }
+            });
+        }
+
+        return terms;
+    }
+
+    // Light suffix stripping so "inventions", "invented" and "inventing" meet at "invent"
+    stem(word) {
+        if (word.length <= 4) return word;
+
+        const rules = [
+            [/ies$/, 'y'], [/ied$/, 'y'], [/ing$/, ''], [/ed$/, ''], [/ers?$/, ''], [/ions?$/, ''],
+            [/ly$/, ''], [/ment$/, ''], [/ness$/, ''], [/(s|x|z|ch|sh)es$/, '$1'], [/([^s])s$/, '$1']
+        ];
+        for (const [pattern, replacement] of rules) {
+            if (pattern.test(word)) {
+                const stemmed = word.replace(pattern, replacement);
+                if (stemmed.length >= 3) return stemmed;
+            }
+        }
+        return word;
+    }
+}
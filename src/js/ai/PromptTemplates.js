@@ -0,0 +1,290 @@
+/**
+ * PromptTemplates - Registry and renderer for data-driven prompt templates
+ * Templates are defined in src/js/prompts/ and use a small Mustache-like syntax bound to live agent state:
+ *   {{path.to.value}}   value lookup (arrays are joined with ", ")
+ *   {{> partial}}       shared snippet rendered with the current variables
+ *   {{#if path}} ... {{else}} ... {{/if}}   and {{#unless path}} ... {{/unless}}
+ *   {{#each path}} ... {{else}} ... {{/each}}   with {{this}} and {{@index}} inside the loop
+ * Per-agent overrides replace a template or partial of the same name for one agent only.
+ */
+class PromptTemplates {
+    constructor() {
+        this.templates = new Map();
+        this.partials = new Map();
+        this.overrides = new Map(); // agent key -> Map(name -> source)
+        this.compiled = new Map();  // source -> parsed nodes
+        this.maxPartialDepth = 8;
+    }
+
+    // Definitions
+    define(data = {}) {
+        Object.entries(data.templates || {}).forEach(([name, source]) => this.registerTemplate(name, source));
+        Object.entries(data.partials || {}).forEach(([name, source]) => this.registerPartial(name, source));
+        Object.entries(data.overrides || {}).forEach(([agentKey, entries]) => {
+            Object.entries(entries).forEach(([name, source]) => this.setOverride(agentKey, name, source));
+        });
+    }
+
+    registerTemplate(name, source) {
+        this.templates.set(name, source);
+    }
+
+    registerPartial(name, source) {
+        this.partials.set(name, source);
+    }
+
+    setOverride(agentKey, name, source) {
+        if (!this.overrides.has(agentKey)) {
+            this.overrides.set(agentKey, new Map());
+        }
+        this.overrides.get(agentKey).set(name, source);
+    }
+
+    clearOverride(agentKey, name) {
+        const agentOverrides = this.overrides.get(agentKey);
+        if (agentOverrides) {
+            agentOverrides.delete(name);
+        }
+    }
+
+    hasTemplate(name) {
+        return this.templates.has(name);
+    }
+
+    resolve(kind, name, agentKey) {
+        const agentOverrides = agentKey ? this.overrides.get(agentKey) : null;
+        if (agentOverrides && agentOverrides.has(name)) {
+            return { source: agentOverrides.get(name), origin: 'override' };
+        }
+
+        const registry = kind === 'template' ? this.templates : this.partials;
+        if (!registry.has(name)) {
+            throw new Error(`Unknown prompt ${kind}: ${name}`);
+        }
+        return { source: registry.get(name), origin: 'shared' };
+    }
+
+    // Rendering
+    render(name, variables = {}, options = {}) {
+        return this.renderForInspection(name, variables, options).text;
+    }
+
+    /**
+     * Render a template and report how it was built.
+     * options: { agent } - the agent key whose overrides apply
+     * Returns { text, template, origin, partials[{name, origin}], missing[] }
+     */
+    renderForInspection(name, variables = {}, options = {}) {
+        const state = {
+            agent: options.agent || null,
+            partials: [],
+            missing: [],
+            depth: 0
+        };
+
+        const template = this.resolve('template', name, state.agent);
+        const text = this.renderNodes(this.compile(template.source), [variables], state)
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        return {
+            text: text,
+            template: name,
+            origin: template.origin,
+            partials: state.partials,
+            missing: Array.from(new Set(state.missing))
+        };
+    }
+
+    renderNodes(nodes, scopes, state) {
+        return nodes.map(node => this.renderNode(node, scopes, state)).join('');
+    }
+
+    renderNode(node, scopes, state) {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+
+            case 'var': {
+                const value = this.lookup(node.path, scopes);
+                if (value === undefined) {
+                    state.missing.push(node.path);
+                    return '';
+                }
+                return this.format(value);
+            }
+
+            case 'partial': {
+                if (state.depth >= this.maxPartialDepth) {
+                    throw new Error(`Prompt partials nested too deeply at ${node.name}`);
+                }
+                const partial = this.resolve('partial', node.name, state.agent);
+                state.partials.push({ name: node.name, origin: partial.origin });
+                state.depth++;
+                const text = this.renderNodes(this.compile(partial.source), scopes, state);
+                state.depth--;
+                return text;
+            }
+
+            case 'if': {
+                const value = this.lookup(node.path, scopes);
+                if (value === undefined) state.missing.push(node.path);
+                const truthy = this.isTruthy(value) !== node.negate;
+                return this.renderNodes(truthy ? node.body : node.otherwise, scopes, state);
+            }
+
+            case 'each': {
+                const value = this.lookup(node.path, scopes);
+                if (value === undefined) state.missing.push(node.path);
+                const items = Array.isArray(value) ? value : [];
+                if (items.length === 0) {
+                    return this.renderNodes(node.otherwise, scopes, state);
+                }
+                return items.map((item, index) => {
+                    return this.renderNodes(node.body, scopes.concat([{ this: item, '@index': index, __item: item }]), state);
+                }).join('');
+            }
+
+            default:
+                return '';
+        }
+    }
+
+    lookup(path, scopes) {
+        const [head, ...rest] = path.split('.');
+
+        // Innermost scope first, so loop items shadow the agent's variables
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const scope = scopes[i];
+            let value;
+
+            if (scope.__item !== undefined && head !== 'this' && head !== '@index') {
+                const item = scope.__item;
+                if (!item || typeof item !== 'object' || !(head in item)) continue;
+                value = item[head];
+            } else if (scope && typeof scope === 'object' && head in scope) {
+                value = scope[head];
+            } else {
+                continue;
+            }
+
+            for (const key of rest) {
+                if (value === null || value === undefined) return undefined;
+                value = value[key];
+            }
+            return value;
+        }
+
+        return undefined;
+    }
+
+    isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return !!value;
+    }
+
+    format(value) {
+        if (value === null) return '';
+        if (Array.isArray(value)) return value.map(item => this.format(item)).join(', ');
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    // Parsing - sources are compiled once and cached
+    compile(source) {
+        if (!this.compiled.has(source)) {
+            this.compiled.set(source, this.parse(source));
+        }
+        return this.compiled.get(source);
+    }
+
+    parse(source) {
+        const root = { type: 'root', body: [], otherwise: [] };
+        const stack = [root];
+        const pattern = /\{\{\s*([#\/>]?)\s*([^}]*?)\s*\}\}/g;
+        let cursor = 0;
+        let match;
+
+        const current = () => stack[stack.length - 1];
+        const target = () => current().inElse ? current().otherwise : current().body;
+        const pushText = (text) => {
+            if (text) target().push({ type: 'text', value: text });
+        };
+
+        while ((match = pattern.exec(source)) !== null) {
+            const [tag, sigil, content] = match;
+            const isBlockTag = sigil === '#' || sigil === '/' || content === 'else';
+            let text = source.slice(cursor, match.index);
+            let next = match.index + tag.length;
+
+            // A block tag alone on its line takes the line with it, so loops don't leave blank lines
+            if (isBlockTag) {
+                const lineStart = text.lastIndexOf('\n') + 1;
+                const after = source.slice(next).match(/^[ \t]*(\r?\n|$)/);
+                if (/^[ \t]*$/.test(text.slice(lineStart)) && after && (lineStart > 0 || cursor === 0 || source[cursor - 1] === '\n')) {
+                    text = text.slice(0, lineStart);
+                    next += after[0].length;
+                }
+            }
+
+            pushText(text);
+            cursor = next;
+
+            if (sigil === '>') {
+                target().push({ type: 'partial', name: content });
+            } else if (sigil === '#') {
+                const [keyword, path] = content.split(/\s+/, 2);
+                if (!['if', 'unless', 'each'].includes(keyword) || !path) {
+                    throw new Error(`Unknown prompt block: {{#${content}}}`);
+                }
+                const node = {
+                    type: keyword === 'each' ? 'each' : 'if',
+                    keyword: keyword,
+                    path: path,
+                    negate: keyword === 'unless',
+                    body: [],
+                    otherwise: [],
+                    inElse: false
+                };
+                target().push(node);
+                stack.push(node);
+            } else if (sigil === '/') {
+                const node = stack.pop();
+                if (node === root || node.keyword !== content) {
+                    throw new Error(`Unexpected {{/${content}}} in prompt template`);
+                }
+                delete node.inElse;
+            } else if (content === 'else') {
+                if (current() === root) {
+                    throw new Error('{{else}} outside a block in prompt template');
+                }
+                current().inElse = true;
+            } else {
+                target().push({ type: 'var', path: content });
+            }
+        }
+
+        pushText(source.slice(cursor));
+
+        if (stack.length > 1) {
+            throw new Error(`Unclosed {{#${current().keyword}}} in prompt template`);
+        }
+
+        return root.body;
+    }
+
+    // Shared by every agent; the prompt data files register into it
+    static getShared() {
+        if (!PromptTemplates.shared) {
+            PromptTemplates.shared = new PromptTemplates();
+        }
+        return PromptTemplates.shared;
+    }
+
+    static define(data) {
+        PromptTemplates.getShared().define(data);
+    }
+}
+
+PromptTemplates.shared = null;
@@ -0,0 +1,232 @@
+/**
+ * RelationshipStore - Where one agent stands with everyone it knows
+ * One record per partner, with axes from 0 to 100: trust, affection, respect and familiarity. Every
+ * change given a reason is kept in the record's history, so prompts and the debug console can say why
+ * the agent feels the way it does. Named stages (stranger -> acquaintance -> friend -> confidant, or
+ * Elara's customer tiers) are a ladder of minimum axis values. A record climbs a rung once it meets the
+ * rung's minimums and only slips back once it falls `hysteresis` points below them, so a stage doesn't
+ * flicker when a value hovers at a threshold. There is one player, so the player's record is keyed
+ * 'player' whatever name they go by.
+ */
+class RelationshipStore extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.axes = { trust: 50, affection: 50, respect: 50, familiarity: 0, ...(config.initial || {}) };
+        this.stages = (config.stages || this.getDefaultStages()).map(stage => typeof stage === 'string' ? { name: stage } : stage);
+        this.hysteresis = config.hysteresis !== undefined ? config.hysteresis : 5;
+        this.maxHistory = config.maxHistory || 50;
+        this.maxNotes = config.maxNotes || 20;
+        this.maxSentiments = config.maxSentiments || 20;
+        this.records = new Map();
+    }
+
+    getDefaultStages() {
+        return [
+            { name: 'stranger' },
+            { name: 'acquaintance', min: { trust: 30, familiarity: 2 } },
+            { name: 'friend', min: { trust: 60, affection: 55, familiarity: 10 } },
+            { name: 'confidant', min: { trust: 85, affection: 60, familiarity: 25 } }
+        ];
+    }
+
+    getAxisNames() {
+        return Object.keys(this.axes);
+    }
+
+    getStageNames() {
+        return this.stages.map(stage => stage.name);
+    }
+
+    // A participant ({ name, type }) or a name; the player always maps to 'player'
+    keyFor(participant) {
+        if (typeof participant === 'string') return participant;
+        return participant.type === 'player' ? 'player' : participant.name || 'Unknown';
+    }
+
+    get(participant) {
+        const key = this.keyFor(participant);
+        if (this.records.has(key)) return this.records.get(key);
+
+        // Looking the player up by name
+        return typeof participant === 'string'
+            ? Array.from(this.records.values()).find(record => record.name === participant) || null
+            : null;
+    }
+
+    // The record for a participant, created with the starting axis values on first contact
+    ensure(participant) {
+        const existing = this.get(participant);
+        if (existing) {
+            if (typeof participant !== 'string' && participant.name) existing.name = participant.name;
+            return existing;
+        }
+
+        const key = this.keyFor(participant);
+        const record = {
+            key: key,
+            name: typeof participant === 'string' ? participant : participant.name || key,
+            type: typeof participant === 'string' ? null : participant.type || null,
+            ...this.axes,
+            stage: this.stages[0].name,
+            interactions: 0,
+            lastInteraction: null,
+            sentimentHistory: [],
+            sharedTopics: [],
+            notes: [],
+            history: []     // { changes, reason, stage: { from, to } | undefined, timestamp }, oldest first
+        };
+        record.stage = this.evaluateStage(record);
+        this.records.set(key, record);
+        return record;
+    }
+
+    /**
+     * Move one or more axes, e.g. adjust(player, { trust: 5, respect: 2 }, 'showed scholarly interest').
+     * Changes with a reason go into the history; returns the record.
+     */
+    adjust(participant, changes, reason = null) {
+        const record = this.ensure(participant);
+        const applied = {};
+
+        Object.entries(changes).forEach(([axis, delta]) => {
+            if (!(axis in this.axes) || !delta) return;
+
+            const value = Math.max(0, Math.min(100, record[axis] + delta));
+            if (value !== record[axis]) {
+                applied[axis] = Math.round((value - record[axis]) * 100) / 100;
+                record[axis] = value;
+            }
+        });
+
+        if (Object.keys(applied).length === 0) return record;
+
+        const previousStage = record.stage;
+        record.stage = this.evaluateStage(record);
+        const stageChanged = record.stage !== previousStage;
+
+        if (reason || stageChanged) {
+            this.remember(record, {
+                changes: applied,
+                reason: reason,
+                stage: stageChanged ? { from: previousStage, to: record.stage } : undefined,
+                timestamp: Date.now()
+            });
+        }
+
+        this.emit('relationshipChanged', record, applied, reason);
+        if (stageChanged) {
+            this.emit('stageChanged', record, previousStage, record.stage, reason);
+        }
+        return record;
+    }
+
+    set(participant, axis, value, reason = null) {
+        const record = this.ensure(participant);
+        return this.adjust(participant, { [axis]: value - record[axis] }, reason);
+    }
+
+    remember(record, entry) {
+        record.history.push(entry);
+        if (record.history.length > this.maxHistory) {
+            record.history.shift();
+        }
+    }
+
+    // Highest rung whose minimums are all met; rungs already reached keep a hysteresis margin
+    evaluateStage(record) {
+        const current = this.getStageNames().indexOf(record.stage);
+        let reached = 0;
+
+        for (let i = 1; i < this.stages.length; i++) {
+            const margin = i <= current ? this.hysteresis : 0;
+            const met = Object.entries(this.stages[i].min || {}).every(([axis, minimum]) => record[axis] >= minimum - margin);
+            if (!met) break;
+            reached = i;
+        }
+
+        return this.stages[reached].name;
+    }
+
+    getStage(participant) {
+        const record = this.get(participant);
+        return record ? record.stage : this.stages[0].name;
+    }
+
+    // A chat message exchanged with the participant
+    recordInteraction(participant, timestamp = Date.now()) {
+        const record = this.ensure(participant);
+        record.interactions++;
+        record.lastInteraction = timestamp;
+        return record;
+    }
+
+    addSentiment(participant, sentiment) {
+        const record = this.ensure(participant);
+        record.sentimentHistory.push(sentiment);
+        if (record.sentimentHistory.length > this.maxSentiments) {
+            record.sentimentHistory.shift();
+        }
+        return record.sentimentHistory.reduce((sum, value) => sum + value, 0) / record.sentimentHistory.length;
+    }
+
+    addTopics(participant, topics) {
+        const record = this.ensure(participant);
+        topics.forEach(topic => {
+            if (!record.sharedTopics.includes(topic)) record.sharedTopics.push(topic);
+        });
+    }
+
+    addNote(participant, entry) {
+        const record = this.ensure(participant);
+        record.notes.push(entry);
+        if (record.notes.length > this.maxNotes) {
+            record.notes.shift();
+        }
+    }
+
+    // "trust +5 (showed scholarly interest)" for the latest reasoned change
+    describeLastChange(participant) {
+        const record = this.get(participant);
+        const entry = record ? record.history.slice().reverse().find(item => item.reason) : null;
+        if (!entry) return null;
+
+        const changes = Object.entries(entry.changes)
+            .map(([axis, delta]) => `${axis} ${delta > 0 ? '+' : ''}${delta}`)
+            .join(', ');
+        return `${changes} (${entry.reason})`;
+    }
+
+    getAll() {
+        return Array.from(this.records.values());
+    }
+
+    serialize() {
+        return this.getAll().map(record => ({ ...record, history: record.history.slice() }));
+    }
+
+    // Also reads saves from before the store, when AgentMemory kept [name, { trustLevel, familiarity, ... }] pairs;
+    // those are merged into what is already loaded, since the agent restores trust in the player separately
+    deserialize(data) {
+        const legacy = Array.isArray(data) && Array.isArray(data[0]);
+        if (!legacy) this.records = new Map();
+
+        (data || []).forEach(item => {
+            const saved = legacy ? item[1] : item;
+            const record = this.ensure({ name: saved.name || item[0], type: saved.type || null });
+
+            this.getAxisNames().forEach(axis => {
+                if (typeof saved[axis] === 'number') record[axis] = saved[axis];
+            });
+            if (legacy && typeof saved.trustLevel === 'number') record.trust = saved.trustLevel;
+
+            record.interactions = saved.interactions || saved.totalInteractions || 0;
+            record.lastInteraction = saved.lastInteraction || null;
+            record.sentimentHistory = saved.sentimentHistory || [];
+            record.sharedTopics = Array.isArray(saved.sharedTopics) ? saved.sharedTopics : [];
+            record.notes = saved.notes || [];
+            record.history = saved.history || [];
+            record.stage = this.getStageNames().includes(saved.stage) ? saved.stage : this.stages[0].name;
+            record.stage = this.evaluateStage(record);
+        });
+    }
+}
@@ -0,0 +1,327 @@
+/**
+ * RequestScheduler - Shared queue for LLM requests
+ * Enforces per-provider concurrency and rate limits, applies timeouts, retries 429/5xx/timeouts with
+ * exponential backoff and jitter, and runs a circuit breaker per agent so a failing model sends that
+ * agent to scripted replies until it recovers. Emits events so the UI can explain delays.
+ */
+class RequestScheduler extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        // Limits applied to providers without their own entry
+        this.defaultLimits = {
+            maxConcurrent: 2,
+            requestsPerMinute: 60,
+            timeout: 30000,
+            maxRetries: 2,
+            ...(config.defaultLimits || {})
+        };
+
+        // A local Ollama instance usually serves one request at a time and is slow to load models
+        this.providerLimits = new Map(Object.entries(config.providerLimits || {
+            ollama: { maxConcurrent: 1, requestsPerMinute: 0, timeout: 60000 }
+        }));
+
+        // Backoff
+        this.baseDelay = config.baseDelay || 1000;
+        this.maxDelay = config.maxDelay || 15000;
+        this.slowThreshold = config.slowThreshold || 5000; // When to tell the player the NPC is slow
+        this.random = config.random || Math.random; // Injectable for deterministic jitter
+
+        // Circuit breaker
+        this.failureThreshold = config.failureThreshold || 3;
+        this.cooldown = config.cooldown || 30000;
+
+        this.queues = new Map();   // providerId -> { active, waiting, startTimes, timer }
+        this.circuits = new Map(); // agent key -> { state, failures, openedAt, lastError }
+        this.nextRequestId = 1;
+    }
+
+    setProviderLimits(providerId, limits) {
+        this.providerLimits.set(providerId, { ...(this.providerLimits.get(providerId) || {}), ...limits });
+        this.pump(providerId);
+    }
+
+    getLimits(providerId) {
+        return { ...this.defaultLimits, ...(this.providerLimits.get(providerId) || {}) };
+    }
+
+    /**
+     * Run `task(signal)` under the provider's limits.
+     * options: { providerId, key, signal, timeout, maxRetries, canRetry }
+     * `canRetry` lets the caller veto a retry, e.g. once streamed tokens have reached the player.
+     */
+    async schedule(task, options = {}) {
+        const providerId = options.providerId || 'default';
+        const limits = this.getLimits(providerId);
+        const maxRetries = options.maxRetries !== undefined ? options.maxRetries : limits.maxRetries;
+        const detail = { requestId: this.nextRequestId++, key: options.key || null, providerId: providerId };
+
+        for (let attempt = 1; ; attempt++) {
+            await this.acquireSlot(providerId, options.signal);
+
+            let result;
+            let failure = null;
+            try {
+                result = await this.runAttempt(task, { ...detail, attempt }, options.timeout || limits.timeout, options.signal);
+            } catch (error) {
+                failure = error;
+            } finally {
+                // The slot is not held during backoff
+                this.release(providerId);
+            }
+
+            if (!failure) {
+                this.recordSuccess(detail.key);
+                return result;
+            }
+
+            if (failure.name === 'AbortError') throw failure;
+
+            const canRetry = attempt <= maxRetries && this.isRetryable(failure) &&
+                (!options.canRetry || options.canRetry(failure));
+
+            if (!canRetry) {
+                this.emit('requestFailed', { ...detail, attempt, error: failure });
+                this.recordFailure(detail.key, failure);
+                throw failure;
+            }
+
+            const delay = this.computeDelay(attempt, failure);
+            this.emit('requestRetrying', { ...detail, attempt, delay, error: failure });
+            await this.wait(delay, options.signal);
+        }
+    }
+
+    async runAttempt(task, detail, timeout, callerSignal) {
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const onCallerAbort = () => controller.abort();
+        if (callerSignal) {
+            if (callerSignal.aborted) throw this.createAbortError();
+            callerSignal.addEventListener('abort', onCallerAbort);
+        }
+
+        const timeoutTimer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const slowTimer = setTimeout(() => this.emit('requestSlow', { ...detail, elapsed: this.slowThreshold }), this.slowThreshold);
+
+        try {
+            return await task(controller.signal);
+        } catch (error) {
+            if (timedOut) {
+                throw new LLMProviderError(`Request timed out after ${timeout}ms`, {
+                    provider: detail.providerId,
+                    code: 'timeout'
+                });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutTimer);
+            clearTimeout(slowTimer);
+            if (callerSignal) {
+                callerSignal.removeEventListener('abort', onCallerAbort);
+            }
+        }
+    }
+
+    // Bugs in an adapter (a TypeError from bad code, say) are not retried, so they surface instead of tripping the circuit
+    isRetryable(error) {
+        if (error.code === 'timeout' || error.code === 'network') return true;
+        return error.status === 429 || error.status >= 500;
+    }
+
+    computeDelay(attempt, error) {
+        if (error.retryAfter) {
+            return Math.min(this.maxDelay, error.retryAfter * 1000);
+        }
+
+        // Exponential backoff with jitter over the upper half of the window
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(ceiling / 2 + this.random() * ceiling / 2);
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) signal.addEventListener('abort', onAbort);
+        });
+    }
+
+    createAbortError() {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    // Concurrency and rate limiting
+    getQueue(providerId) {
+        if (!this.queues.has(providerId)) {
+            this.queues.set(providerId, { active: 0, waiting: [], startTimes: [], timer: null });
+        }
+        return this.queues.get(providerId);
+    }
+
+    acquireSlot(providerId, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const queue = this.getQueue(providerId);
+            const entry = { resolve: resolve, reject: reject, signal: signal, onAbort: null };
+
+            if (signal) {
+                // Cancelled requests leave the queue without ever touching the network
+                entry.onAbort = () => {
+                    queue.waiting = queue.waiting.filter(waiting => waiting !== entry);
+                    reject(this.createAbortError());
+                };
+                signal.addEventListener('abort', entry.onAbort);
+            }
+
+            queue.waiting.push(entry);
+            this.pump(providerId);
+        });
+    }
+
+    release(providerId) {
+        const queue = this.getQueue(providerId);
+        queue.active = Math.max(0, queue.active - 1);
+        this.pump(providerId);
+    }
+
+    pump(providerId) {
+        const queue = this.getQueue(providerId);
+        const limits = this.getLimits(providerId);
+
+        while (queue.waiting.length > 0 && queue.active < limits.maxConcurrent) {
+            const now = Date.now();
+            queue.startTimes = queue.startTimes.filter(time => now - time < 60000);
+
+            if (limits.requestsPerMinute > 0 && queue.startTimes.length >= limits.requestsPerMinute) {
+                // Wake up when the oldest request leaves the one-minute window
+                if (!queue.timer) {
+                    const waitMs = 60000 - (now - queue.startTimes[0]);
+                    queue.timer = setTimeout(() => {
+                        queue.timer = null;
+                        this.pump(providerId);
+                    }, waitMs);
+                    this.emit('rateLimited', { providerId: providerId, waitMs: waitMs, queued: queue.waiting.length });
+                }
+                return;
+            }
+
+            const entry = queue.waiting.shift();
+            if (entry.signal) {
+                entry.signal.removeEventListener('abort', entry.onAbort);
+            }
+
+            queue.active++;
+            queue.startTimes.push(now);
+            entry.resolve();
+        }
+    }
+
+    // Circuit breaker - closed (normal), open (use scripted replies), half_open (trying the model again)
+    getCircuit(key) {
+        if (!this.circuits.has(key)) {
+            this.circuits.set(key, { state: 'closed', failures: 0, openedAt: 0, lastError: null });
+        }
+        return this.circuits.get(key);
+    }
+
+    isAvailable(key) {
+        const circuit = this.getCircuit(key);
+
+        if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.cooldown) {
+            circuit.state = 'half_open';
+            this.emit('circuitHalfOpen', { key: key });
+        }
+
+        return circuit.state !== 'open';
+    }
+
+    getCircuitState(key) {
+        return this.getCircuit(key).state;
+    }
+
+    recordSuccess(key) {
+        if (!key) return;
+
+        const circuit = this.getCircuit(key);
+        const wasOpen = circuit.state !== 'closed';
+
+        circuit.state = 'closed';
+        circuit.failures = 0;
+        circuit.lastError = null;
+
+        if (wasOpen) {
+            this.emit('circuitClosed', { key: key });
+        }
+    }
+
+    recordFailure(key, error) {
+        if (!key) return;
+
+        const circuit = this.getCircuit(key);
+        circuit.failures++;
+        circuit.lastError = error.message;
+
+        // A failed trial reopens immediately; otherwise wait for the threshold
+        if (circuit.state === 'half_open' || (circuit.state === 'closed' && circuit.failures >= this.failureThreshold)) {
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+            this.emit('circuitOpened', { key: key, failures: circuit.failures, error: error });
+        }
+    }
+
+    resetCircuit(key) {
+        this.circuits.delete(key);
+    }
+
+    getStats() {
+        const providers = {};
+        this.queues.forEach((queue, providerId) => {
+            providers[providerId] = {
+                active: queue.active,
+                queued: queue.waiting.length,
+                requestsLastMinute: queue.startTimes.filter(time => Date.now() - time < 60000).length
+            };
+        });
+
+        const circuits = {};
+        this.circuits.forEach((circuit, key) => {
+            circuits[key] = { state: circuit.state, failures: circuit.failures, lastError: circuit.lastError };
+        });
+
+        return { providers: providers, circuits: circuits };
+    }
+
+    // One scheduler is shared by every agent so limits apply across the whole game
+    static getShared() {
+        if (!RequestScheduler.shared) {
+            RequestScheduler.shared = new RequestScheduler();
+        }
+        return RequestScheduler.shared;
+    }
+}
+
+RequestScheduler.shared = null;
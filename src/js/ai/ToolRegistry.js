@@ -0,0 +1,81 @@
+/**
+ * ToolRegistry - Callable NPC actions with JSON schemas, argument validation and execution
+ */
+class ToolRegistry extends EventEmitter {
+    constructor() {
+        super();
+
+        this.tools = new Map();
+    }
+
+    /**
+     * Register a tool. `parameters` is a JSON schema object, or a function returning one
+     * when the allowed values depend on live agent state (e.g. an inventory enum).
+     */
+    register(tool) {
+        if (!tool.name || typeof tool.handler !== 'function') {
+            throw new Error('Tools need a name and a handler');
+        }
+
+        this.tools.set(tool.name, {
+            name: tool.name,
+            description: tool.description || '',
+            parameters: tool.parameters || { type: 'object', properties: {} },
+            handler: tool.handler
+        });
+    }
+
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    size() {
+        return this.tools.size;
+    }
+
+    getSchema(tool) {
+        return typeof tool.parameters === 'function' ? tool.parameters() : tool.parameters;
+    }
+
+    // Provider-neutral definitions; each LLMProvider converts these to its wire format
+    getDefinitions() {
+        return Array.from(this.tools.values()).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: this.getSchema(tool)
+        }));
+    }
+
+    execute(name, args, context = {}) {
+        const tool = this.tools.get(name);
+
+        if (!tool) {
+            return this.recordOutcome(name, args, { ok: false, error: `Unknown tool: ${name}` });
+        }
+
+        if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+            return this.recordOutcome(name, args, { ok: false, error: 'Arguments must be a JSON object' });
+        }
+
+        const errors = SchemaValidator.validate(this.getSchema(tool), args, 'arguments');
+        if (errors.length > 0) {
+            return this.recordOutcome(name, args, { ok: false, error: `Invalid arguments: ${errors.join('; ')}` });
+        }
+
+        try {
+            const result = tool.handler(args, context);
+            return this.recordOutcome(name, args, { ok: true, result: result });
+        } catch (error) {
+            return this.recordOutcome(name, args, { ok: false, error: error.message });
+        }
+    }
+
+    recordOutcome(name, args, outcome) {
+        this.emit('toolExecuted', name, args, outcome);
+        return outcome;
+    }
+}
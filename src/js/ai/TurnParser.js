@@ -0,0 +1,138 @@
+/**
+ * TurnParser - Parses, validates and repairs structured NPC turns
+ * A turn is the JSON object { say, emotion, trust_delta, topics, memory_note } returned by the LLM
+ */
+class TurnParser {
+    constructor(config = {}) {
+        this.emotions = config.emotions || [
+            'neutral', 'friendly', 'happy', 'enthusiastic', 'curious',
+            'suspicious', 'annoyed', 'worried', 'sad', 'tired'
+        ];
+        this.maxTrustDelta = config.maxTrustDelta || 10;
+        this.maxSayLength = config.maxSayLength || 1200;
+
+        this.schema = {
+            type: 'object',
+            properties: {
+                say: { type: 'string', minLength: 1, maxLength: this.maxSayLength },
+                emotion: { type: 'string', enum: this.emotions },
+                trust_delta: { type: 'integer', minimum: -this.maxTrustDelta, maximum: this.maxTrustDelta },
+                topics: { type: 'array', items: { type: 'string', maxLength: 40 }, maxItems: 5 },
+                memory_note: { type: ['string', 'null'], maxLength: 300 }
+            },
+            required: ['say', 'emotion', 'trust_delta', 'topics'],
+            additionalProperties: false
+        };
+    }
+
+    buildInstructions() {
+        return `Reply with a single JSON object and nothing else, in exactly this shape:
+{"say": "...", "emotion": "...", "trust_delta": 0, "topics": ["..."], "memory_note": null}
+
+- say: your spoken reply to the player, in character
+- emotion: how you feel after this exchange, one of: ${this.emotions.join(', ')}
+- trust_delta: integer from -${this.maxTrustDelta} to ${this.maxTrustDelta}, how much this exchange changed your trust in the player (usually small, 0 if nothing changed)
+- topics: up to 5 short snake_case topics that came up
+- memory_note: one sentence worth remembering about the player, or null`;
+    }
+
+    /**
+     * Parse raw model text into a validated turn.
+     * Returns { turn, errors, repaired }; turn is null when the text could not be salvaged.
+     */
+    parse(text) {
+        let data = this.extractJSON(text);
+        if (data === null) {
+            return { turn: null, errors: ['Reply is not a JSON object'], repaired: false };
+        }
+
+        const errors = SchemaValidator.validate(this.schema, data, 'turn');
+        if (errors.length === 0) {
+            return { turn: this.withDefaults(data), errors: [], repaired: false };
+        }
+
+        data = this.repair(data);
+        const remaining = SchemaValidator.validate(this.schema, data, 'turn');
+
+        return remaining.length === 0
+            ? { turn: this.withDefaults(data), errors: errors, repaired: true }
+            : { turn: null, errors: remaining, repaired: false };
+    }
+
+    extractJSON(text) {
+        if (!text) return null;
+
+        // Models like to wrap JSON in code fences or add a sentence before it
+        let candidate = text.replace(/```(?:json)?/gi, '').trim();
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+        candidate = candidate.slice(start, end + 1);
+
+        const attempts = [candidate, candidate.replace(/,\s*([}\]])/g, '$1')];
+        for (const attempt of attempts) {
+            try {
+                const data = JSON.parse(attempt);
+                if (SchemaValidator.matchesType('object', data)) {
+                    return data;
+                }
+            } catch (error) {
+                // Try the next repair
+            }
+        }
+
+        return null;
+    }
+
+    // Coerce near-misses (string numbers, unknown emotions, stray keys) into a valid turn
+    repair(data) {
+        const repaired = {};
+
+        const say = data.say !== undefined ? data.say : (data.dialogue || data.text || data.response);
+        if (typeof say === 'string') {
+            repaired.say = say.trim().slice(0, this.maxSayLength);
+        }
+
+        const emotion = typeof data.emotion === 'string' ? data.emotion.trim().toLowerCase() : '';
+        repaired.emotion = this.emotions.includes(emotion) ? emotion : 'neutral';
+
+        const delta = Math.round(Number(data.trust_delta));
+        repaired.trust_delta = isFinite(delta)
+            ? Math.max(-this.maxTrustDelta, Math.min(this.maxTrustDelta, delta))
+            : 0;
+
+        let topics = data.topics;
+        if (typeof topics === 'string') {
+            topics = topics.split(',');
+        }
+        repaired.topics = Array.isArray(topics)
+            ? topics.filter(topic => typeof topic === 'string' && topic.trim())
+                .map(topic => topic.trim().toLowerCase().replace(/\s+/g, '_').slice(0, 40))
+                .slice(0, 5)
+            : [];
+
+        repaired.memory_note = typeof data.memory_note === 'string' && data.memory_note.trim()
+            ? data.memory_note.trim().slice(0, 300)
+            : null;
+
+        return repaired;
+    }
+
+    withDefaults(data) {
+        return {
+            say: data.say.trim(),
+            emotion: data.emotion,
+            trust_delta: data.trust_delta,
+            topics: data.topics,
+            memory_note: data.memory_note || null
+        };
+    }
+
+    // Last resort when retries run out: keep the words, change nothing else
+    fromPlainText(text) {
+        const say = (text || '').replace(/```(?:json)?/gi, '').trim();
+        if (!say || say.includes('{')) return null;
+
+        return { say: say, emotion: 'neutral', trust_delta: 0, topics: [], memory_note: null };
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * UsageTelemetry - Token, latency and cost accounting for LLM requests
+ * Every request an AIAgent sends is recorded with its token counts (from the provider's usage, or
+ * estimated when it reports none), latency and retries, and every reply notes whether the agent had
+ * to fall back to scripted lines. Totals are kept per agent and for the session, priced from a
+ * configurable per-model table, and can be exported as JSON or CSV.
+ */
+class UsageTelemetry extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.maxRecords = config.maxRecords || 500; // Per-request log kept for exports
+        this.freeProviders = config.freeProviders || ['ollama']; // Local models cost nothing
+
+        // USD per million tokens. Approximate list prices - override with setPrices() when they change.
+        // Keys match a model name exactly or as a prefix, so 'gpt-4o' also prices 'gpt-4o-2024-08-06'.
+        this.prices = {
+            'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+            'gpt-4o-mini': { input: 0.15, output: 0.6 },
+            'gpt-4o': { input: 2.5, output: 10 },
+            'claude-3-5-haiku': { input: 0.8, output: 4 },
+            'claude-3-5-sonnet': { input: 3, output: 15 },
+            'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+            ...(config.prices || {})
+        };
+
+        this.reset();
+    }
+
+    // One ledger for the whole game, like the scheduler and cassette
+    static getShared() {
+        if (!UsageTelemetry.shared) {
+            UsageTelemetry.shared = new UsageTelemetry();
+        }
+        return UsageTelemetry.shared;
+    }
+
+    reset() {
+        this.sessionStartedAt = Date.now();
+        this.records = [];
+        this.agents = new Map(); // agent name -> totals
+        this.emit('reset');
+    }
+
+    // Prices
+    setPrices(prices) {
+        Object.entries(prices).forEach(([model, price]) => {
+            if (price === null) {
+                delete this.prices[model];
+            } else {
+                this.prices[model] = { input: price.input || 0, output: price.output || 0 };
+            }
+        });
+        this.emit('pricesChanged', this.getPrices());
+    }
+
+    getPrices() {
+        return JSON.parse(JSON.stringify(this.prices));
+    }
+
+    // Exact match first, then the longest matching prefix; null when the model has no price
+    getPrice(model, providerId = null) {
+        if (providerId && this.freeProviders.includes(providerId)) {
+            return { input: 0, output: 0 };
+        }
+        if (!model) return null;
+        if (this.prices[model]) return this.prices[model];
+
+        const prefix = Object.keys(this.prices)
+            .filter(key => model.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? this.prices[prefix] : null;
+    }
+
+    estimateCost(model, providerId, promptTokens, completionTokens) {
+        const price = this.getPrice(model, providerId);
+        if (!price) return null;
+        return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+    }
+
+    // Recording
+    createTotals() {
+        return {
+            requests: 0,
+            failedRequests: 0,
+            retries: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            estimatedRequests: 0, // Requests whose tokens were estimated rather than reported
+            unpricedRequests: 0,
+            cost: 0,
+            latencyMs: 0,
+            maxLatencyMs: 0,
+            replies: 0,
+            fallbacks: 0
+        };
+    }
+
+    getAgentTotals(agentName) {
+        if (!this.agents.has(agentName)) {
+            this.agents.set(agentName, this.createTotals());
+        }
+        return this.agents.get(agentName);
+    }
+
+    /**
+     * Record one request.
+     * entry: { agent, provider, model, promptTokens, completionTokens, estimated, latencyMs, retries, error }
+     * Failed requests count towards latency and retries but not tokens, since providers do not bill them.
+     */
+    recordRequest(entry) {
+        const failed = !!entry.error;
+        const promptTokens = failed ? 0 : entry.promptTokens || 0;
+        const completionTokens = failed ? 0 : entry.completionTokens || 0;
+        const cost = failed ? 0 : this.estimateCost(entry.model, entry.provider, promptTokens, completionTokens);
+
+        const record = {
+            timestamp: new Date().toISOString(),
+            agent: entry.agent,
+            provider: entry.provider || null,
+            model: entry.model || null,
+            promptTokens: promptTokens,
+            completionTokens: completionTokens,
+            estimated: !failed && !!entry.estimated,
+            latencyMs: Math.round(entry.latencyMs || 0),
+            retries: entry.retries || 0,
+            cost: cost,
+            error: failed ? String(entry.error) : null
+        };
+
+        const totals = this.getAgentTotals(record.agent);
+        totals.requests++;
+        totals.retries += record.retries;
+        totals.latencyMs += record.latencyMs;
+        totals.maxLatencyMs = Math.max(totals.maxLatencyMs, record.latencyMs);
+        if (failed) {
+            totals.failedRequests++;
+        } else {
+            totals.promptTokens += promptTokens;
+            totals.completionTokens += completionTokens;
+            if (record.estimated) totals.estimatedRequests++;
+            if (cost === null) {
+                totals.unpricedRequests++;
+            } else {
+                totals.cost += cost;
+            }
+        }
+
+        this.records.push(record);
+        if (this.records.length > this.maxRecords) {
+            this.records.shift();
+        }
+
+        this.emit('requestRecorded', record);
+        return record;
+    }
+
+    // Record a finished NPC reply; fallback is true when scripted lines stood in for the model
+    recordReply(agentName, fallback) {
+        const totals = this.getAgentTotals(agentName);
+        totals.replies++;
+        if (fallback) totals.fallbacks++;
+        this.emit('replyRecorded', agentName, !!fallback);
+    }
+
+    // Reports
+    summarize(totals) {
+        const succeeded = totals.requests - totals.failedRequests;
+        return {
+            requests: totals.requests,
+            failedRequests: totals.failedRequests,
+            retries: totals.retries,
+            promptTokens: totals.promptTokens,
+            completionTokens: totals.completionTokens,
+            totalTokens: totals.promptTokens + totals.completionTokens,
+            estimatedRequests: totals.estimatedRequests,
+            unpricedRequests: totals.unpricedRequests,
+            cost: Number(totals.cost.toFixed(6)),
+            avgLatencyMs: totals.requests > 0 ? Math.round(totals.latencyMs / totals.requests) : 0,
+            maxLatencyMs: totals.maxLatencyMs,
+            avgTokensPerRequest: succeeded > 0 ? Math.round((totals.promptTokens + totals.completionTokens) / succeeded) : 0,
+            replies: totals.replies,
+            fallbacks: totals.fallbacks,
+            fallbackRate: totals.replies > 0 ? Number((totals.fallbacks / totals.replies).toFixed(3)) : 0
+        };
+    }
+
+    getAgentStats(agentName) {
+        return this.summarize(this.agents.get(agentName) || this.createTotals());
+    }
+
+    getSessionStats() {
+        const session = this.createTotals();
+        this.agents.forEach(totals => {
+            Object.keys(session).forEach(field => {
+                session[field] = field === 'maxLatencyMs'
+                    ? Math.max(session[field], totals[field])
+                    : session[field] + totals[field];
+            });
+        });
+
+        return {
+            startedAt: new Date(this.sessionStartedAt).toISOString(),
+            durationMs: Date.now() - this.sessionStartedAt,
+            ...this.summarize(session)
+        };
+    }
+
+    getStats() {
+        const agents = {};
+        this.agents.forEach((totals, agentName) => {
+            agents[agentName] = this.summarize(totals);
+        });
+        return { session: this.getSessionStats(), agents: agents };
+    }
+
+    getRecords() {
+        return this.records.slice();
+    }
+
+    // Exports
+    exportJSON() {
+        return JSON.stringify({ ...this.getStats(), prices: this.getPrices(), requests: this.getRecords() }, null, 2);
+    }
+
+    // One row per recorded request, for spreadsheets
+    exportCSV() {
+        const columns = ['timestamp', 'agent', 'provider', 'model', 'promptTokens', 'completionTokens',
+            'estimated', 'latencyMs', 'retries', 'cost', 'error'];
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = this.records.map(record => columns.map(column => escape(record[column])).join(','));
+        return [columns.join(',')].concat(rows).join('\n');
+    }
+}
+
+UsageTelemetry.shared = null;
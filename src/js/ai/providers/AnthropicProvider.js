@@ -0,0 +1,193 @@
+/**
+ * AnthropicProvider - Adapter for the Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.id = 'anthropic';
+        this.displayName = 'Anthropic';
+        this.apiVersion = config.apiVersion || '2023-06-01';
+        this.supportsStreaming = true;
+        this.supportsTools = true;
+    }
+
+    getDefaultEndpoint() {
+        return 'https://api.anthropic.com/v1/messages';
+    }
+
+    getDefaultModel() {
+        return 'claude-3-5-haiku-latest';
+    }
+
+    buildRequest(messages, options = {}) {
+        const { system, conversation } = this.splitSystemMessages(messages);
+
+        // The Messages API requires alternating turns that start with the user
+        const turns = this.buildTurns(conversation);
+        if (turns.length > 0 && turns[0].role !== 'user') {
+            turns.unshift({ role: 'user', content: '...' });
+        }
+
+        const body = {
+            model: options.model || this.model,
+            messages: turns,
+            max_tokens: options.maxTokens || 150
+        };
+
+        if (system) {
+            body.system = system;
+        }
+
+        if (options.temperature !== undefined) {
+            body.temperature = Math.min(1, options.temperature);
+        }
+
+        if (options.stream) {
+            body.stream = true;
+        }
+
+        if (options.tools && options.tools.length > 0) {
+            body.tools = options.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+        }
+
+        return {
+            url: this.endpoint,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': this.apiVersion,
+                // Required for calls made directly from the browser
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: body
+        };
+    }
+
+    buildTurns(conversation) {
+        const turns = [];
+
+        conversation.forEach(message => {
+            let turn;
+
+            if (message.role === 'tool') {
+                // Tool results travel back as user content blocks
+                turn = {
+                    role: 'user',
+                    content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }]
+                };
+            } else if (message.toolCalls && message.toolCalls.length > 0) {
+                const blocks = message.content ? [{ type: 'text', text: message.content }] : [];
+                message.toolCalls.forEach(call => {
+                    blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+                });
+                turn = { role: 'assistant', content: blocks };
+            } else {
+                turn = { role: message.role, content: message.content };
+            }
+
+            const previous = turns[turns.length - 1];
+            if (previous && previous.role === turn.role) {
+                previous.content = this.toBlocks(previous.content).concat(this.toBlocks(turn.content));
+            } else {
+                turns.push(turn);
+            }
+        });
+
+        // Plain text turns stay as strings for readability in captured requests
+        return turns.map(turn => {
+            if (Array.isArray(turn.content) && turn.content.every(block => block.type === 'text')) {
+                return { role: turn.role, content: turn.content.map(block => block.text).join('\n\n') };
+            }
+            return turn;
+        });
+    }
+
+    toBlocks(content) {
+        return Array.isArray(content) ? content : [{ type: 'text', text: content }];
+    }
+
+    parseResponse(data) {
+        if (!data || !Array.isArray(data.content)) {
+            throw new LLMProviderError('No response from AI', { provider: this.id, body: data });
+        }
+
+        const text = data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        const toolCalls = data.content
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, arguments: block.input }));
+
+        const usage = data.usage || {};
+
+        return this.createResult(
+            text,
+            {
+                promptTokens: usage.input_tokens,
+                completionTokens: usage.output_tokens
+            },
+            data.stop_reason || null,
+            data,
+            toolCalls
+        );
+    }
+
+    parseStreamChunk(payload) {
+        switch (payload.type) {
+            case 'message_start':
+                return {
+                    usage: { promptTokens: payload.message.usage ? payload.message.usage.input_tokens : 0 }
+                };
+            case 'content_block_start':
+                if (payload.content_block && payload.content_block.type === 'tool_use') {
+                    return {
+                        toolCalls: [{
+                            index: payload.index,
+                            id: payload.content_block.id,
+                            name: payload.content_block.name
+                        }]
+                    };
+                }
+                return {};
+            case 'content_block_delta':
+                if (payload.delta && payload.delta.type === 'input_json_delta') {
+                    return {
+                        toolCalls: [{ index: payload.index, argumentsDelta: payload.delta.partial_json }]
+                    };
+                }
+                return {
+                    delta: payload.delta && payload.delta.type === 'text_delta' ? payload.delta.text : null
+                };
+            case 'message_delta':
+                return {
+                    finishReason: payload.delta ? payload.delta.stop_reason : null,
+                    usage: { completionTokens: payload.usage ? payload.usage.output_tokens : 0 }
+                };
+            case 'error':
+                // Errors can arrive mid-stream after a 200 response
+                throw this.parseError(0, payload);
+            default:
+                return {};
+        }
+    }
+
+    parseError(status, data) {
+        if (data && data.error && data.error.type) {
+            return new LLMProviderError(`${data.error.type}: ${data.error.message}`, {
+                provider: this.id,
+                status: status,
+                body: data
+            });
+        }
+
+        return super.parseError(status, data);
+    }
+}
+
+LLMProvider.register('anthropic', AnthropicProvider);
@@ -0,0 +1,194 @@
+/**
+ * GeminiProvider - Adapter for the Google Gemini generateContent API
+ */
+class GeminiProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.id = 'gemini';
+        this.displayName = 'Google Gemini';
+        this.supportsStreaming = true;
+        this.supportsTools = true;
+    }
+
+    getDefaultEndpoint() {
+        // {model} is substituted per request so the model can change without a new endpoint
+        return 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent';
+    }
+
+    getDefaultModel() {
+        return 'gemini-1.5-flash';
+    }
+
+    buildRequest(messages, options = {}) {
+        const { system, conversation } = this.splitSystemMessages(messages);
+        const model = options.model || this.model;
+
+        const body = {
+            contents: this.buildContents(conversation),
+            generationConfig: {
+                temperature: options.temperature,
+                maxOutputTokens: options.maxTokens
+            }
+        };
+
+        if (system) {
+            body.systemInstruction = { parts: [{ text: system }] };
+        }
+
+        if (options.tools && options.tools.length > 0) {
+            body.tools = [{
+                functionDeclarations: options.tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: this.sanitizeSchema(tool.parameters)
+                }))
+            }];
+        } else if (options.responseFormat === 'json') {
+            // JSON mode can't be combined with function declarations
+            body.generationConfig.responseMimeType = 'application/json';
+        }
+
+        let url = this.endpoint.replace('{model}', encodeURIComponent(model));
+        if (options.stream) {
+            // Streaming uses a sibling method that emits SSE when asked to
+            url = url.replace(':generateContent', ':streamGenerateContent');
+            url += (url.includes('?') ? '&' : '?') + 'alt=sse';
+        }
+
+        return {
+            url: url,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': this.apiKey
+            },
+            body: body
+        };
+    }
+
+    buildContents(conversation) {
+        const contents = [];
+
+        conversation.forEach(message => {
+            let entry;
+
+            if (message.role === 'tool') {
+                entry = {
+                    role: 'user',
+                    parts: [{ functionResponse: { name: message.name, response: { content: message.content } } }]
+                };
+            } else {
+                const parts = message.content ? [{ text: message.content }] : [];
+                (message.toolCalls || []).forEach(call => {
+                    parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+                });
+                entry = { role: message.role === 'assistant' ? 'model' : 'user', parts: parts };
+            }
+
+            // Gemini expects alternating roles, so adjacent turns are merged
+            const previous = contents[contents.length - 1];
+            if (previous && previous.role === entry.role) {
+                previous.parts = previous.parts.concat(entry.parts);
+            } else {
+                contents.push(entry);
+            }
+        });
+
+        return contents;
+    }
+
+    sanitizeSchema(schema) {
+        // Gemini's schema dialect rejects additionalProperties
+        if (Array.isArray(schema)) {
+            return schema.map(item => this.sanitizeSchema(item));
+        }
+
+        if (schema && typeof schema === 'object') {
+            const cleaned = {};
+            Object.entries(schema).forEach(([key, value]) => {
+                if (key !== 'additionalProperties') {
+                    cleaned[key] = this.sanitizeSchema(value);
+                }
+            });
+            return cleaned;
+        }
+
+        return schema;
+    }
+
+    extractParts(candidate) {
+        const parts = (candidate && candidate.content && candidate.content.parts) || [];
+
+        return {
+            text: parts.map(part => part.text || '').join(''),
+            toolCalls: parts
+                .filter(part => part.functionCall)
+                .map(part => ({ name: part.functionCall.name, arguments: part.functionCall.args || {} }))
+        };
+    }
+
+    parseResponse(data) {
+        if (data && data.promptFeedback && data.promptFeedback.blockReason) {
+            throw new LLMProviderError(`Prompt blocked: ${data.promptFeedback.blockReason}`, {
+                provider: this.id,
+                body: data
+            });
+        }
+
+        if (!data || !data.candidates || data.candidates.length === 0) {
+            throw new LLMProviderError('No response from AI', { provider: this.id, body: data });
+        }
+
+        const candidate = data.candidates[0];
+        const { text, toolCalls } = this.extractParts(candidate);
+        const usage = data.usageMetadata || {};
+
+        return this.createResult(
+            text,
+            {
+                promptTokens: usage.promptTokenCount,
+                completionTokens: usage.candidatesTokenCount
+            },
+            candidate.finishReason || null,
+            data,
+            toolCalls.map((call, index) => ({ id: `call_${index}`, ...call }))
+        );
+    }
+
+    parseStreamChunk(payload) {
+        // Each streamed chunk has the same shape as a full response, minus the trimming
+        if (payload.promptFeedback && payload.promptFeedback.blockReason) {
+            throw new LLMProviderError(`Prompt blocked: ${payload.promptFeedback.blockReason}`, {
+                provider: this.id,
+                body: payload
+            });
+        }
+
+        const candidate = payload.candidates && payload.candidates[0];
+        const { text, toolCalls } = this.extractParts(candidate);
+        const usage = payload.usageMetadata;
+
+        return {
+            delta: text || null,
+            finishReason: candidate ? candidate.finishReason || null : null,
+            toolCalls: toolCalls.length > 0 ? toolCalls : null,
+            usage: usage ? {
+                promptTokens: usage.promptTokenCount,
+                completionTokens: usage.candidatesTokenCount
+            } : null
+        };
+    }
+
+    parseError(status, data) {
+        if (data && data.error && data.error.status) {
+            return new LLMProviderError(`${data.error.status}: ${data.error.message}`, {
+                provider: this.id,
+                status: status,
+                body: data
+            });
+        }
+
+        return super.parseError(status, data);
+    }
+}
+
+LLMProvider.register('gemini', GeminiProvider);
@@ -0,0 +1,347 @@
+/**
+ * LLMProvider - Base class for LLM provider adapters
+ * Converts conversation context into a provider's wire format and parses its replies and errors
+ */
+class LLMProvider {
+    constructor(config = {}) {
+        // Provider identification
+        this.id = 'base';
+        this.displayName = 'Base Provider';
+
+        // Connection settings
+        this.endpoint = config.endpoint || this.getDefaultEndpoint();
+        this.apiKey = config.apiKey || null;
+        this.model = config.model || this.getDefaultModel();
+        this.requiresApiKey = true;
+        this.supportsStreaming = false;
+        this.supportsTools = false;
+
+        // Injectable transport so adapters can be exercised against canned fixtures
+        this.fetch = config.fetch || ((url, init) => fetch(url, init));
+    }
+
+    getDefaultEndpoint() {
+        return null;
+    }
+
+    getDefaultModel() {
+        return null;
+    }
+
+    isConfigured() {
+        return !!(this.endpoint && (this.apiKey || !this.requiresApiKey));
+    }
+
+    // Wire format conversion (override in subclasses)
+    buildRequest(messages, options = {}) {
+        throw new Error(`${this.displayName} does not implement buildRequest`);
+    }
+
+    parseResponse(data) {
+        throw new Error(`${this.displayName} does not implement parseResponse`);
+    }
+
+    parseStreamChunk(payload) {
+        throw new Error(`${this.displayName} does not implement parseStreamChunk`);
+    }
+
+    parseError(status, data) {
+        let message = `API request failed: ${status}`;
+
+        if (data && data.error) {
+            message = typeof data.error === 'string' ? data.error : (data.error.message || message);
+        } else if (typeof data === 'string' && data.trim()) {
+            message = data.trim();
+        }
+
+        return new LLMProviderError(message, {
+            provider: this.id,
+            status: status,
+            body: data
+        });
+    }
+
+    errorFromResponse(response, data) {
+        const error = this.parseError(response.status, data);
+
+        // Retry-After is either seconds or an HTTP date
+        const retryAfter = response.headers && response.headers.get('retry-after');
+        if (retryAfter) {
+            const seconds = isNaN(retryAfter) ? (Date.parse(retryAfter) - Date.now()) / 1000 : Number(retryAfter);
+            error.retryAfter = Math.max(0, seconds) || null;
+        }
+
+        return error;
+    }
+
+    // Request execution
+    async send(request, signal) {
+        try {
+            return await this.fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+
+            // fetch rejects with a TypeError when the server can't be reached at all
+            throw new LLMProviderError(`Could not reach ${this.displayName}: ${error.message}`, {
+                provider: this.id,
+                code: 'network'
+            });
+        }
+    }
+
+    async complete(messages, options = {}) {
+        const request = this.buildRequest(messages, options);
+
+        const response = await this.send(request, options.signal);
+
+        const data = await this.readBody(response);
+
+        if (!response.ok) {
+            throw this.errorFromResponse(response, data);
+        }
+
+        return this.parseResponse(data);
+    }
+
+    async stream(messages, options = {}) {
+        const request = this.buildRequest(messages, { ...options, stream: true });
+
+        const response = await this.send(request, options.signal);
+
+        if (!response.ok) {
+            throw this.errorFromResponse(response, await this.readBody(response));
+        }
+
+        let content = '';
+        let finishReason = null;
+        const usage = { promptTokens: 0, completionTokens: 0 };
+        const toolCalls = [];
+
+        await this.readEventStream(response.body, payload => {
+            const chunk = this.parseStreamChunk(payload);
+
+            if (chunk.delta) {
+                content += chunk.delta;
+                if (options.onToken) {
+                    options.onToken(chunk.delta, content);
+                }
+            }
+
+            if (chunk.usage) {
+                usage.promptTokens = chunk.usage.promptTokens || usage.promptTokens;
+                usage.completionTokens = chunk.usage.completionTokens || usage.completionTokens;
+            }
+
+            if (chunk.finishReason) {
+                finishReason = chunk.finishReason;
+            }
+
+            if (chunk.toolCalls) {
+                this.accumulateToolCalls(toolCalls, chunk.toolCalls);
+            }
+        });
+
+        const completedCalls = toolCalls.map(call => ({
+            id: call.id,
+            name: call.name,
+            arguments: call.arguments || this.parseToolArguments(call.argumentsText || '{}'),
+            rawArguments: call.argumentsText
+        }));
+
+        return this.createResult(content, usage, finishReason, null, completedCalls);
+    }
+
+    accumulateToolCalls(calls, deltas) {
+        // Tool calls arrive either whole or as argument fragments keyed by index
+        deltas.forEach(delta => {
+            let call = delta.index !== undefined ? calls.find(c => c.index === delta.index) : null;
+
+            if (!call) {
+                call = {
+                    index: delta.index,
+                    id: delta.id || `call_${calls.length}`,
+                    name: '',
+                    arguments: null,
+                    argumentsText: ''
+                };
+                calls.push(call);
+            }
+
+            if (delta.id) call.id = delta.id;
+            if (delta.name) call.name = delta.name;
+            if (delta.arguments) call.arguments = delta.arguments;
+            if (delta.argumentsDelta) call.argumentsText += delta.argumentsDelta;
+        });
+    }
+
+    async readEventStream(body, onPayload) {
+        // Handles both SSE ("data: {...}") and newline-delimited JSON bodies
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const handleLine = (line) => {
+            const payload = this.parseStreamLine(line);
+            if (payload !== null) {
+                onPayload(payload);
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) {
+            handleLine(buffer);
+        }
+    }
+
+    parseStreamLine(line) {
+        const trimmed = line.trim();
+
+        // Blank separators, SSE comments and non-data fields carry no content
+        if (!trimmed || trimmed.startsWith(':') || /^(event|id|retry):/.test(trimmed)) {
+            return null;
+        }
+
+        const data = trimmed.startsWith('data:') ? trimmed.substring(5).trim() : trimmed;
+        if (data === '[DONE]') {
+            return null;
+        }
+
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            throw new LLMProviderError('Malformed stream chunk', { provider: this.id, body: data });
+        }
+    }
+
+    async readBody(response) {
+        const text = await response.text();
+
+        try {
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            // Non-JSON bodies (proxies, HTML error pages) are passed through as text
+            return text;
+        }
+    }
+
+    // Shared helpers for adapters
+    splitSystemMessages(messages) {
+        const system = [];
+        const conversation = [];
+
+        messages.forEach(message => {
+            if (message.role === 'system') {
+                system.push(message.content);
+            } else {
+                conversation.push(message);
+            }
+        });
+
+        return {
+            system: system.join('\n\n'),
+            conversation: conversation
+        };
+    }
+
+    mergeConsecutiveRoles(messages) {
+        // Some APIs reject two messages in a row from the same role
+        const merged = [];
+
+        messages.forEach(message => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.role === message.role) {
+                previous.content += '\n\n' + message.content;
+            } else {
+                merged.push({ role: message.role, content: message.content });
+            }
+        });
+
+        return merged;
+    }
+
+    parseToolArguments(text) {
+        if (text && typeof text === 'object') {
+            return text;
+        }
+
+        try {
+            return JSON.parse(text || '{}');
+        } catch (error) {
+            // Left for ToolRegistry to reject so the model hears about its mistake
+            return null;
+        }
+    }
+
+    createResult(content, usage = {}, finishReason = null, raw = null, toolCalls = []) {
+        return {
+            content: typeof content === 'string' ? content.trim() : '',
+            toolCalls: toolCalls,
+            usage: {
+                promptTokens: usage.promptTokens || 0,
+                completionTokens: usage.completionTokens || 0
+            },
+            finishReason: finishReason,
+            provider: this.id,
+            raw: raw
+        };
+    }
+
+    getInfo() {
+        return {
+            id: this.id,
+            name: this.displayName,
+            endpoint: this.endpoint,
+            model: this.model,
+            configured: this.isConfigured()
+        };
+    }
+
+    // Provider registry
+    static register(id, providerClass) {
+        LLMProvider.registry.set(id, providerClass);
+    }
+
+    static create(id, config = {}) {
+        const providerClass = LLMProvider.registry.get(id);
+        if (!providerClass) {
+            throw new Error(`Unknown LLM provider: ${id}. Available: ${LLMProvider.getProviderIds().join(', ')}`);
+        }
+        return new providerClass(config);
+    }
+
+    static getProviderIds() {
+        return Array.from(LLMProvider.registry.keys());
+    }
+}
+
+LLMProvider.registry = new Map();
+
+/**
+ * LLMProviderError - Error raised by provider adapters with the HTTP status attached
+ */
+class LLMProviderError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.provider = details.provider || null;
+        this.status = details.status || 0;
+        this.body = details.body || null;
+        this.code = details.code || null; // e.g. 'timeout' or 'network'
+        this.retryAfter = details.retryAfter || null; // Seconds, from a Retry-After header
+    }
+}
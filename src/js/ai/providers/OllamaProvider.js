@@ -0,0 +1,131 @@
+/**
+ * OllamaProvider - Adapter for Ollama's native /api/chat endpoint
+ */
+class OllamaProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.id = 'ollama';
+        this.displayName = 'Ollama';
+        this.requiresApiKey = false; // Local instances don't authenticate
+        this.supportsStreaming = true;
+        this.supportsTools = config.supportsTools !== undefined ? config.supportsTools : true;
+    }
+
+    getDefaultEndpoint() {
+        return 'http://localhost:11434/api/chat';
+    }
+
+    getDefaultModel() {
+        return 'llama3.1';
+    }
+
+    buildRequest(messages, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        // Only sent when Ollama sits behind an authenticating proxy
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: options.model || this.model,
+            messages: messages.map(message => this.formatMessage(message)),
+            stream: !!options.stream,
+            options: {
+                temperature: options.temperature,
+                num_predict: options.maxTokens
+            }
+        };
+
+        if (options.tools && options.tools.length > 0) {
+            body.tools = options.tools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }));
+        }
+
+        if (options.responseFormat === 'json') {
+            body.format = 'json';
+        }
+
+        return {
+            url: this.endpoint,
+            headers: headers,
+            body: body
+        };
+    }
+
+    formatMessage(message) {
+        if (message.role === 'tool') {
+            return { role: 'tool', content: message.content, tool_name: message.name };
+        }
+
+        if (message.toolCalls && message.toolCalls.length > 0) {
+            return {
+                role: 'assistant',
+                content: message.content || '',
+                tool_calls: message.toolCalls.map(call => ({
+                    function: { name: call.name, arguments: call.arguments || {} }
+                }))
+            };
+        }
+
+        return { role: message.role, content: message.content };
+    }
+
+    parseToolCalls(message) {
+        // Ollama sends tool calls whole, with arguments already parsed and no ids
+        return (message.tool_calls || []).map(call => ({
+            name: call.function.name,
+            arguments: this.parseToolArguments(call.function.arguments)
+        }));
+    }
+
+    parseResponse(data) {
+        if (!data || !data.message) {
+            throw new LLMProviderError('No response from AI', { provider: this.id, body: data });
+        }
+
+        const toolCalls = this.parseToolCalls(data.message).map((call, index) => ({
+            id: `call_${index}`,
+            ...call
+        }));
+
+        return this.createResult(
+            data.message.content,
+            {
+                promptTokens: data.prompt_eval_count,
+                completionTokens: data.eval_count
+            },
+            data.done_reason || null,
+            data,
+            toolCalls
+        );
+    }
+
+    parseStreamChunk(payload) {
+        if (payload.error) {
+            throw new LLMProviderError(payload.error, { provider: this.id, body: payload });
+        }
+
+        const toolCalls = payload.message ? this.parseToolCalls(payload.message) : [];
+
+        return {
+            delta: payload.message ? payload.message.content : null,
+            finishReason: payload.done ? (payload.done_reason || 'stop') : null,
+            toolCalls: toolCalls.length > 0 ? toolCalls : null,
+            usage: payload.done ? {
+                promptTokens: payload.prompt_eval_count,
+                completionTokens: payload.eval_count
+            } : null
+        };
+    }
+}
+
+LLMProvider.register('ollama', OllamaProvider);
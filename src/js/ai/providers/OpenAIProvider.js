@@ -0,0 +1,142 @@
+/**
+ * OpenAIProvider - Adapter for OpenAI-compatible chat completions endpoints
+ * Also covers Ollama's /v1 compatibility layer and most hosted proxies
+ */
+class OpenAIProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.id = 'openai';
+        this.displayName = 'OpenAI';
+        this.requiresApiKey = config.requiresApiKey !== undefined ? config.requiresApiKey : true;
+        this.supportsStreaming = true;
+        this.supportsTools = config.supportsTools !== undefined ? config.supportsTools : true;
+    }
+
+    getDefaultEndpoint() {
+        return 'https://api.openai.com/v1/chat/completions';
+    }
+
+    getDefaultModel() {
+        return 'gpt-3.5-turbo';
+    }
+
+    buildRequest(messages, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: options.model || this.model,
+            messages: messages.map(message => this.formatMessage(message)),
+            max_tokens: options.maxTokens,
+            temperature: options.temperature,
+            presence_penalty: options.presencePenalty !== undefined ? options.presencePenalty : 0.1,
+            frequency_penalty: options.frequencyPenalty !== undefined ? options.frequencyPenalty : 0.1,
+            stream: !!options.stream
+        };
+
+        if (options.tools && options.tools.length > 0) {
+            body.tools = options.tools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }));
+            body.tool_choice = 'auto';
+        }
+
+        if (options.responseFormat === 'json') {
+            body.response_format = { type: 'json_object' };
+        }
+
+        return {
+            url: this.endpoint,
+            headers: headers,
+            body: body
+        };
+    }
+
+    formatMessage(message) {
+        if (message.role === 'tool') {
+            return {
+                role: 'tool',
+                tool_call_id: message.toolCallId,
+                content: message.content
+            };
+        }
+
+        if (message.toolCalls && message.toolCalls.length > 0) {
+            return {
+                role: 'assistant',
+                content: message.content || null,
+                tool_calls: message.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: {
+                        name: call.name,
+                        arguments: JSON.stringify(call.arguments || {})
+                    }
+                }))
+            };
+        }
+
+        return { role: message.role, content: message.content };
+    }
+
+    parseResponse(data) {
+        if (!data || !data.choices || data.choices.length === 0) {
+            throw new LLMProviderError('No response from AI', { provider: this.id, body: data });
+        }
+
+        const choice = data.choices[0];
+        const message = choice.message || {};
+        const usage = data.usage || {};
+
+        const toolCalls = (message.tool_calls || []).map(call => ({
+            id: call.id,
+            name: call.function.name,
+            arguments: this.parseToolArguments(call.function.arguments),
+            rawArguments: call.function.arguments
+        }));
+
+        return this.createResult(
+            message.content || '',
+            {
+                promptTokens: usage.prompt_tokens,
+                completionTokens: usage.completion_tokens
+            },
+            choice.finish_reason || null,
+            data,
+            toolCalls
+        );
+    }
+
+    parseStreamChunk(payload) {
+        const choice = payload.choices && payload.choices[0];
+        const delta = choice && choice.delta ? choice.delta : {};
+        const usage = payload.usage;
+
+        return {
+            delta: delta.content || null,
+            finishReason: choice ? choice.finish_reason : null,
+            toolCalls: delta.tool_calls ? delta.tool_calls.map(call => ({
+                index: call.index,
+                id: call.id,
+                name: call.function ? call.function.name : null,
+                argumentsDelta: call.function ? call.function.arguments : null
+            })) : null,
+            usage: usage ? {
+                promptTokens: usage.prompt_tokens,
+                completionTokens: usage.completion_tokens
+            } : null
+        };
+    }
+}
+
+LLMProvider.register('openai', OpenAIProvider);
@@ -17,6 +17,12 @@ class GameEngine extends EventEmitter {
         this.inputManager = null;
         this.world = null;
         this.chatInterface = null;
+        this.aiSettings = null;
+        this.aiSettingsPanel = null;
+        this.usageOverlay = null;
+        this.inventoryPanel = null;
+        this.conversationDirector = null;
+        this.gossipNetwork = null;
         
         // Game objects
         this.player = null;
@@ -24,6 +30,7 @@ class GameEngine extends EventEmitter {
         
         // Interaction system
         this.nearbyAgent = null;
+        this.nearbyItem = null;
         this.interactionDistance = 80; // pixels
     }
 
@@ -45,6 +52,45 @@ class GameEngine extends EventEmitter {
         // Initialize world and agents
         await this.initializeWorld();
         
+        // LLM settings saved from the in-game panel apply to every agent at startup
+        this.aiSettings = AISettings.getShared();
+        this.aiSettings.load();
+        this.aiSettingsPanel = new AISettingsPanel(this.aiSettings, Array.from(this.agents.values()).map(agent => agent.name));
+        this.setupAISettingsEvents();
+        await this.applyAISettings();
+        
+        // Token, latency and cost figures for every agent, shown in debug mode
+        this.usageOverlay = new UsageOverlay(UsageTelemetry.getShared());
+        
+        // The player's bag, opened with I
+        this.inventoryPanel = new InventoryPanel(this.player.inventory);
+        
+        // NPCs talk among themselves when they meet, and pass on what they have heard
+        this.gossipNetwork = GossipNetwork.getShared();
+        this.conversationDirector = new ConversationDirector({ gossip: this.gossipNetwork });
+        this.conversationDirector.attach(this.world, Array.from(this.agents.values()));
+        this.conversationDirector.on('lineSpoken', (speaker, listener, text) => {
+            if (window.DEBUG_MODE) {
+                console.log(`${speaker.name} to ${listener.name}: "${text}"`);
+            }
+        });
+        this.gossipNetwork.on('factShared', (fact, speaker, listener) => {
+            if (window.DEBUG_MODE) {
+                console.log(`${speaker.name} told ${listener.name}: ${listener.memory.renderFact(fact)} (fidelity ${fact.fidelity})`);
+            }
+        });
+        
+        // Agents plan the first day now; later days start from the World's newDay
+        this.agents.forEach(agent => {
+            agent.on('dayPlanned', (plan) => {
+                if (window.DEBUG_MODE) {
+                    console.log(`${agent.name} planned day ${plan.day} (${plan.method}): ${plan.summary}`);
+                }
+            });
+            agent.startDay(this.world.dayCount, { reflect: false })
+                .catch(error => console.error(`${agent.name} could not plan day ${this.world.dayCount}:`, error));
+        });
+        
         console.log('GameEngine initialized successfully');
     }
 
@@ -57,19 +103,57 @@ class GameEngine extends EventEmitter {
         });
 
         this.inputManager.on('interact', () => {
-            if (this.nearbyAgent && !this.chatInterface.isOpen) {
+            if (this.chatInterface.isOpen) return;
+            
+            // Standing on an item picks it up before talking to whoever is nearby
+            if (this.nearbyItem) {
+                this.pickUpItem(this.nearbyItem);
+            } else if (this.nearbyAgent) {
                 this.startConversation(this.nearbyAgent);
             }
         });
 
+        this.inputManager.on('toggleInventory', () => {
+            if (this.inventoryPanel && !this.chatInterface.isOpen) {
+                this.inventoryPanel.toggle();
+            }
+        });
+
         // Chat events
-        this.chatInterface.on('chatClosed', () => {
+        this.chatInterface.on('chatClosed', (agent) => {
             this.isPaused = false;
             this.emit('gameResumed');
+            
+            // Summarize the finished chat into the NPC's long-term memory in the background
+            if (agent && agent.summarizeSession) {
+                agent.summarizeSession()
+                    .then(episode => {
+                        if (episode && window.DEBUG_MODE) console.log(`${agent.name} remembers: ${episode.summary} (${episode.method})`);
+                    })
+                    .catch(error => console.warn(`Could not summarize the chat with ${agent.name}:`, error.message));
+            }
         });
 
-        this.chatInterface.on('messageSent', (message, agent) => {
-            this.handlePlayerMessage(message, agent);
+        this.chatInterface.on('messageSent', (message, agent, signal) => {
+            this.handlePlayerMessage(message, agent, signal);
+        });
+
+        // LLM request pipeline - explain delays and outages instead of failing silently
+        const scheduler = RequestScheduler.getShared();
+        let lastSlowRequestId = null;
+        const onSlow = (detail) => {
+            if (detail.requestId === lastSlowRequestId) return;
+            lastSlowRequestId = detail.requestId;
+            this.notifyAgentStatus(detail.key, agent => `${agent.name} is thinking slowly...`);
+        };
+        scheduler.on('requestSlow', onSlow);
+        scheduler.on('requestRetrying', onSlow);
+        scheduler.on('circuitOpened', (detail) => {
+            console.warn(`AI unavailable for ${detail.key}, switching to scripted replies:`, detail.error.message);
+            this.notifyAgentStatus(detail.key, agent => `${agent.name} seems distracted and answers from habit. (AI unavailable)`);
+        });
+        scheduler.on('circuitClosed', (detail) => {
+            this.notifyAgentStatus(detail.key, agent => `${agent.name} is back to their usual self.`);
         });
 
         // Handle chat input focus to prevent game controls interference
@@ -87,10 +171,43 @@ class GameEngine extends EventEmitter {
         });
 
         window.addEventListener('focus', () => {
+            if (!this.chatInterface.isOpen && !(this.aiSettingsPanel && this.aiSettingsPanel.isOpen)) {
+                this.resume();
+            }
+        });
+    }
+
+    setupAISettingsEvents() {
+        this.aiSettingsPanel.on('opened', () => {
+            this.isPaused = true;
+            this.inputManager.isInputDisabled = true;
+        });
+
+        this.aiSettingsPanel.on('closed', () => {
+            this.inputManager.isInputDisabled = false;
             if (!this.chatInterface.isOpen) {
                 this.resume();
             }
         });
+
+        this.aiSettingsPanel.on('saved', (scope) => this.applyAISettings(scope));
+        this.aiSettingsPanel.on('unlocked', () => this.applyAISettings());
+    }
+
+    async applyAISettings(scope = 'global') {
+        try {
+            const results = await this.aiSettings.applyTo(this.agents, scope);
+            results.filter(result => result.provider).forEach(result => {
+                console.log(`${result.agent}: ${result.provider} (${result.model})${result.configured ? '' : ' - missing API key'}`);
+            });
+        } catch (error) {
+            console.warn('Could not apply AI settings:', error.message);
+        }
+        
+        // Saved keys stay encrypted until the player unlocks them
+        if (this.aiSettings.needsUnlock() && !this.aiSettingsPanel.isOpen) {
+            this.aiSettingsPanel.open('Enter your passphrase to unlock your saved API keys.');
+        }
     }
 
     async initializeWorld() {
@@ -103,6 +220,9 @@ class GameEngine extends EventEmitter {
         this.world.addZone(townSquareZone);
         this.world.addZone(workshopZone);
         
+        // Things lying around town, to be picked up
+        this.world.spawnStartingItems();
+        
         // Create initial agents
         await this.createAgents();
     }
@@ -120,9 +240,41 @@ class GameEngine extends EventEmitter {
         const milo = new Milo(new Vector2(200, 450));
         this.agents.set('milo', milo);
         
+        this.agents.forEach(agent => {
+            agent.setWorld(this.world);
+            agent.setNeighbours(Array.from(this.agents.values()));
+            agent.setPlayer(this.player);
+            
+            // Narrate actions NPCs take through tool calls
+            agent.on('actionPerformed', (description) => {
+                if (this.chatInterface.isOpen && this.chatInterface.currentAgent === agent) {
+                    this.chatInterface.addMessage(description, 'system', 'System');
+                }
+            });
+            
+            // Debug mode shows which memories each reply recalled
+            agent.memory.on('memoriesRetrieved', (retrieval) => {
+                if (!window.DEBUG_MODE || !this.chatInterface.isOpen || this.chatInterface.currentAgent !== agent) return;
+                
+                const recalled = retrieval.results.map(result => `${result.text} (${result.score})`);
+                this.chatInterface.addMessage(
+                    recalled.length > 0 ? `Recalled: ${recalled.join(' | ')}` : 'Recalled nothing relevant',
+                    'system', 'System'
+                );
+            });
+        });
+        
         console.log('Agents created:', Array.from(this.agents.keys()));
     }
 
+    notifyAgentStatus(aiAgentName, describe) {
+        const agent = Array.from(this.agents.values()).find(a => a.aiAgent && a.aiAgent.name === aiAgentName);
+        if (agent && this.chatInterface.isOpen && this.chatInterface.currentAgent === agent) {
+            this.chatInterface.addMessage(describe(agent), 'system', 'System');
+        }
+        this.emit('agentStatus', aiAgentName, agent ? describe(agent) : null);
+    }
+
     start() {
         if (this.isRunning) return;
         
@@ -169,6 +321,11 @@ class GameEngine extends EventEmitter {
         
         this.render();
         
+        // Chats pause the game, but the usage overlay should keep counting while they run
+        if (this.usageOverlay) {
+            this.usageOverlay.update();
+        }
+        
         requestAnimationFrame(() => this.gameLoop());
     }
 
@@ -188,8 +345,17 @@ class GameEngine extends EventEmitter {
             agent.update(deltaTime);
         });
 
-        // Check for nearby agents
+        // Conversations between agents
+        if (this.conversationDirector) {
+            this.conversationDirector.update(deltaTime);
+        }
+        
+        // Push everyone out of walls, furniture and each other
+        this.world.resolveCollisions(this.player, Array.from(this.agents.values()));
+        
+        // Check for nearby agents and items
         this.checkNearbyAgents();
+        this.checkNearbyItems();
 
         // Update world
         this.world.update(deltaTime);
@@ -209,6 +375,16 @@ class GameEngine extends EventEmitter {
         this.agents.forEach(agent => {
             agent.render(this.renderer);
         });
+        
+        // Debug view of the paths agents are walking
+        if (window.DEBUG_MODE) {
+            this.agents.forEach(agent => agent.renderPath(this.renderer));
+        }
+        
+        // Debug view of gossip passing between agents
+        if (window.DEBUG_MODE && this.gossipNetwork) {
+            this.gossipNetwork.render(this.renderer, this.getAllAgents());
+        }
 
         // Render player
         if (this.player) {
@@ -238,14 +414,47 @@ class GameEngine extends EventEmitter {
         }
     }
 
+    checkNearbyItems() {
+        if (!this.player) return;
+        
+        const closestItem = this.world.findNearestItem(this.player.getCenter(), this.player.pickupRange);
+        if (closestItem !== this.nearbyItem) {
+            this.nearbyItem = closestItem;
+            this.updateInteractionPrompt();
+        }
+    }
+
     updateInteractionPrompt() {
         const prompt = document.getElementById('interactionPrompt');
         
-        if (this.nearbyAgent && !this.chatInterface.isOpen) {
-            prompt.classList.remove('hidden');
-        } else {
+        if (this.chatInterface.isOpen || (!this.nearbyItem && !this.nearbyAgent)) {
             prompt.classList.add('hidden');
+            return;
+        }
+        
+        if (this.nearbyItem) {
+            prompt.textContent = this.player.inventory.canAdd(this.nearbyItem.itemId)
+                ? `Press E to pick up ${this.nearbyItem.getLabel()}`
+                : `Your bag is too full for ${this.nearbyItem.getLabel()}`;
+        } else {
+            prompt.textContent = 'Press E to interact';
         }
+        prompt.classList.remove('hidden');
+    }
+
+    // Put as much of an item as fits into the player's bag; an emptied item leaves the world
+    pickUpItem(worldItem) {
+        const taken = this.player.pickUp(worldItem);
+        if (taken > 0 && worldItem.quantity === 0) {
+            this.world.removeEntity(worldItem.id);
+            this.nearbyItem = null;
+        }
+        
+        this.updateInteractionPrompt();
+        if (taken > 0) {
+            this.emit('itemPickedUp', worldItem.getItem(), taken);
+        }
+        return taken;
     }
 
     updateUI() {
@@ -257,22 +466,43 @@ class GameEngine extends EventEmitter {
     }
 
     startConversation(agent) {
+        // The player takes priority over whoever the agent was talking with
+        if (this.conversationDirector) {
+            this.conversationDirector.interrupt(agent);
+        }
+        
         this.isPaused = true;
         this.chatInterface.openChat(agent);
         this.updateInteractionPrompt();
         this.emit('conversationStarted', agent);
     }
 
-    async handlePlayerMessage(message, agent) {
+    async handlePlayerMessage(message, agent, signal = null) {
+        // Partial text is appended to the chat bubble as the provider streams it
+        const onToken = (delta) => {
+            if (!this.chatInterface.isStreaming()) {
+                this.chatInterface.startStreamingMessage(agent);
+            }
+            this.chatInterface.appendStreamingText(delta);
+        };
+        
         try {
             // Send message to agent and get response
-            const response = await agent.receiveMessage(message, this.player);
+            const response = await agent.receiveMessage(message, this.player, { onToken, signal });
+            
+            // The chat was closed while the agent was still thinking
+            if (signal && signal.aborted) return;
             
             // Display response in chat using the proper method
             this.chatInterface.handleAgentResponse(response, agent);
             
             this.emit('messageProcessed', message, response, agent);
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log(`Reply from ${agent.name} cancelled`);
+                return;
+            }
+            
             console.error('Error processing message:', error);
             
             // Fallback response
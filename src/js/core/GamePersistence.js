@@ -98,7 +98,8 @@ class GamePersistence extends EventEmitter {
             // Game settings
             settings: {
                 volume: 1.0,
-                debugMode: window.DEBUG_MODE || false
+                debugMode: window.DEBUG_MODE || false,
+                ai: gameEngine.aiSettings ? gameEngine.aiSettings.exportConfig() : null // Without API keys
             },
             
             // Play statistics
@@ -46,6 +46,7 @@ class InputManager extends EventEmitter {
         // Action keys
         this.actionKeys = {
             'e': 'interact',
+            'i': 'toggleInventory',
             'Enter': 'confirm',
             'Escape': 'cancel'
         };
@@ -104,11 +105,8 @@ class InputManager extends EventEmitter {
             this.emit(this.actionKeys[keyLower]);
         }
         
-        // Handle specific keys
+        // Handle specific keys (action keys such as E were emitted above)
         switch (keyLower) {
-            case 'e':
-                this.emit('interact');
-                break;
             case 'escape':
                 this.emit('escape');
                 break;
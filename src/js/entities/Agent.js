@@ -8,35 +8,71 @@ class Agent extends Entity {
         // Agent specific properties
         this.type = 'agent';
         this.name = config.name || 'Agent';
+        this.shortName = config.shortName || this.name; // How the other townsfolk address them
         this.color = config.color || '#e74c3c';
         
         // AI properties
         this.personality = config.personality || {};
-        this.memory = new AgentMemory();
+        // Where the agent stands with the player and the other townsfolk; memory shares it
+        this.relationships = new RelationshipStore({ stages: config.relationshipStages, initial: config.relationshipDefaults });
+        this.memory = new AgentMemory({ relationships: this.relationships });
         this.goals = config.goals || [];
-        this.knowledgeBase = config.knowledgeBase || {};
+        this.knowledge = new KnowledgeBase(config.knowledgeBase); // Entries with disclosure rules
+        this.tools = new ToolRegistry(); // Actions the LLM can take from dialogue
+        this.dialogue = new DialogueEngine(config.dialogue); // Offline replies; subclasses fill its response tables
+        this.gossip = config.gossip || GossipNetwork.getShared(); // What this agent hears and passes on
+        this.world = null;
+        this.player = null; // Whose belongings the agent can see when they talk
         
         // Conversation state
         this.isInConversation = false;
         this.conversationPartner = null;
         this.lastInteractionTime = null;
+        this.currentSession = null; // Messages of the chat in progress, summarized into an episode when it ends
+        this.lastSession = null;
+        this.maxSessionMessages = config.maxSessionMessages || 200;
+        this.episodeSummarizer = new EpisodeSummarizer(config.episodeSummarizer);
+        
+        // Daily cycle: each morning the agent reflects on recent memories, then plans its day
+        this.homeZone = config.homeZone || null; // Zone type the day's routine centres on
+        this.planner = new DailyPlanner(config.planner);
+        this.dayPlan = null;         // { day, summary, blocks[{ start, end, zone, activity }], topics[], method }
+        this.planHistory = [];       // Earlier days' plans, oldest first
+        this.reflections = [];       // { day, insights[], method }, oldest first
+        this.maxPlanHistory = config.maxPlanHistory || 7;
+        this.modelPlanning = config.modelPlanning !== false; // false keeps the daily cycle on rules, saving two model calls a day
+        this.topicsRaised = [];      // Plan topics already brought up today
+        
+        // Fixed daily routine; it takes precedence over the day plan for the hours it covers
+        this.schedule = new AgentSchedule(config.schedule);
+        this.currentActivity = null; // The schedule entry or plan block being followed
+        this.neighbours = [];        // The other townsfolk, whose routines this agent knows
         
         // Behavior state
-        this.currentMood = 'neutral';
+        this.emotion = new EmotionModel(config.emotion); // Feelings stirred by events; personality sets the baseline
+        this.currentMood = this.emotion.getLabel();
         this.energyLevel = 100;
-        this.trustLevel = 50; // 0-100, how much they trust the player
         
         // Movement behavior
         this.wanderRange = 50;
         this.homePosition = position.clone();
         this.wanderTarget = null;
         this.wanderCooldown = 0;
+        this.visitTarget = null; // Another agent this one is walking over to talk with
+        this.path = null;        // { target, waypoints[], index, speed, purpose, zone } while walking somewhere
+        
+        // Speech bubble for lines spoken to other agents: { text, timer }
+        this.speech = null;
         
         // Visual properties
         this.width = 35;
         this.height = 35;
         this.collisionRadius = 18;
         
+        // Animation runs faster the more worked up the agent is
+        this.baseAnimationSpeed = this.animationSpeed;
+        this.animationClock = 0; // Milliseconds of animation time, scaled by the mood's tempo
+        
         this.setupAgent();
     }
 
@@ -44,6 +80,31 @@ class Agent extends Entity {
         // Initialize random wander target
         this.setNewWanderTarget();
         
+        // Collect the current chat's messages for its episode summary
+        this.memory.on('conversationAdded', (conversation) => {
+            const session = this.currentSession;
+            const participant = { name: conversation.participant, type: conversation.participantType };
+            if (session && this.relationships.keyFor(participant) === session.partnerKey && session.messages.length < this.maxSessionMessages) {
+                session.messages.push(conversation);
+            }
+            
+            // What the player says may be repeated to the other townsfolk
+            if (conversation.type === 'received' && conversation.participantType === 'player') {
+                this.gossip.observe(this, conversation);
+            }
+        });
+        
+        // Relationship changes are announced by the agent, so the UI can follow whoever it shows
+        this.relationships.on('relationshipChanged', (record, changes, reason) => {
+            this.emit('relationshipChanged', record, changes, reason);
+        });
+        this.relationships.on('stageChanged', (record, from, to, reason) => {
+            this.emit('stageChanged', record, from, to, reason);
+        });
+        
+        // Actions every agent can take; subclasses add their own in registerTools()
+        this.registerCommonTools();
+        
         console.log(`Agent ${this.name} created at:`, this.position.toString());
     }
 
@@ -56,9 +117,25 @@ class Agent extends Entity {
         
         this.updateMood(deltaTime);
         this.updateMemory(deltaTime);
+        this.updateSpeech(deltaTime);
     }
 
     updateBehavior(deltaTime) {
+        // Walking over to someone takes priority over wandering
+        if (this.visitTarget) {
+            this.walkTowards(this.visitTarget.getCenter(), deltaTime);
+            return;
+        }
+        
+        // The schedule and the day plan decide which zone to wander around in
+        this.followRoutine();
+        
+        // A walk started with walkTo() runs to its end before wandering resumes
+        if (this.path) {
+            this.followPath(deltaTime);
+            return;
+        }
+        
         // Wandering behavior when not in conversation
         this.wanderCooldown -= deltaTime;
         
@@ -72,19 +149,14 @@ class Agent extends Entity {
             this.setNewWanderTarget();
         }
         
-        // Move towards wander target
-        const distanceToTarget = this.position.distance(this.wanderTarget);
-        
-        if (distanceToTarget < 10) {
-            // Reached target, set new one
+        // Stroll to the wander target around any obstacles, then pause
+        if (!this.startPath(this.wanderTarget, { speed: this.speed * 0.3, purpose: 'wander' })) {
+            // Unreachable: keep a fresh target and try it after a short pause instead of planning every frame
             this.setNewWanderTarget();
-            this.wanderCooldown = Math.random() * 3 + 1; // 1-4 seconds
-        } else {
-            // Move towards target
-            const direction = this.wanderTarget.subtract(this.position).normalize();
-            const wanderSpeed = this.speed * 0.3; // Slower wandering
-            this.move(direction, deltaTime, wanderSpeed);
+            this.wanderCooldown = 0.5;
+            return;
         }
+        this.wanderTarget = null;
     }
 
     setNewWanderTarget() {
@@ -97,29 +169,166 @@ class Agent extends Entity {
         ));
     }
 
+    // Head for another entity's position, re-planning when it has moved away from the end of the path
+    walkTowards(target, deltaTime, stopDistance = 40) {
+        if (this.getCenter().distance(target) <= stopDistance) {
+            this.path = null;
+            return;
+        }
+        
+        if (!this.path || this.path.target.distance(target) > stopDistance) {
+            this.startPath(target, { speed: this.speed * 0.5, purpose: 'visit' });
+        }
+        if (this.path) {
+            this.followPath(deltaTime);
+        }
+    }
+
+    /**
+     * Walk to a position or a zone (by id or type) along a path around obstacles.
+     * Emits 'arrived' (destination, zone) at the end, or 'pathFailed' when there is no way there.
+     * Returns the path, or null when there is none.
+     */
+    walkTo(target, options = {}) {
+        let destination = target;
+        let zone = null;
+        
+        if (typeof target === 'string') {
+            zone = this.world ? this.world.getZone(target) || this.world.getZoneByType(target) : null;
+            if (!zone) {
+                throw new Error(`There is no ${target} in this world`);
+            }
+            destination = zone.getCenter();
+        }
+        
+        const path = this.startPath(destination, { speed: options.speed || this.speed * 0.6, purpose: 'walk', zone: zone });
+        if (!path) {
+            this.emit('pathFailed', destination, zone);
+        }
+        return path;
+    }
+
+    // Plan a path for the agent's centre; without a world to plan in, walk straight there
+    startPath(destination, options = {}) {
+        const waypoints = this.world && this.world.findPath
+            ? this.world.findPath(this.getCenter(), destination)
+            : [destination.clone()];
+        if (!waypoints) return null;
+        
+        this.path = {
+            target: destination.clone(),
+            waypoints: waypoints,
+            index: 0,
+            speed: options.speed || this.speed * 0.6,
+            purpose: options.purpose || 'walk',
+            zone: options.zone || null
+        };
+        return this.path;
+    }
+
+    followPath(deltaTime) {
+        const path = this.path;
+        const waypoint = path.waypoints[path.index];
+        const offset = waypoint.subtract(this.getCenter());
+        const distance = offset.magnitude();
+        const step = path.speed * deltaTime;
+        
+        if (distance > step) {
+            this.move(offset.normalize(), deltaTime, path.speed);
+            return;
+        }
+        
+        this.position = this.position.add(offset);
+        path.index++;
+        if (path.index < path.waypoints.length) return;
+        
+        this.path = null;
+        if (path.purpose === 'wander') {
+            this.wanderCooldown = Math.random() * 3 + 1; // 1-4 seconds
+        } else if (path.purpose === 'walk') {
+            this.emit('arrived', waypoint, path.zone);
+        }
+    }
+
+    stopWalking() {
+        this.path = null;
+    }
+
     move(direction, deltaTime, speed = null) {
         const moveSpeed = speed || this.speed;
         const movement = direction.multiply(moveSpeed * deltaTime);
         this.position = this.position.add(movement);
         
-        // Keep within world bounds (basic implementation)
-        this.position.x = Math.max(10, Math.min(1014, this.position.x));
-        this.position.y = Math.max(10, Math.min(758, this.position.y));
+        // Keep within world bounds
+        const width = this.world ? this.world.width : 1024;
+        const height = this.world ? this.world.height : 768;
+        this.position.x = Math.max(0, Math.min(width - this.width, this.position.x));
+        this.position.y = Math.max(0, Math.min(height - this.height, this.position.y));
+    }
+
+    // Debug view of the path being walked
+    renderPath(renderer) {
+        if (!this.path) return;
+        
+        let from = this.getCenter();
+        this.path.waypoints.slice(this.path.index).forEach(waypoint => {
+            renderer.drawLine(from, waypoint, this.color, 1);
+            from = waypoint;
+        });
+        renderer.drawCircle(from, 4, this.color);
     }
 
     updateMood(deltaTime) {
-        // Simple mood system - could be expanded
         this.energyLevel = Math.max(0, Math.min(100, this.energyLevel + deltaTime * 5));
         
-        if (this.energyLevel < 30) {
-            this.currentMood = 'tired';
-        } else if (this.trustLevel > 70) {
-            this.currentMood = 'friendly';
-        } else if (this.trustLevel < 30) {
-            this.currentMood = 'suspicious';
-        } else {
-            this.currentMood = 'neutral';
+        // Feelings fade back toward the personality's baseline
+        this.emotion.update(deltaTime);
+        
+        const tempo = this.emotion.getTempo();
+        this.animationClock += deltaTime * 1000 * tempo;
+        this.animationSpeed = this.baseAnimationSpeed * tempo;
+        
+        this.refreshMood();
+    }
+
+    // The mood label follows the emotion model, unless the agent is simply worn out
+    refreshMood() {
+        const mood = this.energyLevel < 30 ? 'tired' : this.emotion.getLabel();
+        if (mood === this.currentMood) return;
+        
+        const previous = this.currentMood;
+        this.currentMood = mood;
+        this.emit('moodChanged', mood, previous);
+    }
+
+    /**
+     * Appraise an event ('compliment', 'insult', 'gift', 'questProgress', 'rain', ...) and let it move
+     * the agent's feelings. options: { intensity, cause }. Returns the emotion stirred, or null.
+     */
+    feel(event, options = {}) {
+        const emotion = this.emotion.appraise(event, options);
+        if (!emotion) return null;
+        
+        this.emit('emotionFelt', event, emotion);
+        this.refreshMood();
+        return emotion;
+    }
+
+    // Compliments and insults in what someone says land on the agent's feelings and on how it regards them
+    appraiseMessage(message, sender, intents = this.dialogue.classify(message).intents) {
+        if (intents.includes('compliment')) {
+            this.feel('compliment');
+            this.adjustRelationship(sender, { affection: 3 }, 'paid a compliment');
         }
+        if (intents.includes('insult')) {
+            this.feel('insult');
+            this.adjustRelationship(sender, { affection: -5, respect: -5 }, 'was insulting');
+        }
+    }
+
+    // "a little annoyed", "very happy"; plain "tired" when it is fatigue rather than feeling
+    describeMood() {
+        return this.currentMood === this.emotion.getLabel() ? this.emotion.describe() : this.currentMood;
     }
 
     updateMemory(deltaTime) {
@@ -127,19 +336,37 @@ class Agent extends Entity {
         this.memory.update(deltaTime);
     }
 
+    updateSpeech(deltaTime) {
+        if (!this.speech) return;
+        
+        this.speech.timer -= deltaTime;
+        if (this.speech.timer <= 0) {
+            this.speech = null;
+        }
+    }
+
+    // Show a line above the agent; longer lines stay up longer
+    say(text, duration = null) {
+        this.speech = {
+            text: text,
+            timer: duration || Math.max(3, Math.min(8, 2 + text.length / 15))
+        };
+    }
+
     renderEntity(renderer) {
         // Render agent as a square with rounded corners
         renderer.ctx.fillStyle = this.color;
         
-        // Main body (rounded rectangle)
+        // Main body (rounded rectangle), bobbing gently at the mood's tempo
         const radius = 5;
+        const bob = Math.sin(this.animationClock * 0.004) * 1.5;
         renderer.ctx.beginPath();
-        renderer.ctx.roundRect(-this.width/2, -this.height/2, this.width, this.height, radius);
+        renderer.ctx.roundRect(-this.width/2, -this.height/2 + bob, this.width, this.height, radius);
         renderer.ctx.fill();
         
-        // Border
+        // Border, thicker the stronger the feeling
         renderer.ctx.strokeStyle = this.getBorderColor();
-        renderer.ctx.lineWidth = 2;
+        renderer.ctx.lineWidth = 2 + this.emotion.getIntensity() * 2;
         renderer.ctx.stroke();
         
         // Name label
@@ -148,8 +375,10 @@ class Agent extends Entity {
         // Mood indicator
         this.renderMoodIndicator(renderer);
         
-        // Conversation indicator
-        if (this.isInConversation) {
+        // What the agent is saying, or a thinking indicator while in conversation
+        if (this.speech) {
+            this.renderSpeechBubble(renderer);
+        } else if (this.isInConversation) {
             this.renderConversationIndicator(renderer);
         }
     }
@@ -157,7 +386,13 @@ class Agent extends Entity {
     getBorderColor() {
         const moodColors = {
             'friendly': '#27ae60',
+            'happy': '#2ecc71',
+            'enthusiastic': '#f1c40f',
+            'curious': '#3498db',
             'suspicious': '#e67e22',
+            'annoyed': '#e74c3c',
+            'worried': '#9b59b6',
+            'sad': '#5d6d7e',
             'tired': '#95a5a6',
             'neutral': '#34495e'
         };
@@ -210,8 +445,69 @@ class Agent extends Entity {
         }
     }
 
+    renderSpeechBubble(renderer) {
+        const ctx = renderer.ctx;
+        const maxWidth = 180;
+        const maxLines = 4;
+        const lineHeight = 13;
+        const padding = 6;
+        
+        ctx.font = '11px Arial';
+        const lines = this.wrapSpeech(ctx, this.speech.text, maxWidth - padding * 2, maxLines);
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+        const height = lines.length * lineHeight + padding * 2;
+        const bottom = -this.height/2 - 36;
+        const top = bottom - height;
+        
+        // Bubble with a small tail pointing at the agent
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(-width/2, top, width, height, 6);
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.beginPath();
+        ctx.moveTo(-5, bottom);
+        ctx.lineTo(0, bottom + 6);
+        ctx.lineTo(5, bottom);
+        ctx.fill();
+        
+        ctx.fillStyle = '#333333';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, index) => {
+            ctx.fillText(line, 0, top + padding + index * lineHeight);
+        });
+    }
+
+    // Break text into lines that fit the bubble, ending with an ellipsis when it runs over
+    wrapSpeech(ctx, text, maxWidth, maxLines) {
+        const lines = [];
+        let current = '';
+        
+        for (const word of text.split(/\s+/).filter(Boolean)) {
+            const candidate = current ? `${current} ${word}` : word;
+            if (ctx.measureText(candidate).width <= maxWidth || !current) {
+                current = candidate;
+                continue;
+            }
+            
+            lines.push(current);
+            current = word;
+            if (lines.length === maxLines) {
+                lines[maxLines - 1] += '…';
+                return lines;
+            }
+        }
+        
+        if (current) lines.push(current);
+        return lines;
+    }
+
     // Conversation methods
-    async receiveMessage(message, sender) {
+    async receiveMessage(message, sender, options = {}) {
         console.log(`${this.name} received message: "${message}" from ${sender.name || 'Player'}`);
         
         // Store the conversation in memory
@@ -219,6 +515,7 @@ class Agent extends Entity {
         
         // Update trust based on message (simple implementation)
         this.updateTrust(message, sender);
+        this.appraiseMessage(message, sender);
         
         // Generate AI response (this will be implemented with actual AI)
         const response = await this.generateResponse(message, sender);
@@ -241,6 +538,147 @@ class Agent extends Entity {
         return randomResponse;
     }
 
+    // Response tables every agent shares; subclasses spread these into their own
+    getDialogueResponses() {
+        return {
+            whereabouts: [(context) => this.describeWhereabouts(context.message)]
+        };
+    }
+
+    // Offline dialogue - used when no model is configured or the model fails
+    generateScriptedResponse(message, sender) {
+        const reply = this.dialogue.respond(message, {
+            intent: this.isFirstInteraction(sender) ? 'first_meeting' : null,
+            sender: sender,
+            mood: this.currentMood,
+            slots: () => this.getDialogueSlots(sender)
+        });
+        
+        const text = reply.text || this.getPersonalityResponses(message)[0];
+        return [this.mentionRumour(sender), this.getMoodAside(), text].filter(Boolean).join(' ');
+    }
+
+    // A short aside that lets a strong feeling show through scripted replies
+    getMoodAside() {
+        if (this.emotion.getIntensity() < 0.5) return null;
+        
+        const asides = {
+            'happy': ["Ah, what a day this is turning out to be!", "You've caught me in fine spirits."],
+            'enthusiastic': ["Oh, oh!", "I can hardly stand still!"],
+            'annoyed': ["Hmph.", "I'm not in the best of tempers, I'll warn you."],
+            'worried': ["Forgive me, I'm a little on edge.", "*glances around nervously*"],
+            'sad': ["*sighs*", "Forgive me, I'm not quite myself today."],
+            'suspicious': ["*narrows eyes*"]
+        };
+        
+        const lines = asides[this.currentMood];
+        return lines ? lines[Math.floor(Math.random() * lines.length)] : null;
+    }
+
+    // Bring up something another agent said about the sender, once per fact
+    mentionRumour(sender) {
+        const fact = this.memory.getRumoursAbout(sender.name, 5).find(entry => !entry.mentioned);
+        if (!fact) return null;
+        
+        fact.mentioned = true;
+        return `${fact.teller} tells me ${this.memory.renderFact(fact, 'you')}.`;
+    }
+
+    /**
+     * Say the next line of a conversation with another agent and return it.
+     * message is what the partner just said (ignored when opening).
+     * options: { opening, closing, topic, history, signal } - history is the exchange so far as
+     * { user, assistant } turns from this agent's side, as built by the ConversationDirector.
+     */
+    async speakTo(partner, message, options = {}) {
+        const intent = options.opening ? 'neighbour_opening' : options.closing ? 'neighbour_closing' : 'neighbour';
+        const scripted = () => this.generateNeighbourLine(options.opening ? '' : message, partner, intent);
+        const cue = options.opening ? this.describeMeeting(partner, options.topic) : message;
+        
+        let line;
+        if (this.aiAgent) {
+            try {
+                const context = this.buildPartnerContext(partner);
+                context.memories = this.getRelevantMemories(cue, 3, partner);
+                line = await this.aiAgent.generateResponse(cue, context, {
+                    partner: { name: partner.name, agent: partner, topic: options.topic, opening: !!options.opening, closing: !!options.closing },
+                    history: options.history || [],
+                    signal: options.signal,
+                    fallback: scripted
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                line = scripted();
+            }
+        } else {
+            line = scripted();
+        }
+        
+        // Both sides remember the line, so the last one of an exchange is heard too
+        this.memory.addConversation(partner, line, 'sent');
+        partner.memory.addConversation(this, line, 'received');
+        this.say(line);
+        
+        return line;
+    }
+
+    // World info for a line spoken to another NPC: where this agent stands with them, nothing about the visitor
+    buildPartnerContext(partner) {
+        const record = this.relationships.ensure(partner);
+        const zone = this.world ? this.world.getCurrentZone(this.position) : null;
+        
+        return {
+            worldInfo: {
+                location: zone ? zone.name : 'outskirts of town',
+                character: this.name,
+                talkingWith: partner.name,
+                relationship: {
+                    stage: record.stage,
+                    trust: Math.round(record.trust),
+                    affection: Math.round(record.affection),
+                    respect: Math.round(record.respect),
+                    familiarity: Math.round(record.familiarity)
+                }
+            }
+        };
+    }
+
+    // Stands in for the partner's first line when this agent opens a conversation
+    describeMeeting(partner, topic = null) {
+        return topic
+            ? `(You run into ${partner.name} and want to talk about ${topic}.)`
+            : `(You run into ${partner.name}.)`;
+    }
+
+    // Offline lines for other agents come from the neighbour_* tables; these cover agents without them
+    generateNeighbourLine(message, partner, intent) {
+        const reply = this.dialogue.hasResponses(intent)
+            ? this.dialogue.respond(message, {
+                intent: intent,
+                sender: partner,
+                slots: () => ({ ...this.getDialogueSlots(partner), partnerName: partner.shortName })
+            })
+            : { text: null };
+        
+        if (reply.text) return reply.text;
+        if (intent === 'neighbour_opening') return `Hello, ${partner.shortName}.`;
+        if (intent === 'neighbour_closing') return `Good talking with you, ${partner.shortName}.`;
+        return 'Is that so?';
+    }
+
+    // Values for {slot} placeholders in dialogue lines; subclasses add their own
+    getDialogueSlots(sender) {
+        return {
+            ...this.getPromptVariables(sender && sender.type === 'agent' ? sender : null),
+            playerName: sender && sender.name ? sender.name : 'traveler'
+        };
+    }
+
+    isFirstInteraction(sender) {
+        const conversations = this.memory.getConversationsWith(sender.name);
+        return conversations.length <= 1;
+    }
+
     getPersonalityResponses(message) {
         // Default responses based on current mood and personality
         const moodResponses = {
@@ -279,19 +717,309 @@ class Agent extends Entity {
         const isPolite = /please|thank|sorry|excuse me/i.test(message);
         const isQuestion = message.includes('?');
         
-        let trustChange = 0;
+        if (isPolite) this.adjustRelationship(sender, { trust: 5 }, 'was polite');
+        if (isQuestion && messageLength > 20) this.adjustRelationship(sender, { trust: 2 }, 'asked a thoughtful question');
+        if (messageLength < 10) this.adjustRelationship(sender, { trust: -1 }, 'was curt');
+    }
+
+    // Trust in the player, kept in the player's relationship record
+    get trustLevel() {
+        return this.getPlayerRelationship().trust;
+    }
+
+    getPlayerRelationship() {
+        return this.relationships.get('player') || this.relationships.ensure({ name: 'Player', type: 'player' });
+    }
+
+    /**
+     * Move how this agent regards someone, e.g. adjustRelationship(sender, { trust: 5, respect: 2 }, 'showed scholarly interest').
+     * The reason is kept in the relationship's history; winning or losing trust is felt too.
+     */
+    adjustRelationship(partner, changes, reason = null) {
+        const trustBefore = this.relationships.ensure(partner).trust;
+        const record = this.relationships.adjust(partner, changes, reason);
+        const trustChange = record.trust - trustBefore;
+        
+        if (trustChange !== 0) {
+            this.feel(trustChange > 0 ? 'trustGained' : 'trustLost', { intensity: Math.min(1, Math.abs(trustChange) / 10) });
+        }
+        return record;
+    }
+
+    adjustTrust(amount, reason = null) {
+        return this.adjustRelationship(this.getPlayerRelationship(), { trust: amount }, reason);
+    }
+
+    // Apply a structured LLM turn in place of the keyword heuristics
+    applyStructuredTurn(turn, sender) {
+        if (turn.trust_delta !== 0) {
+            this.adjustRelationship(sender, { trust: turn.trust_delta }, turn.memory_note || 'how the conversation went');
+        }
+        
+        // The model says how the exchange left the agent feeling
+        this.emotion.express(turn.emotion);
+        this.refreshMood();
+        
+        this.relationships.addTopics(sender, turn.topics);
+        
+        if (turn.memory_note) {
+            this.memory.addNote(sender, turn.memory_note, turn.topics);
+            if (sender.type === 'player') {
+                this.gossip.observeNote(this, sender, turn.memory_note, turn.topics);
+            }
+        }
+        
+        this.emit('turnApplied', turn, sender);
+    }
+
+    // Prompt-ready lines for the memories most related to a message, led by the last episode with the speaker
+    // and the latest thing someone else said about them
+    getRelevantMemories(message, limit = 5, participant = null) {
+        const lead = participant
+            ? this.memory.getEpisodes(participant.name, 1).concat(this.memory.getRumoursAbout(participant.name, 1)
+                .map(fact => this.memory.getMemory(`fact_${fact.id}`))
+                .filter(Boolean))
+            : [];
+        const related = this.memory.getRelevantMemories(message, limit)
+            .filter(memory => !lead.includes(memory));
+        
+        return lead.concat(related)
+            .slice(0, limit)
+            .map(memory => this.memory.describeMemory(memory));
+    }
+
+    // Live state bound to the prompt template's {{variables}}; subclasses add their own.
+    // partner is another agent when the NPC is talking with a neighbour rather than the visitor.
+    getPromptVariables(partner = null) {
+        const zone = this.world ? this.world.getCurrentZone(this.position) : null;
+        
+        return {
+            name: this.name,
+            mood: this.describeMood(),
+            moodCause: this.emotion.getCause(),
+            ...this.getRelationshipVariables(partner),
+            location: zone ? zone.name : 'outskirts of town',
+            timeOfDay: this.world ? this.describeTimeOfDay(this.world.timeOfDay) : null,
+            hour: this.world ? Math.floor(this.world.timeOfDay) : null,
+            day: this.world ? this.world.dayCount : null,
+            weather: this.world ? this.world.weather : null,
+            goals: this.goals,
+            activity: this.currentActivity ? this.currentActivity.activity : null,
+            routine: this.schedule.getEntries().includes(this.currentActivity),
+            townsfolk: this.describeTownsfolk(),
+            carrying: this.player && !partner ? this.player.inventory.describe() : [],
+            // What was told to the visitor hasn't been told to a neighbour
+            knowledge: this.getUnlockedKnowledge().map(entry => partner ? { ...entry, shared: false } : entry),
+            maxWords: 150
+        };
+    }
+
+    // A relationship record for the prompt (the player's unless a partner agent is given): stage, axes and the latest change
+    getRelationshipVariables(partner = null) {
+        const relationship = partner ? this.relationships.ensure(partner) : this.getPlayerRelationship();
+        return {
+            partnerName: partner ? partner.name : null,
+            trustLevel: Math.round(relationship.trust),
+            trustDescription: this.describeTrust(relationship.trust),
+            relationshipStage: relationship.stage.replace(/_/g, ' '),
+            affection: Math.round(relationship.affection),
+            respect: Math.round(relationship.respect),
+            familiarity: Math.round(relationship.familiarity),
+            relationshipChange: this.relationships.describeLastChange(relationship)
+        };
+    }
+
+    describeTrust(trust = this.trustLevel) {
+        if (trust >= 85) return 'you trust them completely';
+        if (trust >= 70) return 'you trust them';
+        if (trust >= 50) return 'you are warming to them';
+        if (trust >= 30) return 'you are wary of them';
+        return 'you distrust them';
+    }
+
+    describeTimeOfDay(hour) {
+        if (hour < 5) return 'the dead of night';
+        if (hour < 8) return 'early morning';
+        if (hour < 12) return 'morning';
+        if (hour < 14) return 'midday';
+        if (hour < 18) return 'afternoon';
+        if (hour < 21) return 'evening';
+        return 'night';
+    }
+
+    // Tool calling - game actions exposed to the LLM
+    registerCommonTools() {
+        this.tools.register({
+            name: 'adjust_trust',
+            description: `Change how much ${this.name} trusts the player when the conversation earns or loses it.`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    amount: { type: 'integer', minimum: -10, maximum: 10, description: 'Trust change from -10 to 10' },
+                    reason: { type: 'string', maxLength: 200, description: 'Why trust changed' }
+                },
+                required: ['amount'],
+                additionalProperties: false
+            },
+            handler: (args) => {
+                this.adjustTrust(args.amount, args.reason || null);
+                return { trustLevel: this.trustLevel, stage: this.getRelationshipStage() };
+            }
+        });
+        
+        this.tools.register({
+            name: 'reveal_knowledge',
+            description: `Share one of ${this.name}'s knowledge entries with the player. Returns the facts to put in your own words.`,
+            parameters: () => ({
+                type: 'object',
+                properties: {
+                    topic: { type: 'string', enum: this.knowledge.getTopics() }
+                },
+                required: ['topic'],
+                additionalProperties: false
+            }),
+            handler: (args, context) => this.revealKnowledge(args.topic, context.sender)
+        });
+        
+        this.tools.register({
+            name: 'walk_to_zone',
+            description: `Make ${this.name} walk to another part of town once the conversation ends.`,
+            parameters: () => ({
+                type: 'object',
+                properties: {
+                    zone: { type: 'string', enum: this.getKnownZoneTypes() }
+                },
+                required: ['zone'],
+                additionalProperties: false
+            }),
+            handler: (args) => this.walkToZone(args.zone)
+        });
+    }
+
+    registerTools() {
+        // Override in subclasses to add character-specific actions
+    }
+
+    // Knowledge disclosure - each entry's rules are checked against this state
+    getDisclosureState() {
+        return {
+            trust: this.trustLevel,
+            trustThreshold: this.trustThreshold,
+            stage: this.getRelationshipStage(),
+            stages: this.relationships.getStageNames(),
+            questFlags: this.getQuestFlags()
+        };
+    }
+
+    // The player's stage on this agent's ladder (config.relationshipStages, e.g. Elara's customer tiers)
+    getRelationshipStage() {
+        return this.getPlayerRelationship().stage;
+    }
+
+    getQuestFlags() {
+        return {};
+    }
+
+    // Entries the NPC must not reveal yet; the dialogue guard blocks replies that quote them
+    isKnowledgeLocked(topic) {
+        return !this.knowledge.evaluate(topic, this.getDisclosureState()).unlocked;
+    }
+
+    getLockedKnowledge() {
+        return this.knowledge.getLocked(this.getDisclosureState())
+            .map(topic => ({ topic: topic, text: this.knowledge.getText(topic) }));
+    }
+
+    getUnlockedKnowledge() {
+        return this.knowledge.getUnlocked(this.getDisclosureState()).map(topic => ({
+            topic: topic.replace(/_/g, ' '),
+            text: this.knowledge.getText(topic),
+            shared: this.knowledge.isDisclosed(topic)
+        }));
+    }
+
+    // Returns the entry's text and records who heard it, or null while the entry is locked
+    discloseKnowledge(topic, sender = null) {
+        if (!this.knowledge.has(topic) || this.isKnowledgeLocked(topic)) {
+            return null;
+        }
+        
+        const participantName = sender ? sender.name || 'Player' : null;
+        this.knowledge.markDisclosed(topic, participantName);
+        this.emit('knowledgeDisclosed', topic, participantName);
         
-        if (isPolite) trustChange += 5;
-        if (isQuestion && messageLength > 20) trustChange += 2;
-        if (messageLength < 10) trustChange -= 1;
+        return this.knowledge.getText(topic);
+    }
+
+    revealKnowledge(topic, sender) {
+        const check = this.knowledge.evaluate(topic, this.getDisclosureState());
+        if (!check.unlocked) {
+            return { revealed: false, topic: topic, reason: `${this.name} will not share that yet: ${check.reasons.join('; ')}` };
+        }
         
-        this.trustLevel = Math.max(0, Math.min(100, this.trustLevel + trustChange));
+        return {
+            revealed: true,
+            topic: topic,
+            knowledge: this.discloseKnowledge(topic, sender)
+        };
+    }
+
+    setWorld(world) {
+        this.world = world;
+        
+        // Every new day starts with a reflection and a fresh plan
+        world.on('newDay', (day) => {
+            this.startDay(day).catch(error => console.error(`${this.name} could not start day ${day}:`, error));
+        });
+        
+        // The weather gets to everyone a little
+        world.on('weatherChanged', (weather) => this.feel(weather));
+    }
+
+    getKnownZones() {
+        if (!this.world) {
+            return this.getKnownZoneTypes().map(type => ({ type: type, name: type }));
+        }
+        return Array.from(this.world.zones.values()).map(zone => ({ type: zone.type, name: zone.name }));
+    }
+
+    getKnownZoneTypes() {
+        if (!this.world) {
+            return ['library', 'townSquare', 'workshop'];
+        }
+        return Array.from(this.world.zones.values()).map(zone => zone.type);
+    }
+
+    walkToZone(zoneType) {
+        const zone = this.world ? this.world.getZoneByType(zoneType) : null;
+        if (!zone) {
+            throw new Error(`There is no ${zoneType} in this world`);
+        }
+        
+        this.homePosition = zone.getCenter();
+        this.walkTo(zone.id);
+        this.announceAction(`${this.name} will head to the ${zone.name}.`);
+        
+        return { destination: zone.name };
+    }
+
+    announceAction(description) {
+        // Lets the UI narrate game-state changes made from dialogue
+        this.emit('actionPerformed', description, this);
     }
 
     startConversation(partner) {
         this.isInConversation = true;
         this.conversationPartner = partner;
         this.lastInteractionTime = Date.now();
+        this.currentSession = {
+            partner: partner.name || 'Player',
+            partnerKey: this.relationships.keyFor(partner), // Matches the player however they are named
+            startedAt: Date.now(),
+            endedAt: null,
+            trustAtStart: this.trustLevel,
+            messages: []
+        };
         
         console.log(`${this.name} started conversation with ${partner.name || 'Player'}`);
     }
@@ -300,9 +1028,217 @@ class Agent extends Entity {
         this.isInConversation = false;
         this.conversationPartner = null;
         
+        if (this.currentSession) {
+            this.currentSession.endedAt = Date.now();
+            this.lastSession = this.currentSession;
+            this.currentSession = null;
+        }
+        
         console.log(`${this.name} ended conversation`);
     }
 
+    // Fold the chat that just ended into an episodic memory; the model writes it when one is available
+    async summarizeSession() {
+        const session = this.lastSession;
+        this.lastSession = null;
+        
+        // A greeting and a goodbye aren't worth an episode
+        if (!session || session.messages.filter(entry => entry.type === 'received').length === 0) {
+            return null;
+        }
+        
+        const episode = await this.episodeSummarizer.summarize(session, {
+            agentName: this.name,
+            mood: this.currentMood,
+            trust: this.trustLevel
+        }, this.getThinkingCompletion(300));
+        
+        const stored = this.memory.addEpisode({ name: session.partner }, episode);
+        this.emit('episodeStored', stored);
+        
+        return stored;
+    }
+
+    // Low-temperature JSON completions for the agent's own bookkeeping; null sends callers to their offline path
+    getThinkingCompletion(maxTokens) {
+        return this.aiAgent && this.aiAgent.isAIAvailable()
+            ? (messages) => this.aiAgent.completeText(messages, { maxTokens: maxTokens, temperature: 0.3, responseFormat: 'json' })
+            : null;
+    }
+
+    // Daily cycle
+    getPlanningCompletion(maxTokens) {
+        return this.modelPlanning ? this.getThinkingCompletion(maxTokens) : null;
+    }
+
+    async startDay(day, options = {}) {
+        const reflection = options.reflect === false ? null : await this.reflect(day);
+        const plan = await this.planDay(day);
+        
+        this.emit('dayStarted', day, plan, reflection);
+        return { reflection: reflection, plan: plan };
+    }
+
+    // Turn recent memories into insights, stored as memories of their own
+    async reflect(day) {
+        const reflection = await this.planner.reflect(this.gatherReflectionEvidence(), {
+            agentName: this.name,
+            day: day,
+            mood: this.currentMood,
+            goals: this.goals
+        }, this.getPlanningCompletion(300));
+        
+        reflection.insights.forEach(insight => this.memory.addReflection(insight, day));
+        this.reflections.push(reflection);
+        if (this.reflections.length > this.maxPlanHistory) {
+            this.reflections.shift();
+        }
+        
+        this.emit('reflected', reflection);
+        return reflection;
+    }
+
+    gatherReflectionEvidence() {
+        const conversations = this.memory.getRecentConversations(30).reverse();
+        const episodes = this.memory.getEpisodes(null, 5).reverse();
+        const rumours = this.memory.getFacts().filter(fact => fact.heardFrom !== fact.about).slice(-5);
+        const lastWithPlayer = conversations.filter(entry => entry.participantType === 'player').pop();
+        
+        return {
+            lines: episodes.map(memory => this.memory.describeMemory(memory))
+                .concat(rumours.map(fact => this.memory.describeMemory({ data: fact })))
+                .concat(conversations.slice(-12).map(entry => this.memory.describeMemory({ data: entry }))),
+            conversations: conversations,
+            rumours: rumours.map(fact => this.memory.renderFact(fact)),
+            promises: [].concat(...episodes.map(memory => memory.data.promises || [])),
+            player: lastWithPlayer ? { name: lastWithPlayer.participant, trust: this.trustLevel } : null
+        };
+    }
+
+    async planDay(day) {
+        const latest = this.reflections[this.reflections.length - 1];
+        const rumourSubjects = this.memory.getFacts()
+            .filter(fact => fact.heardFrom !== fact.about)
+            .map(fact => fact.about)
+            .filter((name, index, list) => list.indexOf(name) === index);
+        
+        const plan = await this.planner.plan({
+            agentName: this.name,
+            day: day,
+            fromHour: this.world ? this.world.timeOfDay : 0,
+            goals: this.goals,
+            insights: latest ? latest.insights : [],
+            zones: this.getKnownZones(),
+            homeZone: this.getHomeZone(),
+            schedule: this.schedule,
+            rumourSubjects: rumourSubjects
+        }, this.getPlanningCompletion(500));
+        
+        if (this.dayPlan) {
+            this.planHistory.push(this.dayPlan);
+            if (this.planHistory.length > this.maxPlanHistory) {
+                this.planHistory.shift();
+            }
+        }
+        this.dayPlan = plan;
+        this.currentActivity = null;
+        this.topicsRaised = [];
+        
+        this.emit('dayPlanned', plan);
+        return plan;
+    }
+
+    getHomeZone() {
+        if (this.homeZone) return this.homeZone;
+        
+        const zone = this.world ? this.world.getCurrentZone(this.homePosition) : null;
+        return zone ? zone.type : this.getKnownZoneTypes()[0];
+    }
+
+    getCurrentPlanBlock() {
+        if (!this.dayPlan || !this.world || this.dayPlan.day !== this.world.dayCount) return null;
+        
+        const hour = this.world.timeOfDay;
+        return this.dayPlan.blocks.find(block => hour >= block.start && hour < block.end) || null;
+    }
+
+    // What the agent should be doing now: its routine first, then its day plan
+    getCurrentActivity() {
+        if (!this.world) return null;
+        return this.schedule.getEntryAt(this.world.timeOfDay) || this.getCurrentPlanBlock();
+    }
+
+    // When a new activity begins, move the wandering area to its zone
+    followRoutine() {
+        const activity = this.getCurrentActivity();
+        if (activity === this.currentActivity) return;
+        
+        this.currentActivity = activity;
+        if (!activity) return;
+        
+        const zone = this.world.getZoneByType(activity.zone);
+        if (zone) {
+            this.homePosition = zone.getCenter();
+            this.walkTo(zone.id);
+        }
+        
+        this.emit('activityStarted', activity, this);
+    }
+
+    setPlayer(player) {
+        this.player = player;
+    }
+
+    setNeighbours(agents) {
+        this.neighbours = agents.filter(agent => agent !== this);
+    }
+
+    // Where the other townsfolk should be around now, by their routines and plans
+    describeTownsfolk() {
+        return this.neighbours
+            .map(neighbour => ({ neighbour: neighbour, activity: neighbour.getCurrentActivity() }))
+            .filter(entry => entry.activity)
+            .map(entry => {
+                const zone = this.world.getZoneByType(entry.activity.zone);
+                return {
+                    name: entry.neighbour.name,
+                    zone: zone ? zone.name : entry.activity.zone,
+                    activity: entry.activity.activity
+                };
+            });
+    }
+
+    // The neighbour a message names, by short name or any word of the full name ("the merchant")
+    findNeighbourIn(message) {
+        const words = message.toLowerCase().match(/[a-z]+/g) || [];
+        return this.neighbours.find(neighbour => [neighbour.shortName].concat(neighbour.name.split(/\s+/).slice(-1))
+            .some(alias => words.includes(alias.toLowerCase()))) || null;
+    }
+
+    // Offline answer to "where is Tiberius?"; null when the message names nobody this agent knows
+    describeWhereabouts(message) {
+        const neighbour = this.findNeighbourIn(message);
+        if (!neighbour) {
+            const words = message.toLowerCase().match(/[a-z]+/g) || [];
+            return words.includes(this.shortName.toLowerCase()) ? "You've found me! I'm right here." : null;
+        }
+        
+        const whereabouts = this.describeTownsfolk().find(entry => entry.name === neighbour.name);
+        return whereabouts
+            ? `Looking for ${neighbour.shortName}? Try the ${whereabouts.zone} - that's where ${neighbour.shortName} should be around now (${whereabouts.activity}).`
+            : `${neighbour.shortName} could be anywhere at this hour.`;
+    }
+
+    // The next topic from today's plan not yet brought up with anyone
+    getConversationTopic() {
+        const topics = this.dayPlan ? this.dayPlan.topics : [];
+        const topic = topics.find(entry => !this.topicsRaised.includes(entry)) || null;
+        if (topic) {
+            this.topicsRaised.push(topic);
+        }
+        return topic;
+    }
+
     // Memory and knowledge methods
     remember(key, value, importance = 1) {
         this.memory.store(key, value, importance);
@@ -313,7 +1249,7 @@ class Agent extends Entity {
     }
 
     knowsAbout(topic) {
-        return this.knowledgeBase.hasOwnProperty(topic) || this.memory.hasMemoryOf(topic);
+        return this.knowledge.has(topic) || this.memory.hasMemoryOf(topic);
     }
 
     // Utility methods
@@ -342,11 +1278,17 @@ class Agent extends Entity {
             name: this.name,
             personality: this.personality,
             goals: this.goals,
-            knowledgeBase: this.knowledgeBase,
+            knowledgeDisclosed: this.knowledge.serialize(),
             currentMood: this.currentMood,
+            emotion: this.emotion.serialize(),
             energyLevel: this.energyLevel,
-            trustLevel: this.trustLevel,
-            homePosition: { x: this.homePosition.x, y: this.homePosition.y }
+            relationships: this.relationships.serialize(),
+            homePosition: { x: this.homePosition.x, y: this.homePosition.y },
+            dayPlan: this.dayPlan,
+            planHistory: this.planHistory,
+            reflections: this.reflections,
+            topicsRaised: this.topicsRaised,
+            schedule: this.schedule.serialize()
         };
     }
 
@@ -355,10 +1297,24 @@ class Agent extends Entity {
         this.name = data.name || 'Agent';
         this.personality = data.personality || {};
         this.goals = data.goals || [];
-        this.knowledgeBase = data.knowledgeBase || {};
-        this.currentMood = data.currentMood || 'neutral';
+        // Entries come from the NPC's definition; saves only restore what has been disclosed
+        this.knowledge.deserialize(data.knowledgeDisclosed || data.knowledgeShared || data.gossipShared);
+        this.emotion.deserialize(data.emotion);
+        this.currentMood = data.currentMood || this.emotion.getLabel();
         this.energyLevel = data.energyLevel || 100;
-        this.trustLevel = data.trustLevel || 50;
+        this.relationships.deserialize(data.relationships);
+        if (!data.relationships && typeof data.trustLevel === 'number') {
+            // Saves from before the relationship store only kept trust in the player
+            this.relationships.set(this.getPlayerRelationship(), 'trust', data.trustLevel);
+        }
         this.homePosition = new Vector2(data.homePosition?.x || 0, data.homePosition?.y || 0);
+        this.dayPlan = data.dayPlan || null;
+        this.planHistory = data.planHistory || [];
+        this.reflections = data.reflections || [];
+        this.topicsRaised = data.topicsRaised || [];
+        this.currentActivity = null;
+        if (data.schedule) {
+            this.schedule.deserialize(data.schedule);
+        }
     }
 }
\ No newline at end of file
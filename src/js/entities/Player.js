@@ -29,6 +29,10 @@ class Player extends Entity {
         this.interactionRange = 80;
         this.currentInteraction = null;
         
+        // What the player is carrying
+        this.inventory = new Inventory({ capacity: 12 });
+        this.pickupRange = 40; // From the player's centre to the item's
+        
         // Initialize player
         this.setupPlayer();
     }
@@ -106,6 +110,8 @@ class Player extends Entity {
         }
     }
 
+    // No bounds check here: the player has no world of its own, and the CollisionSystem pushes it back inside
+    // the world and out of scenery right after movement each frame (World.resolveCollisions)
     move(direction, deltaTime) {
         if (!direction || direction.magnitude() === 0) return;
         
@@ -385,6 +391,17 @@ class Player extends Entity {
         this.emit('interactionEnded', previousInteraction);
     }
 
+    // Take as much of a world item as fits; returns how many were picked up. Whatever is left stays on the
+    // ground, and an emptied item is for the world to remove
+    pickUp(worldItem) {
+        const taken = this.inventory.add(worldItem.itemId, worldItem.quantity);
+        if (taken === 0) return 0;
+        
+        worldItem.quantity -= taken;
+        this.emit('itemPickedUp', worldItem.getItem(), taken);
+        return taken;
+    }
+
     // Utility methods
     getStats() {
         return {
@@ -394,7 +411,8 @@ class Player extends Entity {
             maxEnergy: this.maxEnergy,
             position: this.position.clone(),
             isMoving: this.isMoving,
-            facingDirection: this.facingDirection
+            facingDirection: this.facingDirection,
+            inventory: this.inventory.describe()
         };
     }
 
@@ -419,7 +437,8 @@ class Player extends Entity {
             energy: this.energy,
             maxEnergy: this.maxEnergy,
             facingDirection: this.facingDirection,
-            animationState: this.animationState
+            animationState: this.animationState,
+            inventory: this.inventory.serialize()
         };
     }
 
@@ -431,5 +450,6 @@ class Player extends Entity {
         this.maxEnergy = data.maxEnergy || 100;
         this.facingDirection = data.facingDirection || 'down';
         this.animationState = data.animationState || 'idle';
+        this.inventory.deserialize(data.inventory);
     }
 }
\ No newline at end of file
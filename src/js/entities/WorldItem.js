@@ -0,0 +1,67 @@
+/**
+ * WorldItem - An item lying on the ground, waiting to be picked up
+ * Holds an item id from the ItemCatalog and a quantity. It is not solid: the player walks over it and
+ * picks it up with E. Drawn as the item's icon on a glow in its rarity's colour, bobbing gently.
+ */
+class WorldItem extends Entity {
+    constructor(position = Vector2.zero(), itemId = null, quantity = 1, catalog = ItemCatalog.getShared()) {
+        super(position);
+
+        this.type = 'item';
+        this.itemId = itemId;
+        this.quantity = quantity;
+        this.catalog = catalog;
+
+        this.width = 20;
+        this.height = 20;
+        this.collisionRadius = 10;
+        this.friction = 0;
+    }
+
+    getItem() {
+        return this.catalog.get(this.itemId);
+    }
+
+    // "Apple" or "3 × Apple"
+    getLabel() {
+        const item = this.getItem();
+        const name = item ? item.name : 'Unknown item';
+        return this.quantity > 1 ? `${this.quantity} × ${name}` : name;
+    }
+
+    renderEntity(renderer) {
+        const item = this.getItem();
+        if (!item) return;
+
+        const ctx = renderer.ctx;
+        const bob = Math.sin(performance.now() * 0.003 + this.position.x) * 2;
+
+        ctx.save();
+        ctx.globalAlpha *= 0.35;
+        ctx.fillStyle = this.catalog.getRarityColor(item.rarity);
+        ctx.beginPath();
+        ctx.arc(0, bob, 11, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+
+        renderer.drawText(item.icon, new Vector2(0, bob), { font: '16px Arial', align: 'center', baseline: 'middle' });
+
+        if (this.quantity > 1) {
+            renderer.drawText(String(this.quantity), new Vector2(10, bob + 10), { font: 'bold 10px Arial', align: 'right', baseline: 'bottom' });
+        }
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            itemId: this.itemId,
+            quantity: this.quantity
+        };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        this.itemId = data.itemId;
+        this.quantity = data.quantity || 1;
+    }
+}
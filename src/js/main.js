@@ -62,7 +62,7 @@ function setupGlobalEvents() {
         
         if (document.hidden) {
             gameEngine.pause();
-        } else if (!gameEngine.chatInterface.isOpen) {
+        } else if (!gameEngine.chatInterface.isOpen && !gameEngine.aiSettingsPanel.isOpen) {
             gameEngine.resume();
         }
     });
@@ -161,6 +161,7 @@ window.debugFunctions = {
                 conversationCount: agent.memory.conversations.length
             })),
             world: gameEngine.world ? gameEngine.world.getWorldInfo() : null,
+            llmUsage: UsageTelemetry.getShared().getStats(),
             performance: {
                 fps: Math.round(1 / gameEngine.deltaTime),
                 entities: gameEngine.agents.size + 1, // +1 for player
@@ -183,13 +184,522 @@ window.debugFunctions = {
             .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
         
         if (agent) {
-            agent.trustLevel = Math.max(0, Math.min(100, trustLevel));
-            console.log(`${agent.name} trust set to ${agent.trustLevel}`);
+            agent.relationships.set(agent.getPlayerRelationship(), 'trust', trustLevel, 'set from the console');
+            console.log(`${agent.name} trust set to ${agent.trustLevel} (${agent.getRelationshipStage()})`);
         } else {
             console.log('Agent not found');
         }
     },
     
+    // Toggle structured JSON turns (trust/mood from the model instead of keyword heuristics)
+    setStructuredOutput: (enabled = true) => {
+        gameEngine.agents.forEach(agent => agent.aiAgent.setStructuredOutput(enabled));
+        console.log(`Structured output ${enabled ? 'enabled' : 'disabled'} for all agents`);
+    },
+    
+    // Show what the last prompt for an agent contained and what was left out
+    inspectContext: (agentName) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const report = agent.aiAgent.getLastContextReport();
+        if (!report) {
+            console.log(`${agent.name} has not built a prompt yet`);
+            return null;
+        }
+        
+        console.log(`${agent.name}: ${report.used}/${report.budget} tokens`);
+        console.table(report.included);
+        if (report.dropped.length > 0) {
+            console.log('Left out:');
+            console.table(report.dropped);
+        }
+        return report;
+    },
+    
+    // Search an agent's memory index, or show what its last reply recalled
+    inspectMemories: (agentName, query = null) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        if (!query) {
+            const retrieval = agent.memory.lastRetrieval;
+            if (!retrieval) {
+                console.log(`${agent.name} has not recalled anything yet`);
+                return null;
+            }
+            console.log(`${agent.name} recalled for "${retrieval.query}":`);
+            console.table(retrieval.results);
+            return retrieval;
+        }
+        
+        const results = agent.memory.searchRelevant(query, { limit: 10 }).map(result => ({
+            text: agent.memory.describeMemory(result.memory),
+            similarity: Math.round(result.similarity * 1000) / 1000,
+            score: Math.round(result.score * 1000) / 1000
+        }));
+        console.table(results);
+        return results;
+    },
+    
+    // Show which knowledge entries an agent may share right now, and why the rest are locked
+    inspectKnowledge: (agentName) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const state = agent.getDisclosureState();
+        const entries = agent.knowledge.getTopics().map(topic => {
+            const check = agent.knowledge.evaluate(topic, state);
+            return {
+                topic: topic,
+                unlocked: check.unlocked,
+                disclosed: agent.knowledge.isDisclosed(topic),
+                missing: check.reasons.join('; ')
+            };
+        });
+        console.log(`${agent.name}: trust ${Math.round(state.trust)}, stage ${state.stage}`);
+        console.table(entries);
+        return entries;
+    },
+    
+    // List the episodic memories an agent kept of past chats
+    getEpisodes: (agentName, participant = null) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const episodes = agent.memory.getEpisodes(participant, 20).map(memory => ({
+            with: memory.data.participant,
+            summary: memory.data.summary,
+            facts: memory.data.facts.join(' | '),
+            promises: memory.data.promises.join(' | '),
+            feeling: memory.data.feeling,
+            method: memory.data.method
+        }));
+        console.table(episodes);
+        return episodes;
+    },
+    
+    // Render an agent's system prompt from its template and current state
+    renderPrompt: (agentName) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const rendered = agent.aiAgent.renderSystemPrompt();
+        console.log(rendered.text);
+        if (rendered.partials.length > 0) {
+            console.table(rendered.partials);
+        }
+        if (rendered.missing.length > 0) {
+            console.warn(`Unbound variables: ${rendered.missing.join(', ')}`);
+        }
+        return rendered;
+    },
+    
+    // Guardrail interventions (injection attempts, out-of-character text, leaks), optionally for one agent
+    getGuardLog: (agentName = null) => {
+        const agent = agentName ? Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase())) : null;
+        const log = DialogueGuard.getShared().getLog(agent ? agent.aiAgent.name : null);
+        console.table(log.map(entry => ({ ...entry, reasons: entry.reasons.join(', ') })));
+        return log;
+    },
+    
+    setGuardEnabled: (enabled) => {
+        DialogueGuard.getShared().setEnabled(enabled);
+        console.log(`Dialogue guard ${enabled ? 'enabled' : 'disabled'}`);
+    },
+    
+    // Replace a template or partial for one agent, e.g. setPromptOverride('milo', 'response_length', '...')
+    setPromptOverride: (agentKey, name, source) => {
+        if (source === null) {
+            PromptTemplates.getShared().clearOverride(agentKey, name);
+        } else {
+            PromptTemplates.getShared().setOverride(agentKey, name, source);
+        }
+        console.log(`Prompt override for ${agentKey}: ${name} ${source === null ? 'cleared' : 'set'}`);
+    },
+    
+    // Point every agent at the bundled mock server (npm run mock-llm)
+    useMockLLM: (port = 4000) => {
+        gameEngine.agents.forEach(agent => {
+            agent.aiAgent.setAPIConfiguration(`http://localhost:${port}/v1/chat/completions`, 'mock-key', 'mock-npc', 'openai');
+        });
+        console.log(`Agents now talk to the mock LLM server on port ${port}`);
+    },
+    
+    // Record every LLM request/response of this session into a cassette
+    startRecording: () => {
+        LLMCassette.getShared().startRecording();
+        console.log('Recording LLM traffic. Call debugFunctions.stopRecording() to download the cassette.');
+    },
+    
+    stopRecording: (download = true) => {
+        const cassette = LLMCassette.getShared();
+        const json = cassette.exportCassette();
+        cassette.stop();
+        
+        if (download) {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+            link.download = `llm-cassette-${Date.now()}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
+        
+        console.log(`Cassette saved with ${cassette.entries.length} requests`);
+        return json;
+    },
+    
+    // Serve LLM replies from a recorded cassette (JSON string or object) with no network
+    replayCassette: (cassette, matchMode = 'strict') => {
+        const player = LLMCassette.getShared();
+        player.matchMode = matchMode;
+        player.startReplay(cassette);
+        console.log(`Replaying ${player.entries.length} recorded requests (${matchMode} matching)`);
+    },
+    
+    stopReplay: () => {
+        LLMCassette.getShared().stop();
+        console.log('Replay stopped');
+    },
+    
+    // LLM tokens, latency, retries and estimated cost, per agent and for the session
+    getUsage: (agentName = null) => {
+        const telemetry = UsageTelemetry.getShared();
+        if (!agentName) {
+            const stats = telemetry.getStats();
+            console.table({ ...stats.agents, session: stats.session });
+            return stats;
+        }
+        
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const stats = telemetry.getAgentStats(agent.aiAgent.name);
+        console.table(stats);
+        return stats;
+    },
+    
+    // Override model prices (USD per million tokens), e.g. { 'gpt-4o': { input: 2.5, output: 10 } }
+    setModelPrices: (prices) => {
+        UsageTelemetry.getShared().setPrices(prices);
+        console.log('Model prices updated:', Object.keys(prices).join(', '));
+    },
+    
+    // Download the per-request usage log as 'csv' or 'json'
+    exportUsage: (format = 'csv', download = true) => {
+        const telemetry = UsageTelemetry.getShared();
+        const isCSV = format === 'csv';
+        const data = isCSV ? telemetry.exportCSV() : telemetry.exportJSON();
+        
+        if (download) {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([data], { type: isCSV ? 'text/csv' : 'application/json' }));
+            link.download = `llm-usage-${Date.now()}.${isCSV ? 'csv' : 'json'}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
+        
+        console.log(`Exported ${telemetry.records.length} requests as ${isCSV ? 'CSV' : 'JSON'}`);
+        return data;
+    },
+    
+    resetUsage: () => {
+        UsageTelemetry.getShared().reset();
+        console.log('LLM usage counters reset');
+    },
+    
+    // Conversations between NPCs: exchanges today, the ones in progress and recent transcripts
+    getNPCConversations: () => {
+        const stats = gameEngine.conversationDirector.getStats();
+        console.log(`Exchanges today: ${stats.exchangesToday}/${stats.maxExchangesPerDay}`);
+        stats.recent.forEach(exchange => {
+            console.log(`${exchange.initiator} & ${exchange.partner} (day ${exchange.day}, ${exchange.reason}):`);
+            console.table(exchange.lines);
+        });
+        return stats;
+    },
+    
+    // Facts an agent has heard, with who told it and how faithfully; without a name, every retelling so far
+    getGossip: (agentName = null) => {
+        if (!agentName) {
+            const log = gameEngine.gossipNetwork.getLog();
+            console.table(log.map(entry => ({ ...entry, timestamp: new Date(entry.timestamp).toLocaleTimeString() })));
+            return log;
+        }
+        
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const facts = agent.memory.getFacts().map(fact => ({
+            id: fact.id,
+            fact: agent.memory.renderFact(fact),
+            fidelity: fact.fidelity,
+            heardFrom: fact.heardFrom,
+            path: fact.chain.map(link => link.from).concat([agent.name]).join(' -> ')
+        }));
+        console.table(facts);
+        return facts;
+    },
+    
+    // Every retelling of one fact, e.g. traceGossip(debugFunctions.getGossip('tiberius')[0].id)
+    traceGossip: (factId) => {
+        const trace = gameEngine.gossipNetwork.trace(factId);
+        trace.forEach(entry => {
+            console.log(`${entry.from} -> ${entry.to} (${Math.round(entry.fidelity * 100)}%): ${entry.text}`);
+        });
+        return trace;
+    },
+    
+    // Today's plan for an agent, with its latest reflection and earlier plans
+    getPlan: (agentName) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        if (!agent.dayPlan) {
+            console.log(`${agent.name} has no plan yet`);
+            return null;
+        }
+        
+        console.log(`${agent.name}, day ${agent.dayPlan.day} (${agent.dayPlan.method}): ${agent.dayPlan.summary}`);
+        console.table(agent.dayPlan.blocks);
+        console.log('Topics:', agent.dayPlan.topics);
+        return { plan: agent.dayPlan, current: agent.getCurrentActivity(), history: agent.planHistory };
+    },
+    
+    // An agent's daily routine and what it is doing right now
+    getSchedule: (agentName) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        agent.schedule.describe().forEach(line => console.log(line));
+        const current = agent.getCurrentActivity();
+        console.log('Now:', current ? `${current.zone}: ${current.activity}` : 'nothing scheduled');
+        return { schedule: agent.schedule.getEntries(), current: current };
+    },
+    
+    // Replace an agent's routine, e.g. setSchedule('milo', [{ start: 9, end: 17, zone: 'library', activity: 'reading up on gears' }])
+    setSchedule: (agentName, entries) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        agent.schedule.set(entries);
+        agent.currentActivity = null;
+        console.log(`${agent.name}'s routine updated`);
+        return agent.schedule.describe();
+    },
+    
+    // How an agent feels: its PAD state, mood label and what caused it
+    getEmotion: (agentName) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const cause = agent.emotion.getCause();
+        console.log(`${agent.name} is feeling ${agent.describeMood()}${cause ? ` (${cause})` : ''}`);
+        return { mood: agent.currentMood, state: { ...agent.emotion.state }, recent: agent.emotion.recent.slice() };
+    },
+    
+    // Where an agent stands with someone (the player by default): axes, stage and what changed them
+    getRelationship: (agentName, partnerName = 'player') => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const relationship = agent.relationships.get(partnerName);
+        if (!relationship) {
+            console.log(`${agent.name} does not know ${partnerName}`);
+            return null;
+        }
+        
+        const axes = agent.relationships.getAxisNames().map(axis => `${axis} ${Math.round(relationship[axis])}`);
+        console.log(`${agent.name} -> ${relationship.name}: ${relationship.stage} (${axes.join(', ')})`);
+        relationship.history.forEach(entry => {
+            const changes = Object.entries(entry.changes).map(([axis, delta]) => `${axis} ${delta > 0 ? '+' : ''}${delta}`).join(', ');
+            const stage = entry.stage ? ` [${entry.stage.from} -> ${entry.stage.to}]` : '';
+            console.log(`  ${new Date(entry.timestamp).toLocaleTimeString()} ${changes}${entry.reason ? ` - ${entry.reason}` : ''}${stage}`);
+        });
+        return relationship;
+    },
+    
+    // Put an item straight into the player's bag, e.g. giveItem('weather_crystal') or giveItem('Apple', 5)
+    giveItem: (itemIdOrName, quantity = 1) => {
+        const item = ItemCatalog.getShared().find(itemIdOrName);
+        if (!item) {
+            console.log(`Unknown item. Try: ${ItemCatalog.getShared().getAll().map(entry => entry.id).join(', ')}`);
+            return 0;
+        }
+        
+        const added = gameEngine.player.inventory.add(item.id, quantity);
+        console.log(`Added ${added} × ${item.name}${added < quantity ? ' (the bag is full)' : ''}`);
+        return added;
+    },
+    
+    // Drop an item into the world; next to the player unless a position is given
+    spawnItem: (itemIdOrName, quantity = 1, x = null, y = null) => {
+        const item = ItemCatalog.getShared().find(itemIdOrName);
+        if (!item) {
+            console.log('Unknown item');
+            return null;
+        }
+        
+        const center = gameEngine.player.getCenter();
+        const position = x !== null && y !== null ? new Vector2(x, y) : new Vector2(center.x + 30, center.y);
+        return gameEngine.world.spawnItem(item.id, position, quantity);
+    },
+    
+    getInventory: () => {
+        const inventory = gameEngine.player.inventory;
+        console.log(`Inventory (${inventory.slots.length}/${inventory.capacity} slots): ${inventory.describe().join(', ') || 'empty'}`);
+        return inventory.getSlots();
+    },
+    
+    // Appraise an event for an agent, e.g. feel('tiberius', 'insult') or feel('elara', 'gift')
+    feel: (agentName, event, intensity) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const emotion = agent.feel(event, intensity !== undefined ? { intensity: intensity } : {});
+        console.log(emotion ? `${agent.name} feels ${emotion}, now ${agent.describeMood()}` : `Unknown event '${event}'. Try: ${Object.keys(agent.emotion.events).join(', ')}`);
+        return emotion;
+    },
+    
+    getReflections: (agentName) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        agent.reflections.forEach(reflection => {
+            console.log(`Day ${reflection.day} (${reflection.method}):`);
+            reflection.insights.forEach(insight => console.log(`  - ${insight}`));
+        });
+        return agent.reflections;
+    },
+    
+    // Run the start-of-day reflection and planning now, for one agent or all of them
+    startNewDay: async (agentName = null) => {
+        const agents = Array.from(gameEngine.agents.values())
+            .filter(a => !agentName || a.name.toLowerCase().includes(agentName.toLowerCase()));
+        
+        const results = await Promise.all(agents.map(agent => agent.startDay(gameEngine.world.dayCount)));
+        agents.forEach((agent, index) => {
+            console.log(`${agent.name}: ${results[index].plan.summary}`);
+        });
+        return results;
+    },
+    
+    // Let the daily reflection and planning use the model (the default) or keep them on rules, for one agent or all
+    setModelPlanning: (enabled, agentName = null) => {
+        gameEngine.agents.forEach(agent => {
+            if (!agentName || agent.name.toLowerCase().includes(agentName.toLowerCase())) {
+                agent.modelPlanning = !!enabled;
+            }
+        });
+        console.log(`Daily planning ${enabled ? 'uses the model when available' : 'uses rules only'}${agentName ? ` for ${agentName}` : ''}`);
+    },
+    
+    // Make two agents talk right now, e.g. startNPCConversation('milo', 'elara', 'spare gears')
+    startNPCConversation: (initiatorName, partnerName, topic = null) => {
+        const find = (name) => Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(name.toLowerCase()));
+        const initiator = find(initiatorName);
+        const partner = find(partnerName);
+        
+        if (!initiator || !partner || initiator === partner) {
+            console.log('Agents not found. Available agents:',
+                Array.from(gameEngine.agents.values()).map(a => a.name));
+            return null;
+        }
+        if (initiator.isInConversation || partner.isInConversation) {
+            console.log('One of them is already in a conversation');
+            return null;
+        }
+        
+        return gameEngine.conversationDirector.describe(gameEngine.conversationDirector.startExchange(initiator, partner, topic));
+    },
+    
+    // Lines per exchange and exchanges per game day
+    setNPCConversationBudget: (maxTurnsPerExchange, maxExchangesPerDay) => {
+        gameEngine.conversationDirector.setBudget({ maxTurnsPerExchange, maxExchangesPerDay });
+        console.log(`NPC conversations: ${maxTurnsPerExchange} lines per exchange, ${maxExchangesPerDay} exchanges per day`);
+    },
+    
+    setNPCConversationsEnabled: (enabled) => {
+        gameEngine.conversationDirector.setEnabled(enabled);
+        console.log('NPC conversations', enabled ? 'enabled' : 'disabled');
+    },
+    
+    // Send an agent somewhere along a path, e.g. walkAgentTo('milo', 'library') or walkAgentTo('milo', { x: 700, y: 500 })
+    walkAgentTo: (agentName, target) => {
+        const agent = Array.from(gameEngine.agents.values())
+            .find(a => a.name.toLowerCase().includes(agentName.toLowerCase()));
+        if (!agent) {
+            console.log('Agent not found');
+            return null;
+        }
+        
+        const path = agent.walkTo(typeof target === 'string' ? target : new Vector2(target.x, target.y));
+        console.log(path ? `${agent.name} is on the way (${path.waypoints.length} waypoints)` : `${agent.name} can't get there`);
+        return path;
+    },
+    
     // Force conversation with agent
     talkTo: (agentName) => {
         const agent = Array.from(gameEngine.agents.values())
@@ -211,6 +721,7 @@ window.debugFunctions = {
             player: gameEngine.player.serialize(),
             agents: {},
             world: gameEngine.world.serialize(),
+            aiSettings: gameEngine.aiSettings.exportConfig(), // API keys are never exported
             timestamp: Date.now()
         };
         
@@ -285,28 +796,34 @@ window.debugFunctions = {
 function showAISetupInstructions() {
     console.log(`
 %c=== AgenticWorldGame AI Integration ===
-%cTo enable AI-powered conversations, you can configure API access:
+%cTo enable AI-powered conversations, open the ⚙ AI button in the top-right corner.
+It stores provider settings across reloads and keeps API keys encrypted with your passphrase.
+You can also configure API access from the console:
 
 %c1. OpenAI API Integration:%c
    gameEngine.agents.forEach((agent) => {
        agent.aiAgent.setAPIConfiguration(
            'https://api.openai.com/v1/chat/completions',
            'your-openai-api-key',
-           'gpt-3.5-turbo'
+           'gpt-3.5-turbo',
+           'openai'
        );
    });
 
 %c2. Local LLM Integration (Ollama):%c
    gameEngine.agents.forEach((agent) => {
        agent.aiAgent.setAPIConfiguration(
-           'http://localhost:11434/v1/chat/completions',
-           'not-needed',
-           'llama2'
+           'http://localhost:11434/api/chat',
+           null,
+           'llama3.1',
+           'ollama'
        );
    });
 
-%c3. Custom AI Service:%c
-   Configure with your own API endpoint that accepts OpenAI-compatible requests.
+%c3. Other Providers:%c
+   Pass 'anthropic' or 'gemini' as the provider id (endpoint null uses the provider default),
+   or 'openai' with your own endpoint for any OpenAI-compatible service.
+   Available providers: ${LLMProvider.getProviderIds().join(', ')}
 
 %cNote: The game works with fallback responses if no AI is configured.
 %cUse debugFunctions.getStats() to see current game state.
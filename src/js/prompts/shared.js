@@ -0,0 +1,57 @@
+/**
+ * Shared prompt partials - included by every NPC template with {{> name}}
+ * Variables come from Agent.getPromptVariables() and the NPC's own additions.
+ * npc_conversation is added as an instruction when an NPC talks with another NPC; partnerName is then
+ * set, and the relationship lines describe that neighbour instead of the visitor.
+ */
+PromptTemplates.define({
+    templates: {
+        npc_conversation: `You are not talking with the visitor right now. {{partner}} lives in this town too and is the one you are speaking with; talk to them as someone you know.
+{{#if opening}}
+You start the conversation: greet {{partner}}{{#if topic}} and bring up {{topic}}{{/if}}.
+{{/if}}
+{{#if closing}}
+This is your last line in this conversation, so bring it to a friendly close.
+{{/if}}
+Answer with one or two short sentences of speech and nothing else.`
+    },
+
+    partials: {
+        situation: `CURRENT SITUATION:
+{{#if timeOfDay}}
+- It is {{timeOfDay}} on day {{day}}{{#if weather}} and the weather is {{weather}}{{/if}}.
+{{/if}}
+- You are in the {{location}}.
+{{#if activity}}
+- Why you are here: {{activity}}{{#if routine}} (your daily routine at this hour){{else}} (your plan for today){{/if}}.
+{{/if}}
+{{#each townsfolk}}
+- {{name}} should be in the {{zone}} around now ({{activity}}).
+{{/each}}
+- You are feeling {{mood}}{{#if moodCause}}, mostly because {{moodCause}}{{/if}}. Let it colour how you speak.
+{{#if partnerName}}
+- Where you stand with {{partnerName}}: {{relationshipStage}}. Trust {{trustLevel}}/100 ({{trustDescription}}), affection {{affection}}/100, respect {{respect}}/100.
+{{else}}
+{{> relationship}}
+{{#if carrying}}
+- The visitor is carrying: {{carrying}}.
+{{/if}}
+{{/if}}`,
+
+        relationship: `- Where you stand with the visitor: {{relationshipStage}}. Trust {{trustLevel}}/100 ({{trustDescription}}), affection {{affection}}/100, respect {{respect}}/100.
+{{#if relationshipChange}}
+- What last changed it: {{relationshipChange}}.
+{{/if}}`,
+
+        // Only entries whose disclosure rules are met are listed; locked ones never reach the model
+        knowledge: `WHAT YOU KNOW AND MAY SHARE:
+{{#each knowledge}}
+- {{topic}}: {{text}}{{#if shared}} (you have told them this already){{/if}}
+{{else}}
+- Nothing you are willing to share with {{#if partnerName}}{{partnerName}}{{else}}this visitor{{/if}} yet.
+{{/each}}
+- Anything else you know stays private until they have earned it.`,
+
+        response_length: `Keep responses under {{maxWords}} words`
+    }
+});
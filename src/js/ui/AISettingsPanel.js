@@ -0,0 +1,277 @@
+/**
+ * AISettingsPanel - Modal for configuring the LLM behind the NPCs
+ * Edits AISettings globally or per agent, unlocks the encrypted key vault and tests the connection.
+ */
+class AISettingsPanel extends EventEmitter {
+    constructor(settings, agentNames = []) {
+        super();
+        
+        this.settings = settings;
+        this.agentNames = agentNames;
+        
+        // UI Elements
+        this.modal = document.getElementById('aiSettingsModal');
+        this.openBtn = document.getElementById('aiSettingsBtn');
+        this.closeBtn = document.getElementById('closeAISettingsBtn');
+        this.scopeSelect = document.getElementById('aiScope');
+        this.useGlobalRow = document.getElementById('aiUseGlobalRow');
+        this.useGlobalInput = document.getElementById('aiUseGlobal');
+        this.fields = document.getElementById('aiFields');
+        this.providerSelect = document.getElementById('aiProvider');
+        this.endpointInput = document.getElementById('aiEndpoint');
+        this.modelInput = document.getElementById('aiModel');
+        this.temperatureInput = document.getElementById('aiTemperature');
+        this.maxTokensInput = document.getElementById('aiMaxTokens');
+        this.apiKeyInput = document.getElementById('aiApiKey');
+        this.passphraseInput = document.getElementById('aiPassphrase');
+        this.unlockBtn = document.getElementById('aiUnlockBtn');
+        this.vaultStatus = document.getElementById('aiVaultStatus');
+        this.status = document.getElementById('aiSettingsStatus');
+        this.testBtn = document.getElementById('aiTestBtn');
+        this.saveBtn = document.getElementById('aiSaveBtn');
+        
+        // Panel state
+        this.isOpen = false;
+        this.scope = 'global';
+        
+        this.populateOptions();
+        this.setupEventListeners();
+        console.log('AISettingsPanel initialized');
+    }
+
+    populateOptions() {
+        this.scopeSelect.innerHTML = '';
+        this.scopeSelect.appendChild(new Option('All agents', 'global'));
+        this.agentNames.forEach(name => this.scopeSelect.appendChild(new Option(name, name)));
+        
+        this.providerSelect.innerHTML = '';
+        this.providerSelect.appendChild(new Option('None (scripted replies)', ''));
+        LLMProvider.getProviderIds().forEach(id => this.providerSelect.appendChild(new Option(id, id)));
+    }
+
+    setupEventListeners() {
+        this.openBtn.addEventListener('click', () => this.open());
+        this.closeBtn.addEventListener('click', () => this.close());
+        
+        this.modal.addEventListener('keydown', (event) => {
+            // Keep typing out of the game controls
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                this.close();
+            }
+        });
+        
+        this.scopeSelect.addEventListener('change', () => {
+            this.scope = this.scopeSelect.value;
+            this.render();
+        });
+        
+        this.useGlobalInput.addEventListener('change', () => this.updateFieldState());
+        this.providerSelect.addEventListener('change', () => this.updatePlaceholders());
+        this.unlockBtn.addEventListener('click', () => this.unlock());
+        this.testBtn.addEventListener('click', () => this.testConnection());
+        this.saveBtn.addEventListener('click', () => this.save());
+    }
+
+    open(message = null) {
+        this.isOpen = true;
+        this.modal.classList.remove('hidden');
+        this.render();
+        
+        if (message) {
+            this.showStatus(message);
+        }
+        
+        this.emit('opened');
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.modal.classList.add('hidden');
+        this.apiKeyInput.value = '';
+        this.passphraseInput.value = '';
+        
+        this.emit('closed');
+    }
+
+    // Fill the form from the selected scope
+    render() {
+        const isGlobal = this.scope === 'global';
+        const values = isGlobal ? this.settings.getSettings('global') : this.settings.getEffectiveSettings(this.scope);
+        
+        this.useGlobalRow.classList.toggle('hidden', isGlobal);
+        this.useGlobalInput.checked = !isGlobal && !this.settings.hasOverride(this.scope);
+        
+        this.providerSelect.value = values.provider || '';
+        this.endpointInput.value = values.endpoint || '';
+        this.modelInput.value = values.model || '';
+        this.temperatureInput.value = values.temperature !== null && values.temperature !== undefined ? String(values.temperature) : '';
+        this.maxTokensInput.value = values.maxTokens ? String(values.maxTokens) : '';
+        this.apiKeyInput.value = '';
+        
+        this.updatePlaceholders();
+        this.updateFieldState();
+        this.updateVaultStatus();
+        this.showStatus('');
+    }
+
+    updateFieldState() {
+        this.fields.disabled = this.scope !== 'global' && this.useGlobalInput.checked;
+    }
+
+    updatePlaceholders() {
+        const providerId = this.providerSelect.value;
+        let defaults = null;
+        
+        if (providerId) {
+            try {
+                defaults = LLMProvider.create(providerId);
+            } catch (error) {
+                defaults = null;
+            }
+        }
+        
+        this.endpointInput.placeholder = defaults && defaults.endpoint ? defaults.endpoint : 'Provider default';
+        this.modelInput.placeholder = defaults && defaults.model ? defaults.model : 'Provider default';
+        
+        const stored = this.settings.hasApiKey(this.scope);
+        if (defaults && !defaults.requiresApiKey) {
+            this.apiKeyInput.placeholder = 'Not needed for this provider';
+        } else if (stored) {
+            this.apiKeyInput.placeholder = 'Stored (encrypted) - type to replace';
+        } else {
+            this.apiKeyInput.placeholder = this.scope === 'global' ? 'Not set' : 'Not set - uses the global key';
+        }
+    }
+
+    updateVaultStatus() {
+        const vault = this.settings.vault;
+        
+        if (!vault.isSupported()) {
+            this.vaultStatus.textContent = 'WebCrypto unavailable - keys cannot be stored';
+        } else if (!vault.hasPassphrase()) {
+            this.vaultStatus.textContent = 'Choose a passphrase to encrypt your keys';
+        } else if (vault.isUnlocked()) {
+            this.vaultStatus.textContent = 'Unlocked for this session';
+        } else {
+            this.vaultStatus.textContent = 'Locked - enter your passphrase to use saved keys';
+        }
+        
+        this.unlockBtn.classList.toggle('hidden', !vault.hasPassphrase() || vault.isUnlocked());
+    }
+
+    showStatus(message, type = 'info') {
+        this.status.textContent = message;
+        this.status.className = message ? `status-${type}` : '';
+    }
+
+    readForm() {
+        const temperature = this.temperatureInput.value.trim();
+        const maxTokens = this.maxTokensInput.value.trim();
+        
+        return {
+            provider: this.providerSelect.value,
+            endpoint: this.endpointInput.value.trim(),
+            model: this.modelInput.value.trim(),
+            temperature: temperature === '' ? '' : Number(temperature),
+            maxTokens: maxTokens === '' ? '' : Number(maxTokens)
+        };
+    }
+
+    // Agent overrides only keep the fields that differ, so later global changes still reach the agent.
+    // Choosing None while the global settings name a provider is kept as an explicit null.
+    readOverrides() {
+        const form = this.readForm();
+        if (this.scope === 'global') return form;
+        
+        const global = this.settings.getSettings('global');
+        const switchedOff = form.provider === '' && !!global.provider;
+        Object.keys(form).forEach(field => {
+            if (form[field] === (global[field] === null || global[field] === undefined ? '' : global[field])) {
+                form[field] = '';
+            }
+        });
+        if (switchedOff) {
+            form.provider = null;
+        }
+        return form;
+    }
+
+    async unlock() {
+        try {
+            await this.settings.unlock(this.passphraseInput.value);
+            this.passphraseInput.value = '';
+            this.updateVaultStatus();
+            this.showStatus('Keys unlocked', 'success');
+            this.emit('unlocked');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    // Make sure the vault can take a new key, creating or unlocking it with the typed passphrase
+    async prepareVault() {
+        const vault = this.settings.vault;
+        if (vault.isUnlocked()) return;
+        
+        const passphrase = this.passphraseInput.value;
+        if (!passphrase) {
+            throw new Error(vault.hasPassphrase()
+                ? 'Enter your passphrase to store the key'
+                : 'Choose a passphrase to encrypt the key with');
+        }
+        
+        if (vault.hasPassphrase()) {
+            await this.settings.unlock(passphrase);
+        } else {
+            await this.settings.setPassphrase(passphrase);
+        }
+        this.passphraseInput.value = '';
+    }
+
+    async save() {
+        try {
+            if (this.scope !== 'global' && this.useGlobalInput.checked) {
+                this.settings.clearOverride(this.scope);
+            } else {
+                const apiKey = this.apiKeyInput.value.trim();
+                if (apiKey) {
+                    await this.prepareVault();
+                }
+                await this.settings.update(this.scope, this.readOverrides(), apiKey || undefined);
+            }
+            
+            this.render();
+            this.showStatus('Settings saved', 'success');
+            this.emit('saved', this.scope);
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    async testConnection() {
+        const form = this.scope !== 'global' && this.useGlobalInput.checked
+            ? this.settings.getSettings('global')
+            : { ...this.settings.getSettings('global'), ...this.readForm() };
+        
+        // A freshly typed key is tested as-is; otherwise the stored one, if the vault is open
+        let apiKey = this.apiKeyInput.value.trim() || null;
+        if (!apiKey) {
+            apiKey = await this.settings.getApiKey(this.scope);
+        }
+        
+        this.testBtn.disabled = true;
+        this.showStatus('Testing connection...');
+        
+        const result = await this.settings.testConnection(form, apiKey);
+        
+        this.testBtn.disabled = false;
+        if (result.ok) {
+            this.showStatus(`Connected to ${result.model} in ${result.latencyMs}ms`, 'success');
+        } else {
+            this.showStatus(`Connection failed: ${result.error}`, 'error');
+        }
+    }
+}
@@ -10,6 +10,7 @@ class ChatInterface extends EventEmitter {
         this.chatWindow = document.getElementById('chatWindow');
         this.chatHeader = document.getElementById('chatHeader');
         this.agentNameElement = document.getElementById('agentName');
+        this.relationshipElement = document.getElementById('agentRelationship');
         this.chatHistory = document.getElementById('chatHistory');
         this.messageInput = document.getElementById('messageInput');
         this.sendBtn = document.getElementById('sendBtn');
@@ -20,6 +21,11 @@ class ChatInterface extends EventEmitter {
         this.currentAgent = null;
         this.messageHistory = [];
         this.isWaitingForResponse = false;
+        this.activeRequest = null;   // AbortController for the in-flight agent reply
+        this.streamingMessage = null; // Message bubble currently receiving streamed tokens
+        this.onRelationshipChanged = (record) => {
+            if (record.type === 'player') this.showRelationship(this.currentAgent);
+        };
         
         // Configuration
         this.maxMessageLength = 500;
@@ -98,6 +104,10 @@ class ChatInterface extends EventEmitter {
         
         // Update UI
         this.agentNameElement.textContent = agent.name || 'Unknown Agent';
+        this.showRelationship(agent);
+        if (agent.relationships) {
+            agent.on('relationshipChanged', this.onRelationshipChanged);
+        }
         this.chatInterface.classList.remove('hidden');
         
         // Reset input state
@@ -109,9 +119,9 @@ class ChatInterface extends EventEmitter {
             this.messageInput.focus();
         }, 100);
         
-        // Start conversation with agent
+        // Start conversation with agent, as the player entity its messages come from
         if (agent.startConversation) {
-            agent.startConversation({ name: 'Player' });
+            agent.startConversation(agent.player || { name: 'Player', type: 'player' });
         }
         
         // Add greeting for new conversation
@@ -126,10 +136,16 @@ class ChatInterface extends EventEmitter {
         
         const previousAgent = this.currentAgent;
         
+        // Cancel any reply still being generated or streamed
+        this.abortActiveRequest();
+        
         // End conversation with agent
         if (this.currentAgent && this.currentAgent.endConversation) {
             this.currentAgent.endConversation();
         }
+        if (this.currentAgent && this.currentAgent.relationships) {
+            this.currentAgent.off('relationshipChanged', this.onRelationshipChanged);
+        }
         
         // Reset state
         this.isOpen = false;
@@ -145,6 +161,20 @@ class ChatInterface extends EventEmitter {
         console.log('Chat closed');
     }
 
+    // Stage and axes of the agent's relationship with the player, e.g. "friend · trust 72 · affection 58"
+    showRelationship(agent) {
+        if (!agent || !agent.relationships) {
+            this.relationshipElement.textContent = '';
+            return;
+        }
+        
+        const relationship = agent.getPlayerRelationship();
+        const axes = agent.relationships.getAxisNames()
+            .map(axis => `${axis} ${Math.round(relationship[axis])}`);
+        this.relationshipElement.textContent = [relationship.stage.replace(/_/g, ' ')].concat(axes).join(' · ');
+        this.relationshipElement.title = agent.relationships.describeLastChange(relationship) || '';
+    }
+
     addGreeting(agent) {
         const greetings = this.getAgentGreeting(agent);
         const greeting = greetings[Math.floor(Math.random() * greetings.length)];
@@ -186,9 +216,9 @@ class ChatInterface extends EventEmitter {
         this.setWaitingState(true);
         
         try {
-            // Send message to agent and emit event
-            this.emit('messageSent', message, this.currentAgent);
-            
+            // Send message to agent and emit event; closing the chat aborts the request
+            this.activeRequest = new AbortController();
+            this.emit('messageSent', message, this.currentAgent, this.activeRequest.signal);
         } catch (error) {
             console.error('Error sending message:', error);
             this.addMessage('Sorry, I had trouble understanding that.', 'agent', this.currentAgent.name);
@@ -197,6 +227,24 @@ class ChatInterface extends EventEmitter {
     }
 
     addMessage(text, sender, senderName = null) {
+        const messageElement = this.createMessageElement(text, sender);
+        
+        // Add to history
+        this.chatHistory.appendChild(messageElement);
+        this.recordMessage(text, sender, senderName);
+        
+        // Scroll to bottom
+        this.scrollToBottom();
+        
+        // Add typing animation for agent messages
+        if (sender === 'agent') {
+            this.animateMessage(messageElement);
+        }
+        
+        this.emit('messageAdded', text, sender, senderName);
+    }
+
+    createMessageElement(text, sender) {
         const messageElement = document.createElement('div');
         messageElement.className = `message ${sender}`;
         
@@ -213,9 +261,10 @@ class ChatInterface extends EventEmitter {
         messageElement.appendChild(messageContent);
         messageElement.appendChild(messageMeta);
         
-        // Add to history
-        this.chatHistory.appendChild(messageElement);
-        
+        return messageElement;
+    }
+
+    recordMessage(text, sender, senderName) {
         // Store in message history
         this.messageHistory.push({
             text: text,
@@ -229,16 +278,78 @@ class ChatInterface extends EventEmitter {
             this.messageHistory.shift();
             this.chatHistory.removeChild(this.chatHistory.firstChild);
         }
+    }
+
+    // Streaming replies - tokens are appended live instead of faking a typewriter
+    startStreamingMessage(agent) {
+        const messageElement = this.createMessageElement('', 'agent');
+        messageElement.classList.add('streaming');
         
-        // Scroll to bottom
+        const content = messageElement.querySelector('.message-content');
+        const textNode = document.createTextNode('');
+        const cursor = document.createElement('span');
+        cursor.className = 'typing-cursor';
+        cursor.textContent = '|';
+        content.appendChild(textNode);
+        content.appendChild(cursor);
+        
+        this.chatHistory.appendChild(messageElement);
         this.scrollToBottom();
         
-        // Add typing animation for agent messages
-        if (sender === 'agent') {
-            this.animateMessage(messageElement);
+        this.streamingMessage = {
+            element: messageElement,
+            textNode: textNode,
+            cursor: cursor,
+            agentName: agent.name
+        };
+        
+        return this.streamingMessage;
+    }
+
+    appendStreamingText(delta) {
+        if (!this.streamingMessage) return;
+        
+        this.streamingMessage.textNode.appendData(delta);
+        this.scrollToBottom();
+    }
+
+    finishStreamingMessage(finalText) {
+        const stream = this.streamingMessage;
+        if (!stream) return;
+        
+        // The final text is authoritative; it may differ from what was streamed
+        const content = stream.element.querySelector('.message-content');
+        content.textContent = finalText;
+        stream.element.classList.remove('streaming');
+        
+        this.streamingMessage = null;
+        this.recordMessage(finalText, 'agent', stream.agentName);
+        this.scrollToBottom();
+        
+        this.emit('messageAdded', finalText, 'agent', stream.agentName);
+    }
+
+    discardStreamingMessage() {
+        if (!this.streamingMessage) return;
+        
+        const element = this.streamingMessage.element;
+        if (element.parentNode) {
+            element.parentNode.removeChild(element);
+        }
+        this.streamingMessage = null;
+    }
+
+    isStreaming() {
+        return !!this.streamingMessage;
+    }
+
+    abortActiveRequest() {
+        if (this.activeRequest) {
+            this.activeRequest.abort();
+            this.activeRequest = null;
         }
         
-        this.emit('messageAdded', text, sender, senderName);
+        this.discardStreamingMessage();
     }
 
     animateMessage(messageElement) {
@@ -313,6 +424,7 @@ class ChatInterface extends EventEmitter {
     }
 
     clearHistory() {
+        this.streamingMessage = null;
         this.chatHistory.innerHTML = '';
         this.messageHistory = [];
         this.emit('historyCleard');
@@ -321,12 +433,16 @@ class ChatInterface extends EventEmitter {
     // Agent response handling (called by GameEngine)
     handleAgentResponse(response, agent) {
         this.setWaitingState(false);
+        this.activeRequest = null;
+        
+        const text = response && response.trim() ? response : `${agent.name} seems lost in thought.`;
         
-        if (response && response.trim()) {
-            this.addMessage(response, 'agent', agent.name);
+        if (this.streamingMessage) {
+            // Streamed replies are already on screen; settle the bubble on the final text
+            this.finishStreamingMessage(text);
         } else {
-            // Fallback response
-            this.addMessage(`${agent.name} seems lost in thought.`, 'agent', agent.name);
+            // Scripted and fallback replies get the typewriter animation
+            this.addMessage(text, 'agent', agent.name);
         }
     }
 
@@ -0,0 +1,93 @@
+/**
+ * InventoryPanel - The player's bag: one cell per inventory slot
+ * Opened with I or the Bag button. It does not pause the game and redraws whenever the inventory
+ * changes. Hovering or clicking a cell shows the item's name, rarity and description.
+ */
+class InventoryPanel extends EventEmitter {
+    constructor(inventory) {
+        super();
+        
+        this.inventory = inventory;
+        
+        // UI Elements
+        this.panel = document.getElementById('inventoryPanel');
+        this.openBtn = document.getElementById('inventoryBtn');
+        this.closeBtn = document.getElementById('closeInventoryBtn');
+        this.title = document.getElementById('inventoryTitle');
+        this.grid = document.getElementById('inventoryGrid');
+        this.details = document.getElementById('inventoryDetails');
+        
+        // Panel state
+        this.isOpen = false;
+        
+        this.openBtn.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.inventory.on('changed', () => {
+            if (this.isOpen) this.render();
+        });
+        
+        console.log('InventoryPanel initialized');
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.render();
+        this.emit('opened');
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        this.emit('closed');
+    }
+
+    render() {
+        const slots = this.inventory.getSlots();
+        this.title.textContent = `Inventory ${slots.length}/${this.inventory.capacity}`;
+        this.details.textContent = slots.length > 0 ? '' : 'Nothing yet. Press E next to an item to pick it up.';
+        
+        this.grid.innerHTML = '';
+        for (let i = 0; i < this.inventory.capacity; i++) {
+            this.grid.appendChild(this.createCell(slots[i] || null));
+        }
+    }
+
+    createCell(slot) {
+        const cell = document.createElement('div');
+        cell.className = 'inventory-slot';
+        if (!slot) return cell;
+        
+        const item = slot.item;
+        cell.classList.add(`rarity-${item.rarity}`);
+        cell.title = item.name;
+        cell.textContent = item.icon;
+        
+        if (slot.quantity > 1) {
+            const quantity = document.createElement('span');
+            quantity.className = 'inventory-quantity';
+            quantity.textContent = String(slot.quantity);
+            cell.appendChild(quantity);
+        }
+        
+        const showDetails = () => this.showDetails(item, slot.quantity);
+        cell.addEventListener('mouseenter', showDetails);
+        cell.addEventListener('click', showDetails);
+        return cell;
+    }
+
+    showDetails(item, quantity) {
+        const rarity = item.rarity.replace(/_/g, ' ');
+        this.details.textContent = `${item.name}${quantity > 1 ? ` ×${quantity}` : ''} (${rarity}) - ${item.description}`;
+    }
+}
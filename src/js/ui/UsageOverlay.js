@@ -0,0 +1,85 @@
+/**
+ * UsageOverlay - Debug-mode panel showing LLM tokens, latency and cost per agent
+ * Reads the shared UsageTelemetry and redraws only when something new was recorded.
+ */
+class UsageOverlay {
+    constructor(telemetry) {
+        this.telemetry = telemetry;
+        
+        // UI Elements
+        this.overlay = document.getElementById('usageOverlay');
+        this.table = document.getElementById('usageTable');
+        this.summary = document.getElementById('usageSummary');
+        
+        // Overlay state
+        this.isVisible = false;
+        this.dirty = true;
+        
+        const markDirty = () => { this.dirty = true; };
+        this.telemetry.on('requestRecorded', markDirty);
+        this.telemetry.on('replyRecorded', markDirty);
+        this.telemetry.on('pricesChanged', markDirty);
+        this.telemetry.on('reset', markDirty);
+        
+        console.log('UsageOverlay initialized');
+    }
+
+    // Called every frame; shows the overlay while debug mode is on
+    update() {
+        const visible = !!window.DEBUG_MODE;
+        if (visible !== this.isVisible) {
+            this.isVisible = visible;
+            this.overlay.classList.toggle('hidden', !visible);
+        }
+        
+        if (this.isVisible && this.dirty) {
+            this.render();
+            this.dirty = false;
+        }
+    }
+
+    render() {
+        const stats = this.telemetry.getStats();
+        const rows = Object.entries(stats.agents).map(([name, agent]) => this.createRow(name, agent));
+        rows.push(this.createRow('Session', stats.session, true));
+        
+        this.table.innerHTML = '';
+        this.table.appendChild(this.createRow('Agent', null));
+        rows.forEach(row => this.table.appendChild(row));
+        
+        const session = stats.session;
+        const notes = [];
+        if (session.estimatedRequests > 0) notes.push(`${session.estimatedRequests} estimated`);
+        if (session.unpricedRequests > 0) notes.push(`${session.unpricedRequests} unpriced`);
+        this.summary.textContent = notes.length > 0 ? `Requests: ${notes.join(', ')}` : '';
+    }
+
+    // A header row when stats is null, otherwise one agent (or the session total)
+    createRow(label, stats, isTotal = false) {
+        const cells = stats
+            ? [
+                label,
+                stats.requests,
+                `${stats.promptTokens}/${stats.completionTokens}`,
+                `${stats.avgLatencyMs}ms`,
+                stats.retries,
+                `${Math.round(stats.fallbackRate * 100)}%`,
+                this.formatCost(stats.cost)
+            ]
+            : [label, 'Req', 'In/Out', 'Latency', 'Retries', 'Fallback', 'Cost'];
+        
+        const row = document.createElement('tr');
+        if (isTotal) row.className = 'usage-total';
+        
+        cells.forEach(value => {
+            const cell = document.createElement(stats ? 'td' : 'th');
+            cell.textContent = String(value);
+            row.appendChild(cell);
+        });
+        return row;
+    }
+
+    formatCost(cost) {
+        return cost < 0.01 && cost > 0 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+    }
+}
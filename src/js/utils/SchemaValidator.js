@@ -0,0 +1,94 @@
+/**
+ * SchemaValidator - Checks values against the JSON schema subset used for LLM tool arguments and structured replies
+ */
+class SchemaValidator {
+    // Returns a list of human-readable errors; empty when the value matches
+    static validate(schema, value, path = 'value') {
+        const errors = [];
+
+        if (!schema) return errors;
+
+        if (schema.type && !SchemaValidator.matchesType(schema.type, value)) {
+            errors.push(`${path} should be ${Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type}`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path} must be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path} must be <= ${schema.maximum}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path} must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} must be at most ${schema.maxLength} characters`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...SchemaValidator.validate(schema.items, item, `${path}[${index}]`));
+                });
+            }
+        }
+
+        if (SchemaValidator.matchesType('object', value)) {
+            const properties = schema.properties || {};
+
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+
+            Object.entries(value).forEach(([key, propertyValue]) => {
+                if (properties[key]) {
+                    errors.push(...SchemaValidator.validate(properties[key], propertyValue, `${path}.${key}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${key} is not allowed`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    static matchesType(type, value) {
+        if (Array.isArray(type)) {
+            return type.some(t => SchemaValidator.matchesType(t, value));
+        }
+
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && isFinite(value);
+            case 'string':
+                return typeof value === 'string';
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'null':
+                return value === null;
+            default:
+                return true;
+        }
+    }
+}
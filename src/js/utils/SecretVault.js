@@ -0,0 +1,174 @@
+/**
+ * SecretVault - Passphrase-encrypted storage for API keys
+ * Secrets are encrypted with AES-GCM under a key derived from the user's passphrase with PBKDF2 (WebCrypto).
+ * Only ciphertext, salts and IVs are ever serialized; the derived key lives in memory until lock() or reload.
+ */
+class SecretVault {
+    constructor(config = {}) {
+        this.crypto = config.crypto || (typeof crypto !== 'undefined' ? crypto : null);
+        this.iterations = config.iterations || 250000;
+        this.salt = null;     // base64, set once a passphrase has been chosen
+        this.check = null;    // Encrypted known value used to verify the passphrase
+        this.secrets = {};    // name -> { iv, data } (base64)
+        this.key = null;      // CryptoKey while unlocked
+        this.checkValue = 'agentic-world-vault';
+    }
+
+    isSupported() {
+        return !!(this.crypto && this.crypto.subtle);
+    }
+
+    hasPassphrase() {
+        return !!this.salt;
+    }
+
+    isUnlocked() {
+        return !!this.key;
+    }
+
+    hasSecret(name) {
+        return Object.prototype.hasOwnProperty.call(this.secrets, name);
+    }
+
+    getSecretNames() {
+        return Object.keys(this.secrets);
+    }
+
+    // Choose a passphrase for a new vault, or change it on an unlocked one (secrets are re-encrypted)
+    async setPassphrase(passphrase) {
+        this.requireSupport();
+        if (!passphrase) {
+            throw new Error('The passphrase cannot be empty');
+        }
+        if (this.hasPassphrase() && !this.isUnlocked()) {
+            throw new Error('Unlock the vault before changing its passphrase');
+        }
+
+        const plaintext = {};
+        for (const name of this.getSecretNames()) {
+            plaintext[name] = await this.getSecret(name);
+        }
+
+        const salt = this.crypto.getRandomValues(new Uint8Array(16));
+        this.key = await this.deriveKey(passphrase, salt);
+        this.salt = this.toBase64(salt);
+        this.check = await this.encrypt(this.checkValue);
+
+        this.secrets = {};
+        for (const name of Object.keys(plaintext)) {
+            this.secrets[name] = await this.encrypt(plaintext[name]);
+        }
+    }
+
+    async unlock(passphrase) {
+        this.requireSupport();
+        if (!this.hasPassphrase()) {
+            throw new Error('No passphrase has been set yet');
+        }
+
+        const key = await this.deriveKey(passphrase, this.fromBase64(this.salt));
+        try {
+            const value = await this.decrypt(this.check, key);
+            if (value !== this.checkValue) throw new Error('check mismatch');
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+
+        this.key = key;
+    }
+
+    lock() {
+        this.key = null;
+    }
+
+    async setSecret(name, value) {
+        this.requireUnlocked();
+        this.secrets[name] = await this.encrypt(String(value));
+    }
+
+    async getSecret(name) {
+        if (!this.hasSecret(name)) return null;
+        this.requireUnlocked();
+        return this.decrypt(this.secrets[name], this.key);
+    }
+
+    removeSecret(name) {
+        delete this.secrets[name];
+    }
+
+    // Crypto
+    async deriveKey(passphrase, salt) {
+        const material = await this.crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+
+        return this.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: this.iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encrypt(text) {
+        // A fresh IV for every encryption - GCM must never reuse one under the same key
+        const iv = this.crypto.getRandomValues(new Uint8Array(12));
+        const data = await this.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv }, this.key, new TextEncoder().encode(text)
+        );
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    }
+
+    async decrypt(entry, key) {
+        const data = await this.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(entry.iv) }, key, this.fromBase64(entry.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    requireSupport() {
+        if (!this.isSupported()) {
+            throw new Error('WebCrypto is not available, so API keys cannot be stored securely');
+        }
+    }
+
+    requireUnlocked() {
+        if (!this.isUnlocked()) {
+            throw new Error('The key vault is locked - enter your passphrase first');
+        }
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // Serialization - ciphertext only
+    serialize() {
+        return {
+            iterations: this.iterations,
+            salt: this.salt,
+            check: this.check,
+            secrets: { ...this.secrets }
+        };
+    }
+
+    deserialize(data) {
+        this.key = null;
+        this.iterations = data.iterations || this.iterations;
+        this.salt = data.salt || null;
+        this.check = data.check || null;
+        this.secrets = data.secrets || {};
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * CollisionSystem - Keeps bodies out of the scenery and off each other
+ * A body is a circle of the entity's collisionRadius around its centre. Once everything has moved for
+ * the frame, a body overlapping a collider (a solid decoration or an off-limits part of a zone) or the
+ * world's edge is pushed back out along the shortest way. Only the overlap is undone, so a body walking
+ * into a wall at an angle keeps its sideways motion and slides along it. Agents that bump into each other
+ * are eased apart over a few frames instead of snapping; the player is stopped by agents outright.
+ */
+class CollisionSystem {
+    constructor(config = {}) {
+        this.width = 0;
+        this.height = 0;
+        this.colliders = [];
+        this.iterations = config.iterations || 3;              // Passes per body, for corners where colliders meet
+        this.separationRate = config.separationRate || 0.25;   // Share of an overlap between agents undone per frame
+    }
+
+    build(width, height, colliders) {
+        this.width = width;
+        this.height = height;
+        this.colliders = colliders.slice();
+    }
+
+    // The push that moves a circle out of a collider, or null when they do not overlap
+    penetration(center, radius, collider) {
+        if (collider.shape === 'circle') {
+            const offset = center.subtract(collider.center);
+            const distance = offset.magnitude();
+            const overlap = radius + collider.radius - distance;
+            if (overlap <= 0) return null;
+
+            return (distance > 0 ? offset.divide(distance) : new Vector2(1, 0)).multiply(overlap);
+        }
+
+        const left = collider.position.x;
+        const right = left + collider.width;
+        const top = collider.position.y;
+        const bottom = top + collider.height;
+        const closest = new Vector2(Math.max(left, Math.min(right, center.x)), Math.max(top, Math.min(bottom, center.y)));
+        const offset = center.subtract(closest);
+        const distance = offset.magnitude();
+
+        if (distance > 0) {
+            return distance < radius ? offset.multiply((radius - distance) / distance) : null;
+        }
+
+        // Centre inside the rectangle: leave by the nearest side
+        return [
+            new Vector2(left - radius - center.x, 0),
+            new Vector2(right + radius - center.x, 0),
+            new Vector2(0, top - radius - center.y),
+            new Vector2(0, bottom + radius - center.y)
+        ].reduce((best, exit) => exit.magnitude() < best.magnitude() ? exit : best);
+    }
+
+    // Where a circle's centre ends up once it is clear of every collider and inside the world's edges
+    resolveStatic(center, radius) {
+        let resolved = this.clampToBounds(center, radius);
+
+        for (let pass = 0; pass < this.iterations; pass++) {
+            let pushed = false;
+            this.colliders.forEach(collider => {
+                const push = this.penetration(resolved, radius, collider);
+                if (push) {
+                    resolved = resolved.add(push);
+                    pushed = true;
+                }
+            });
+
+            resolved = this.clampToBounds(resolved, radius);
+            if (!pushed) break;
+        }
+
+        return resolved;
+    }
+
+    clampToBounds(center, radius) {
+        return new Vector2(
+            Math.max(radius, Math.min(this.width - radius, center.x)),
+            Math.max(radius, Math.min(this.height - radius, center.y))
+        );
+    }
+
+    // Move an entity clear of the scenery; returns whether it had to be pushed
+    collideWithScenery(entity) {
+        const center = entity.getCenter();
+        const resolved = this.resolveStatic(center, entity.collisionRadius);
+        if (resolved.distance(center) < 0.001) return false;
+
+        entity.position = entity.position.add(resolved.subtract(center));
+        return true;
+    }
+
+    // How far and which way `a` overlaps `b`: { normal (from b towards a), overlap }, or null when apart
+    overlapBetween(a, b) {
+        if (!a.isCollidingWith(b)) return null;
+
+        const offset = a.getCenter().subtract(b.getCenter());
+        const distance = offset.magnitude();
+        return {
+            normal: distance > 0 ? offset.divide(distance) : new Vector2(1, 0),
+            overlap: a.collisionRadius + b.collisionRadius - distance
+        };
+    }
+
+    /**
+     * One collision pass for the frame: agents ease apart, the player is pushed out of any agent it walked
+     * into, then everyone is pushed out of the scenery. Inactive entities take no part.
+     */
+    resolve(player, agents) {
+        const bodies = agents.filter(agent => agent.active);
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const contact = this.overlapBetween(bodies[i], bodies[j]);
+                if (!contact) continue;
+
+                const push = contact.normal.multiply(contact.overlap * this.separationRate / 2);
+                bodies[i].position = bodies[i].position.add(push);
+                bodies[j].position = bodies[j].position.subtract(push);
+            }
+        }
+
+        if (player && player.active) {
+            bodies.forEach(agent => {
+                const contact = this.overlapBetween(player, agent);
+                if (contact) {
+                    player.position = player.position.add(contact.normal.multiply(contact.overlap));
+                }
+            });
+            this.collideWithScenery(player);
+        }
+
+        bodies.forEach(agent => this.collideWithScenery(agent));
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Inventory - Slots of items someone is carrying
+ * Each slot holds one stack: an item id and a quantity up to the item's maxStack (1 for items that don't
+ * stack). Capacity counts slots, so a full inventory can still take more of an item whose stack has
+ * room. Adding and removing report how much actually moved, so callers can leave the rest where it was.
+ */
+class Inventory extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.capacity = config.capacity || 12;
+        this.catalog = config.catalog || ItemCatalog.getShared();
+        this.slots = []; // { itemId, quantity }
+    }
+
+    // How many of the item would fit
+    getRoomFor(itemId) {
+        const item = this.catalog.get(itemId);
+        if (!item) return 0;
+
+        const inStacks = this.slots
+            .filter(slot => slot.itemId === itemId)
+            .reduce((room, slot) => room + item.maxStack - slot.quantity, 0);
+        return inStacks + (this.capacity - this.slots.length) * item.maxStack;
+    }
+
+    canAdd(itemId, quantity = 1) {
+        return this.getRoomFor(itemId) >= quantity;
+    }
+
+    // Tops up existing stacks first, then opens new slots; returns how many were added
+    add(itemId, quantity = 1) {
+        const item = this.catalog.get(itemId);
+        if (!item || quantity <= 0) return 0;
+
+        let remaining = quantity;
+        this.slots.filter(slot => slot.itemId === itemId).forEach(slot => {
+            const moved = Math.min(remaining, item.maxStack - slot.quantity);
+            slot.quantity += moved;
+            remaining -= moved;
+        });
+        while (remaining > 0 && this.slots.length < this.capacity) {
+            const moved = Math.min(remaining, item.maxStack);
+            this.slots.push({ itemId: itemId, quantity: moved });
+            remaining -= moved;
+        }
+
+        const added = quantity - remaining;
+        if (added > 0) {
+            this.emit('itemAdded', item, added);
+            this.emit('changed', this);
+        }
+        return added;
+    }
+
+    // Takes from the last stacks first; returns how many were removed
+    remove(itemId, quantity = 1) {
+        const item = this.catalog.get(itemId);
+        let remaining = quantity;
+
+        for (let i = this.slots.length - 1; i >= 0 && remaining > 0; i--) {
+            const slot = this.slots[i];
+            if (slot.itemId !== itemId) continue;
+
+            const moved = Math.min(remaining, slot.quantity);
+            slot.quantity -= moved;
+            remaining -= moved;
+            if (slot.quantity === 0) this.slots.splice(i, 1);
+        }
+
+        const removed = quantity - remaining;
+        if (removed > 0) {
+            this.emit('itemRemoved', item, removed);
+            this.emit('changed', this);
+        }
+        return removed;
+    }
+
+    count(itemId) {
+        return this.slots
+            .filter(slot => slot.itemId === itemId)
+            .reduce((total, slot) => total + slot.quantity, 0);
+    }
+
+    has(itemId, quantity = 1) {
+        return this.count(itemId) >= quantity;
+    }
+
+    isFull() {
+        return this.slots.length >= this.capacity;
+    }
+
+    // One entry per slot, with the item's definition
+    getSlots() {
+        return this.slots.map(slot => ({ item: this.catalog.get(slot.itemId), quantity: slot.quantity }));
+    }
+
+    // One entry per item, stacks added together, in the order first picked up
+    getItems() {
+        const totals = new Map();
+        this.slots.forEach(slot => totals.set(slot.itemId, (totals.get(slot.itemId) || 0) + slot.quantity));
+        return Array.from(totals.entries()).map(([itemId, quantity]) => ({ item: this.catalog.get(itemId), quantity: quantity }));
+    }
+
+    // ["Lightweight Gear", "3 × Apple"] for prompts
+    describe() {
+        return this.getItems().map(({ item, quantity }) => quantity > 1 ? `${quantity} × ${item.name}` : item.name);
+    }
+
+    serialize() {
+        return {
+            capacity: this.capacity,
+            slots: this.slots.map(slot => ({ ...slot }))
+        };
+    }
+
+    // Items no longer in the catalog are dropped
+    deserialize(data) {
+        if (!data) return;
+        this.capacity = data.capacity || this.capacity;
+        this.slots = (data.slots || [])
+            .filter(slot => this.catalog.has(slot.itemId) && slot.quantity > 0)
+            .slice(0, this.capacity)
+            .map(slot => ({ itemId: slot.itemId, quantity: Math.min(slot.quantity, this.catalog.get(slot.itemId).maxStack) }));
+        this.emit('changed', this);
+    }
+}
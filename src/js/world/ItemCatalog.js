@@ -0,0 +1,86 @@
+/**
+ * ItemCatalog - Definitions of every item in the game
+ * An inventory slot or an item lying in the world only holds an item id and a quantity; name, icon,
+ * rarity, stacking and tags come from here. Rarities match the ones Elara grades her stock with. Tags
+ * group items for game logic and prompts, e.g. 'part' for the pieces Milo needs for his inventions.
+ */
+class ItemCatalog {
+    constructor(config = {}) {
+        this.items = new Map();
+        Object.entries({ ...this.getDefaultItems(), ...(config.items || {}) })
+            .forEach(([id, definition]) => this.define(id, definition));
+    }
+
+    static getShared() {
+        if (!ItemCatalog.shared) {
+            ItemCatalog.shared = new ItemCatalog();
+        }
+        return ItemCatalog.shared;
+    }
+
+    getDefaultItems() {
+        return {
+            // Elara's stock
+            silk_scarf: { name: 'Silk Scarf', icon: '🧣', rarity: 'common', tags: ['clothing', 'trade'], description: 'Fine silk from the southern looms.' },
+            exotic_spices: { name: 'Exotic Spices', icon: '🌶️', rarity: 'uncommon', stackable: true, maxStack: 10, tags: ['food', 'trade'], description: 'A pouch of spices from across the sea.' },
+            quality_hammer: { name: 'Quality Hammer', icon: '🔨', rarity: 'common', tags: ['tool', 'trade'], description: 'Well balanced, with an oak handle.' },
+            lucky_charm: { name: 'Lucky Charm', icon: '🍀', rarity: 'rare', tags: ['trinket', 'trade'], description: 'Elara swears it works.' },
+            ancient_coin: { name: 'Ancient Coin', icon: '🪙', rarity: 'very_rare', stackable: true, maxStack: 20, tags: ['trinket', 'trade', 'history'], description: 'Stamped with a king nobody remembers.' },
+            // Parts for Milo's inventions
+            precision_spring: { name: 'Precision Spring', icon: '🌀', rarity: 'uncommon', stackable: true, maxStack: 10, tags: ['part'], description: 'A tightly wound spring for fine mechanisms.' },
+            enchanted_copper_wire: { name: 'Enchanted Copper Wire', icon: '➰', rarity: 'rare', stackable: true, maxStack: 10, tags: ['part', 'magic'], description: 'Copper wire that hums faintly.' },
+            weather_crystal: { name: 'Weather Crystal', icon: '💎', rarity: 'rare', tags: ['part', 'magic'], description: 'Clouds over before a storm.' },
+            lightweight_gear: { name: 'Lightweight Gear', icon: '⚙️', rarity: 'uncommon', stackable: true, maxStack: 10, tags: ['part'], description: 'A gear cut from thin, strong brass.' },
+            // Found around town
+            apple: { name: 'Apple', icon: '🍎', rarity: 'common', stackable: true, maxStack: 20, tags: ['food'], description: 'Crisp and red.' },
+            ink_quill: { name: 'Ink Quill', icon: '🪶', rarity: 'common', tags: ['tool', 'scholarly'], description: 'A scribe\'s quill, still stained with ink.' }
+        };
+    }
+
+    // Fills in defaults: not stackable, common, no tags
+    define(id, definition) {
+        const stackable = !!definition.stackable;
+        const item = {
+            id: id,
+            name: definition.name || id.replace(/_/g, ' '),
+            icon: definition.icon || '📦',
+            rarity: definition.rarity || 'common',
+            stackable: stackable,
+            maxStack: stackable ? definition.maxStack || 99 : 1,
+            tags: definition.tags || [],
+            description: definition.description || ''
+        };
+        this.items.set(id, item);
+        return item;
+    }
+
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    has(id) {
+        return this.items.has(id);
+    }
+
+    // By id or by display name, ignoring case: 'lucky_charm' or 'Lucky Charm'
+    find(idOrName) {
+        if (this.items.has(idOrName)) return this.items.get(idOrName);
+
+        const wanted = String(idOrName).toLowerCase();
+        return this.getAll().find(item => item.id === wanted || item.name.toLowerCase() === wanted) || null;
+    }
+
+    getAll() {
+        return Array.from(this.items.values());
+    }
+
+    getRarityColor(rarity) {
+        const colors = {
+            common: '#d0d0d0',
+            uncommon: '#4ade80',
+            rare: '#60a5fa',
+            very_rare: '#c084fc'
+        };
+        return colors[rarity] || colors.common;
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * NavGrid - Walkable cells of the world for pathfinding
+ * The world is split into square cells. A cell is blocked when its centre is within `clearance` of a
+ * zone collider (bookshelves, the fountain, the workbench, off-limits ground) or of the world's edge,
+ * so a path through free cells keeps a walker's whole body clear of them. Each cell also records which
+ * zone it lies in. The World rebuilds the grid whenever zones are added or removed.
+ */
+class NavGrid {
+    constructor(config = {}) {
+        this.cellSize = config.cellSize || 16;
+        this.clearance = config.clearance || 18; // About an agent's collision radius
+        this.cols = 0;
+        this.rows = 0;
+        this.blocked = new Uint8Array(0);
+        this.zoneIds = [];    // Zone id per cell, or null outside every zone
+        this.colliders = [];  // What the grid was built from, for the debug overlay
+        this.version = 0;     // Bumped on every rebuild so cached paths can tell they are stale
+    }
+
+    build(width, height, zones) {
+        this.cols = Math.ceil(width / this.cellSize);
+        this.rows = Math.ceil(height / this.cellSize);
+        this.blocked = new Uint8Array(this.cols * this.rows);
+        this.zoneIds = new Array(this.cols * this.rows).fill(null);
+        this.colliders = [].concat(...zones.map(zone => zone.getColliders()));
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const point = this.toWorld(col, row);
+                const index = row * this.cols + col;
+                const nearEdge = point.x < this.clearance || point.y < this.clearance ||
+                    point.x > width - this.clearance || point.y > height - this.clearance;
+
+                this.blocked[index] = nearEdge || this.colliders.some(collider => this.distanceTo(collider, point) < this.clearance) ? 1 : 0;
+
+                const zone = zones.find(candidate => candidate.containsPoint(point));
+                this.zoneIds[index] = zone ? zone.id : null;
+            }
+        }
+
+        this.version++;
+    }
+
+    // Distance from a point to a collider's outline; 0 inside it
+    distanceTo(collider, point) {
+        if (collider.shape === 'circle') {
+            return Math.max(0, point.distance(collider.center) - collider.radius);
+        }
+
+        const dx = Math.max(collider.position.x - point.x, 0, point.x - (collider.position.x + collider.width));
+        const dy = Math.max(collider.position.y - point.y, 0, point.y - (collider.position.y + collider.height));
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // Coordinates
+    toCell(position) {
+        return {
+            col: Math.max(0, Math.min(this.cols - 1, Math.floor(position.x / this.cellSize))),
+            row: Math.max(0, Math.min(this.rows - 1, Math.floor(position.y / this.cellSize)))
+        };
+    }
+
+    toWorld(col, row) {
+        return new Vector2((col + 0.5) * this.cellSize, (row + 0.5) * this.cellSize);
+    }
+
+    inBounds(col, row) {
+        return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+    }
+
+    isWalkableCell(col, row) {
+        return this.inBounds(col, row) && this.blocked[row * this.cols + col] === 0;
+    }
+
+    isWalkable(position) {
+        const cell = this.toCell(position);
+        return this.isWalkableCell(cell.col, cell.row);
+    }
+
+    getZoneId(position) {
+        const cell = this.toCell(position);
+        return this.zoneIds[cell.row * this.cols + cell.col] || null;
+    }
+
+    // The closest free cell to a position, searched ring by ring; null when the grid has none
+    nearestWalkableCell(position) {
+        const origin = this.toCell(position);
+        const maxRadius = Math.max(this.cols, this.rows);
+
+        for (let radius = 0; radius <= maxRadius; radius++) {
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (let row = origin.row - radius; row <= origin.row + radius; row++) {
+                for (let col = origin.col - radius; col <= origin.col + radius; col++) {
+                    const onRing = Math.abs(row - origin.row) === radius || Math.abs(col - origin.col) === radius;
+                    if (!onRing || !this.isWalkableCell(col, row)) continue;
+
+                    const distance = this.toWorld(col, row).distance(position);
+                    if (distance < bestDistance) {
+                        best = { col: col, row: row };
+                        bestDistance = distance;
+                    }
+                }
+            }
+
+            if (best) return best;
+        }
+
+        return null;
+    }
+
+    nearestWalkable(position) {
+        if (this.isWalkable(position)) return position.clone();
+
+        const cell = this.nearestWalkableCell(position);
+        return cell ? this.toWorld(cell.col, cell.row) : null;
+    }
+
+    // Whether a straight walk from a to b stays on free cells, sampled every half cell
+    hasLineOfSight(a, b) {
+        const distance = a.distance(b);
+        const steps = Math.max(1, Math.ceil(distance / (this.cellSize / 2)));
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            if (!this.isWalkable(new Vector2(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Debug overlay: blocked cells shaded, collider outlines on top
+    render(renderer) {
+        const ctx = renderer.ctx;
+        ctx.save();
+        ctx.fillStyle = 'rgba(231, 76, 60, 0.25)';
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.blocked[row * this.cols + col]) {
+                    ctx.fillRect(col * this.cellSize, row * this.cellSize, this.cellSize, this.cellSize);
+                }
+            }
+        }
+        ctx.restore();
+
+        this.colliders.forEach(collider => {
+            if (collider.shape === 'circle') {
+                renderer.drawCircle(collider.center, collider.radius, '#e74c3c', false);
+            } else {
+                renderer.drawRect(collider.position, collider.width, collider.height, '#e74c3c', false);
+            }
+        });
+    }
+}
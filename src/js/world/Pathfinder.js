@@ -0,0 +1,144 @@
+/**
+ * Pathfinder - A* over a NavGrid
+ * Searches the grid's free cells with 8-way moves (diagonals only when both neighbouring cells are
+ * free, so paths never clip a corner) and an octile-distance heuristic. The cell path is then smoothed
+ * by string pulling: waypoints a walker can skip in a straight line are dropped.
+ */
+class Pathfinder {
+    constructor(grid, config = {}) {
+        this.grid = grid;
+        this.maxIterations = config.maxIterations || 20000; // Cells expanded before giving up
+    }
+
+    /**
+     * Returns waypoints from `from` to `to` (first waypoint is the first step, last is the destination),
+     * or null when no path exists. Blocked endpoints snap to the nearest free cell.
+     */
+    findPath(from, to) {
+        const grid = this.grid;
+        const startCell = grid.nearestWalkableCell(from);
+        const goal = grid.nearestWalkable(to);
+        if (!startCell || !goal) return null;
+
+        const goalCell = grid.toCell(goal);
+        const cells = this.search(startCell, goalCell);
+        if (!cells) return null;
+
+        // Starting inside a blocked cell, walk out through the nearest free one
+        const middle = cells.slice(grid.isWalkable(from) ? 1 : 0, -1);
+        const points = [from].concat(middle.map(cell => grid.toWorld(cell.col, cell.row)), [goal]);
+        return this.smooth(points).slice(1);
+    }
+
+    search(startCell, goalCell) {
+        const grid = this.grid;
+        const key = (col, row) => row * grid.cols + col;
+        const startKey = key(startCell.col, startCell.row);
+        const goalKey = key(goalCell.col, goalCell.row);
+
+        const cost = new Map([[startKey, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        const open = [];
+        this.push(open, { col: startCell.col, row: startCell.row, key: startKey, f: this.heuristic(startCell, goalCell) });
+
+        let iterations = 0;
+        while (open.length > 0 && iterations++ < this.maxIterations) {
+            const current = this.pop(open);
+            if (current.key === goalKey) {
+                return this.reconstruct(cameFrom, current.key, startKey);
+            }
+            if (closed.has(current.key)) continue;
+            closed.add(current.key);
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+
+                    const col = current.col + dx;
+                    const row = current.row + dy;
+                    if (!grid.isWalkableCell(col, row)) continue;
+                    if (dx !== 0 && dy !== 0 && (!grid.isWalkableCell(current.col + dx, current.row) || !grid.isWalkableCell(current.col, current.row + dy))) {
+                        continue;
+                    }
+
+                    const next = key(col, row);
+                    const nextCost = cost.get(current.key) + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                    if (closed.has(next) || nextCost >= (cost.has(next) ? cost.get(next) : Infinity)) continue;
+
+                    cost.set(next, nextCost);
+                    cameFrom.set(next, current.key);
+                    this.push(open, { col: col, row: row, key: next, f: nextCost + this.heuristic({ col, row }, goalCell) });
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Octile distance in cells
+    heuristic(a, b) {
+        const dx = Math.abs(a.col - b.col);
+        const dy = Math.abs(a.row - b.row);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    }
+
+    reconstruct(cameFrom, goalKey, startKey) {
+        const cells = [];
+        let current = goalKey;
+        while (current !== undefined) {
+            cells.unshift({ col: current % this.grid.cols, row: Math.floor(current / this.grid.cols) });
+            current = current === startKey ? undefined : cameFrom.get(current);
+        }
+        return cells;
+    }
+
+    // String pulling: from each kept point, jump to the farthest later point still in a straight line
+    smooth(points) {
+        if (points.length <= 2) return points;
+
+        const smoothed = [points[0]];
+        let anchor = 0;
+        while (anchor < points.length - 1) {
+            let next = points.length - 1;
+            while (next > anchor + 1 && !this.grid.hasLineOfSight(points[anchor], points[next])) {
+                next--;
+            }
+            smoothed.push(points[next]);
+            anchor = next;
+        }
+        return smoothed;
+    }
+
+    // Binary min-heap on f
+    push(heap, node) {
+        heap.push(node);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].f <= heap[i].f) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    pop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+                if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
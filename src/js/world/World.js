@@ -22,6 +22,12 @@ class World extends EventEmitter {
             friction: 0.95
         };
         
+        // Navigation and collisions: both built from the zones' colliders, rebuilt when zones change
+        this.navGrid = new NavGrid();
+        this.pathfinder = new Pathfinder(this.navGrid);
+        this.collisions = new CollisionSystem();
+        this.rebuildNavigation();
+        
         console.log('World initialized');
     }
 
@@ -51,6 +57,11 @@ class World extends EventEmitter {
             zone.render(renderer);
         });
         
+        // Navigation grid overlay
+        if (window.DEBUG_MODE) {
+            this.navGrid.render(renderer);
+        }
+        
         // Render world entities
         this.entities.forEach(entity => {
             if (entity.visible) {
@@ -132,6 +143,7 @@ class World extends EventEmitter {
     // Zone management
     addZone(zone) {
         this.zones.set(zone.id, zone);
+        this.rebuildNavigation();
         this.emit('zoneAdded', zone);
         console.log(`Zone '${zone.name}' added to world`);
     }
@@ -140,6 +152,7 @@ class World extends EventEmitter {
         const zone = this.zones.get(zoneId);
         if (zone) {
             this.zones.delete(zoneId);
+            this.rebuildNavigation();
             this.emit('zoneRemoved', zone);
             console.log(`Zone '${zone.name}' removed from world`);
         }
@@ -149,6 +162,15 @@ class World extends EventEmitter {
         return this.zones.get(zoneId);
     }
 
+    getZoneByType(type) {
+        for (const zone of this.zones.values()) {
+            if (zone.type === type) {
+                return zone;
+            }
+        }
+        return null;
+    }
+
     getCurrentZone(position) {
         for (const zone of this.zones.values()) {
             if (zone.containsPoint(position)) {
@@ -163,6 +185,24 @@ class World extends EventEmitter {
         // For now, just emit events when entities move between zones
     }
 
+    // Navigation
+    rebuildNavigation() {
+        const zones = Array.from(this.zones.values());
+        this.navGrid.build(this.width, this.height, zones);
+        this.collisions.build(this.width, this.height, [].concat(...zones.map(zone => zone.getColliders())));
+        this.emit('navigationRebuilt', this.navGrid);
+    }
+
+    // Waypoints from one point to another around obstacles, or null when there is no way through
+    findPath(from, to) {
+        return this.pathfinder.findPath(from, to);
+    }
+
+    // Keep the player and agents out of the scenery and off each other, once everything has moved
+    resolveCollisions(player, agents) {
+        this.collisions.resolve(player, agents);
+    }
+
     // Entity management
     addEntity(entity) {
         this.entities.set(entity.id, entity);
@@ -185,6 +225,42 @@ class World extends EventEmitter {
         return Array.from(this.entities.values());
     }
 
+    // Items lying in the world
+    spawnItem(itemId, position, quantity = 1) {
+        const item = new WorldItem(position, itemId, quantity);
+        this.addEntity(item);
+        return item;
+    }
+
+    // Lay out every zone's starting items; only for a new game, saves restore the items left lying around
+    spawnStartingItems() {
+        this.zones.forEach(zone => {
+            zone.startingItems.forEach(entry => {
+                this.spawnItem(entry.itemId, new Vector2(zone.position.x + entry.x, zone.position.y + entry.y), entry.quantity || 1);
+            });
+        });
+    }
+
+    getItems() {
+        return this.getAllEntities().filter(entity => entity.type === 'item' && entity.active);
+    }
+
+    // The closest item whose centre is within range of a point, or null
+    findNearestItem(position, range) {
+        let nearest = null;
+        let nearestDistance = range;
+        
+        this.getItems().forEach(item => {
+            const distance = position.distance(item.getCenter());
+            if (distance <= nearestDistance) {
+                nearest = item;
+                nearestDistance = distance;
+            }
+        });
+        
+        return nearest;
+    }
+
     getEntitiesInZone(zone) {
         return this.getAllEntities().filter(entity => 
             zone.containsPoint(entity.position)
@@ -309,14 +385,15 @@ class World extends EventEmitter {
                 zone.deserialize(zoneData);
                 this.zones.set(id, zone);
             });
+            this.rebuildNavigation();
         }
         
-        // Restore entities
+        // Restore entities, replacing the ones a new game starts with
         if (data.entities) {
+            this.entities = new Map();
             Object.entries(data.entities).forEach(([id, entityData]) => {
-                // Would need to create appropriate entity types based on data.type
-                // This is a simplified version
-                const entity = new Entity();
+                // Items come back as items; other types would need their own classes here too
+                const entity = entityData.type === 'item' ? new WorldItem() : new Entity();
                 entity.deserialize(entityData);
                 this.entities.set(id, entity);
             });
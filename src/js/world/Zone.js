@@ -20,6 +20,12 @@ class Zone extends EventEmitter {
         this.borderColor = this.getZoneBorderColor(type);
         this.opacity = 0.7;
         
+        // Where bodies may stand: zone-local rectangles, or null for the whole zone
+        this.walkableAreas = this.getZoneWalkableAreas(type);
+        
+        // Items lying here when a new game starts: { itemId, x, y, quantity }, zone-local
+        this.startingItems = this.getZoneStartingItems(type);
+        
         // Zone properties
         this.description = this.getZoneDescription(type);
         this.ambientSound = null;
@@ -99,6 +105,29 @@ class Zone extends EventEmitter {
         return borderColors[type] || borderColors.default;
     }
 
+    getZoneWalkableAreas(type) {
+        // Milo's scrap heap fills the far corner of the workshop
+        const walkableAreas = {
+            'workshop': [
+                { x: 0, y: 0, width: 400, height: 190 },
+                { x: 0, y: 190, width: 290, height: 110 }
+            ]
+        };
+        
+        return walkableAreas[type] || null;
+    }
+
+    getZoneStartingItems(type) {
+        // The gear Milo has been hunting for rolled away from his workbench
+        const startingItems = {
+            'library': [{ itemId: 'ink_quill', x: 120, y: 255 }],
+            'townSquare': [{ itemId: 'apple', x: 90, y: 235, quantity: 3 }],
+            'workshop': [{ itemId: 'lightweight_gear', x: 340, y: 70 }]
+        };
+        
+        return startingItems[type] || [];
+    }
+
     update(deltaTime) {
         // Update zone effects
         this.updateEffects(deltaTime);
@@ -185,74 +214,146 @@ class Zone extends EventEmitter {
         renderer.ctx.fillStyle = this.backgroundColor;
         renderer.ctx.fillRect(this.position.x, this.position.y, this.width, this.height);
         
+        // Shade the parts nobody can walk on
+        renderer.ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        this.getBlockedAreas().forEach(area => {
+            renderer.ctx.fillRect(area.position.x, area.position.y, area.width, area.height);
+        });
+        
         renderer.ctx.restore();
     }
 
     renderDecorations(renderer) {
-        // Zone-specific decorative elements
+        this.getDecorations().forEach(decoration => {
+            if (decoration.shape === 'circle') {
+                // Water, then the stone rim
+                renderer.drawCircle(decoration.center, decoration.radius - 5, decoration.color);
+                renderer.drawCircle(decoration.center, decoration.radius, decoration.rimColor, false);
+            } else {
+                renderer.drawRect(decoration.position, decoration.width, decoration.height, decoration.color);
+            }
+        });
+    }
+
+    // Zone-specific furniture in world coordinates; solid pieces double as colliders
+    getDecorations() {
         switch (this.type) {
             case 'library':
-                this.renderLibraryDecorations(renderer);
-                break;
+                return this.getLibraryDecorations();
             case 'workshop':
-                this.renderWorkshopDecorations(renderer);
-                break;
+                return this.getWorkshopDecorations();
             case 'townSquare':
-                this.renderTownSquareDecorations(renderer);
-                break;
+                return this.getTownSquareDecorations();
+            default:
+                return [];
         }
     }
 
-    renderLibraryDecorations(renderer) {
-        // Draw bookshelves as simple rectangles
-        const shelfColor = '#8B4513';
+    getLibraryDecorations() {
+        // Bookshelves as simple rectangles along the left and right walls
+        const shelves = [];
         const shelfWidth = 15;
         const shelfHeight = 60;
         
-        // Left wall bookshelves
         for (let i = 0; i < 3; i++) {
-            const x = this.position.x + 20;
             const y = this.position.y + 40 + (i * 80);
-            renderer.drawRect(new Vector2(x, y), shelfWidth, shelfHeight, shelfColor);
+            [this.position.x + 20, this.position.x + this.width - 35].forEach(x => {
+                shelves.push({
+                    kind: 'bookshelf',
+                    shape: 'rect',
+                    position: new Vector2(x, y),
+                    width: shelfWidth,
+                    height: shelfHeight,
+                    color: '#8B4513',
+                    solid: true
+                });
+            });
         }
         
-        // Right wall bookshelves
-        for (let i = 0; i < 3; i++) {
-            const x = this.position.x + this.width - 35;
-            const y = this.position.y + 40 + (i * 80);
-            renderer.drawRect(new Vector2(x, y), shelfWidth, shelfHeight, shelfColor);
-        }
-    }
-
-    renderWorkshopDecorations(renderer) {
-        // Draw workbenches and tools
-        const benchColor = '#654321';
-        const toolColor = '#C0C0C0';
+        return shelves;
+    }
+
+    getWorkshopDecorations() {
+        return [
+            {
+                kind: 'workbench',
+                shape: 'rect',
+                position: new Vector2(this.position.x + 50, this.position.y + this.height - 80),
+                width: 100,
+                height: 20,
+                color: '#654321',
+                solid: true
+            },
+            {
+                kind: 'toolRack',
+                shape: 'rect',
+                position: new Vector2(this.position.x + 20, this.position.y + 30),
+                width: 10,
+                height: 50,
+                color: '#C0C0C0',
+                solid: true
+            }
+        ];
+    }
+
+    getTownSquareDecorations() {
+        // Fountain in the middle of the square
+        return [{
+            kind: 'fountain',
+            shape: 'circle',
+            center: this.getCenter(),
+            radius: 30,
+            color: '#87CEEB',
+            rimColor: '#696969',
+            solid: true
+        }];
+    }
+
+    /**
+     * The parts of the zone outside its walkable areas, as solid rectangles in world coordinates.
+     * The zone is cut along every area edge; each resulting cell no area covers is off limits.
+     */
+    getBlockedAreas() {
+        if (!this.walkableAreas) return [];
         
-        // Main workbench
-        renderer.drawRect(
-            new Vector2(this.position.x + 50, this.position.y + this.height - 80),
-            100, 20, benchColor
-        );
+        const bounds = this.getBounds();
+        const areas = this.walkableAreas.map(area => ({
+            left: bounds.left + area.x,
+            right: bounds.left + area.x + area.width,
+            top: bounds.top + area.y,
+            bottom: bounds.top + area.y + area.height
+        }));
+        const cuts = (low, high, edges) => [low, high]
+            .concat(edges.filter(edge => edge > low && edge < high))
+            .sort((a, b) => a - b)
+            .filter((edge, index, list) => list.indexOf(edge) === index);
+        const xs = cuts(bounds.left, bounds.right, [].concat(...areas.map(area => [area.left, area.right])));
+        const ys = cuts(bounds.top, bounds.bottom, [].concat(...areas.map(area => [area.top, area.bottom])));
         
-        // Tool rack (simplified)
-        renderer.drawRect(
-            new Vector2(this.position.x + 20, this.position.y + 30),
-            10, 50, toolColor
-        );
+        const blocked = [];
+        for (let i = 0; i < xs.length - 1; i++) {
+            for (let j = 0; j < ys.length - 1; j++) {
+                const x = (xs[i] + xs[i + 1]) / 2;
+                const y = (ys[j] + ys[j + 1]) / 2;
+                const covered = areas.some(area => x >= area.left && x <= area.right && y >= area.top && y <= area.bottom);
+                if (covered) continue;
+                
+                blocked.push({
+                    kind: 'offLimits',
+                    shape: 'rect',
+                    position: new Vector2(xs[i], ys[j]),
+                    width: xs[i + 1] - xs[i],
+                    height: ys[j + 1] - ys[j],
+                    solid: true
+                });
+            }
+        }
+        
+        return blocked;
     }
 
-    renderTownSquareDecorations(renderer) {
-        // Draw fountain or central feature
-        const fountainColor = '#87CEEB';
-        const centerX = this.position.x + this.width / 2;
-        const centerY = this.position.y + this.height / 2;
-        
-        // Simple circular fountain
-        renderer.drawCircle(new Vector2(centerX, centerY), 25, fountainColor);
-        
-        // Fountain base
-        renderer.drawCircle(new Vector2(centerX, centerY), 30, '#696969', false);
+    getColliders() {
+        return this.getDecorations().filter(decoration => decoration.solid).concat(this.getBlockedAreas());
     }
 
     renderEffects(renderer) {
@@ -423,6 +524,7 @@ class Zone extends EventEmitter {
             borderColor: this.borderColor,
             description: this.description,
             lighting: this.lighting,
+            walkableAreas: this.walkableAreas,
             spawnPoints: this.spawnPoints.map(sp => ({
                 position: { x: sp.position.x, y: sp.position.y },
                 type: sp.type
@@ -441,6 +543,7 @@ class Zone extends EventEmitter {
         this.borderColor = data.borderColor || this.getZoneBorderColor(this.type);
         this.description = data.description || this.getZoneDescription(this.type);
         this.lighting = data.lighting || { brightness: 1.0, color: '#ffffff' };
+        this.walkableAreas = data.walkableAreas !== undefined ? data.walkableAreas : this.getZoneWalkableAreas(this.type);
         
         if (data.spawnPoints) {
             this.spawnPoints = data.spawnPoints.map(sp => ({
@@ -0,0 +1,135 @@
+/**
+ * LLMCassette tests - records a conversation through a real agent and replays it without a provider
+ * The recording session talks to a canned OpenAI-compatible fetch, so nothing leaves the machine.
+ */
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/loadGame');
+
+const player = { name: 'Bunny Player', type: 'player' };
+
+// A fresh game per test keeps the shared cassette, scheduler and agents from leaking between tests
+function setup() {
+    const game = loadGame();
+    const cassette = game.LLMCassette.getShared();
+    const createTiberius = () => new game.Tiberius(new game.Vector2(0, 0));
+    return { game, cassette, createTiberius };
+}
+
+// Configures an agent against a fetch that answers each request with the next reply in turn
+function connect(agent, replies) {
+    const requests = [];
+    agent.aiAgent.setAPIConfiguration('http://localhost:4000/v1/chat/completions', 'test-key', 'gpt-4o-mini', 'openai');
+    agent.aiAgent.provider.fetch = async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const content = replies[requests.length - 1];
+        return new Response(JSON.stringify({
+            choices: [{ index: 0, message: { role: 'assistant', content: content }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 100, completion_tokens: 12 }
+        }), { status: 200 });
+    };
+    return requests;
+}
+
+async function recordConversation(cassette, agent, lines, replies) {
+    const requests = connect(agent, replies);
+    cassette.startRecording();
+
+    const answers = [];
+    for (const line of lines) {
+        answers.push(await agent.receiveMessage(line, player));
+    }
+
+    cassette.stop();
+    return { answers, requests, json: cassette.exportCassette() };
+}
+
+describe('LLMCassette', () => {
+    test('replays a recorded conversation in a fresh agent with no provider', async () => {
+        const { cassette, createTiberius } = setup();
+        const lines = ['Hello there', 'Tell me about the library'];
+        const replies = [
+            'Ah, a visitor. Few find their way this deep into the archives.',
+            'These shelves hold the memory of the realm, young one.'
+        ];
+
+        const recording = await recordConversation(cassette, createTiberius(), lines, replies);
+        assert.deepEqual(recording.answers, replies);
+        assert.equal(recording.requests.length, 2);
+        assert.equal(JSON.parse(recording.json).entries.length, 2);
+
+        const replaying = createTiberius();
+        assert.equal(replaying.aiAgent.provider, null);
+        cassette.startReplay(recording.json);
+
+        const answers = [];
+        for (const line of lines) {
+            answers.push(await replaying.receiveMessage(line, player));
+        }
+
+        assert.deepEqual(answers, replies);
+        assert.equal(cassette.getStats().replayed, 2);
+    });
+
+    test('a strict replay misses on an unrecorded request and the agent falls back to a scripted reply', async () => {
+        const { cassette, createTiberius } = setup();
+        const recording = await recordConversation(cassette, createTiberius(), ['Hello there'], ['A recorded greeting.']);
+
+        const misses = [];
+        cassette.on('replayMiss', (request, hash) => misses.push(hash));
+        cassette.startReplay(recording.json);
+
+        const answer = await createTiberius().receiveMessage('What is the weather like?', player);
+        assert.equal(misses.length, 1);
+        assert.notEqual(answer, 'A recorded greeting.');
+        assert.ok(answer.length > 0);
+    });
+
+    test('a sequential replay serves the next unused recording on a miss', async () => {
+        const { cassette, createTiberius } = setup();
+        const recording = await recordConversation(cassette, createTiberius(), ['Hello there'], ['A recorded greeting.']);
+
+        cassette.matchMode = 'sequential';
+        cassette.startReplay(recording.json);
+
+        const answer = await createTiberius().receiveMessage('Good day to you', player);
+        assert.equal(answer, 'A recorded greeting.');
+    });
+
+    test('request hashes ignore timestamps, memory ids, provider and model', () => {
+        const { cassette } = setup();
+        const build = (content, providerId, model) => cassette.describeRequest('Old Man Tiberius', providerId, [
+            { role: 'system', content: 'You are Tiberius.' },
+            { role: 'user', content: content }
+        ], { model: model, maxTokens: 150, temperature: 0.7 });
+
+        const recorded = build('Remember mem_1700000000000_ab12cd at 1700000000000', 'openai', 'gpt-4o-mini');
+        const later = build('Remember mem_1700000999999_zz9x8y at 1700000999999', 'ollama', 'llama3.1');
+        const different = build('Something else entirely', 'openai', 'gpt-4o-mini');
+
+        assert.equal(cassette.hashRequest(recorded), cassette.hashRequest(later));
+        assert.notEqual(cassette.hashRequest(recorded), cassette.hashRequest(different));
+    });
+
+    test('replay streams the recorded reply in word chunks when asked for tokens', () => {
+        const { cassette } = setup();
+        const request = cassette.describeRequest('Milo the Inventor', 'openai', [{ role: 'user', content: 'Hi' }], {});
+        cassette.startRecording();
+        cassette.record(request, { content: 'Oh! A visitor! Mind the springs, they bite.', usage: { promptTokens: 5, completionTokens: 9 } });
+        cassette.startReplay();
+
+        const tokens = [];
+        const result = cassette.replay(request, (delta, fullText) => tokens.push({ delta, fullText }));
+
+        assert.equal(result.content, 'Oh! A visitor! Mind the springs, they bite.');
+        assert.equal(result.provider, 'cassette');
+        assert.ok(tokens.length > 1);
+        assert.equal(tokens.map(token => token.delta).join(''), result.content);
+        assert.equal(tokens[tokens.length - 1].fullText, result.content);
+    });
+
+    test('rejects a file that is not a cassette', () => {
+        const { cassette } = setup();
+        assert.throws(() => cassette.load({ version: 2, entries: [] }), /Invalid cassette format/);
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * EmotionModel tests - how appraised events move each NPC's mood label
+ */
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/loadGame');
+
+const game = loadGame();
+const player = { name: 'Bunny Player', type: 'player' };
+
+describe('EmotionModel', () => {
+    ['Tiberius', 'Elara', 'Milo'].forEach(name => {
+        test(`${name} is not cheered by an insult straight after a compliment`, () => {
+            const npc = new game[name](new game.Vector2(0, 0));
+
+            npc.appraiseMessage('you are kind', player);
+            assert.ok(npc.emotion.state.pleasure > 0);
+
+            npc.appraiseMessage('you are an idiot', player);
+            assert.ok(npc.emotion.state.pleasure < 0);
+            assert.equal(npc.emotion.getLabel(), 'annoyed');
+        });
+    });
+
+    test('an insult still sours a mood that starts out glum', () => {
+        const emotion = new game.EmotionModel({ baseline: { pleasure: -0.2 } });
+        emotion.appraise('insult');
+        assert.ok(emotion.state.pleasure < -0.2);
+    });
+
+    test('a compliment alone leaves a cheerful baseline cheerful', () => {
+        const emotion = new game.EmotionModel({ baseline: { pleasure: 0.3, arousal: 0.3, dominance: 0.1 } });
+        emotion.appraise('compliment');
+        assert.ok(['happy', 'enthusiastic', 'friendly'].includes(emotion.getLabel()));
+    });
+});
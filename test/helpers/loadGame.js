@@ -0,0 +1,46 @@
+/**
+ * loadGame - Runs the game's browser scripts in a Node vm context so tests can use its classes
+ * Scripts load in index.html order, minus main.js, which needs a page to start the game on.
+ * Every top-level class is exposed on the returned context, e.g. loadGame().OpenAIProvider.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..', '..');
+
+function loadGame() {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const scripts = Array.from(html.matchAll(/<script src="([^"]+)"/g))
+        .map(match => match[1])
+        .filter(src => !src.endsWith('main.js'));
+
+    const context = {
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        setTimeout, clearTimeout, setInterval, clearInterval,
+        performance, AbortController, TextDecoder, TextEncoder, ReadableStream, Response,
+        crypto: globalThis.crypto,
+        btoa, atob,
+        fetch() {
+            throw new Error('Tests must not reach the network; pass a fetch to the provider');
+        },
+        localStorage: undefined,
+        document: {
+            getElementById() { return null; },
+            createElement() { return {}; }
+        }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    let code = scripts.map(src => fs.readFileSync(path.join(root, src), 'utf8')).join('\n;\n');
+
+    // Class declarations don't become properties of the global object, so publish them explicitly
+    const classes = Array.from(code.matchAll(/^class (\w+)/gm)).map(match => match[1]);
+    code += '\n;' + classes.map(name => `globalThis.${name} = ${name};`).join('\n');
+
+    vm.runInContext(code, context, { filename: 'game.js' });
+    return context;
+}
+
+module.exports = { loadGame };
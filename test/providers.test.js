@@ -0,0 +1,109 @@
+/**
+ * Provider adapter tests - replays the canned exchanges in test/fixtures/providers against each adapter
+ * A case names the request the adapter must build, the response the server sends back (a JSON body, raw text,
+ * stream chunks or a network failure), and the result, streamed tokens or LLMProviderError it must produce.
+ */
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadGame } = require('./helpers/loadGame');
+
+const game = loadGame();
+const scheduler = new game.RequestScheduler();
+const fixtureDir = path.join(__dirname, 'fixtures', 'providers');
+
+// Stands in for fetch: records the request and answers with the case's canned response
+function createFetch(response, calls) {
+    return async (url, init) => {
+        calls.push({ url: url, headers: init.headers, body: JSON.parse(init.body) });
+
+        if (response.networkError) {
+            throw new TypeError(response.networkError);
+        }
+
+        const options = { status: response.status, headers: response.headers || {} };
+        if (response.chunks) {
+            // Each chunk is delivered by its own read, so lines split across chunks are exercised too
+            const encoder = new TextEncoder();
+            const body = new ReadableStream({
+                start(controller) {
+                    response.chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+                    controller.close();
+                }
+            });
+            return new Response(body, options);
+        }
+
+        return new Response(response.text !== undefined ? response.text : JSON.stringify(response.body), options);
+    };
+}
+
+// Values built inside the game's vm context have foreign prototypes, so compare their JSON shapes
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+async function runCase(fixture, testCase) {
+    const calls = [];
+    const tokens = [];
+    const provider = game.LLMProvider.create(fixture.provider, {
+        ...fixture.config,
+        fetch: createFetch(testCase.response, calls)
+    });
+    const messages = testCase.messages || fixture.messages;
+    const options = { ...testCase.options, onToken: (delta) => tokens.push(delta) };
+
+    let result = null;
+    let error = null;
+    try {
+        result = testCase.kind === 'stream'
+            ? await provider.stream(messages, options)
+            : await provider.complete(messages, options);
+    } catch (caught) {
+        error = caught;
+    }
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(plain(calls[0]), testCase.request);
+    return { result, error, tokens };
+}
+
+fs.readdirSync(fixtureDir).filter(file => file.endsWith('.json')).forEach(file => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'));
+
+    describe(`${fixture.provider} adapter`, () => {
+        fixture.cases.forEach(testCase => {
+            test(testCase.name, async () => {
+                const { result, error, tokens } = await runCase(fixture, testCase);
+
+                if (testCase.error) {
+                    assert.ok(error, 'expected the request to fail');
+                    assert.equal(error.name, 'LLMProviderError', error.stack);
+                    assert.deepEqual({
+                        message: error.message,
+                        status: error.status,
+                        code: error.code,
+                        retryAfter: error.retryAfter,
+                        retryable: scheduler.isRetryable(error)
+                    }, testCase.error);
+                    assert.equal(error.provider, fixture.provider);
+                    return;
+                }
+
+                assert.ifError(error);
+                assert.deepEqual(plain({
+                    content: result.content,
+                    toolCalls: result.toolCalls,
+                    usage: result.usage,
+                    finishReason: result.finishReason
+                }), testCase.result);
+                assert.equal(result.provider, fixture.provider);
+
+                if (testCase.tokens) {
+                    assert.deepEqual(tokens, testCase.tokens);
+                }
+            });
+        });
+    });
+});
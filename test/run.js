@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * Test runner - runs every test/*.test.js file with Node's built-in test runner
+ * Usage: npm test, or node test/run.js [name-filter] to run only the files whose name contains the filter
+ */
+const { run } = require('node:test');
+const { spec } = require('node:test/reporters');
+const fs = require('fs');
+const path = require('path');
+
+const filter = process.argv[2] || '';
+const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js') && file.includes(filter))
+    .map(file => path.join(__dirname, file));
+
+if (files.length === 0) {
+    console.error(`No test files match "${filter}"`);
+    process.exit(1);
+}
+
+run({ files: files })
+    .on('test:fail', () => { process.exitCode = 1; })
+    .compose(spec)
+    .pipe(process.stdout);